@@ -0,0 +1,126 @@
+const express = require('express');
+const cors = require('cors');
+const { loadConfig } = require('./config');
+
+const CacheService = require('./services/cacheService');
+const BursaDirectory = require('./services/bursaDirectory');
+const SymbolDirectory = require('./services/symbolDirectory');
+const SymbolTagger = require('./services/symbolTagger');
+const ChartService = require('./services/chartService');
+const EconomicService = require('./services/economicService');
+const BursaService = require('./services/bursaService');
+const NewsService = require('./services/newsService');
+const SentimentService = require('./services/sentimentService');
+const BacktestService = require('./services/backtestService');
+const PortfolioService = require('./services/portfolioService');
+const DocumentService = require('./services/documentService');
+const AlertService = require('./services/alertService');
+const AlertScheduler = require('./services/alertScheduler');
+const { createLLMClient } = require('./services/llmClient');
+const { createPortfolioStore } = require('./services/portfolioStore');
+const { createDocumentStore } = require('./services/documentStore');
+const { createAlertStore } = require('./services/alertStore');
+
+const { createChartRouter } = require('./routes/chartRoutes');
+const { createAnalyzeRouter } = require('./routes/analyzeRoutes');
+const { createOcrRouter } = require('./routes/ocrRoutes');
+const { createNewsRouter } = require('./routes/newsRoutes');
+const { createEconomicRouter } = require('./routes/economicRoutes');
+const { createAdminRouter } = require('./routes/adminRoutes');
+const { createBursaRouter } = require('./routes/bursaRoutes');
+const { createSymbolRouter } = require('./routes/symbolRoutes');
+const { createPortfolioRouter } = require('./routes/portfolioRoutes');
+const { createAlertRouter } = require('./routes/alertRoutes');
+const { createBacktestRouter } = require('./routes/backtestRoutes');
+
+/**
+ * Every service the routers share, built once per app: one cache, symbol directory and LLM client
+ * (from `config.llm`) behind all market data, summary, sentiment and /analyze calls, and the
+ * user-data services backed by the stores in `config.stores`.
+ * @param {object} config - Settings from loadConfig().
+ * @returns {object} - { llm, cache, symbols, tagger, chartService, economicService, bursaService, newsService,
+ *   backtestService, portfolioService, documentService, alertService, alertScheduler }.
+ */
+function createServices(config) {
+  const { portfolio, document, alert } = config.stores;
+  const llm = createLLMClient(config.llm);
+  const cache = new CacheService();
+  const bursaDirectory = new BursaDirectory();
+  const symbols = new SymbolDirectory({ bursaDirectory });
+  const tagger = new SymbolTagger({ aliases: symbols.aliasMap() });
+
+  const chartService = new ChartService({ cache, symbols });
+  const economicService = new EconomicService({ cache });
+  const bursaService = new BursaService({ directory: bursaDirectory, chartService, cache });
+  const alertService = new AlertService({ store: createAlertStore(alert.type, alert), chartService, bursaService, symbols });
+
+  return {
+    llm,
+    cache,
+    symbols,
+    tagger,
+    chartService,
+    economicService,
+    bursaService,
+    newsService: new NewsService({ cache, tagger, sentimentService: new SentimentService({ llm }) }),
+    backtestService: new BacktestService({ chartService, symbols }),
+    portfolioService: new PortfolioService({ store: createPortfolioStore(portfolio.type, portfolio), chartService, economicService, symbols }),
+    documentService: new DocumentService({ store: createDocumentStore(document.type, document) }),
+    alertService,
+    alertScheduler: new AlertScheduler({ alertService })
+  };
+}
+
+/**
+ * Builds the Express application without starting a server,
+ * so the whole API can be exercised in-process.
+ * @param {object} config - Settings from loadConfig(); defaults to the current environment.
+ * @returns {express.Application} - With the shared services on `app.locals.services`
+ *   (index.js starts `alertScheduler` from there).
+ */
+function createApp(config = loadConfig()) {
+  const app = express();
+  const services = createServices(config);
+  app.locals.services = services;
+
+  // CORS Middleware - allows the Next.js frontend to talk to this backend
+  app.use(cors({
+    origin: config.corsOrigins,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-token']
+  }));
+  app.use(express.json({ limit: config.jsonLimit })); // Enable parsing of JSON request bodies
+
+  // Test route for the backend
+  app.get('/', (req, res) => {
+    res.json({ message: 'Node.js Backend is live and cookin!' });
+  });
+
+  app.use('/api/charts', createChartRouter(services));
+  app.use('/api/news', createNewsRouter(services));
+  app.use('/api/economics', createEconomicRouter(services));
+  app.use('/api/bursa', createBursaRouter(services));
+  app.use('/api/symbols', createSymbolRouter(services));
+  app.use('/api/portfolios', createPortfolioRouter(config, services));
+  app.use('/api/alerts', createAlertRouter(services));
+  app.use('/api/backtest', createBacktestRouter(services));
+  app.use('/api/admin', createAdminRouter(config, services));
+  app.use('/analyze', createAnalyzeRouter(config, services));
+  app.use('/ocr', createOcrRouter(config, services));
+
+  // Errors passed to next() (body parsing, upload limits) still get a JSON body
+  app.use((error, req, res, next) => {
+    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : (error.status || error.statusCode || 500);
+    if (status >= 500) {
+      console.error('Unhandled error:', error);
+    }
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
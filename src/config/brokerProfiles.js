@@ -0,0 +1,128 @@
+// Column layouts of broker statement exports for POST /api/portfolios/import/preview.
+//
+// `columns` lists the header names each field may appear under (compared ignoring case, spaces
+// and punctuation, so "Price ($)" matches "price"). Fields: symbol, name (security description,
+// used when there is no symbol), type, date, quantity, price, fees (every matching column is
+// added up), amount (net cash), costBasis (total cost, for position snapshots), currency and
+// assetClass (rows that are not stocks or ETFs are skipped).
+//
+// `detect` lists sets of headers that identify the broker (any one set, all of its headers);
+// the generic profile is the fallback.
+// `dateOrder` settles dates such as 03/04/2024 (MDY or DMY) when the file itself does not.
+// `section` reads one section of a multi-section export (Interactive Brokers activity statements).
+// Extra profiles can be added from a JSON file named by BROKER_PROFILES_FILE.
+const profiles = {
+  generic: {
+    label: 'Generic CSV (symbol, quantity, price, date columns)',
+    columns: {
+      symbol: ['symbol', 'ticker', 'stock code', 'code', 'instrument', 'security symbol', 'counter'],
+      name: ['name', 'description', 'security', 'security name', 'security description', 'stock name', 'company'],
+      type: ['type', 'action', 'side', 'transaction type', 'trans type', 'buy/sell', 'activity'],
+      date: ['date', 'trade date', 'transaction date', 'run date', 'activity date', 'execution date'],
+      quantity: ['quantity', 'qty', 'shares', 'units', 'volume', 'position'],
+      price: ['price', 'unit price', 'trade price', 'execution price', 'average cost', 'avg cost', 'average price', 'avg price', 'cost per share'],
+      fees: ['fees', 'fee', 'commission', 'commissions', 'brokerage', 'charges'],
+      amount: ['amount', 'net amount', 'total', 'value', 'proceeds'],
+      costBasis: ['cost basis', 'total cost', 'book cost'],
+      currency: ['currency', 'ccy'],
+      assetClass: ['asset class', 'asset type', 'security type']
+    }
+  },
+  interactive_brokers: {
+    label: 'Interactive Brokers (activity statement or Flex query trades)',
+    detect: [['t. price'], ['tradeprice', 'ibcommission']],
+    section: 'Trades',
+    columns: {
+      symbol: ['symbol'],
+      name: ['description'],
+      type: ['buy/sell'],
+      date: ['date/time', 'tradedate', 'trade date'],
+      quantity: ['quantity'],
+      price: ['t. price', 'tradeprice'],
+      fees: ['comm/fee', 'ibcommission'],
+      amount: ['proceeds'],
+      currency: ['currency', 'currencyprimary'],
+      assetClass: ['asset category', 'assetclass']
+    },
+    dateOrder: 'YMD'
+  },
+  schwab: {
+    label: 'Charles Schwab (transaction history)',
+    detect: [['fees & comm', 'action']],
+    columns: {
+      symbol: ['symbol'],
+      name: ['description'],
+      type: ['action'],
+      date: ['date'],
+      quantity: ['quantity'],
+      price: ['price'],
+      fees: ['fees & comm'],
+      amount: ['amount']
+    },
+    dateOrder: 'MDY'
+  },
+  fidelity: {
+    label: 'Fidelity (account history)',
+    detect: [['run date', 'action']],
+    columns: {
+      symbol: ['symbol'],
+      name: ['security description'],
+      type: ['action'],
+      date: ['run date'],
+      quantity: ['quantity'],
+      price: ['price'],
+      fees: ['commission', 'fees'],
+      amount: ['amount'],
+      assetClass: ['security type']
+    },
+    dateOrder: 'MDY'
+  },
+  robinhood: {
+    label: 'Robinhood (account activity report)',
+    detect: [['trans code', 'instrument']],
+    columns: {
+      symbol: ['instrument'],
+      name: ['description'],
+      type: ['trans code'],
+      date: ['activity date'],
+      quantity: ['quantity'],
+      price: ['price'],
+      amount: ['amount']
+    },
+    dateOrder: 'MDY'
+  },
+  bursa: {
+    label: 'Bursa Malaysia brokers (contract note or trade history export)',
+    detect: [['stock code', 'stock name']],
+    columns: {
+      symbol: ['stock code', 'code', 'counter'],
+      name: ['stock name', 'stock', 'counter name'],
+      type: ['buy/sell', 'b/s', 'side', 'transaction type', 'type'],
+      date: ['trade date', 'contract date', 'date'],
+      quantity: ['quantity', 'qty', 'units', 'volume'],
+      price: ['price', 'done price', 'trade price', 'average price'],
+      fees: ['brokerage', 'clearing fee', 'stamp duty', 'sst', 'total charges'],
+      amount: ['net amount', 'contract value', 'amount'],
+      currency: ['currency']
+    },
+    currency: 'MYR',
+    dateOrder: 'DMY'
+  }
+};
+
+// Transaction types from the type column, first match wins ("Reinvest Shares" is a buy,
+// "Reinvest Dividend" the dividend paid out before it)
+const typeKeywords = [
+  ['buy', /^(b|bot|buy)$|\bbought\b|\bbuy\b|\bpurchase|\breinvest(ment| shares)\b/i],
+  ['sell', /^(s|sld|sell)$|\bsold\b|\bsell\b/i],
+  ['dividend', /^cdiv$|\bdividends?\b|\bdiv\b/i]
+];
+
+// assetClass values that are not stocks or ETFs
+const skippedAssetClasses = /\b(forex|fx|cash|money market|options?|opt|futures?|fut|bonds?|crypto|warrants?)\b/i;
+
+module.exports = {
+  profiles,
+  typeKeywords,
+  skippedAssetClasses
+};
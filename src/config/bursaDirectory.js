@@ -0,0 +1,41 @@
+// Bursa Malaysia stock directory: numeric stock code, board short name, company name and common aliases.
+// Extend with BURSA_DIRECTORY_FILE (a JSON array of the same shape) for counters not listed here.
+const bursaDirectory = [
+  { code: '5347', symbol: 'TENAGA', name: 'Tenaga Nasional Berhad', sector: 'Utilities', aliases: ['TNB'] },
+  { code: '1155', symbol: 'MAYBANK', name: 'Malayan Banking Berhad', sector: 'Financial Services', aliases: ['MBB'] },
+  { code: '1295', symbol: 'PBBANK', name: 'Public Bank Berhad', sector: 'Financial Services', aliases: ['Public Bank'] },
+  { code: '1023', symbol: 'CIMB', name: 'CIMB Group Holdings Berhad', sector: 'Financial Services', aliases: [] },
+  { code: '5819', symbol: 'HLBANK', name: 'Hong Leong Bank Berhad', sector: 'Financial Services', aliases: [] },
+  { code: '1082', symbol: 'HLFG', name: 'Hong Leong Financial Group Berhad', sector: 'Financial Services', aliases: [] },
+  { code: '1066', symbol: 'RHBBANK', name: 'RHB Bank Berhad', sector: 'Financial Services', aliases: ['RHB'] },
+  { code: '1015', symbol: 'AMBANK', name: 'AMMB Holdings Berhad', sector: 'Financial Services', aliases: ['AmBank'] },
+  { code: '5183', symbol: 'PCHEM', name: 'Petronas Chemicals Group Berhad', sector: 'Industrial Products & Services', aliases: ['Petronas Chemicals'] },
+  { code: '6033', symbol: 'PETGAS', name: 'Petronas Gas Berhad', sector: 'Utilities', aliases: ['Petronas Gas'] },
+  { code: '5681', symbol: 'PETDAG', name: 'Petronas Dagangan Berhad', sector: 'Consumer Products & Services', aliases: ['Petronas Dagangan'] },
+  { code: '3816', symbol: 'MISC', name: 'MISC Berhad', sector: 'Transportation & Logistics', aliases: [] },
+  { code: '5225', symbol: 'IHH', name: 'IHH Healthcare Berhad', sector: 'Health Care', aliases: [] },
+  { code: '6888', symbol: 'AXIATA', name: 'Axiata Group Berhad', sector: 'Telecommunications & Media', aliases: [] },
+  { code: '6012', symbol: 'MAXIS', name: 'Maxis Berhad', sector: 'Telecommunications & Media', aliases: [] },
+  { code: '6947', symbol: 'CDB', name: 'CelcomDigi Berhad', sector: 'Telecommunications & Media', aliases: ['CelcomDigi'] },
+  { code: '4863', symbol: 'TM', name: 'Telekom Malaysia Berhad', sector: 'Telecommunications & Media', aliases: ['Telekom Malaysia'] },
+  { code: '3182', symbol: 'GENTING', name: 'Genting Berhad', sector: 'Consumer Products & Services', aliases: [] },
+  { code: '4715', symbol: 'GENM', name: 'Genting Malaysia Berhad', sector: 'Consumer Products & Services', aliases: ['Genting Malaysia'] },
+  { code: '4707', symbol: 'NESTLE', name: 'Nestle (Malaysia) Berhad', sector: 'Consumer Products & Services', aliases: ['Nestle Malaysia'] },
+  { code: '4065', symbol: 'PPB', name: 'PPB Group Berhad', sector: 'Consumer Products & Services', aliases: [] },
+  { code: '2445', symbol: 'KLK', name: 'Kuala Lumpur Kepong Berhad', sector: 'Plantation', aliases: ['Kuala Lumpur Kepong'] },
+  { code: '1961', symbol: 'IOICORP', name: 'IOI Corporation Berhad', sector: 'Plantation', aliases: ['IOI'] },
+  { code: '5285', symbol: 'SDG', name: 'SD Guthrie Berhad', sector: 'Plantation', aliases: ['Sime Darby Plantation', 'SIMEPLT'] },
+  { code: '4197', symbol: 'SIME', name: 'Sime Darby Berhad', sector: 'Consumer Products & Services', aliases: ['Sime Darby'] },
+  { code: '7113', symbol: 'TOPGLOV', name: 'Top Glove Corporation Berhad', sector: 'Health Care', aliases: ['Top Glove'] },
+  { code: '5168', symbol: 'HARTA', name: 'Hartalega Holdings Berhad', sector: 'Health Care', aliases: ['Hartalega'] },
+  { code: '0166', symbol: 'INARI', name: 'Inari Amertron Berhad', sector: 'Technology', aliases: ['Inari'] },
+  { code: '4677', symbol: 'YTL', name: 'YTL Corporation Berhad', sector: 'Utilities', aliases: [] },
+  { code: '6742', symbol: 'YTLPOWR', name: 'YTL Power International Berhad', sector: 'Utilities', aliases: ['YTL Power'] },
+  { code: '5211', symbol: 'SUNWAY', name: 'Sunway Berhad', sector: 'Industrial Products & Services', aliases: [] },
+  { code: '5398', symbol: 'GAMUDA', name: 'Gamuda Berhad', sector: 'Construction', aliases: [] },
+  { code: '7277', symbol: 'DIALOG', name: 'Dialog Group Berhad', sector: 'Energy', aliases: [] },
+  { code: '5296', symbol: 'MRDIY', name: 'MR D.I.Y. Group (M) Berhad', sector: 'Consumer Products & Services', aliases: ['MR DIY'] },
+  { code: '7084', symbol: 'QL', name: 'QL Resources Berhad', sector: 'Consumer Products & Services', aliases: ['QL Resources'] }
+];
+
+module.exports = bursaDirectory;
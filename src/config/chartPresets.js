@@ -0,0 +1,37 @@
+// Chart presets shared by /api/charts/presets and the server-side chart renderer
+const presets = {
+  timeRanges: [
+    { label: '1 Day', value: '1D', timespan: 'minute', days: 1 },
+    { label: '1 Week', value: '1W', timespan: 'day', days: 7 },
+    { label: '1 Month', value: '1M', timespan: 'day', days: 30 },
+    { label: '3 Months', value: '3M', timespan: 'day', days: 90 },
+    { label: '1 Year', value: '1Y', timespan: 'week', days: 365 },
+    { label: '5 Years', value: '5Y', timespan: 'day', days: 1825, limit: 300, downsample: 'lttb' }
+  ],
+  chartTypes: [
+    { label: 'Line Chart', value: 'line', icon: 'TrendingUp' },
+    { label: 'Candlestick', value: 'candlestick', icon: 'BarChart3' },
+    { label: 'Area Chart', value: 'area', icon: 'Area' },
+    { label: 'Volume Chart', value: 'volume', icon: 'BarChart' }
+  ],
+  indicators: [
+    { label: 'Moving Average (20)', value: 'ma20', type: 'overlay' },
+    { label: 'Moving Average (50)', value: 'ma50', type: 'overlay' },
+    { label: 'Bollinger Bands', value: 'bb', type: 'overlay' },
+    { label: 'RSI', value: 'rsi', type: 'oscillator' },
+    { label: 'MACD', value: 'macd', type: 'oscillator' },
+    { label: 'Exponential Moving Average', value: 'ema', type: 'overlay' },
+    { label: 'VWAP', value: 'vwap', type: 'overlay' },
+    { label: 'Average True Range', value: 'atr', type: 'oscillator' },
+    { label: 'Stochastic', value: 'stoch', type: 'oscillator' },
+    { label: 'On-Balance Volume', value: 'obv', type: 'oscillator' }
+  ],
+  colorSchemes: [
+    { name: 'Default', primary: '#3B82F6', secondary: '#10B981', background: '#F8FAFC' },
+    { name: 'Dark', primary: '#60A5FA', secondary: '#34D399', background: '#1F2937' },
+    { name: 'Sunset', primary: '#F59E0B', secondary: '#EF4444', background: '#FEF3C7' },
+    { name: 'Ocean', primary: '#0EA5E9', secondary: '#06B6D4', background: '#E0F7FA' }
+  ]
+};
+
+module.exports = presets;
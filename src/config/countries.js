@@ -0,0 +1,22 @@
+// Countries the economic module understands. `name` is the lower-case name Trading Economics
+// expects in its URLs; aliases cover ISO codes and common spellings.
+const countries = {
+  US: { name: 'united states', currency: 'USD', aliases: ['USA', 'united states of america', 'america', 'us'] },
+  MY: { name: 'malaysia', currency: 'MYR', aliases: ['MYS'] },
+  SG: { name: 'singapore', currency: 'SGD', aliases: ['SGP'] },
+  ID: { name: 'indonesia', currency: 'IDR', aliases: ['IDN'] },
+  TH: { name: 'thailand', currency: 'THB', aliases: ['THA'] },
+  PH: { name: 'philippines', currency: 'PHP', aliases: ['PHL'] },
+  VN: { name: 'vietnam', currency: 'VND', aliases: ['VNM', 'viet nam'] },
+  CN: { name: 'china', currency: 'CNY', aliases: ['CHN', 'prc', "people's republic of china"] },
+  JP: { name: 'japan', currency: 'JPY', aliases: ['JPN'] },
+  KR: { name: 'south korea', currency: 'KRW', aliases: ['KOR', 'korea'] },
+  IN: { name: 'india', currency: 'INR', aliases: ['IND'] },
+  AU: { name: 'australia', currency: 'AUD', aliases: ['AUS'] },
+  GB: { name: 'united kingdom', currency: 'GBP', aliases: ['UK', 'GBR', 'britain', 'great britain', 'england'] },
+  EA: { name: 'euro area', currency: 'EUR', aliases: ['eurozone', 'euro zone', 'EU', 'EMU'] },
+  DE: { name: 'germany', currency: 'EUR', aliases: ['DEU'] },
+  CA: { name: 'canada', currency: 'CAD', aliases: ['CAN'] }
+};
+
+module.exports = countries;
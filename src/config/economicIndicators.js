@@ -0,0 +1,116 @@
+// Economic indicator catalog: one key per indicator, with how each source names it.
+// `tradingeconomics` is the indicator name in the Trading Economics historical API,
+// `fred` maps country codes to FRED series ids. `aliasCountries` pins aliases that only make
+// sense for one country (FOMC -> US, OPR -> Malaysia).
+const economicIndicators = {
+  cpi: {
+    name: 'Consumer Price Index',
+    category: 'prices',
+    unit: 'index points',
+    frequency: 'monthly',
+    aliases: ['consumer price index', 'consumer prices'],
+    sources: { tradingeconomics: 'consumer price index', fred: { US: 'CPIAUCSL' } }
+  },
+  inflation_rate: {
+    name: 'Inflation Rate (YoY)',
+    category: 'prices',
+    unit: 'percent',
+    frequency: 'monthly',
+    aliases: ['inflation', 'headline inflation', 'cpi yoy'],
+    sources: { tradingeconomics: 'inflation rate' }
+  },
+  ppi: {
+    name: 'Producer Price Index',
+    category: 'prices',
+    unit: 'index points',
+    frequency: 'monthly',
+    aliases: ['producer price index', 'producer prices'],
+    sources: { tradingeconomics: 'producer price index', fred: { US: 'PPIACO' } }
+  },
+  gdp_growth: {
+    name: 'GDP Growth Rate',
+    category: 'growth',
+    unit: 'percent',
+    frequency: 'quarterly',
+    aliases: ['gdp', 'gdp growth rate', 'economic growth'],
+    sources: { tradingeconomics: 'gdp growth rate', fred: { US: 'A191RL1Q225SBEA' } }
+  },
+  interest_rate: {
+    name: 'Policy Interest Rate',
+    category: 'rates',
+    unit: 'percent',
+    frequency: 'irregular',
+    aliases: ['interest rates', 'policy rate', 'fomc', 'fed funds', 'federal funds rate', 'opr', 'overnight policy rate'],
+    aliasCountries: { fomc: 'US', 'fed funds': 'US', 'federal funds rate': 'US', opr: 'MY', 'overnight policy rate': 'MY' },
+    sources: { tradingeconomics: 'interest rate', fred: { US: 'FEDFUNDS' } }
+  },
+  unemployment_rate: {
+    name: 'Unemployment Rate',
+    category: 'labour',
+    unit: 'percent',
+    frequency: 'monthly',
+    aliases: ['unemployment', 'jobless rate'],
+    sources: { tradingeconomics: 'unemployment rate', fred: { US: 'UNRATE' } }
+  },
+  manufacturing_pmi: {
+    name: 'Manufacturing PMI',
+    category: 'business',
+    unit: 'index points',
+    frequency: 'monthly',
+    aliases: ['pmi', 'manufacturing purchasing managers index'],
+    sources: { tradingeconomics: 'manufacturing pmi' }
+  },
+  services_pmi: {
+    name: 'Services PMI',
+    category: 'business',
+    unit: 'index points',
+    frequency: 'monthly',
+    aliases: ['services purchasing managers index'],
+    sources: { tradingeconomics: 'services pmi' }
+  },
+  retail_sales_yoy: {
+    name: 'Retail Sales (YoY)',
+    category: 'consumer',
+    unit: 'percent',
+    frequency: 'monthly',
+    aliases: ['retail sales', 'retail'],
+    sources: { tradingeconomics: 'retail sales yoy' }
+  },
+  retail_sales_mom: {
+    name: 'Retail Sales (MoM)',
+    category: 'consumer',
+    unit: 'percent',
+    frequency: 'monthly',
+    aliases: ['retail sales monthly'],
+    sources: { tradingeconomics: 'retail sales mom' }
+  },
+  bond_yield_10y: {
+    name: 'Government Bond Yield 10Y',
+    category: 'rates',
+    unit: 'percent',
+    frequency: 'daily',
+    aliases: ['10y', '10 year yield', 'government bond 10y', 'treasury yield', 'bond yield', 'yields'],
+    sources: { tradingeconomics: 'government bond 10y', fred: { US: 'DGS10' } }
+  },
+  bond_yield_2y: {
+    name: 'Government Bond Yield 2Y',
+    category: 'rates',
+    unit: 'percent',
+    frequency: 'daily',
+    aliases: ['2y', '2 year yield', 'government bond 2y'],
+    sources: { tradingeconomics: 'government bond 2y', fred: { US: 'DGS2' } }
+  },
+  fx_rate: {
+    name: 'Exchange Rate vs USD',
+    category: 'fx',
+    unit: 'local currency per USD',
+    frequency: 'daily',
+    aliases: ['fx', 'currency', 'exchange rate'],
+    sources: {
+      tradingeconomics: 'currency',
+      fred: { MY: 'DEXMAUS', JP: 'DEXJPUS', CN: 'DEXCHUS', IN: 'DEXINUS', SG: 'DEXSIUS', CA: 'DEXCAUS', KR: 'DEXKOUS', TH: 'DEXTHUS' }
+    }
+  }
+};
+
+module.exports = economicIndicators;
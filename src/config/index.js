@@ -0,0 +1,50 @@
+require('dotenv').config(); // Loads environment variables from .env file
+
+const splitList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Reads application settings from the environment.
+ * @param {object} env - Defaults to process.env; pass an object to build an app with other settings (e.g. in tests).
+ * @returns {object} - Normalized configuration.
+ */
+function loadConfig(env = process.env) {
+  const geminiModel = env.GEMINI_MODEL || 'gemini-1.5-flash-latest';
+
+  return {
+    port: parseInt(env.PORT || '3001', 10),
+    // Comma-separated list of frontend origins allowed by CORS
+    corsOrigins: splitList(env.CORS_ORIGIN || 'http://localhost:3000'),
+    jsonLimit: env.JSON_BODY_LIMIT || '1mb',
+    // Shared secret for /api/admin (x-admin-token header); admin routes answer 403 while it is unset
+    adminToken: env.ADMIN_TOKEN || null,
+    geminiModel,
+    // Shared LLM client settings; LLM_PROVIDER=fake swaps in deterministic local responses
+    llm: {
+      provider: env.LLM_PROVIDER || 'gemini',
+      apiKey: env.GEMINI_API_KEY,
+      // Model per task, falling back to `default`
+      models: {
+        default: geminiModel,
+        analyze: env.GEMINI_MODEL_ANALYZE || geminiModel,
+        summary: env.GEMINI_MODEL_SUMMARY || 'gemini-2.0-flash',
+        session: env.GEMINI_MODEL_SESSION || geminiModel
+      },
+      timeoutMs: parseInt(env.LLM_TIMEOUT_MS || '30000', 10),
+      maxRetries: parseInt(env.LLM_MAX_RETRIES || '3', 10),
+      retryBaseMs: parseInt(env.LLM_RETRY_BASE_MS || '500', 10)
+    },
+    uploadMaxBytes: parseInt(env.UPLOAD_MAX_BYTES || String(10 * 1024 * 1024), 10),
+    // Files per OCR request, e.g. the pages of a multi-page scan
+    uploadMaxFiles: parseInt(env.UPLOAD_MAX_FILES || '10', 10),
+    // Where user data lives: `type` is memory or file, `directory` overrides the data/ default
+    stores: {
+      portfolio: { type: env.PORTFOLIO_STORE || 'file', directory: env.PORTFOLIO_DIR },
+      alert: { type: env.ALERT_STORE || 'file', directory: env.ALERT_DIR },
+      session: { type: env.SESSION_STORE || 'memory', directory: env.SESSION_DIR },
+      // Documents belong to /analyze sessions, so they follow SESSION_STORE unless DOCUMENT_STORE says otherwise
+      document: { type: env.DOCUMENT_STORE || env.SESSION_STORE || 'memory', directory: env.DOCUMENT_DIR }
+    }
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,57 @@
+// Financial news sentiment lexicon used for offline scoring.
+// Weights run from -3 (strongly negative) to +3 (strongly positive); phrases are matched before single words.
+const lexicon = {
+  phrases: {
+    'beat estimates': 2.5,
+    'beats estimates': 2.5,
+    'beat expectations': 2.5,
+    'beats expectations': 2.5,
+    'record high': 2.5,
+    'all-time high': 2.5,
+    'raised guidance': 2.5,
+    'raises guidance': 2.5,
+    'share buyback': 1.5,
+    'dividend increase': 2,
+    'price target raised': 2,
+    'missed estimates': -2.5,
+    'misses estimates': -2.5,
+    'missed expectations': -2.5,
+    'misses expectations': -2.5,
+    'cut guidance': -2.5,
+    'cuts guidance': -2.5,
+    'lowered guidance': -2.5,
+    'profit warning': -3,
+    'price target cut': -2,
+    'class action': -2,
+    'job cuts': -1.5,
+    'going concern': -3
+  },
+  words: {
+    // Positive
+    surge: 2.5, surges: 2.5, surged: 2.5, soar: 2.5, soars: 2.5, soared: 2.5,
+    rally: 2, rallies: 2, rallied: 2, jump: 2, jumps: 2, jumped: 2,
+    gain: 1.5, gains: 1.5, gained: 1.5, rise: 1.5, rises: 1.5, rose: 1.5, climb: 1.5, climbs: 1.5, climbed: 1.5,
+    beat: 1.5, beats: 1.5, outperform: 2, outperforms: 2, upgrade: 2, upgraded: 2, upgrades: 2,
+    growth: 1.5, profit: 1.5, profitable: 2, profits: 1.5, record: 1.5, strong: 1.5, stronger: 1.5, robust: 1.5,
+    bullish: 2.5, optimistic: 2, optimism: 2, boost: 1.5, boosts: 1.5, boosted: 1.5,
+    expand: 1, expands: 1, expansion: 1, win: 1.5, wins: 1.5, approval: 1.5, approved: 1.5,
+    rebound: 1.5, rebounds: 1.5, recovery: 1.5, recovers: 1.5, upbeat: 2, buy: 1, overweight: 1.5,
+    dividend: 0.5, innovative: 1, breakthrough: 2, partnership: 1, acquire: 0.5, exceeds: 2, exceeded: 2,
+    // Negative
+    plunge: -2.5, plunges: -2.5, plunged: -2.5, crash: -3, crashes: -3, crashed: -3, tumble: -2.5, tumbles: -2.5, tumbled: -2.5,
+    slump: -2, slumps: -2, slumped: -2, drop: -1.5, drops: -1.5, dropped: -1.5, fall: -1.5, falls: -1.5, fell: -1.5,
+    decline: -1.5, declines: -1.5, declined: -1.5, slide: -1.5, slides: -1.5, slid: -1.5, sink: -2, sinks: -2, sank: -2,
+    miss: -1.5, misses: -1.5, missed: -1.5, downgrade: -2, downgraded: -2, downgrades: -2, underperform: -2, underweight: -1.5,
+    loss: -1.5, losses: -1.5, weak: -1.5, weaker: -1.5, weakness: -1.5, bearish: -2.5, pessimistic: -2, pessimism: -2,
+    lawsuit: -2, sued: -2, probe: -1.5, investigation: -1.5, fraud: -3, scandal: -2.5, recall: -1.5, recalls: -1.5,
+    layoffs: -2, layoff: -2, bankruptcy: -3, default: -2.5, warning: -1.5, warns: -1.5, concern: -1, concerns: -1,
+    fears: -1.5, fear: -1.5, risk: -0.5, risks: -0.5, volatile: -1, volatility: -0.5, inflation: -0.5, recession: -2,
+    sell: -1, selloff: -2, 'sell-off': -2, halted: -1.5, delay: -1, delays: -1, delayed: -1, fine: -1, fined: -2, penalty: -1.5
+  },
+  // A negator within the three preceding words flips the sign ("did not beat", "no growth")
+  negators: ['not', 'no', 'never', 'without', "didn't", "doesn't", "isn't", "wasn't", "won't", 'fails', 'failed', 'lack'],
+  // Intensifiers scale the next sentiment word
+  intensifiers: { sharply: 1.5, significantly: 1.4, strongly: 1.4, slightly: 0.6, modestly: 0.7, very: 1.3 }
+};
+
+module.exports = lexicon;
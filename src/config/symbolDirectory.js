@@ -0,0 +1,71 @@
+// US equities, ETFs and indices known to the symbol directory; Bursa Malaysia counters come from bursaDirectory.js.
+// Indices cannot be fetched directly from the data providers, so `proxy` names the ETF used for their prices.
+const equity = (symbol, name, exchange, aliases = []) => ({ symbol, name, exchange, assetType: 'equity', currency: 'USD', aliases });
+const etf = (symbol, name, exchange, aliases = []) => ({ symbol, name, exchange, assetType: 'etf', currency: 'USD', aliases });
+const index = (symbol, name, proxy, aliases = []) => ({ symbol, name, exchange: 'INDEX', assetType: 'index', currency: 'USD', proxy, aliases });
+
+const symbolDirectory = [
+  equity('AAPL', 'Apple Inc.', 'NASDAQ', ['Apple', 'iPhone maker']),
+  equity('MSFT', 'Microsoft Corporation', 'NASDAQ', ['Microsoft']),
+  equity('GOOGL', 'Alphabet Inc. Class A', 'NASDAQ', ['Alphabet', 'Google']),
+  equity('GOOG', 'Alphabet Inc. Class C', 'NASDAQ'),
+  equity('AMZN', 'Amazon.com, Inc.', 'NASDAQ', ['Amazon', 'AWS']),
+  equity('TSLA', 'Tesla, Inc.', 'NASDAQ', ['Tesla']),
+  equity('META', 'Meta Platforms, Inc.', 'NASDAQ', ['Meta Platforms', 'Facebook', 'Instagram']),
+  equity('NVDA', 'NVIDIA Corporation', 'NASDAQ', ['Nvidia']),
+  equity('NFLX', 'Netflix, Inc.', 'NASDAQ', ['Netflix']),
+  equity('AMD', 'Advanced Micro Devices, Inc.', 'NASDAQ', ['Advanced Micro Devices']),
+  equity('INTC', 'Intel Corporation', 'NASDAQ', ['Intel']),
+  equity('ADBE', 'Adobe Inc.', 'NASDAQ', ['Adobe']),
+  equity('CSCO', 'Cisco Systems, Inc.', 'NASDAQ', ['Cisco']),
+  equity('AVGO', 'Broadcom Inc.', 'NASDAQ', ['Broadcom']),
+  equity('QCOM', 'QUALCOMM Incorporated', 'NASDAQ', ['Qualcomm']),
+  equity('TXN', 'Texas Instruments Incorporated', 'NASDAQ', ['Texas Instruments']),
+  equity('AMAT', 'Applied Materials, Inc.', 'NASDAQ', ['Applied Materials']),
+  equity('INTU', 'Intuit Inc.', 'NASDAQ', ['Intuit']),
+  equity('PYPL', 'PayPal Holdings, Inc.', 'NASDAQ', ['PayPal']),
+  equity('PEP', 'PepsiCo, Inc.', 'NASDAQ', ['PepsiCo', 'Pepsi']),
+  equity('COST', 'Costco Wholesale Corporation', 'NASDAQ', ['Costco']),
+  equity('SBUX', 'Starbucks Corporation', 'NASDAQ', ['Starbucks']),
+  equity('ORCL', 'Oracle Corporation', 'NYSE', ['Oracle']),
+  equity('CRM', 'Salesforce, Inc.', 'NYSE', ['Salesforce']),
+  equity('IBM', 'International Business Machines Corporation', 'NYSE', ['International Business Machines']),
+  equity('JPM', 'JPMorgan Chase & Co.', 'NYSE', ['JPMorgan', 'JP Morgan', 'JPMorgan Chase']),
+  equity('BAC', 'Bank of America Corporation', 'NYSE', ['Bank of America']),
+  equity('WFC', 'Wells Fargo & Company', 'NYSE', ['Wells Fargo']),
+  equity('GS', 'The Goldman Sachs Group, Inc.', 'NYSE', ['Goldman Sachs']),
+  equity('MS', 'Morgan Stanley', 'NYSE'),
+  equity('V', 'Visa Inc.', 'NYSE'),
+  equity('MA', 'Mastercard Incorporated', 'NYSE', ['Mastercard']),
+  equity('BRK.B', 'Berkshire Hathaway Inc. Class B', 'NYSE', ['Berkshire Hathaway', 'Berkshire', 'BRK-B']),
+  equity('WMT', 'Walmart Inc.', 'NYSE', ['Walmart']),
+  equity('HD', 'The Home Depot, Inc.', 'NYSE', ['Home Depot']),
+  equity('MCD', "McDonald's Corporation", 'NYSE', ["McDonald's", 'McDonalds']),
+  equity('NKE', 'NIKE, Inc.', 'NYSE', ['Nike']),
+  equity('KO', 'The Coca-Cola Company', 'NYSE', ['Coca-Cola', 'Coca Cola']),
+  equity('DIS', 'The Walt Disney Company', 'NYSE', ['Disney', 'Walt Disney']),
+  equity('BA', 'The Boeing Company', 'NYSE', ['Boeing']),
+  equity('CAT', 'Caterpillar Inc.', 'NYSE', ['Caterpillar']),
+  equity('XOM', 'Exxon Mobil Corporation', 'NYSE', ['Exxon', 'ExxonMobil']),
+  equity('CVX', 'Chevron Corporation', 'NYSE', ['Chevron']),
+  equity('PFE', 'Pfizer Inc.', 'NYSE', ['Pfizer']),
+  equity('JNJ', 'Johnson & Johnson', 'NYSE', ['J&J']),
+  equity('UNH', 'UnitedHealth Group Incorporated', 'NYSE', ['UnitedHealth']),
+  equity('T', 'AT&T Inc.', 'NYSE', ['AT&T']),
+  equity('VZ', 'Verizon Communications Inc.', 'NYSE', ['Verizon']),
+  etf('SPY', 'SPDR S&P 500 ETF Trust', 'NYSEARCA', ['SPDR S&P 500']),
+  etf('VOO', 'Vanguard S&P 500 ETF', 'NYSEARCA'),
+  etf('VTI', 'Vanguard Total Stock Market ETF', 'NYSEARCA'),
+  etf('QQQ', 'Invesco QQQ Trust', 'NASDAQ', ['Invesco QQQ']),
+  etf('DIA', 'SPDR Dow Jones Industrial Average ETF Trust', 'NYSEARCA'),
+  etf('IWM', 'iShares Russell 2000 ETF', 'NYSEARCA', ['Russell 2000 ETF']),
+  etf('GLD', 'SPDR Gold Shares', 'NYSEARCA', ['Gold ETF']),
+  etf('TLT', 'iShares 20+ Year Treasury Bond ETF', 'NASDAQ', ['Treasury bond ETF']),
+  index('^GSPC', 'S&P 500 Index', 'SPY', ['S&P 500', 'S&P', 'SP500', 'SPX']),
+  index('^IXIC', 'NASDAQ Composite Index', 'QQQ', ['NASDAQ', 'NASDAQ Composite', 'COMPQ']),
+  index('^NDX', 'NASDAQ-100 Index', 'QQQ', ['NASDAQ 100', 'NASDAQ-100']),
+  index('^DJI', 'Dow Jones Industrial Average', 'DIA', ['Dow Jones', 'DOW', 'DJIA']),
+  index('^RUT', 'Russell 2000 Index', 'IWM', ['Russell 2000'])
+];
+
+module.exports = symbolDirectory;
@@ -0,0 +1,139 @@
+const axios = require('axios');
+const RequestScheduler = require('../services/requestScheduler');
+const { UpstreamError } = require('../utils/errors');
+
+// Alpha Vantage function / response key per timespan. Adjusted series are used
+// when the caller asks for dividend/split adjusted closes.
+const SERIES = {
+  minute: { function: 'TIME_SERIES_INTRADAY', key: 'Time Series (5min)' },
+  day: { function: 'TIME_SERIES_DAILY', key: 'Time Series (Daily)' },
+  week: { function: 'TIME_SERIES_WEEKLY', key: 'Weekly Time Series' },
+  month: { function: 'TIME_SERIES_MONTHLY', key: 'Monthly Time Series' }
+};
+
+const ADJUSTED_SERIES = {
+  day: { function: 'TIME_SERIES_DAILY_ADJUSTED', key: 'Time Series (Daily)' },
+  week: { function: 'TIME_SERIES_WEEKLY_ADJUSTED', key: 'Weekly Adjusted Time Series' },
+  month: { function: 'TIME_SERIES_MONTHLY_ADJUSTED', key: 'Monthly Adjusted Time Series' }
+};
+
+class AlphaVantageProvider {
+  constructor(options = {}) {
+    this.name = 'alphavantage';
+    this.label = 'Alpha Vantage';
+    this.baseURL = options.baseURL || 'https://www.alphavantage.co/query';
+    this.apiKey = options.apiKey || process.env.ALPHA_VANTAGE_API_KEY;
+    this.scheduler = options.scheduler || RequestScheduler.forProvider(this.name);
+  }
+
+  // Every call goes through the provider's rate governor; throttle payloads
+  // are turned into errors inside the task so the scheduler can retry them.
+  request(params, symbol) {
+    return this.scheduler.schedule(async () => {
+      const response = await axios.get(this.baseURL, { params });
+      this.assertNoError(response.data, symbol);
+      return response.data;
+    }, symbol);
+  }
+
+  /**
+   * Fetches a price series normalized to the OHLCV point shape.
+   * @param {string} symbol - Ticker as Alpha Vantage knows it.
+   * @param {string} timespan - 'minute' | 'day' | 'week' | 'month'.
+   * @param {object} options - { adjusted } to request the adjusted-close series.
+   * @returns {Promise<Array<object>>} - Points sorted oldest first.
+   */
+  async getTimeSeries(symbol, timespan = 'day', options = {}) {
+    const series = (options.adjusted && ADJUSTED_SERIES[timespan]) || SERIES[timespan] || SERIES.day;
+
+    const params = {
+      function: series.function,
+      symbol,
+      apikey: this.apiKey,
+      outputsize: 'full'
+    };
+
+    if (timespan === 'minute') {
+      params.interval = '5min';
+    }
+
+    const payload = await this.request(params, symbol);
+
+    const timeSeriesData = payload && payload[series.key];
+    if (!timeSeriesData) {
+      return [];
+    }
+
+    return Object.entries(timeSeriesData)
+      .map(([date, values]) => {
+        const close = parseFloat(values['4. close']);
+        return {
+          timestamp: new Date(date).getTime(),
+          date,
+          open: parseFloat(values['1. open']),
+          high: parseFloat(values['2. high']),
+          low: parseFloat(values['3. low']),
+          close,
+          adjustedClose: parseFloat(values['5. adjusted close'] || values['4. close']),
+          // Adjusted series move volume from "5." to "6."
+          volume: parseInt(values['6. volume'] || values['5. volume'] || '0'),
+          price: close
+        };
+      })
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async getQuote(symbol) {
+    const payload = await this.request({ function: 'GLOBAL_QUOTE', symbol, apikey: this.apiKey }, symbol);
+
+    const data = payload && payload['Global Quote'];
+    if (!data || Object.keys(data).length === 0) {
+      return null;
+    }
+
+    return {
+      ticker: data['01. symbol'],
+      price: parseFloat(data['05. price']),
+      open: parseFloat(data['02. open']),
+      high: parseFloat(data['03. high']),
+      low: parseFloat(data['04. low']),
+      volume: parseInt(data['06. volume']),
+      latest_trading_day: data['07. latest trading day'],
+      previous_close: parseFloat(data['08. previous close']),
+      change: parseFloat(data['09. change']),
+      change_percent: parseFloat(data['10. change percent'])
+    };
+  }
+
+  // Alpha Vantage answers errors and throttling with HTTP 200 and a message body
+  assertNoError(payload, symbol) {
+    if (!payload) return;
+
+    if (payload['Error Message']) {
+      throw new UpstreamError(`Alpha Vantage Error for ${symbol}: ${payload['Error Message']}`, {
+        provider: this.name, code: 'INVALID_SYMBOL', retryable: false, status: 404
+      });
+    }
+
+    const notice = payload.Note || payload.Information;
+    if (!notice) return;
+
+    // "Our standard API rate limit is 25 requests per day..." (free-tier daily cap)
+    if (/requests per day/i.test(notice)) {
+      throw new UpstreamError(`Alpha Vantage daily quota reached: ${notice}`, {
+        provider: this.name, code: 'QUOTA_EXCEEDED', retryable: false, status: 429
+      });
+    }
+    if (/premium endpoint/i.test(notice)) {
+      throw new UpstreamError(`Alpha Vantage premium endpoint: ${notice}`, {
+        provider: this.name, code: 'PREMIUM_REQUIRED', retryable: false, status: 402
+      });
+    }
+    // Per-minute "call frequency" notes clear up after a short wait
+    throw new UpstreamError(`Alpha Vantage rate limit: ${notice}`, {
+      provider: this.name, code: 'RATE_LIMITED', retryable: true, status: 429
+    });
+  }
+}
+
+module.exports = AlphaVantageProvider;
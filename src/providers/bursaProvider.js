@@ -0,0 +1,95 @@
+const fs = require('fs/promises');
+const path = require('path');
+const FixtureProvider = require('./fixtureProvider');
+const BursaDirectory = require('../services/bursaDirectory');
+const { UpstreamError } = require('../utils/errors');
+
+/**
+ * Bursa Malaysia prices. Accepts stock codes, short names or company names and reads bars
+ * from a pluggable source (BURSA_PRICE_SOURCE):
+ * - `dataset` (default): importable CSV/JSON files under BURSA_DATA_DIR/prices, named by
+ *   stock code (`5347.csv`, `5347.week.json`) or short name (`TENAGA.csv`), same format as the fixture provider.
+ * - any other registered provider name: queried with the `<code>.KL` symbol.
+ */
+class BursaProvider {
+  constructor(options = {}) {
+    this.name = 'bursa';
+    this.directory = options.directory || new BursaDirectory();
+    this.source = (options.source || process.env.BURSA_PRICE_SOURCE || 'dataset').toLowerCase();
+    this.datasetDir = options.datasetDir
+      || path.join(process.env.BURSA_DATA_DIR || path.join(__dirname, '..', '..', 'data', 'bursa'), 'prices');
+    this.dataset = new FixtureProvider({ directory: this.datasetDir });
+    this.label = this.source === 'dataset' ? 'Bursa Malaysia (local dataset)' : `Bursa Malaysia via ${this.source}`;
+  }
+
+  resolve(symbol) {
+    const entry = this.directory.resolve(symbol);
+    if (!entry) {
+      throw new UpstreamError(`Unknown Bursa Malaysia counter: ${symbol}`, {
+        provider: this.name, code: 'INVALID_SYMBOL', status: 404
+      });
+    }
+    return entry;
+  }
+
+  upstream() {
+    // Required lazily: the provider registry requires this module
+    const { getProvider } = require('./index');
+    return getProvider(this.source);
+  }
+
+  async getTimeSeries(symbol, timespan = 'day', options = {}) {
+    const entry = this.resolve(symbol);
+    if (this.source !== 'dataset') {
+      return this.upstream().getTimeSeries(`${entry.code}.KL`, timespan, options);
+    }
+
+    return this.fromDataset(entry, name => this.dataset.getTimeSeries(name, timespan));
+  }
+
+  async getQuote(symbol) {
+    const entry = this.resolve(symbol);
+    if (this.source !== 'dataset') {
+      return this.upstream().getQuote(`${entry.code}.KL`);
+    }
+    const quote = await this.fromDataset(entry, name => this.dataset.getQuote(name));
+    return quote && { ...quote, ticker: entry.symbol, stock_code: entry.code };
+  }
+
+  // Dataset files may be named by stock code or by short name
+  async fromDataset(entry, read) {
+    for (const name of [entry.code, entry.symbol]) {
+      try {
+        return await read(name);
+      } catch (error) {
+        if (!/No fixture data/.test(error.message)) throw error;
+      }
+    }
+    throw new UpstreamError(`No price data imported for ${entry.symbol} (${entry.code}). Import it via POST /api/bursa/prices/${entry.code}.`, {
+      provider: this.name, code: 'NO_DATA', status: 404
+    });
+  }
+
+  /**
+   * Saves daily bars for a counter into the dataset, replacing earlier imports.
+   * @param {string} symbol - Code or name of the counter.
+   * @param {Array<object>} rows - { date, open, high, low, close, volume, adjustedClose? }.
+   * @returns {Promise<object>} - { entry, count, file }.
+   */
+  async importSeries(symbol, rows) {
+    const entry = this.resolve(symbol);
+    await fs.mkdir(this.datasetDir, { recursive: true });
+
+    // Drop earlier files for the code so they cannot shadow the new import (CSV is read before JSON)
+    const stale = ['csv', 'day.csv', 'day.json', 'week.csv', 'week.json', 'month.csv', 'month.json'];
+    await Promise.all(stale.map(suffix => fs.rm(path.join(this.datasetDir, `${entry.code}.${suffix}`), { force: true })));
+
+    const file = path.join(this.datasetDir, `${entry.code}.json`);
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify({ data: rows }, null, 2));
+    await fs.rename(temp, file);
+    return { entry, count: rows.length, file: path.basename(file) };
+  }
+}
+
+module.exports = BursaProvider;
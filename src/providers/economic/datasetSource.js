@@ -0,0 +1,66 @@
+const fs = require('fs/promises');
+const path = require('path');
+const FixtureProvider = require('../fixtureProvider');
+const { UpstreamError } = require('../../utils/errors');
+
+/**
+ * Local economic datasets under ECONOMIC_DATA_DIR (default `data/economics`), one file per
+ * country and indicator: `<COUNTRY>/<indicator>.csv` (date,value header) or `.json`
+ * (an array of { date, value } or `{ "data": [...] }`). Filled via importSeries().
+ */
+class DatasetSource {
+  constructor(options = {}) {
+    this.name = 'dataset';
+    this.label = 'Local dataset';
+    this.directory = options.directory
+      || process.env.ECONOMIC_DATA_DIR
+      || path.join(__dirname, '..', '..', '..', 'data', 'economics');
+    // Same CSV/JSON conventions as the price fixtures
+    this.files = new FixtureProvider({ directory: this.directory });
+  }
+
+  supports() {
+    return true;
+  }
+
+  filePath(indicator, country, extension) {
+    return path.join(this.directory, country.code, `${indicator.key}.${extension}`);
+  }
+
+  async getSeries(indicator, country) {
+    for (const extension of ['csv', 'json']) {
+      let contents;
+      try {
+        contents = await fs.readFile(this.filePath(indicator, country, extension), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      const rows = extension === 'csv' ? this.files.parseCsv(contents) : this.files.parseJson(contents);
+      return rows.map(row => ({ date: row.date, value: parseFloat(row.value) }));
+    }
+
+    throw new UpstreamError(`No local dataset for ${indicator.key} in ${country.name}`, {
+      provider: this.name, code: 'NO_DATA', status: 404
+    });
+  }
+
+  /**
+   * Replaces the dataset for one country and indicator.
+   * @param {Array<object>} rows - { date, value } observations.
+   * @returns {Promise<string>} - The file written, relative to the dataset directory.
+   */
+  async importSeries(indicator, country, rows) {
+    const file = this.filePath(indicator, country, 'json');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // A CSV would be read first and shadow the import
+    await fs.rm(this.filePath(indicator, country, 'csv'), { force: true });
+
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify({ data: rows }, null, 2));
+    await fs.rename(temp, file);
+    return path.relative(this.directory, file);
+  }
+}
+
+module.exports = DatasetSource;
@@ -0,0 +1,47 @@
+const axios = require('axios');
+const { UpstreamError } = require('../../utils/errors');
+
+/**
+ * Federal Reserve Economic Data (FRED_API_KEY). Free and reliable for US series and
+ * USD exchange rates; only indicators with a FRED series id for the country are supported.
+ */
+class FredSource {
+  constructor(options = {}) {
+    this.name = 'fred';
+    this.label = 'FRED (Federal Reserve Bank of St. Louis)';
+    this.baseURL = options.baseURL || 'https://api.stlouisfed.org/fred/series/observations';
+    this.apiKey = options.apiKey || process.env.FRED_API_KEY;
+  }
+
+  seriesId(indicator, country) {
+    return (indicator.sources.fred || {})[country.code];
+  }
+
+  supports(indicator, country) {
+    return Boolean(this.apiKey && this.seriesId(indicator, country));
+  }
+
+  async getSeries(indicator, country) {
+    const seriesId = this.seriesId(indicator, country);
+
+    let data;
+    try {
+      ({ data } = await axios.get(this.baseURL, { params: { series_id: seriesId, api_key: this.apiKey, file_type: 'json' } }));
+    } catch (error) {
+      const status = error.response && error.response.status;
+      throw new UpstreamError(`FRED request failed for ${seriesId}: ${status || error.message}`, {
+        provider: this.name,
+        code: status === 429 ? 'RATE_LIMITED' : 'UPSTREAM_ERROR',
+        retryable: status === 429 || !status || status >= 500,
+        status: status === 429 ? 429 : 502
+      });
+    }
+
+    // Missing observations are reported as "."
+    return (data.observations || [])
+      .filter(observation => observation.value !== '.')
+      .map(observation => ({ date: observation.date, value: parseFloat(observation.value) }));
+  }
+}
+
+module.exports = FredSource;
@@ -0,0 +1,51 @@
+const DatasetSource = require('./datasetSource');
+const TradingEconomicsSource = require('./tradingEconomicsSource');
+const FredSource = require('./fredSource');
+
+const sourceFactories = {
+  dataset: () => new DatasetSource(),
+  tradingeconomics: () => new TradingEconomicsSource(),
+  fred: () => new FredSource()
+};
+
+const instances = {};
+
+function listSources() {
+  return Object.keys(sourceFactories);
+}
+
+function registerSource(name, factory) {
+  sourceFactories[name] = factory;
+  delete instances[name];
+}
+
+function getSource(name) {
+  const key = String(name).toLowerCase();
+  if (!sourceFactories[key]) {
+    throw new Error(`Unknown economic data source: ${name}. Available: ${listSources().join(', ')}`);
+  }
+  if (!instances[key]) {
+    instances[key] = sourceFactories[key]();
+  }
+  return instances[key];
+}
+
+/**
+ * Sources to try, in order, from ECONOMIC_SOURCES (default "dataset,tradingeconomics,fred"):
+ * imported datasets win, then the APIs that have keys configured.
+ * @returns {Array<object>} - Sources exposing supports() and getSeries().
+ */
+function configuredSources(value = process.env.ECONOMIC_SOURCES) {
+  return (value || 'dataset,tradingeconomics,fred')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(getSource);
+}
+
+module.exports = {
+  getSource,
+  registerSource,
+  listSources,
+  configuredSources
+};
@@ -0,0 +1,50 @@
+const axios = require('axios');
+const { UpstreamError } = require('../../utils/errors');
+
+/**
+ * Trading Economics historical API (TRADING_ECONOMICS_API_KEY). Covers every catalog
+ * indicator for most countries, addressed by lower-case country and indicator names.
+ */
+class TradingEconomicsSource {
+  constructor(options = {}) {
+    this.name = 'tradingeconomics';
+    this.label = 'Trading Economics';
+    this.baseURL = options.baseURL || 'https://api.tradingeconomics.com';
+    this.apiKey = options.apiKey || process.env.TRADING_ECONOMICS_API_KEY;
+  }
+
+  supports(indicator) {
+    return Boolean(this.apiKey && indicator.sources.tradingeconomics);
+  }
+
+  /**
+   * @param {object} indicator - Catalog entry (with `key`).
+   * @param {object} country - Country entry (with `code` and `name`).
+   * @returns {Promise<Array<object>>} - { date, value } observations, unsorted.
+   */
+  async getSeries(indicator, country) {
+    const url = `${this.baseURL}/historical/country/${encodeURIComponent(country.name)}/indicator/${encodeURIComponent(indicator.sources.tradingeconomics)}`;
+
+    let data;
+    try {
+      ({ data } = await axios.get(url, { params: { c: this.apiKey } }));
+    } catch (error) {
+      const status = error.response && error.response.status;
+      throw new UpstreamError(`Trading Economics request failed for ${indicator.key} (${country.name}): ${status || error.message}`, {
+        provider: this.name,
+        code: status === 429 ? 'RATE_LIMITED' : (status === 401 || status === 403 ? 'UNAUTHORIZED' : 'UPSTREAM_ERROR'),
+        retryable: status === 429 || !status || status >= 500,
+        status: status === 429 ? 429 : 502
+      });
+    }
+
+    // Trading Economics returns an array of { Date, Value, Unit, ... }
+    return (Array.isArray(data) ? data : []).map(item => ({
+      date: String(item.Date).split('T')[0],
+      value: item.Value,
+      unit: item.Unit
+    }));
+  }
+}
+
+module.exports = TradingEconomicsSource;
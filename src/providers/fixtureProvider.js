@@ -0,0 +1,156 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { UpstreamError } = require('../utils/errors');
+
+/**
+ * Serves price history from local CSV/JSON files so charts and tools work offline.
+ *
+ * Files live in `MARKET_DATA_FIXTURE_DIR` (default `data/fixtures`) and are looked up as
+ * `<SYMBOL>.<timespan>.csv|json` first, then `<SYMBOL>.csv|json` (treated as daily bars).
+ * CSV needs a header row with date,open,high,low,close,volume and optionally adjustedClose.
+ * JSON is either an array of those rows or `{ "data": [...] }`.
+ * The repo ships synthetic 2024 daily bars for AAPL, MSFT, SPY and QQQ (not real prices) so the
+ * provider and the tests work out of the box.
+ */
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.label = 'Local fixture';
+    this.directory = options.directory
+      || process.env.MARKET_DATA_FIXTURE_DIR
+      || path.join(__dirname, '..', '..', 'data', 'fixtures');
+  }
+
+  async getTimeSeries(symbol, timespan = 'day') {
+    const specific = await this.loadSeries(`${symbol}.${timespan}`);
+    if (specific) return specific;
+
+    const daily = await this.loadSeries(symbol);
+    if (!daily) {
+      throw new UpstreamError(`No fixture data found for ${symbol}`, {
+        provider: this.name, code: 'NO_DATA', retryable: false, status: 404
+      });
+    }
+
+    if (timespan === 'week' || timespan === 'month') {
+      return this.resample(daily, timespan);
+    }
+    // Daily files cannot be turned into intraday bars
+    return timespan === 'minute' ? [] : daily;
+  }
+
+  async getQuote(symbol) {
+    const series = await this.getTimeSeries(symbol, 'day');
+    if (!series.length) return null;
+
+    const latest = series[series.length - 1];
+    const previous = series[series.length - 2] || latest;
+    const change = latest.close - previous.close;
+
+    return {
+      ticker: symbol,
+      price: latest.close,
+      open: latest.open,
+      high: latest.high,
+      low: latest.low,
+      volume: latest.volume,
+      latest_trading_day: latest.date,
+      previous_close: previous.close,
+      change: parseFloat(change.toFixed(4)),
+      change_percent: previous.close ? parseFloat(((change / previous.close) * 100).toFixed(4)) : 0
+    };
+  }
+
+  async loadSeries(baseName) {
+    const safeName = baseName.replace(/[^A-Za-z0-9._-]/g, '_');
+
+    for (const extension of ['csv', 'json']) {
+      const filePath = path.join(this.directory, `${safeName}.${extension}`);
+      let contents;
+      try {
+        contents = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      const rows = extension === 'csv' ? this.parseCsv(contents) : this.parseJson(contents);
+      return rows.map(row => this.normalizeRow(row)).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    return null;
+  }
+
+  parseCsv(contents) {
+    const lines = contents.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) return [];
+
+    const headers = lines[0].split(',').map(header => header.trim());
+    return lines.slice(1).map(line => {
+      const cells = line.split(',');
+      return headers.reduce((row, header, index) => {
+        row[header] = cells[index] !== undefined ? cells[index].trim() : undefined;
+        return row;
+      }, {});
+    });
+  }
+
+  parseJson(contents) {
+    const parsed = JSON.parse(contents);
+    return Array.isArray(parsed) ? parsed : parsed.data || [];
+  }
+
+  normalizeRow(row) {
+    const close = parseFloat(row.close);
+    const adjusted = row.adjustedClose !== undefined && row.adjustedClose !== ''
+      ? parseFloat(row.adjustedClose)
+      : close;
+
+    return {
+      timestamp: new Date(row.date).getTime(),
+      date: row.date,
+      open: parseFloat(row.open),
+      high: parseFloat(row.high),
+      low: parseFloat(row.low),
+      close,
+      adjustedClose: adjusted,
+      volume: parseInt(row.volume || '0'),
+      price: close
+    };
+  }
+
+  // Rolls daily bars up into week/month bars, dated by the bucket's last trading day
+  resample(series, timespan) {
+    const buckets = new Map();
+
+    series.forEach(point => {
+      const date = new Date(point.timestamp);
+      let key;
+      if (timespan === 'month') {
+        key = `${date.getUTCFullYear()}-${date.getUTCMonth()}`;
+      } else {
+        const monday = new Date(date);
+        monday.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        key = monday.toISOString().split('T')[0];
+      }
+
+      const bucket = buckets.get(key);
+      if (!bucket) {
+        buckets.set(key, { ...point });
+      } else {
+        bucket.high = Math.max(bucket.high, point.high);
+        bucket.low = Math.min(bucket.low, point.low);
+        bucket.close = point.close;
+        bucket.price = point.close;
+        bucket.adjustedClose = point.adjustedClose;
+        bucket.volume += point.volume;
+        bucket.timestamp = point.timestamp;
+        bucket.date = point.date;
+      }
+    });
+
+    return Array.from(buckets.values());
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,75 @@
+const AlphaVantageProvider = require('./alphaVantageProvider');
+const FixtureProvider = require('./fixtureProvider');
+const BursaProvider = require('./bursaProvider');
+
+const providerFactories = {
+  alphavantage: () => new AlphaVantageProvider(),
+  fixture: () => new FixtureProvider(),
+  bursa: () => new BursaProvider()
+};
+
+// Bursa Malaysia counters: "5347", "5347.KL", "TENAGA.KL"
+const BURSA_SYMBOL_PATTERN = /^(\d{4}|[A-Z0-9&]+\.KL)$/i;
+
+const instances = {};
+
+// MARKET_DATA_SYMBOL_PROVIDERS="TNB.KL:fixture,AAPL:alphavantage"
+function parseSymbolOverrides(value = '') {
+  return value.split(',').reduce((overrides, entry) => {
+    const [symbol, provider] = entry.split(':').map(part => part && part.trim());
+    if (symbol && provider) {
+      overrides[symbol.toUpperCase()] = provider.toLowerCase();
+    }
+    return overrides;
+  }, {});
+}
+
+function listProviders() {
+  return Object.keys(providerFactories);
+}
+
+// Names are matched case-insensitively ("Fixture", "FIXTURE" and "fixture" are the same provider)
+function registerProvider(name, factory) {
+  const key = String(name).toLowerCase();
+  providerFactories[key] = factory;
+  delete instances[key];
+}
+
+function getProvider(name) {
+  const key = String(name).toLowerCase();
+  if (!providerFactories[key]) {
+    throw new Error(`Unknown market data provider: ${name}. Available: ${listProviders().join(', ')}`);
+  }
+  if (!instances[key]) {
+    instances[key] = providerFactories[key]();
+  }
+  return instances[key];
+}
+
+/**
+ * Picks the provider for a request: an explicit request override wins, then the
+ * per-symbol mapping, then Bursa for Malaysian codes/.KL symbols, then
+ * MARKET_DATA_PROVIDER (default Alpha Vantage).
+ * @param {string} symbol - The ticker being fetched.
+ * @param {string} [requested] - Provider name passed with the request.
+ * @returns {object} - A provider exposing getTimeSeries() and getQuote().
+ */
+function resolveProvider(symbol, requested) {
+  if (requested) {
+    return getProvider(requested);
+  }
+
+  const overrides = parseSymbolOverrides(process.env.MARKET_DATA_SYMBOL_PROVIDERS);
+  const mapped = symbol && overrides[String(symbol).toUpperCase()];
+  if (!mapped && BURSA_SYMBOL_PATTERN.test(String(symbol || ''))) {
+    return getProvider('bursa');
+  }
+  return getProvider(mapped || process.env.MARKET_DATA_PROVIDER || 'alphavantage');
+}
+
+module.exports = {
+  getProvider,
+  resolveProvider,
+  registerProvider,
+  listProviders
+};
@@ -0,0 +1,52 @@
+const TesseractEngine = require('./tesseractEngine');
+const OcrSpaceEngine = require('./ocrSpaceEngine');
+
+const engineFactories = {
+  tesseract: () => new TesseractEngine(),
+  ocrspace: () => new OcrSpaceEngine()
+};
+
+const instances = {};
+
+function listEngines() {
+  return Object.keys(engineFactories);
+}
+
+function registerEngine(name, factory) {
+  engineFactories[name] = factory;
+  delete instances[name];
+}
+
+function getEngine(name) {
+  const key = String(name).toLowerCase();
+  if (!engineFactories[key]) {
+    throw Object.assign(new Error(`Unknown OCR engine: ${name}. Available: ${listEngines().join(', ')}`), {
+      status: 400,
+      code: 'UNKNOWN_OCR_ENGINE'
+    });
+  }
+  if (!instances[key]) {
+    instances[key] = engineFactories[key]();
+  }
+  return instances[key];
+}
+
+/**
+ * Engines to try, in order, from OCR_ENGINES (default "tesseract,ocrspace"):
+ * the local engine first, the API as a fallback when it has a key configured.
+ * @returns {Array<object>} - Engines exposing isAvailable(), supportsPdf and recognize().
+ */
+function configuredEngines(value = process.env.OCR_ENGINES) {
+  return (value || 'tesseract,ocrspace')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(getEngine);
+}
+
+module.exports = {
+  getEngine,
+  registerEngine,
+  listEngines,
+  configuredEngines
+};
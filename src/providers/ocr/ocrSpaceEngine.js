@@ -0,0 +1,65 @@
+const axios = require('axios');
+const { UpstreamError } = require('../../utils/errors');
+
+// OCR.space language codes differ from tesseract's for a few languages
+const LANGUAGE_CODES = { eng: 'eng', msa: 'eng', chi_sim: 'chs', chi_tra: 'cht', jpn: 'jpn', kor: 'kor' };
+
+/**
+ * OCR.space API (OCR_SPACE_API_KEY). Accepts images and PDFs (every page is parsed)
+ * and keeps table rows on one line, which helps the structured extraction.
+ */
+class OcrSpaceEngine {
+  constructor(options = {}) {
+    this.name = 'ocrspace';
+    this.label = 'OCR.space';
+    this.supportsPdf = true;
+    this.baseURL = options.baseURL || 'https://api.ocr.space/parse/image';
+    this.apiKey = options.apiKey || process.env.OCR_SPACE_API_KEY;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.OCR_SPACE_TIMEOUT_MS || '60000', 10);
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * @param {Buffer} buffer - Image or PDF bytes.
+   * @param {object} options - { mimetype, language }.
+   * @returns {Promise<object>} - { pages: [{ text, confidence }] }, one page per PDF page.
+   */
+  async recognize(buffer, options = {}) {
+    const language = (options.language || 'eng').split('+')[0];
+
+    let data;
+    try {
+      ({ data } = await axios.post(this.baseURL, {
+        base64Image: `data:${options.mimetype};base64,${buffer.toString('base64')}`,
+        language: LANGUAGE_CODES[language] || language,
+        filetype: options.mimetype === 'application/pdf' ? 'PDF' : undefined,
+        isTable: true,
+        scale: true
+      }, {
+        headers: { apikey: this.apiKey, 'Content-Type': 'application/json' },
+        timeout: this.timeoutMs
+      }));
+    } catch (error) {
+      const status = error.response && error.response.status;
+      throw new UpstreamError(`OCR.space request failed: ${status || error.message}`, {
+        provider: this.name,
+        code: status === 429 ? 'RATE_LIMITED' : 'UPSTREAM_ERROR',
+        retryable: status === 429 || !status || status >= 500,
+        status: status === 429 ? 429 : 502
+      });
+    }
+
+    if (data.IsErroredOnProcessing) {
+      const message = [].concat(data.ErrorMessage || 'unknown error').join(' ');
+      throw new UpstreamError(`OCR.space could not process the file: ${message}`, { provider: this.name, code: 'OCR_FAILED' });
+    }
+    return {
+      pages: (data.ParsedResults || []).map(result => ({ text: result.ParsedText || '', confidence: null }))
+    };
+  }
+}
+
+module.exports = OcrSpaceEngine;
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Offline OCR with tesseract.js (optional dependency, loaded lazily). Images only; PDFs are
+ * read from their text layer by OcrService or sent to an engine that accepts them.
+ * Language data is downloaded on first use unless TESSERACT_LANG_PATH points at local
+ * *.traineddata files, and cached under data/tessdata (TESSERACT_CACHE_PATH).
+ */
+class TesseractEngine {
+  constructor(options = {}) {
+    this.name = 'tesseract';
+    this.label = 'Tesseract (local)';
+    this.supportsPdf = false;
+    this.langPath = options.langPath || process.env.TESSERACT_LANG_PATH;
+    this.cachePath = options.cachePath || process.env.TESSERACT_CACHE_PATH || path.join(__dirname, '..', '..', '..', 'data', 'tessdata');
+    this.workers = new Map();
+    this.failures = new Map();
+  }
+
+  isAvailable() {
+    try {
+      require.resolve('tesseract.js');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // One worker per language, created on first use and reused; jobs on a worker run one at a time
+  getWorker(language) {
+    if (this.failures.has(language)) {
+      return Promise.reject(new Error(this.failures.get(language)));
+    }
+    if (!this.workers.has(language)) {
+      const missing = this.missingLanguageData(language);
+      if (missing.length) {
+        return Promise.reject(new Error(`No ${missing.join(', ')} language data in ${this.langPath}`));
+      }
+
+      const { createWorker } = require('tesseract.js');
+      // tesseract.js never settles createWorker() when language data fails to load, it only reports
+      // the error to errorHandler (or throws it uncaught without one), so startup races that report
+      let startFailed;
+      const failure = new Promise((resolve, reject) => { startFailed = reject; });
+      const options = { errorHandler: error => startFailed(new Error(String(error))) };
+      if (this.langPath) options.langPath = this.langPath;
+      // tesseract.js writes downloaded language data into the cache directory but does not create it
+      fs.mkdirSync(this.cachePath, { recursive: true });
+      options.cachePath = this.cachePath;
+
+      const worker = Promise.race([createWorker(language, 1, options), failure]);
+      // The stuck worker cannot be terminated, so a language that failed to start is not retried
+      worker.catch(error => {
+        console.error(`[OCR] Tesseract could not start for ${language}: ${error.message}`);
+        this.failures.set(language, `Tesseract could not start for ${language}: ${error.message}`);
+        this.workers.delete(language);
+      });
+      this.workers.set(language, worker);
+    }
+    return this.workers.get(language);
+  }
+
+  // Languages without a traineddata file when TESSERACT_LANG_PATH is a local directory
+  missingLanguageData(language) {
+    if (!this.langPath || /^https?:/.test(this.langPath)) return [];
+    return language.split('+').filter(code => !['', '.gz'].some(extension => (
+      fs.existsSync(path.join(this.langPath, `${code}.traineddata${extension}`))
+    )));
+  }
+
+  /**
+   * @param {Buffer} buffer - PNG, JPEG, GIF, WEBP, BMP or TIFF bytes.
+   * @param {object} options - { language } (tesseract codes, e.g. "eng" or "eng+msa").
+   * @returns {Promise<object>} - { pages: [{ text, confidence }] }.
+   */
+  async recognize(buffer, options = {}) {
+    const worker = await this.getWorker(options.language || 'eng');
+    const { data } = await worker.recognize(buffer);
+    return { pages: [{ text: data.text || '', confidence: Math.round(data.confidence) }] };
+  }
+
+  async terminate() {
+    const workers = await Promise.allSettled(this.workers.values());
+    this.workers.clear();
+    await Promise.all(workers
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value.terminate()));
+  }
+}
+
+module.exports = TesseractEngine;
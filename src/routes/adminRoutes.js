@@ -0,0 +1,82 @@
+const express = require('express');
+const RequestScheduler = require('../services/requestScheduler');
+const { createRouteHelpers } = require('../utils/routeHelpers');
+
+/**
+ * Cache, upstream, LLM and alert scheduler diagnostics (/api/admin).
+ * @param {object} config - Settings from loadConfig(); uses adminToken.
+ * @param {object} services - Shared services from createApp(); uses cache, llm and alertScheduler.
+ * @returns {express.Router}
+ */
+function createAdminRouter(config, services) {
+  const router = express.Router();
+  const { cache, llm, alertScheduler } = services;
+  const { sendError } = createRouteHelpers('Admin');
+
+  // Shared-secret guard: admin routes flush caches and fire alerts, so they stay closed until ADMIN_TOKEN is set
+  router.use((req, res, next) => {
+    const token = config.adminToken;
+    if (!token) {
+      return sendError(res, Object.assign(new Error('Admin routes are disabled: set ADMIN_TOKEN to enable them'), { status: 403, code: 'ADMIN_DISABLED' }));
+    }
+    if (req.get('x-admin-token') !== token) {
+      return sendError(res, Object.assign(new Error('Admin token required'), { status: 401, code: 'ADMIN_TOKEN_REQUIRED' }));
+    }
+    next();
+  });
+
+  // Cache hit/miss statistics
+  router.get('/cache/stats', (req, res) => {
+    res.json({
+      success: true,
+      data: cache.getStats()
+    });
+  });
+
+  // Flush the cache, optionally only keys starting with ?prefix= (e.g. "series:", "news:")
+  router.delete('/cache', (req, res) => {
+    const removed = cache.flush(req.query.prefix);
+
+    res.json({
+      success: true,
+      data: { removed }
+    });
+  });
+
+  // Upstream request queues: quota usage, queued and retried calls per provider
+  router.get('/upstream/stats', (req, res) => {
+    res.json({
+      success: true,
+      data: RequestScheduler.getAllStats()
+    });
+  });
+
+  // LLM usage per task: model, requests, tokens, retries, failures and safety blocks
+  router.get('/llm/stats', (req, res) => {
+    res.json({
+      success: true,
+      data: llm.getStats()
+    });
+  });
+
+  // Alert scheduler status: interval, runs, triggers and the last pass
+  router.get('/alerts/scheduler', (req, res) => {
+    res.json({
+      success: true,
+      data: alertScheduler.getStats()
+    });
+  });
+
+  // Run an alert evaluation pass now instead of waiting for the interval
+  router.post('/alerts/run', async (req, res) => {
+    const summary = await alertScheduler.tick();
+
+    res.status(summary ? 200 : 409).json(summary
+      ? { success: true, data: summary }
+      : { success: false, error: 'An evaluation pass is already running or failed; see /api/admin/alerts/scheduler' });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
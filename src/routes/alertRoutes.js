@@ -0,0 +1,44 @@
+const express = require('express');
+const { createRouteHelpers } = require('../utils/routeHelpers');
+const { validateRequest } = require('../utils/validation');
+const { alerts: schemas } = require('../schemas/requestSchemas');
+
+/**
+ * Alert rules, history and test-fire (/api/alerts).
+ * @param {object} services - Shared services from createApp(); uses alertService.
+ * @returns {express.Router}
+ */
+function createAlertRouter(services) {
+  const router = express.Router();
+  const { alertService } = services;
+
+  // Service errors carry their status (400 invalid rule, 404 unknown rule or symbol)
+  const { handle } = createRouteHelpers('Alerts');
+
+  router.get('/', validateRequest(schemas.list), handle(req => alertService.listRules({ userId: req.query.userId, symbol: req.query.symbol })));
+  // e.g. { symbol: "AAPL", type: "price_cross", params: { direction: "above", level: 200 }, webhook: { url } }
+  router.post('/', validateRequest(schemas.create), handle(req => alertService.createRule(req.body), 201));
+
+  // Triggered and test-fired alerts across rules, newest first: ?ruleId=&symbol=&limit=
+  router.get('/history', validateRequest(schemas.history), handle(req => alertService.getHistory({
+    ruleId: req.query.ruleId,
+    symbol: req.query.symbol,
+    limit: req.query.limit
+  })));
+
+  router.get('/:id', handle(async req => alertService.describe(await alertService.getRule(req.params.id))));
+  router.patch('/:id', validateRequest(schemas.update), handle(req => alertService.updateRule(req.params.id, req.body)));
+  router.delete('/:id', handle(async req => ({ deleted: await alertService.deleteRule(req.params.id) })));
+
+  router.get('/:id/history', validateRequest(schemas.ruleHistory), handle(async req => {
+    await alertService.getRule(req.params.id);
+    return alertService.getHistory({ ruleId: req.params.id, limit: req.query.limit });
+  }));
+
+  // Evaluates the rule now and delivers the result to its webhook as an alert.test event
+  router.post('/:id/test', handle(req => alertService.testFire(req.params.id)));
+
+  return router;
+}
+
+module.exports = { createAlertRouter };
@@ -0,0 +1,270 @@
+const express = require('express');
+const ChartRenderService = require('../services/chartRenderService');
+const MediaService = require('../services/mediaService');
+const ToolService = require('../services/toolService');
+const AnalyzeAgent = require('../services/analyzeAgent');
+const SessionService = require('../services/sessionService');
+const { createSessionStore } = require('../services/sessionStore');
+const { validateRequest } = require('../utils/validation');
+const { createRouteHelpers } = require('../utils/routeHelpers');
+const { analyze: schemas } = require('../schemas/requestSchemas');
+
+// Tells the model which documents it can search; the stored turn keeps the user's own query
+function withDocumentContext(query, documents) {
+  if (!documents.length) return query;
+  const names = documents.map(document => `"${document.name}" (${document.pageCount} page${document.pageCount === 1 ? '' : 's'})`);
+  return `${query}\n\n[Documents uploaded in this conversation: ${names.join(', ')}. Use search_documents for anything they may answer and cite the document, page and passage you rely on.]`;
+}
+
+function userErrorMessage(error) {
+  if (error.code === 'SAFETY_BLOCKED') {
+    return "I can't help with that request. Please rephrase your question.";
+  }
+  if (error.message && error.message.includes('functionCall')) {
+    return "I'm having trouble executing a tool to fulfill your request. This might be a temporary issue or an unexpected query. Please try rephrasing.";
+  }
+  return "I'm sorry, I couldn't process your request due to an internal error. Please try again. If the problem persists, check the backend logs.";
+}
+
+/**
+ * The /analyze assistant (plain and streamed), its sessions and their documents.
+ * @param {object} config - Settings from loadConfig(); uses stores.session.
+ * @param {object} services - Shared services from createApp(); uses the market data and user-data services and llm.
+ * @returns {express.Router}
+ */
+function createAnalyzeRouter(config, services) {
+  const router = express.Router();
+  const chartRenderService = new ChartRenderService();
+  const mediaService = new MediaService();
+  const { llm, chartService, symbols, newsService, economicService, bursaService, backtestService, documentService, portfolioService } = services;
+  const toolService = new ToolService({
+    chartService, symbols, newsService, economicService, bursaService, backtestService, mediaService, documentService, portfolioService
+  });
+
+  // --- Initialize Generative AI ---
+  const agent = new AnalyzeAgent({ model: llm.getModel('analyze'), toolService });
+
+  // Older turns are summarized by the same model once a conversation gets long
+  const sessionService = new SessionService({
+    store: createSessionStore(config.stores.session.type, config.stores.session),
+    summarizer: async (contents, previousSummary) => {
+      const transcript = contents.flatMap(content => content.parts
+        .filter(part => part.text)
+        .map(part => `${content.role}: ${part.text}`)).join('\n');
+      const { text } = await llm.generate(
+        `Summarize this financial assistant conversation in under 150 words, keeping tickers, periods, figures and open questions.\n${previousSummary ? `Earlier summary: ${previousSummary}\n` : ''}${transcript}`,
+        { task: 'session' }
+      );
+      return text;
+    }
+  });
+
+  /**
+   * Runs one /analyze turn: the agent loop, chart rendering, session bookkeeping and audio.
+   * `emit(type, payload)` is optional; the streaming endpoint passes one to receive each
+   * piece of the response as soon as it is ready.
+   * @returns {Promise<object>} - The complete /analyze response body.
+   */
+  async function runAnalysis(query, session, emit) {
+    const notify = emit || (() => {});
+    const documents = await documentService.listDocuments(session.id);
+    const { text: finalResponseText, steps, trace, toolResults, history, budgetExhausted } = await agent.run(withDocumentContext(query, documents), {
+      history: sessionService.buildChatHistory(session),
+      onEvent: emit, // Only streams from Gemini when someone is listening
+      context: { sessionId: session.id }
+    });
+    notify('summary', { summary: finalResponseText, steps, budgetExhausted: Boolean(budgetExhausted) });
+
+    let historicalStockData = null; // Stock series for the chart (last successful fetch wins)
+    let historicalEconomicData = null; // For economic indicators
+    let imageUrl = null; // Only set when 'generate_image_tool' succeeded
+    let chartTicker = '';
+    const documentSources = new Map(); // Passages search_documents returned, one per document page
+
+    toolResults.forEach(({ name, result }) => {
+      if (!result || result.error) return;
+      if (name === 'search_documents') {
+        (result.results || []).forEach(({ documentId, documentName, page, passage, citation }) => {
+          const key = `${documentId}:${page}`;
+          if (!documentSources.has(key)) documentSources.set(key, { documentId, documentName, page, passage, citation });
+        });
+      }
+      if (result.historical_data) {
+        historicalStockData = result.historical_data;
+        chartTicker = result.ticker || chartTicker;
+      }
+      if (result.historical_economic_data) {
+        historicalEconomicData = result.historical_economic_data;
+      }
+      if (name === 'generate_image_tool' && result.imageUrl) {
+        imageUrl = result.imageUrl;
+      }
+    });
+
+    if (historicalStockData) notify('historicalStockData', { ticker: chartTicker, historicalStockData });
+    if (historicalEconomicData) notify('historicalEconomicData', { historicalEconomicData });
+    if (imageUrl) notify('imageUrl', { imageUrl });
+    if (documentSources.size) notify('documentSources', { documentSources: [...documentSources.values()] });
+
+    // Render a real data chart alongside any AI infographic
+    let chartImageUrl = null;
+    if (Array.isArray(historicalStockData) && historicalStockData.length > 0) {
+      try {
+        const chart = chartService.formatChartData(
+          historicalStockData.map(point => ({ ...point, timestamp: new Date(point.date).getTime() })),
+          chartTicker,
+          { limit: 300, downsample: 'lttb' }
+        );
+        chartImageUrl = await chartRenderService.renderToDataUrl(chart, { type: 'line', showVolume: true });
+        notify('chartImageUrl', { chartImageUrl });
+      } catch (renderError) {
+        console.warn("Could not render data chart:", renderError.message);
+      }
+    }
+
+    await sessionService.recordTurn(session, {
+      query,
+      answer: finalResponseText,
+      history,
+      trace,
+      datasets: {
+        ...(historicalStockData ? { historicalStockData: { ticker: chartTicker, data: historicalStockData } } : {}),
+        ...(historicalEconomicData ? { historicalEconomicData } : {})
+      }
+    });
+
+    let audioUrl = null; // Audio generation remains unconditional
+    const audioResult = await mediaService.generateAudio(finalResponseText);
+    if (audioResult && audioResult.audioUrl) {
+      audioUrl = audioResult.audioUrl;
+    } else {
+      console.warn("Could not generate audio:", audioResult?.error);
+    }
+    notify('audioUrl', { audioUrl });
+
+    return {
+      sessionId: session.id,
+      summary: finalResponseText,
+      imageUrl: imageUrl, // Only present if 'generate_image_tool' was called
+      chartImageUrl: chartImageUrl, // Server-rendered PNG of historicalStockData, if any
+      audioUrl: audioUrl,
+      historicalStockData: historicalStockData,
+      historicalEconomicData: historicalEconomicData,
+      documentSources: [...documentSources.values()], // Uploaded-document passages the answer could cite
+      steps,
+      budgetExhausted: Boolean(budgetExhausted),
+      trace // Which tools ran, with args, status and latency
+    };
+  }
+
+  async function loadSession(sessionId) {
+    return (sessionId && await sessionService.get(sessionId)) || sessionService.create(sessionId || undefined);
+  }
+
+  // Our main /analyze endpoint
+  // Pass `sessionId` to continue a conversation; omit it to start a new one
+  router.post('/', validateRequest(schemas.query), async (req, res) => {
+    const { query, sessionId } = req.body;
+
+    try {
+      const session = await loadSession(sessionId);
+      return res.json(await runAnalysis(query, session));
+    } catch (error) {
+      console.error('Error during AI analysis:', error);
+      res.status(error.code === 'SAFETY_BLOCKED' ? 422 : 500).json({ error: userErrorMessage(error), details: error.message });
+    }
+  });
+
+  // Streaming variant of /analyze. Sends Server-Sent Events by default, or one JSON object
+  // per line with `Accept: application/x-ndjson` / `?format=ndjson`.
+  // Events: session, tool_call_started, tool_call_finished, token, summary, historicalStockData,
+  // historicalEconomicData, imageUrl, documentSources, chartImageUrl, audioUrl, then done (the full JSON body) or error.
+  router.post('/stream', validateRequest(schemas.stream), async (req, res) => {
+    const { query, sessionId } = req.body;
+
+    const ndjson = req.query.format === 'ndjson' || (req.get('accept') || '').includes('application/x-ndjson');
+    res.status(200);
+    res.set({
+      'Content-Type': ndjson ? 'application/x-ndjson' : 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    const emit = (type, payload) => {
+      if (closed) return;
+      if (ndjson) {
+        res.write(`${JSON.stringify({ event: type, data: payload })}\n`);
+      } else {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+      }
+    };
+
+    try {
+      const session = await loadSession(sessionId);
+      emit('session', { sessionId: session.id });
+      emit('done', await runAnalysis(query, session, emit));
+    } catch (error) {
+      console.error('Error during streamed AI analysis:', error);
+      emit('error', { error: userErrorMessage(error), details: error.message });
+    }
+    res.end();
+  });
+
+  const { handle: handleSession } = createRouteHelpers('Sessions');
+  const sessionNotFound = () => Object.assign(new Error('Session not found'), { status: 404, code: 'SESSION_NOT_FOUND' });
+
+  // List conversations, most recently active first
+  router.get('/sessions', handleSession(() => sessionService.list()));
+
+  // Full conversation: turns, summary and last fetched datasets (resume by posting its id to /analyze)
+  router.get('/sessions/:id', validateRequest(schemas.session), handleSession(async req => {
+    const session = await sessionService.get(req.params.id);
+    if (!session) throw sessionNotFound();
+    return session;
+  }));
+
+  router.delete('/sessions/:id', validateRequest(schemas.session), handleSession(async req => {
+    const deleted = await sessionService.delete(req.params.id);
+    // Documents can exist before the session's first turn, so they go either way
+    const documentsDeleted = await documentService.deleteSession(req.params.id);
+    if (!deleted && !documentsDeleted) throw sessionNotFound();
+    return { id: req.params.id, deleted: true, documentsDeleted };
+  }));
+
+  // Documents stored against a session (uploaded through /ocr with its sessionId, or posted here as text)
+  const { handle } = createRouteHelpers('Documents');
+
+  router.get('/sessions/:id/documents', validateRequest(schemas.session), handle(req => documentService.listDocuments(req.params.id)));
+
+  // { name, text } or { name, pages: [{ page, text }] }, e.g. text copied from a report
+  router.post('/sessions/:id/documents', validateRequest(schemas.addDocument), handle(req => {
+    const { name, text, pages } = req.body;
+    return documentService.addDocument(req.params.id, {
+      name,
+      source: 'text',
+      pages: pages || [{ page: 1, text }]
+    });
+  }, 201));
+
+  router.get('/sessions/:id/documents/search', validateRequest(schemas.searchDocuments), handle(req => (
+    documentService.search(req.params.id, req.query.q, { limit: req.query.limit, document: req.query.document })
+  )));
+
+  router.get('/sessions/:id/documents/:documentId', validateRequest(schemas.document), handle(req => (
+    documentService.getDocument(req.params.id, req.params.documentId)
+  )));
+
+  router.delete('/sessions/:id/documents/:documentId', validateRequest(schemas.document), handle(async req => {
+    await documentService.deleteDocument(req.params.id, req.params.documentId);
+    return { id: req.params.documentId, deleted: true };
+  }));
+
+  return router;
+}
+
+module.exports = { createAnalyzeRouter };
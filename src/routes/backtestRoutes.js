@@ -0,0 +1,28 @@
+const express = require('express');
+const { createRouteHelpers } = require('../utils/routeHelpers');
+const { validateRequest } = require('../utils/validation');
+const { backtest: schemas } = require('../schemas/requestSchemas');
+
+/**
+ * Strategy backtests (/api/backtest).
+ * @param {object} services - Shared services from createApp(); uses backtestService.
+ * @returns {express.Router}
+ */
+function createBacktestRouter(services) {
+  const router = express.Router();
+  const { backtestService } = services;
+
+  // Service errors carry their status (400 invalid request or strategy, 404 unknown symbol or no history)
+  const { handle } = createRouteHelpers('Backtest');
+
+  // Available strategies with their parameters, defaults and ranges
+  router.get('/strategies', handle(() => backtestService.getStrategies()));
+
+  // e.g. { symbol: "AAPL", strategy: "ma_crossover", params: { fastPeriod: 20, slowPeriod: 50 },
+  //        from: "2020-01-01", to: "2024-12-31", initialCapital: 10000, commissionPerTrade: 1, slippageBps: 5 }
+  router.post('/', validateRequest(schemas.run), handle(req => backtestService.run(req.body)));
+
+  return router;
+}
+
+module.exports = { createBacktestRouter };
@@ -0,0 +1,60 @@
+const express = require('express');
+const { validateRequest } = require('../utils/validation');
+const { createRouteHelpers } = require('../utils/routeHelpers');
+const { bursa: schemas } = require('../schemas/requestSchemas');
+
+/**
+ * Bursa Malaysia directory, announcements and price history (/api/bursa).
+ * @param {object} services - Shared services from createApp(); uses bursaService.
+ * @returns {express.Router}
+ */
+function createBursaRouter(services) {
+  const router = express.Router();
+  const { bursaService } = services;
+  const { handle } = createRouteHelpers('Bursa');
+
+  const notFound = (message, code = 'UNKNOWN_COUNTER') => Object.assign(new Error(message), { status: 404, code });
+  // getAnnouncements/getHistoricalData answer { error, code } for unknown counters and { error } for missing data
+  const found = result => {
+    if (result.error) throw notFound(result.error, result.code || 'NO_DATA');
+    return result;
+  };
+
+  // Directory search by code, short name or company name, e.g. /stocks?q=tenaga
+  router.get('/stocks', validateRequest(schemas.stocks), handle(req => bursaService.searchStocks(req.query.q)));
+
+  router.get('/stocks/:symbol', handle(req => {
+    const stock = bursaService.getStock(req.params.symbol);
+    if (!stock) throw notFound(`Unknown Bursa Malaysia counter: ${req.params.symbol}`);
+    return stock;
+  }));
+
+  // Stored announcements for a counter, optionally ?category=dividends&limit=10
+  router.get('/announcements/:symbol', validateRequest(schemas.announcements), handle(async req => {
+    const { category, limit } = req.query;
+    return found(await bursaService.getAnnouncements(req.params.symbol, { category, limit }));
+  }));
+
+  // Import announcements: { announcements: [{ date, stock_code, title, category, details, url }] }
+  router.post('/announcements', validateRequest(schemas.importAnnouncements), handle(async req => {
+    const { imported, skipped } = await bursaService.importAnnouncements(req.body.announcements);
+    return { imported, skipped };
+  }, 201));
+
+  // Historical prices in the get_historical_stock_data shape, ?period=daily|weekly|monthly
+  router.get('/historical/:symbol', validateRequest(schemas.historical), handle(async req => (
+    found(await bursaService.getHistoricalData(req.params.symbol, req.query.period))
+  )));
+
+  // Import daily bars for a counter: { csv: "date,open,high,low,close,volume\n..." } or { data: [...] }
+  router.post('/prices/:symbol', validateRequest(schemas.importPrices), handle(req => {
+    if (!bursaService.getStock(req.params.symbol)) {
+      throw notFound(`Unknown Bursa Malaysia counter: ${req.params.symbol}`);
+    }
+    return bursaService.importPrices(req.params.symbol, req.body);
+  }, 201));
+
+  return router;
+}
+
+module.exports = { createBursaRouter };
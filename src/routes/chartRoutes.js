@@ -1,147 +1,186 @@
 const express = require('express');
-const ChartService = require('../services/chartService');
 const AISummaryService = require('../services/aiSummaryService');
+const IndicatorService = require('../services/indicatorService');
+const ChartRenderService = require('../services/chartRenderService');
+const RiskService = require('../services/riskService');
+const { validateRequest } = require('../utils/validation');
+const { createRouteHelpers } = require('../utils/routeHelpers');
+const { charts: schemas } = require('../schemas/requestSchemas');
+const presets = require('../config/chartPresets');
 
-const router = express.Router();
-const chartService = new ChartService();
-const aiService = new AISummaryService();
+// Risk figures only enrich AI prompts, so a failure there leaves the prompt without them
+const optionalRisk = promise => promise.catch(error => {
+  console.warn(`[Risk] Skipped risk metrics: ${error.message}`);
+  return null;
+});
+
+const riskOptions = source => ({
+  from: source.from,
+  to: source.to,
+  benchmark: source.benchmark,
+  riskFreeRate: source.riskFreeRate,
+  confidence: source.confidence
+});
 
-// Get stock chart data
-router.get('/stock/:symbol', async (req, res) => {
-  try {
+/**
+ * Chart data, comparisons, risk, indicators, rendered images and AI insights (/api/charts).
+ * @param {object} services - Shared services from createApp(); uses chartService, symbols, cache, llm, newsService and portfolioService.
+ * @returns {express.Router}
+ */
+function createChartRouter(services) {
+  const router = express.Router();
+  const { chartService, symbols, cache, llm, newsService, portfolioService } = services;
+  const aiService = new AISummaryService({ cache, llm });
+  const indicatorService = new IndicatorService();
+  const chartRenderService = new ChartRenderService();
+  const riskService = new RiskService({ chartService, portfolioService, symbols });
+  // Service and upstream errors carry their status (429 rate limited, 404 unknown symbol or no data)
+  const { sendError, handle } = createRouteHelpers('Charts');
+
+  // Get stock chart data
+  router.get('/stock/:symbol', validateRequest(schemas.stock), handle(async req => {
     const { symbol } = req.params;
-    const { timespan = 'day', from, to, limit = 100 } = req.query;
+    const { timespan, from, to, limit, cursor, downsample, provider } = req.query;
 
     // Default to last 30 days if no date range provided
     const fromDate = from || chartService.getDateString(-30);
     const toDate = to || chartService.getDateString(0);
 
-    const data = await chartService.getStockData(symbol, timespan, fromDate, toDate, limit);
-    
-    res.json({
-      success: true,
-      data
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
+    // Unknown symbols fail here with suggestions instead of coming back as empty data
+    const instrument = symbols.require(symbol);
+    const data = await chartService.getStockData(instrument.dataSymbol, timespan, fromDate, toDate, limit, {
+      cursor,
+      downsample,
+      provider
     });
-  }
-});
+    return { ...data, instrument };
+  }));
+
+  // Get multiple stocks data for comparison
+  router.post('/compare', validateRequest(schemas.compare), async (req, res) => {
+    try {
+      const { symbols: requested, timespan, from, to, limit, downsample, provider, benchmark, riskFreeRate, confidence } = req.body;
+
+      const fromDate = from || chartService.getDateString(-30);
+      const toDate = to || chartService.getDateString(0);
 
-// Get multiple stocks data for comparison
-router.post('/compare', async (req, res) => {
-  try {
-    const { symbols, timespan = 'day', from, to } = req.body;
+      const { resolved, errors: unknown } = symbols.resolveMany(requested);
+      const tickers = resolved.map(instrument => instrument.dataSymbol);
+      // Risk uses daily returns over the same range whatever the chart timespan
+      const [{ data, errors }, risk] = await Promise.all([
+        chartService.getMultipleStocksData(tickers, timespan, fromDate, toDate, { limit, downsample, provider }),
+        riskService.analyzeSymbols(tickers, { from: fromDate, to: toDate, benchmark, riskFreeRate, confidence })
+      ]);
 
-    if (!symbols || !Array.isArray(symbols)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Symbols array is required'
+      res.json({
+        success: true,
+        data,
+        errors: [...unknown, ...errors], // Per-symbol failure reasons (unknown symbols, rate limits, empty ranges)
+        risk, // Volatility, drawdown, Sharpe/Sortino, beta and VaR per symbol plus the correlation matrix
+        comparison: data.length ? {
+          bestPerformer: data.reduce((best, current) => 
+            current.metadata.priceRange.changePercent > best.metadata.priceRange.changePercent ? current : best
+          ),
+          worstPerformer: data.reduce((worst, current) => 
+            current.metadata.priceRange.changePercent < worst.metadata.priceRange.changePercent ? current : worst
+          )
+        } : null
       });
+    } catch (error) {
+      sendError(res, error);
     }
+  });
 
-    const fromDate = from || chartService.getDateString(-30);
-    const toDate = to || chartService.getDateString(0);
+  // Risk and performance metrics for one symbol, e.g. /risk/AAPL?from=2024-01-01&benchmark=QQQ&confidence=0.99
+  router.get('/risk/:symbol', validateRequest(schemas.riskSymbol), handle(req => (
+    riskService.analyzeSymbol(req.params.symbol, riskOptions(req.query))
+  )));
 
-    const data = await chartService.getMultipleStocksData(symbols, timespan, fromDate, toDate);
-    
-    res.json({
-      success: true,
-      data,
-      comparison: {
-        bestPerformer: data.reduce((best, current) => 
-          current.metadata.priceRange.changePercent > best.metadata.priceRange.changePercent ? current : best
-        ),
-        worstPerformer: data.reduce((worst, current) => 
-          current.metadata.priceRange.changePercent < worst.metadata.priceRange.changePercent ? current : worst
-        )
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+  // Risk metrics and correlation matrix for a set of symbols: { symbols: [...], from, to, benchmark, riskFreeRate, confidence }
+  router.post('/risk', validateRequest(schemas.risk), handle(req => (
+    riskService.analyzeSymbols(req.body.symbols, riskOptions(req.body))
+  )));
 
-// Get market summary with AI insights
-router.get('/market-summary', async (req, res) => {
-  try {
-    const { symbols } = req.query;
+  // Get market summary with AI insights
+  router.get('/market-summary', validateRequest(schemas.marketSummary), handle(async req => {
     const defaultSymbols = ['AAPL', 'GOOGL', 'MSFT', 'AMZN', 'TSLA', 'META', 'NVDA', 'NFLX'];
-    const stockSymbols = symbols ? symbols.split(',') : defaultSymbols;
+    const requested = req.query.symbols ? req.query.symbols.split(',').map(symbol => symbol.trim()).filter(Boolean) : defaultSymbols;
+    const { resolved, errors: unknown } = symbols.resolveMany(requested);
+
+    const tickers = resolved.map(instrument => instrument.dataSymbol);
+
+    // News and risk failures only leave the prompt without headlines or risk figures
+    const [summary, news, risk] = await Promise.all([
+      chartService.getMarketSummary(tickers),
+      newsService.getMarketNews(),
+      optionalRisk(riskService.analyzeSymbols(tickers))
+    ]);
+
+    const marketData = { ...summary, errors: [...unknown, ...summary.errors] };
 
-    const marketData = await chartService.getMarketSummary(stockSymbols);
-    
     // Generate AI-powered market insights
-    const aiInsights = await aiService.generateMarketSummary(marketData);
-    
-    res.json({
-      success: true,
-      data: {
-        ...marketData,
-        aiInsights
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+    const aiInsights = await aiService.generateMarketSummary(marketData, news.articles, { risk });
 
-// Get personalized insights for user's watchlist
-router.post('/personalized-insights', async (req, res) => {
-  try {
-    const { watchlist, userId } = req.body;
+    return {
+      ...marketData,
+      risk,
+      aiInsights,
+      news: news.articles, // aiInsights.citedArticles lists the ones the summary relied on
+      newsErrors: news.errors
+    };
+  }));
 
-    if (!watchlist || !Array.isArray(watchlist)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Watchlist array is required'
-      });
-    }
+  // Get personalized insights for user's watchlist, or for a stored portfolio's actual positions
+  router.post('/personalized-insights', validateRequest(schemas.personalizedInsights), handle(async req => {
+    const { portfolioId, userId } = req.body;
 
-    // Get market data for user's watchlist
-    const marketData = await chartService.getMultipleStocksData(
-      watchlist,
-      'day',
-      chartService.getDateString(-30),
-      chartService.getDateString(0)
-    );
+    // Real quantities, cost basis and P&L ground the portfolio summary; holdings double as the watchlist
+    const portfolio = portfolioId ? await portfolioService.getValuation(portfolioId) : null;
+    const watchlist = Array.isArray(req.body.watchlist)
+      ? req.body.watchlist
+      : portfolio.holdings.map(holding => holding.symbol);
+
+    // Get market data and news for user's watchlist
+    const { resolved, errors: unknown } = symbols.resolveMany(watchlist);
+    const tickers = resolved.map(instrument => instrument.dataSymbol);
+    const [{ data: marketData, errors }, news, risk] = await Promise.all([
+      chartService.getMultipleStocksData(
+        tickers,
+        'day',
+        chartService.getDateString(-30),
+        chartService.getDateString(0)
+      ),
+      newsService.getNewsForSymbols(tickers),
+      // Portfolio risk weights holdings by value; a bare watchlist gets per-symbol figures
+      optionalRisk(portfolio ? riskService.analyzePortfolio(portfolioId) : riskService.analyzeSymbols(tickers))
+    ]);
 
     // Generate personalized AI insights
     const personalizedInsights = await aiService.generatePersonalizedInsights(
       watchlist,
-      { summary: marketData }
+      { summary: marketData },
+      news.articles,
+      { portfolio, risk }
     );
 
-    res.json({
-      success: true,
-      data: {
-        watchlist,
-        marketData,
-        insights: personalizedInsights,
-        userId
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+    return {
+      watchlist,
+      marketData,
+      errors: [...unknown, ...errors],
+      insights: personalizedInsights,
+      news: news.articles,
+      newsErrors: news.errors,
+      portfolio,
+      risk,
+      userId
+    };
+  }));
+
+  // Get detailed stock analysis
+  router.get('/analysis/:symbol', validateRequest(schemas.analysis), handle(async req => {
+    const instrument = symbols.require(req.params.symbol);
+    const symbol = instrument.dataSymbol;
 
-// Get detailed stock analysis
-router.get('/analysis/:symbol', async (req, res) => {
-  try {
-    const { symbol } = req.params;
-    
     // Get stock data
     const stockData = await chartService.getStockData(
       symbol,
@@ -150,61 +189,106 @@ router.get('/analysis/:symbol', async (req, res) => {
       chartService.getDateString(0)
     );
 
+    // Indicators use the full cached history so MA50/MACD have enough warm-up
+    const [{ series }, news, risk] = await Promise.all([
+      chartService.getSeries(symbol, 'day'),
+      newsService.getSymbolNews(symbol),
+      optionalRisk(riskService.analyzeSymbol(symbol))
+    ]);
+    const technicals = indicatorService.summarize(series);
+
     // Generate AI analysis
-    const analysis = await aiService.generateStockAnalysis(symbol, stockData);
+    const analysis = await aiService.generateStockAnalysis(symbol, stockData, news.articles, { technicals, risk });
+
+    return {
+      symbol,
+      instrument,
+      stockData,
+      technicals,
+      risk,
+      analysis, // analysis.citedArticles lists the news the model relied on
+      news: news.articles,
+      newsErrors: news.errors
+    };
+  }));
+
+  // Get technical indicators computed from the chart series
+  router.get('/indicators/:symbol', validateRequest(schemas.indicators), handle(async req => {
+    const { set, timespan, from, to, limit, provider } = req.query;
+
+    const indicatorSet = set.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+    // Period overrides such as ?rsiPeriod=7&bbStdDev=2.5
+    const params = {};
+    IndicatorService.paramNames
+      .filter(name => req.query[name] !== undefined)
+      .forEach(name => { params[name] = name === 'bbStdDev' ? req.query[name] : Math.round(req.query[name]); });
+
+    const fromDate = from || chartService.getDateString(-90);
+    const toDate = to || chartService.getDateString(0);
+
+    const symbol = symbols.require(req.params.symbol).dataSymbol;
+    const { series, source } = await chartService.getSeries(symbol, timespan, { provider });
+    const chart = chartService.formatChartData(series, symbol, { from: fromDate, to: toDate, limit });
+    const indicators = indicatorService.computeWindow(series, chart.data, indicatorSet, params);
+
+    return {
+      symbol,
+      timespan,
+      source,
+      data: chart.data,
+      indicators
+    };
+  }));
+
+  // Render a chart image, e.g. /render/AAPL.png?type=candlestick&indicators=ma20,bb&scheme=Dark
+  router.get('/render/:symbol.:format', validateRequest(schemas.render), async (req, res) => {
+    try {
+      const { format } = req.params;
+      const { type, scheme, indicators, volume, timespan, from, to, limit, downsample, provider, width, height } = req.query;
+
+      const indicatorSet = indicators.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+      const symbol = symbols.require(req.params.symbol).dataSymbol;
+      const { series } = await chartService.getSeries(symbol, timespan, { provider });
+      const chart = chartService.formatChartData(series, symbol, {
+        from: from || chartService.getDateString(-90),
+        to: to || chartService.getDateString(0),
+        limit,
+        downsample
+      });
+
+      if (!chart.data.length) {
+        return sendError(res, Object.assign(new Error(`No data to render for ${symbol} in the requested range`), { status: 404, code: 'NO_DATA' }));
+      }
+
+      const { buffer, mimeType } = await chartRenderService.render(chart, {
+        format,
+        type,
+        scheme,
+        width,
+        height,
+        showVolume: volume,
+        indicators: indicatorService.computeWindow(series, chart.data, indicatorSet)
+      });
 
+      res.set('Content-Type', mimeType);
+      res.set('Cache-Control', 'public, max-age=300');
+      res.send(buffer);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Get chart configuration presets
+  router.get('/presets', (req, res) => {
     res.json({
       success: true,
-      data: {
-        symbol,
-        stockData,
-        analysis
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
+      data: presets
     });
-  }
-});
-
-// Get chart configuration presets
-router.get('/presets', (req, res) => {
-  const presets = {
-    timeRanges: [
-      { label: '1 Day', value: '1D', timespan: 'minute', days: 1 },
-      { label: '1 Week', value: '1W', timespan: 'hour', days: 7 },
-      { label: '1 Month', value: '1M', timespan: 'day', days: 30 },
-      { label: '3 Months', value: '3M', timespan: 'day', days: 90 },
-      { label: '1 Year', value: '1Y', timespan: 'week', days: 365 },
-      { label: '5 Years', value: '5Y', timespan: 'month', days: 1825 }
-    ],
-    chartTypes: [
-      { label: 'Line Chart', value: 'line', icon: 'TrendingUp' },
-      { label: 'Candlestick', value: 'candlestick', icon: 'BarChart3' },
-      { label: 'Area Chart', value: 'area', icon: 'Area' },
-      { label: 'Volume Chart', value: 'volume', icon: 'BarChart' }
-    ],
-    indicators: [
-      { label: 'Moving Average (20)', value: 'ma20', type: 'overlay' },
-      { label: 'Moving Average (50)', value: 'ma50', type: 'overlay' },
-      { label: 'Bollinger Bands', value: 'bb', type: 'overlay' },
-      { label: 'RSI', value: 'rsi', type: 'oscillator' },
-      { label: 'MACD', value: 'macd', type: 'oscillator' }
-    ],
-    colorSchemes: [
-      { name: 'Default', primary: '#3B82F6', secondary: '#10B981', background: '#F8FAFC' },
-      { name: 'Dark', primary: '#60A5FA', secondary: '#34D399', background: '#1F2937' },
-      { name: 'Sunset', primary: '#F59E0B', secondary: '#EF4444', background: '#FEF3C7' },
-      { name: 'Ocean', primary: '#0EA5E9', secondary: '#06B6D4', background: '#E0F7FA' }
-    ]
-  };
-
-  res.json({
-    success: true,
-    data: presets
   });
-});
 
-module.exports = router;
\ No newline at end of file
+  return router;
+}
+
+module.exports = { createChartRouter };
\ No newline at end of file
@@ -0,0 +1,35 @@
+const express = require('express');
+const { createRouteHelpers } = require('../utils/routeHelpers');
+const { validateRequest } = require('../utils/validation');
+const { economics: schemas } = require('../schemas/requestSchemas');
+
+/**
+ * Economic indicator catalog, series and dataset imports (/api/economics).
+ * @param {object} services - Shared services from createApp(); uses economicService.
+ * @returns {express.Router}
+ */
+function createEconomicRouter(services) {
+  const router = express.Router();
+  const { economicService } = services;
+
+  // Service errors carry their status (400 invalid import, 404 unknown country or indicator)
+  const { handle } = createRouteHelpers('Economics');
+
+  // Indicator catalog, supported countries and the configured source order
+  router.get('/indicators', handle(() => economicService.getCatalog()));
+
+  // Historical series, e.g. /api/economics/malaysia/unemployment?from=2020-01-01&to=2024-12-31
+  router.get('/:country/:indicator', validateRequest(schemas.series), handle(req => economicService.getSeries(req.params.country, req.params.indicator, { from: req.query.from, to: req.query.to })));
+
+  // Import observations into the local dataset: { csv: "date,value\n..." } or { data: [{ date, value }] }
+  router.post('/:country/:indicator', validateRequest(schemas.import), handle(req => (
+    economicService.importSeries(req.params.country, req.params.indicator, req.body)
+  ), 201));
+
+  // Earlier form, e.g. /api/economics/cpi?country=malaysia
+  router.get('/:indicator', validateRequest(schemas.legacySeries), handle(req => economicService.getSeries(req.query.country || 'united states', req.params.indicator)));
+
+  return router;
+}
+
+module.exports = { createEconomicRouter };
@@ -0,0 +1,66 @@
+const express = require('express');
+const { validateRequest } = require('../utils/validation');
+const { createRouteHelpers } = require('../utils/routeHelpers');
+const { news: schemas } = require('../schemas/requestSchemas');
+
+/**
+ * News search, tagged symbol news, daily sentiment and the local article store (/api/news).
+ * @param {object} services - Shared services from createApp(); uses newsService.
+ * @returns {express.Router}
+ */
+function createNewsRouter(services) {
+  const router = express.Router();
+  const { newsService } = services;
+  const { handle } = createRouteHelpers('News');
+
+  // Search news for a keyword, company or ticker
+  router.get('/', validateRequest(schemas.search), handle(async req => {
+    const result = await newsService.fetchNews(req.query.q);
+    if (result.error) {
+      throw Object.assign(new Error(result.error), { status: 502, code: 'NEWS_UNAVAILABLE' });
+    }
+    return result;
+  }));
+
+  // Recent articles about a ticker, tagged and scored (falls back to stored articles if GNews fails)
+  router.get('/symbol/:symbol', validateRequest(schemas.symbol), handle(async req => {
+    const { articles, errors } = await newsService.getSymbolNews(req.params.symbol, { max: req.query.max });
+    return { symbol: req.params.symbol.toUpperCase(), articles, errors };
+  }));
+
+  // Daily sentiment series for a ticker, default last 30 days
+  router.get('/symbol/:symbol/sentiment', validateRequest(schemas.sentiment), handle(req => {
+    const from = req.query.from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    return newsService.getSentimentSeries(req.params.symbol, { from, to });
+  }));
+
+  // Stored articles, e.g. /articles?symbol=AAPL&from=2024-01-01&limit=50
+  router.get('/articles', validateRequest(schemas.articles), handle(req => {
+    const { symbol, from, to, limit } = req.query;
+    return newsService.listArticles({ symbol, from, to, limit });
+  }));
+
+  // Import articles into the local store: { articles: [{ title, description, url, source, publishedAt, symbols }] }
+  router.post('/articles', validateRequest(schemas.ingest), handle(req => {
+    const { articles, symbols = [] } = req.body;
+    return newsService.ingest(articles.map(article => ({
+      title: article.title,
+      description: article.description,
+      url: article.url,
+      source: article.source,
+      publishedAt: article.publishedAt || new Date().toISOString(),
+      symbols: (article.symbols || []).map(symbol => symbol.toUpperCase())
+    })), symbols);
+  }, 201));
+
+  // Score any text with the offline lexicon, e.g. to check a headline
+  router.post('/sentiment', validateRequest(schemas.score), handle(req => ({
+    ...newsService.sentimentService.scoreText(req.body.text),
+    symbols: newsService.tagger.tag(req.body.text)
+  })));
+
+  return router;
+}
+
+module.exports = { createNewsRouter };
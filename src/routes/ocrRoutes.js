@@ -0,0 +1,97 @@
+const express = require('express');
+const multer = require('multer'); // For handling file uploads (OCR)
+const OcrService = require('../services/ocrService');
+const { validateRequest } = require('../utils/validation');
+const { createRouteHelpers } = require('../utils/routeHelpers');
+const { ocr: schemas } = require('../schemas/requestSchemas');
+
+/**
+ * Text extraction from uploaded images and PDFs (/ocr).
+ * @param {object} config - Settings from loadConfig(); uses the upload limits.
+ * @param {object} services - Shared services from createApp(); uses tagger and documentService.
+ * @returns {express.Router}
+ */
+function createOcrRouter(config, services) {
+  const router = express.Router();
+  const { tagger, documentService } = services;
+  const ocrService = new OcrService({ tagger });
+
+  // Files stay in memory as buffers; the content type is checked here and the bytes by OcrService
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.uploadMaxBytes, files: config.uploadMaxFiles },
+    fileFilter: (req, file, callback) => {
+      if (OcrService.mimetypes.includes(file.mimetype)) return callback(null, true);
+      return callback(Object.assign(new Error(`Unsupported file type: ${file.mimetype}. Upload an image (PNG, JPEG, GIF, WEBP, BMP, TIFF) or a PDF.`), {
+        status: 415,
+        code: 'UNSUPPORTED_FILE_TYPE'
+      }));
+    }
+  });
+
+  // `image` or `file` for a single upload, `pages` for the pages of a multi-page scan in order
+  const uploadFields = upload.fields([
+    { name: 'image', maxCount: 1 },
+    { name: 'file', maxCount: 1 },
+    { name: 'pages', maxCount: config.uploadMaxFiles }
+  ]);
+
+  const MULTER_ERRORS = {
+    LIMIT_FILE_SIZE: [413, 'FILE_TOO_LARGE', () => `Files are limited to ${Math.round(config.uploadMaxBytes / 1024 / 1024)} MB.`],
+    LIMIT_FILE_COUNT: [413, 'TOO_MANY_FILES', () => `At most ${config.uploadMaxFiles} files can be uploaded at once.`],
+    LIMIT_UNEXPECTED_FILE: [400, 'UNEXPECTED_FIELD', error => `Unexpected file field "${error.field}". Use image, file or pages.`]
+  };
+
+  const { sendError } = createRouteHelpers('OCR');
+
+  // Runs multer and answers its limit errors in the same { success: false, error, code } shape
+  const receiveFiles = (req, res, next) => uploadFields(req, res, error => {
+    if (!error) return next();
+    const known = error instanceof multer.MulterError && MULTER_ERRORS[error.code];
+    if (known) {
+      const [status, code, message] = known;
+      return sendError(res, Object.assign(new Error(message(error)), { status, code }));
+    }
+    return sendError(res, error.status ? error : Object.assign(error, { status: 400, code: 'UPLOAD_FAILED' }));
+  });
+
+  // Which engines are configured and ready (tesseract.js installed, OCR.space key set)
+  router.get('/engines', (req, res) => {
+    res.json({ success: true, data: ocrService.listEngines() });
+  });
+
+  // Form fields or query: language (e.g. "eng+msa"), engine, structured=false to skip extraction,
+  // sessionId to keep the document in that /analyze session for search_documents
+  router.post('/', receiveFiles, validateRequest(schemas.extract), async (req, res) => {
+    const fields = req.files || {};
+    const files = [...(fields.image || []), ...(fields.file || []), ...(fields.pages || [])];
+    const options = { ...req.query, ...req.body };
+
+    try {
+      if (options.sessionId) documentService.checkSession(options.sessionId);
+      const result = await ocrService.extract(files, {
+        language: options.language,
+        engine: options.engine,
+        structured: options.structured !== false
+      });
+
+      const document = options.sessionId
+        ? await documentService.addDocument(options.sessionId, {
+          name: options.name || files[0].originalname,
+          mimetype: files[0].mimetype,
+          source: 'ocr',
+          pages: result.pages,
+          structured: result.structured
+        })
+        : undefined;
+      // extractedText stays at the top level, where clients of the original endpoint read it
+      res.json({ success: true, ...result, document });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createOcrRouter };
@@ -0,0 +1,101 @@
+const express = require('express');
+const multer = require('multer');
+const RiskService = require('../services/riskService');
+const StatementImportService = require('../services/statementImportService');
+const { createRouteHelpers } = require('../utils/routeHelpers');
+const { validateRequest } = require('../utils/validation');
+const { portfolios: schemas } = require('../schemas/requestSchemas');
+
+// Statement exports arrive as a `file` upload; images and PDFs go through /ocr first
+const CSV_TYPES = ['text/csv', 'text/plain', 'text/tab-separated-values', 'application/csv', 'application/vnd.ms-excel', 'application/octet-stream'];
+
+/**
+ * Portfolios, holdings, transactions, valuation and statement imports (/api/portfolios).
+ * @param {object} config - Settings from loadConfig(); uses the upload limit.
+ * @param {object} services - Shared services from createApp(); uses chartService, symbols, portfolioService and documentService.
+ * @returns {express.Router}
+ */
+function createPortfolioRouter(config, services) {
+  const router = express.Router();
+  const { chartService, symbols, portfolioService, documentService } = services;
+  const riskService = new RiskService({ chartService, portfolioService, symbols });
+  const importService = new StatementImportService({ portfolioService, documentService, symbols });
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.uploadMaxBytes, files: 1 },
+    fileFilter: (req, file, callback) => {
+      if (CSV_TYPES.includes(file.mimetype)) return callback(null, true);
+      return callback(Object.assign(new Error(`Unsupported file type: ${file.mimetype}. Upload a CSV export, or run statement images and PDFs through /ocr and import the text.`), {
+        status: 415,
+        code: 'UNSUPPORTED_FILE_TYPE'
+      }));
+    }
+  });
+
+  // Service errors carry their status (400 invalid input, 404 unknown portfolio/transaction/symbol)
+  const { sendError, handle } = createRouteHelpers('Portfolio');
+
+  // Multer errors (size, field name) answer in the same shape as service errors
+  const receiveStatement = (req, res, next) => upload.single('file')(req, res, error => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      Object.assign(error, error.code === 'LIMIT_FILE_SIZE'
+        ? { status: 413, code: 'FILE_TOO_LARGE' }
+        : { status: 400, code: 'UNEXPECTED_FIELD', message: `${error.message}. Upload the statement as "file".` });
+    }
+    return sendError(res, error);
+  });
+
+  // Broker statement import: preview what a CSV export or OCR'd statement parses into, then commit it.
+  // Preview, e.g. { csv, profile: "schwab" } or { text, mapping: { symbol: "Stock" } } or a multipart `file`
+  router.get('/import/profiles', handle(() => importService.listProfiles()));
+  router.post('/import/preview', receiveStatement, validateRequest(schemas.preview), handle(req => importService.preview({
+    ...req.body,
+    csv: req.file ? req.file.buffer.toString('utf8') : req.body.csv
+  }), 201));
+  router.get('/import/:previewId', handle(req => importService.getPreview(req.params.previewId)));
+  // Commit, e.g. { portfolioId } or { name: "Schwab", baseCurrency: "USD" } to create one; exclude: [rows] skips rows
+  router.post('/import/:previewId/commit', validateRequest(schemas.commit), handle(req => importService.commit(req.params.previewId, req.body), 201));
+
+  router.get('/', validateRequest(schemas.list), handle(req => portfolioService.listPortfolios({ userId: req.query.userId })));
+  router.post('/', validateRequest(schemas.create), handle(req => portfolioService.createPortfolio(req.body), 201));
+  router.get('/:id', handle(req => portfolioService.getPortfolio(req.params.id)));
+  router.patch('/:id', validateRequest(schemas.update), handle(req => portfolioService.updatePortfolio(req.params.id, req.body)));
+  router.delete('/:id', handle(async req => ({ deleted: await portfolioService.deletePortfolio(req.params.id) })));
+
+  // Open positions from the ledger (no price lookups)
+  router.get('/:id/holdings', handle(req => portfolioService.getHoldings(req.params.id)));
+  // Opening position, e.g. { symbol: "AAPL", quantity: 10, averageCost: 150, date: "2024-01-02" }
+  router.post('/:id/holdings', validateRequest(schemas.addHolding), handle(req => portfolioService.addHolding(req.params.id, req.body), 201));
+  router.delete('/:id/holdings/:symbol', handle(req => portfolioService.removeHolding(req.params.id, req.params.symbol)));
+
+  router.get('/:id/transactions', validateRequest(schemas.transactions), handle(req => portfolioService.listTransactions(req.params.id, {
+    symbol: req.query.symbol,
+    type: req.query.type
+  })));
+  router.post('/:id/transactions', validateRequest(schemas.addTransaction), handle(req => portfolioService.addTransaction(req.params.id, req.body), 201));
+  router.patch('/:id/transactions/:transactionId', validateRequest(schemas.updateTransaction), handle(req => portfolioService.updateTransaction(req.params.id, req.params.transactionId, req.body)));
+  router.delete('/:id/transactions/:transactionId', handle(async req => ({
+    deleted: await portfolioService.deleteTransaction(req.params.id, req.params.transactionId)
+  })));
+
+  // Priced holdings, realized/unrealized P&L and allocation in the base currency
+  router.get('/:id/valuation', handle(req => portfolioService.getValuation(req.params.id)));
+
+  // Daily value history, e.g. /:id/history?from=2024-01-01
+  router.get('/:id/history', validateRequest(schemas.history), handle(req => portfolioService.getHistory(req.params.id, { from: req.query.from, to: req.query.to })));
+
+  // Volatility, drawdown, Sharpe/Sortino, beta and VaR of the current holdings, e.g. /:id/risk?confidence=0.99
+  router.get('/:id/risk', validateRequest(schemas.risk), handle(req => riskService.analyzePortfolio(req.params.id, {
+    from: req.query.from,
+    to: req.query.to,
+    benchmark: req.query.benchmark,
+    riskFreeRate: req.query.riskFreeRate,
+    confidence: req.query.confidence
+  })));
+
+  return router;
+}
+
+module.exports = { createPortfolioRouter };
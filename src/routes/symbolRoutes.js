@@ -0,0 +1,29 @@
+const express = require('express');
+const { validateRequest } = require('../utils/validation');
+const { createRouteHelpers } = require('../utils/routeHelpers');
+const { symbols: schemas } = require('../schemas/requestSchemas');
+
+/**
+ * Symbol search and resolution (/api/symbols).
+ * @param {object} services - Shared services from createApp(); uses symbols.
+ * @returns {express.Router}
+ */
+function createSymbolRouter(services) {
+  const router = express.Router();
+  const { symbols } = services;
+  // Unknown symbols fail with 404 UNKNOWN_SYMBOL and the closest suggestions
+  const { handle } = createRouteHelpers('Symbols');
+
+  // Fuzzy search over tickers, company names and aliases, e.g. /search?q=nvida&assetType=equity&exchange=NASDAQ
+  router.get('/search', validateRequest(schemas.search), handle(req => {
+    const { q, assetType, exchange, limit } = req.query;
+    return symbols.search(q, { limit, assetType, exchange });
+  }));
+
+  // What a symbol or name resolves to before any market data request, e.g. /resolve/S&P%20500
+  router.get('/resolve/:input', validateRequest(schemas.resolve), handle(req => symbols.require(req.params.input)));
+
+  return router;
+}
+
+module.exports = { createSymbolRouter };
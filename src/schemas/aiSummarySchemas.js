@@ -0,0 +1,152 @@
+const Joi = require('joi');
+const { SchemaType } = require('@google/generative-ai');
+
+/**
+ * Output contracts for AISummaryService.
+ * Each entry pairs the `responseSchema` Gemini is asked to follow (JSON mode) with a joi
+ * schema that checks what actually came back, since the model can still drift from it.
+ */
+
+const SENTIMENTS = ['bullish', 'bearish', 'neutral', 'mixed'];
+const RECOMMENDATIONS = ['buy', 'hold', 'sell'];
+const CONFIDENCE = ['low', 'medium', 'high'];
+
+const stringList = { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } };
+
+// Numbers of the [n] news items from the prompt that the answer relies on
+const citations = {
+  type: SchemaType.ARRAY,
+  items: { type: SchemaType.INTEGER },
+  description: 'Numbers of the news items ([1], [2], ...) this answer relies on; empty if none'
+};
+const citationsValidator = Joi.array().items(Joi.number().integer().min(1)).default([]);
+
+const personalizedInsights = {
+  name: 'personalizedInsights',
+  responseSchema: {
+    type: SchemaType.OBJECT,
+    properties: {
+      portfolioSummary: { type: SchemaType.STRING, description: '2-3 sentence overview of recent watchlist performance, noting significant movers' },
+      risks: { ...stringList, description: '2-4 distinct risks relevant to the watchlist' },
+      opportunities: { ...stringList, description: '2-4 distinct opportunities relevant to the watchlist' },
+      recommendations: {
+        type: SchemaType.ARRAY,
+        description: '2-3 specific, actionable recommendations',
+        items: {
+          type: SchemaType.OBJECT,
+          properties: {
+            symbol: { type: SchemaType.STRING, nullable: true, description: 'Ticker the recommendation is about, or null if it is portfolio-wide' },
+            action: { type: SchemaType.STRING, format: 'enum', enum: [...RECOMMENDATIONS, 'review', 'diversify'] },
+            rationale: { type: SchemaType.STRING }
+          },
+          required: ['action', 'rationale']
+        }
+      },
+      marketOutlook: { type: SchemaType.STRING, description: '2-3 sentences on how the market outlook affects the watched stocks' },
+      sentiment: { type: SchemaType.STRING, format: 'enum', enum: SENTIMENTS },
+      citations
+    },
+    required: ['portfolioSummary', 'risks', 'opportunities', 'recommendations', 'marketOutlook', 'sentiment']
+  },
+  validator: Joi.object({
+    portfolioSummary: Joi.string().allow('').required(),
+    risks: Joi.array().items(Joi.string()).required(),
+    opportunities: Joi.array().items(Joi.string()).required(),
+    recommendations: Joi.array().items(Joi.object({
+      symbol: Joi.string().allow(null, ''),
+      action: Joi.string().lowercase().valid(...RECOMMENDATIONS, 'review', 'diversify').required(),
+      rationale: Joi.string().required()
+    })).required(),
+    marketOutlook: Joi.string().allow('').required(),
+    sentiment: Joi.string().lowercase().valid(...SENTIMENTS).required(),
+    citations: citationsValidator
+  })
+};
+
+const marketSummary = {
+  name: 'marketSummary',
+  responseSchema: {
+    type: SchemaType.OBJECT,
+    properties: {
+      overallSentiment: { type: SchemaType.STRING, format: 'enum', enum: SENTIMENTS },
+      sentimentRationale: { type: SchemaType.STRING, description: '1-2 sentence justification of the sentiment' },
+      keyMarketDrivers: { ...stringList, description: '3-4 primary factors currently influencing the market' },
+      sectorPerformance: {
+        type: SchemaType.OBJECT,
+        properties: {
+          leaders: { ...stringList, description: 'Best performing sectors with a short note each' },
+          laggards: { ...stringList, description: 'Worst performing sectors with a short note each' }
+        },
+        required: ['leaders', 'laggards']
+      },
+      riskAssessment: { ...stringList, description: 'Current major risks to the market' },
+      shortTermOutlook: { type: SchemaType.STRING, description: 'Expected direction or volatility over the next 1-2 weeks' },
+      citations
+    },
+    required: ['overallSentiment', 'sentimentRationale', 'keyMarketDrivers', 'sectorPerformance', 'riskAssessment', 'shortTermOutlook']
+  },
+  validator: Joi.object({
+    overallSentiment: Joi.string().lowercase().valid(...SENTIMENTS).required(),
+    sentimentRationale: Joi.string().allow('').required(),
+    keyMarketDrivers: Joi.array().items(Joi.string()).required(),
+    sectorPerformance: Joi.object({
+      leaders: Joi.array().items(Joi.string()).required(),
+      laggards: Joi.array().items(Joi.string()).required()
+    }).required(),
+    riskAssessment: Joi.array().items(Joi.string()).required(),
+    shortTermOutlook: Joi.string().allow('').required(),
+    citations: citationsValidator
+  })
+};
+
+const stockAnalysis = {
+  name: 'stockAnalysis',
+  responseSchema: {
+    type: SchemaType.OBJECT,
+    properties: {
+      currentPerformance: { type: SchemaType.STRING, description: 'Recent price and volume movements' },
+      technicalAnalysis: { type: SchemaType.STRING, description: 'Technical outlook quoting the computed indicator values' },
+      fundamentalFactors: { type: SchemaType.STRING },
+      newsImpact: { type: SchemaType.STRING },
+      riskReward: { type: SchemaType.STRING },
+      sentiment: { type: SchemaType.STRING, format: 'enum', enum: SENTIMENTS },
+      recommendation: { type: SchemaType.STRING, format: 'enum', enum: RECOMMENDATIONS },
+      confidence: { type: SchemaType.STRING, format: 'enum', enum: CONFIDENCE },
+      priceTarget: {
+        type: SchemaType.OBJECT,
+        properties: {
+          value: { type: SchemaType.NUMBER, nullable: true, description: 'Short-term target price, or null if one cannot be given' },
+          horizon: { type: SchemaType.STRING, description: 'Time frame for the target, e.g. "2-4 weeks"' },
+          rationale: { type: SchemaType.STRING, description: 'Why this target, or why none is given' }
+        },
+        required: ['value', 'rationale']
+      },
+      citations
+    },
+    required: ['currentPerformance', 'technicalAnalysis', 'fundamentalFactors', 'newsImpact', 'riskReward', 'sentiment', 'recommendation', 'confidence', 'priceTarget']
+  },
+  validator: Joi.object({
+    currentPerformance: Joi.string().allow('').required(),
+    technicalAnalysis: Joi.string().allow('').required(),
+    fundamentalFactors: Joi.string().allow('').required(),
+    newsImpact: Joi.string().allow('').required(),
+    riskReward: Joi.string().allow('').required(),
+    sentiment: Joi.string().lowercase().valid(...SENTIMENTS).required(),
+    recommendation: Joi.string().lowercase().valid(...RECOMMENDATIONS).required(),
+    confidence: Joi.string().lowercase().valid(...CONFIDENCE).required(),
+    priceTarget: Joi.object({
+      value: Joi.number().positive().allow(null).required(),
+      horizon: Joi.string().allow(''),
+      rationale: Joi.string().allow('').required()
+    }).required(),
+    citations: citationsValidator
+  })
+};
+
+module.exports = {
+  SENTIMENTS,
+  RECOMMENDATIONS,
+  personalizedInsights,
+  marketSummary,
+  stockAnalysis
+};
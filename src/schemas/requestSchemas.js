@@ -0,0 +1,465 @@
+const Joi = require('joi');
+const ChartService = require('../services/chartService');
+const IndicatorService = require('../services/indicatorService');
+const ChartRenderService = require('../services/chartRenderService');
+const BursaService = require('../services/bursaService');
+const PortfolioService = require('../services/portfolioService');
+const StatementImportService = require('../services/statementImportService');
+const AlertService = require('../services/alertService');
+const { listProviders } = require('../providers');
+const { listEngines } = require('../providers/ocr');
+const { listStrategies } = require('../strategies');
+const { VAR_CONFIDENCE_LEVELS } = require('../utils/riskMetrics');
+const { SESSION_ID_PATTERN } = require('../services/sessionStore');
+
+/**
+ * Request contracts for the /api, /analyze and /ocr routes, checked by validateRequest()
+ * in utils/validation before a handler runs. Each entry has optional `params`, `query` and
+ * `body` schemas; values come back converted ("100" -> 100) and with defaults filled in.
+ * Unknown keys are allowed so existing clients sending extra fields keep working.
+ */
+
+const TIMESPANS = ['minute', 'day', 'week', 'month'];
+const PERIODS = ['daily', 'weekly', 'monthly'];
+const ASSET_TYPES = ['equity', 'etf', 'index'];
+
+// Checked when a request arrives, so providers and engines registered at runtime are accepted
+const registered = list => Joi.string().custom((value, helpers) => (
+  list().includes(value) ? value : helpers.error('any.only', { valids: list() })
+));
+
+// Comma-separated names from a fixed set, e.g. "rsi,macd,bb"; `required` rejects an empty list
+const nameList = (available, { required = false } = {}) => (required ? Joi.string() : Joi.string().allow('')).custom((value, helpers) => {
+  const names = value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (required && !names.length) return helpers.error('list.empty');
+  const unknown = names.filter(name => !available.includes(name));
+  return unknown.length ? helpers.error('list.unknown', { unknown, valids: available }) : value;
+}).messages({
+  'list.empty': `{{#label}} must name at least one value. Available: ${available.join(', ')}`,
+  'string.empty': `{{#label}} must name at least one value. Available: ${available.join(', ')}`,
+  'list.unknown': '{{#label}} has unknown values {{#unknown}}. Available: {{#valids}}'
+});
+
+const symbol = Joi.string().trim().min(1).max(64);
+const symbolList = Joi.array().items(symbol).min(1).max(50);
+// Calendar days that do not exist (2024-02-30) are rejected
+const calendarDate = (value, helpers) => {
+  const day = new Date(value.slice(0, 10));
+  return Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== value.slice(0, 10) || Number.isNaN(new Date(value).getTime())
+    ? helpers.error('date.invalid')
+    : value;
+};
+// YYYY-MM-DD, optionally with a time
+const date = Joi.string().trim().pattern(/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/, 'YYYY-MM-DD date')
+  .custom(calendarDate)
+  .messages({ 'date.invalid': '{{#label}} is not a valid date' });
+// YYYY-MM-DD only, for daily series
+const day = Joi.string().trim().pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD date')
+  .custom(calendarDate)
+  .messages({ 'date.invalid': '{{#label}} is not a valid date' });
+const timespan = Joi.string().valid(...TIMESPANS).default('day');
+const provider = registered(listProviders);
+const id = Joi.string().pattern(SESSION_ID_PATTERN, 'id (letters, digits, _ or -, up to 64)');
+const text = Joi.string().trim().min(1).max(200);
+const userId = Joi.string().max(128);
+const limit = (max, fallback) => Joi.number().integer().min(1).max(max).default(fallback);
+const currency = Joi.string().trim().pattern(/^[A-Za-z]{3}$/, 'three-letter currency code');
+
+const riskOptions = {
+  from: date,
+  to: date,
+  benchmark: symbol,
+  riskFreeRate: Joi.number().min(0).max(1),
+  confidence: Joi.number().valid(...VAR_CONFIDENCE_LEVELS)
+};
+
+// Period overrides such as ?rsiPeriod=7&bbStdDev=2.5
+const indicatorParams = IndicatorService.paramNames.reduce((params, name) => ({
+  ...params,
+  [name]: Joi.number().positive()
+}), {});
+
+const charts = {
+  stock: {
+    params: Joi.object({ symbol: symbol.required() }),
+    query: Joi.object({
+      timespan,
+      from: date,
+      to: date,
+      limit: Joi.number().integer().min(1).max(5000).default(100),
+      cursor: Joi.string().max(64).custom((value, helpers) => (
+        ChartService.decodeCursor(value) === null ? helpers.error('cursor.invalid') : value
+      )).messages({ 'cursor.invalid': '{{#label}} is not a valid pagination cursor' }),
+      downsample: Joi.string().valid('lttb'),
+      provider
+    })
+  },
+  compare: {
+    body: Joi.object({
+      symbols: symbolList.required(),
+      timespan,
+      from: date,
+      to: date,
+      // Points per symbol; without it every symbol covers the whole range
+      limit: Joi.number().integer().min(1).max(5000),
+      downsample: Joi.string().valid('lttb'),
+      provider,
+      ...riskOptions
+    })
+  },
+  riskSymbol: {
+    params: Joi.object({ symbol: symbol.required() }),
+    query: Joi.object(riskOptions)
+  },
+  risk: {
+    body: Joi.object({ symbols: symbolList.required(), ...riskOptions })
+  },
+  marketSummary: {
+    query: Joi.object({ symbols: Joi.string().max(500) })
+  },
+  personalizedInsights: {
+    body: Joi.object({
+      watchlist: symbolList,
+      portfolioId: id,
+      userId: Joi.string().max(128)
+    }).or('watchlist', 'portfolioId').label('body')
+  },
+  analysis: {
+    params: Joi.object({ symbol: symbol.required() })
+  },
+  indicators: {
+    params: Joi.object({ symbol: symbol.required() }),
+    query: Joi.object({
+      set: nameList(IndicatorService.available, { required: true }).default('rsi,macd,bb'),
+      timespan,
+      from: date,
+      to: date,
+      limit: Joi.number().integer().min(1).max(5000).default(100),
+      provider,
+      ...indicatorParams
+    })
+  },
+  render: {
+    params: Joi.object({
+      symbol: symbol.required(),
+      format: Joi.string().valid(...ChartRenderService.formats).required()
+    }),
+    query: Joi.object({
+      type: Joi.string().valid(...ChartRenderService.chartTypes).default('line'),
+      scheme: Joi.string().max(32),
+      indicators: nameList(IndicatorService.available).default(''),
+      volume: Joi.boolean().default(false),
+      timespan,
+      from: date,
+      to: date,
+      limit: Joi.number().integer().min(1).max(5000).default(300),
+      downsample: Joi.string().valid('lttb'),
+      width: Joi.number().integer().min(200).max(2400).default(1000),
+      height: Joi.number().integer().min(150).max(1600).default(560),
+      provider
+    })
+  }
+};
+
+const sessionParams = Joi.object({ id: id.required() });
+
+const analyze = {
+  query: {
+    body: Joi.object({
+      query: Joi.string().trim().min(1).max(4000).required(),
+      sessionId: id
+    })
+  },
+  stream: {
+    query: Joi.object({ format: Joi.string().valid('sse', 'ndjson') }),
+    body: Joi.object({
+      query: Joi.string().trim().min(1).max(4000).required(),
+      sessionId: id
+    })
+  },
+  session: {
+    params: sessionParams
+  },
+  addDocument: {
+    params: sessionParams,
+    body: Joi.object({
+      name: Joi.string().trim().max(200),
+      text: Joi.string(),
+      pages: Joi.array().items(Joi.object({
+        page: Joi.number().integer().min(1),
+        text: Joi.string().allow('').required()
+      })).min(1).max(200)
+    }).xor('text', 'pages').label('body')
+  },
+  searchDocuments: {
+    params: sessionParams,
+    query: Joi.object({
+      q: Joi.string().trim().min(1).max(500).required(),
+      document: Joi.string().max(200),
+      limit: Joi.number().integer().min(1).max(20).default(5)
+    })
+  },
+  document: {
+    params: Joi.object({ id: id.required(), documentId: id.required() })
+  }
+};
+
+// OCR options arrive as multipart form fields or in the query string
+const ocrOptions = Joi.object({
+  language: Joi.string().pattern(/^[a-z_]{3,8}(\+[a-z_]{3,8})*$/, 'tesseract language codes (e.g. eng or eng+msa)'),
+  engine: registered(listEngines),
+  structured: Joi.boolean(),
+  sessionId: id,
+  name: Joi.string().trim().max(200)
+});
+
+const ocr = {
+  extract: {
+    query: ocrOptions,
+    body: ocrOptions
+  }
+};
+
+const news = {
+  search: {
+    query: Joi.object({ q: text.required() })
+  },
+  symbol: {
+    params: Joi.object({ symbol: symbol.required() }),
+    query: Joi.object({ max: limit(20, 5) })
+  },
+  sentiment: {
+    params: Joi.object({ symbol: symbol.required() }),
+    query: Joi.object({ from: day, to: day })
+  },
+  articles: {
+    query: Joi.object({ symbol, from: day, to: day, limit: limit(500, 50) })
+  },
+  ingest: {
+    body: Joi.object({
+      articles: Joi.array().items(Joi.object({
+        title: Joi.string().trim().min(1).max(500).required(),
+        description: Joi.string().allow('', null),
+        url: Joi.string().allow('', null),
+        source: Joi.alternatives(Joi.string(), Joi.object()).allow(null),
+        publishedAt: date,
+        symbols: Joi.array().items(symbol)
+      })).min(1).max(1000).required(),
+      symbols: Joi.array().items(symbol)
+    })
+  },
+  score: {
+    body: Joi.object({ text: Joi.string().trim().min(1).max(20000).required() })
+  }
+};
+
+// Country and indicator names are resolved (with aliases) by EconomicService
+const economics = {
+  series: {
+    query: Joi.object({ from: day, to: day })
+  },
+  import: {
+    body: Joi.object({
+      csv: Joi.string(),
+      data: Joi.array().items(Joi.object({
+        date: day.required(),
+        value: Joi.number().required()
+      })).min(1)
+    }).xor('csv', 'data').label('body')
+  },
+  legacySeries: {
+    query: Joi.object({ country: text })
+  }
+};
+
+const bursa = {
+  stocks: {
+    query: Joi.object({ q: Joi.string().trim().max(100).allow('') })
+  },
+  announcements: {
+    params: Joi.object({ symbol: symbol.required() }),
+    query: Joi.object({
+      category: Joi.string().valid(...BursaService.announcementCategories),
+      limit: limit(100, 20)
+    })
+  },
+  importAnnouncements: {
+    body: Joi.object({ announcements: Joi.array().items(Joi.object()).min(1).max(5000).required() })
+  },
+  historical: {
+    params: Joi.object({ symbol: symbol.required() }),
+    query: Joi.object({ period: Joi.string().lowercase().valid(...PERIODS).default('daily') })
+  },
+  importPrices: {
+    params: Joi.object({ symbol: symbol.required() }),
+    body: Joi.object({
+      csv: Joi.string(),
+      data: Joi.array().items(Joi.object()).min(1)
+    }).xor('csv', 'data').label('body')
+  }
+};
+
+const symbols = {
+  search: {
+    query: Joi.object({
+      q: text.required(),
+      assetType: Joi.string().valid(...ASSET_TYPES),
+      exchange: Joi.string().trim().max(32),
+      limit: limit(50, 10)
+    })
+  },
+  resolve: {
+    params: Joi.object({ input: text.required() })
+  }
+};
+
+// Portfolio, transaction and preview ids stay unchecked here so unknown ones keep answering 404
+const transaction = {
+  type: Joi.string().lowercase().valid(...PortfolioService.transactionTypes),
+  symbol,
+  date: day,
+  quantity: Joi.number().positive(),
+  price: Joi.number().min(0),
+  amount: Joi.number().positive(),
+  fees: Joi.number().min(0),
+  currency,
+  note: Joi.string().allow('').max(500)
+};
+
+const portfolio = {
+  name: Joi.string().trim().min(1).max(100),
+  baseCurrency: currency,
+  userId: userId.allow(null, '')
+};
+
+const portfolios = {
+  list: {
+    query: Joi.object({ userId })
+  },
+  create: {
+    body: Joi.object({ ...portfolio, name: portfolio.name.required() })
+  },
+  update: {
+    body: Joi.object(portfolio)
+  },
+  addHolding: {
+    body: Joi.object({
+      symbol: symbol.required(),
+      quantity: Joi.number().positive().required(),
+      averageCost: Joi.number().min(0),
+      price: Joi.number().min(0),
+      fees: transaction.fees,
+      currency,
+      date: day,
+      note: transaction.note
+    }).or('averageCost', 'price').label('body')
+  },
+  transactions: {
+    query: Joi.object({ symbol, type: transaction.type })
+  },
+  addTransaction: {
+    body: Joi.object({ ...transaction, type: transaction.type.required(), symbol: symbol.required() })
+  },
+  updateTransaction: {
+    body: Joi.object(transaction)
+  },
+  history: {
+    query: Joi.object({ from: day, to: day })
+  },
+  risk: {
+    query: Joi.object(riskOptions)
+  },
+  // Multipart form fields arrive as strings, so mapping may be JSON text
+  preview: {
+    body: Joi.object({
+      csv: Joi.string(),
+      text: Joi.string(),
+      documentId: id,
+      sessionId: id,
+      profile: Joi.string().max(64),
+      mapping: Joi.alternatives(Joi.object(), Joi.string()),
+      dateOrder: Joi.string().uppercase().valid(...StatementImportService.dateOrders),
+      currency,
+      date: day
+    }).with('documentId', 'sessionId')
+  },
+  commit: {
+    body: Joi.object({
+      portfolioId: Joi.string().max(64),
+      name: portfolio.name,
+      baseCurrency: currency,
+      userId: portfolio.userId,
+      exclude: Joi.array().items(Joi.number().integer().min(1))
+    }).or('portfolioId', 'name').label('body')
+  }
+};
+
+const alertRule = {
+  name: Joi.string().trim().max(100),
+  userId: userId.allow(null, ''),
+  symbol,
+  type: Joi.string().lowercase().valid(...AlertService.types),
+  // Checked per alert type by AlertService
+  params: Joi.object(),
+  webhook: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    secret: Joi.string().min(16)
+  }).allow(null),
+  cooldownMinutes: Joi.number().min(0),
+  enabled: Joi.boolean()
+};
+
+const alerts = {
+  list: {
+    query: Joi.object({ userId, symbol })
+  },
+  create: {
+    body: Joi.object({ ...alertRule, symbol: symbol.required(), type: alertRule.type.required() })
+  },
+  update: {
+    body: Joi.object(alertRule)
+  },
+  history: {
+    query: Joi.object({ ruleId: Joi.string().max(64), symbol, limit: limit(500, 50) })
+  },
+  ruleHistory: {
+    query: Joi.object({ limit: limit(500, 50) })
+  }
+};
+
+// Strategy parameters are checked against the strategy's own ranges by BacktestService
+const backtest = {
+  run: {
+    body: Joi.object({
+      symbol: symbol.required(),
+      strategy: registered(listStrategies),
+      params: Joi.object(),
+      from: day,
+      to: day,
+      initialCapital: Joi.number().min(1),
+      commissionPerTrade: Joi.number().min(0),
+      commissionPercent: Joi.number().min(0).max(10),
+      slippageBps: Joi.number().min(0).max(1000),
+      riskFreeRate: Joi.number().min(0).max(1),
+      curvePoints: Joi.number().integer().min(10).max(5000),
+      allowFractional: Joi.boolean()
+    })
+  }
+};
+
+module.exports = {
+  TIMESPANS,
+  PERIODS,
+  registered,
+  fields: { symbol, symbolList, date, day, timespan, id },
+  charts,
+  analyze,
+  ocr,
+  news,
+  economics,
+  bursa,
+  symbols,
+  portfolios,
+  alerts,
+  backtest
+};
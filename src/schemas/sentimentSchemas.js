@@ -0,0 +1,39 @@
+const Joi = require('joi');
+const { SchemaType } = require('@google/generative-ai');
+
+const LABELS = ['positive', 'negative', 'neutral'];
+
+// Batch article scoring by the LLM: one entry per numbered headline in the prompt
+const articleSentiment = {
+  name: 'articleSentiment',
+  responseSchema: {
+    type: SchemaType.OBJECT,
+    properties: {
+      scores: {
+        type: SchemaType.ARRAY,
+        items: {
+          type: SchemaType.OBJECT,
+          properties: {
+            item: { type: SchemaType.INTEGER, description: 'Number of the article in the prompt' },
+            score: { type: SchemaType.NUMBER, description: 'Sentiment for investors from -1 (very negative) to 1 (very positive)' },
+            label: { type: SchemaType.STRING, format: 'enum', enum: LABELS }
+          },
+          required: ['item', 'score', 'label']
+        }
+      }
+    },
+    required: ['scores']
+  },
+  validator: Joi.object({
+    scores: Joi.array().items(Joi.object({
+      item: Joi.number().integer().min(1).required(),
+      score: Joi.number().min(-1).max(1).required(),
+      label: Joi.string().lowercase().valid(...LABELS).required()
+    })).required()
+  })
+};
+
+module.exports = {
+  LABELS,
+  articleSentiment
+};
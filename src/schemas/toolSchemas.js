@@ -0,0 +1,69 @@
+const Joi = require('joi');
+const { listStrategies } = require('../strategies');
+const BursaService = require('../services/bursaService');
+const { PERIODS, registered, fields } = require('./requestSchemas');
+
+/**
+ * Argument contracts for the tools Gemini calls from /analyze (see TOOL_DECLARATIONS in
+ * services/toolService), checked before a tool runs. A failure goes back to the model as the
+ * tool's `{ error }` result, which is usually enough for it to correct the call.
+ */
+
+const text = Joi.string().trim().min(1).max(200);
+const { symbol, symbolList, date } = fields;
+
+const toolSchemas = {
+  fetch_news: Joi.object({ keyword: text.required() }),
+  get_stock_data: Joi.object({ ticker: symbol.required() }),
+  get_bursa_announcements: Joi.object({
+    symbol: symbol.required(),
+    category: Joi.string().valid(...BursaService.announcementCategories)
+  }),
+  analyze_social_sentiment: Joi.object({ keyword: text.required() }),
+  get_economic_data: Joi.object({
+    indicator: text.required(),
+    country: text
+  }),
+  get_historical_stock_data: Joi.object({
+    ticker: symbol.required(),
+    period: Joi.string().lowercase().valid(...PERIODS)
+  }),
+  get_bursa_historical_data: Joi.object({
+    symbol: symbol.required(),
+    period: Joi.string().lowercase().valid(...PERIODS)
+  }),
+  get_economic_indicator_data: Joi.object({
+    indicatorCode: text.required(),
+    countryCode: text,
+    from: date,
+    to: date
+  }),
+  get_risk_metrics: Joi.object({
+    symbols: symbolList.max(10).required(),
+    benchmark: symbol,
+    from: date,
+    to: date
+  }),
+  run_backtest: Joi.object({
+    symbol: symbol.required(),
+    strategy: registered(listStrategies),
+    from: date,
+    to: date,
+    fastPeriod: Joi.number().integer().min(1),
+    slowPeriod: Joi.number().integer().min(1),
+    rsiPeriod: Joi.number().integer().min(1),
+    oversold: Joi.number().min(0).max(100),
+    exitLevel: Joi.number().min(0).max(100),
+    initialCapital: Joi.number().positive(),
+    commissionPerTrade: Joi.number().min(0),
+    slippageBps: Joi.number().min(0)
+  }),
+  search_documents: Joi.object({
+    query: Joi.string().trim().min(1).max(500).required(),
+    document: Joi.string().max(200),
+    limit: Joi.number().integer().min(1).max(20)
+  }),
+  generate_image_tool: Joi.object({ prompt: Joi.string().trim().min(1).max(2000).required() })
+};
+
+module.exports = toolSchemas;
@@ -1,12 +1,14 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const CacheService = require('./cacheService');
+const { sharedLLMClient } = require('./llmClient');
+const schemas = require('../schemas/aiSummarySchemas');
 
 class AISummaryService {
-  constructor() {
-    // Initialize GoogleGenerativeAI with your API key
-    // Ensure process.env.GEMINI_API_KEY is set in your .env file
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    // Use gemini-2.0-flash as it's efficient for text generation
-    this.model = this.genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+  constructor(options = {}) {
+    this.cache = options.cache || CacheService.shared();
+    // Model choice, API key, retries and usage accounting live in the LLM client ('summary' task)
+    this.llm = options.llm || sharedLLMClient();
+    // Total tries per structured request: the first answer plus repair attempts
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.AI_JSON_MAX_ATTEMPTS || '2', 10);
   }
 
   /**
@@ -14,11 +16,13 @@ class AISummaryService {
    * @param {string[]} userWatchlist - Array of stock symbols in the user's watchlist.
    * @param {object} marketData - Comprehensive market data, including summary of watched stocks.
    * @param {Array<object>} newsData - Relevant news articles (e.g., from a news API).
+   * @param {object} options - { portfolio, risk }: a PortfolioService valuation whose positions and P&L ground the summary,
+   *   and RiskService figures for the portfolio or watchlist that ground the risk section.
    * @returns {Promise<object>} - An object containing parsed personalized insights.
    */
-  async generatePersonalizedInsights(userWatchlist, marketData, newsData = []) {
+  async generatePersonalizedInsights(userWatchlist, marketData, newsData = [], options = {}) {
     try {
-      const context = this.buildContext(userWatchlist, marketData, newsData);
+      const context = this.buildContext(userWatchlist, marketData, newsData, options.portfolio, options.risk);
 
       // Enhanced prompt for personalized insights, requesting specific sections
       const prompt = `
@@ -28,41 +32,28 @@ class AISummaryService {
 
         Recent Market Performance (from their watchlist):
         ${context.marketSummary}
-
-        Recent Key News Headlines:
+${context.portfolioSummary ? `
+        Portfolio Positions (actual holdings, cost basis and P&L):
+        ${context.portfolioSummary}
+` : ''}${context.riskSummary ? `
+        Risk Metrics (computed from daily returns):
+        ${context.riskSummary}
+` : ''}
+        Recent Key News (cite items by number):
         ${context.newsSummary}
 
-        Please structure your response into the following clear sections:
-        1.  **Portfolio Performance Summary**: A brief, 2-3 sentence overview of how their watchlist has performed recently, noting any significant movers.
-        2.  **Key Risks and Opportunities**: Identify 3-4 distinct risks (e.g., sector-specific downturns, company-specific challenges) and opportunities (e.g., growth catalysts, undervalued assets) relevant to their watchlist. Use bullet points.
-        3.  **Personalized Recommendations**: Provide 2-3 specific, actionable recommendations (e.g., "Consider reviewing TSLA for volatility," "AAPL looks stable for long-term holding," "Explore diversification into X sector").
-        4.  **Market Outlook Impact**: Explain, in 2-3 sentences, how the current overall market outlook (bullish/bearish) or recent economic reports might specifically influence their watched stocks.
+        Respond with a JSON object containing:
+        - portfolioSummary: A brief, 2-3 sentence overview of how their watchlist has performed recently, noting any significant movers. When portfolio positions are given, base it on their actual P&L and allocation figures.
+        - risks and opportunities: 2-4 distinct risks (e.g., sector-specific downturns, company-specific challenges) and opportunities (e.g., growth catalysts, undervalued assets) relevant to their watchlist, one per array item. When risk metrics are given, quantify risks with them (volatility, drawdown, beta, Value-at-Risk, highly correlated holdings).
+        - recommendations: 2-3 specific, actionable recommendations, each with the ticker it concerns (or null), an action (buy, hold, sell, review or diversify) and a short rationale.
+        - marketOutlook: 2-3 sentences on how the current overall market outlook or recent economic reports might specifically influence their watched stocks.
+        - sentiment: Your overall read of the watchlist: bullish, bearish, neutral or mixed.
+        - citations: The numbers of the news items you relied on.
 
         Ensure your analysis is professional, data-driven, and easy for a non-expert user to understand.
       `;
 
-      // Call Gemini API to generate content
-      const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
-      const apiKey = "" // If you want to use models other than gemini-2.0-flash or imagen-3.0-generate-002, provide an API key here. Otherwise, leave this as-is.
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-      const response = await fetch(apiUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-      });
-
-      const result = await response.json(); // Await the JSON parsing
-
-      if (result.candidates && result.candidates.length > 0 &&
-          result.candidates[0].content && result.candidates[0].content.parts &&
-          result.candidates[0].content.parts.length > 0) {
-        const text = result.candidates[0].content.parts[0].text;
-        return this.parseAIResponse(text);
-      } else {
-        console.error("Gemini API response structure unexpected:", result);
-        throw new Error("Invalid response from AI service.");
-      }
+      return this.attachCitations(await this.requestStructured(prompt, schemas.personalizedInsights), newsData);
 
     } catch (error) {
       console.error('Error generating personalized insights:', error);
@@ -74,9 +65,10 @@ class AISummaryService {
    * Generates a comprehensive market summary based on provided data.
    * @param {object} marketData - Overall market data (e.g., top gainers/losers, trends).
    * @param {Array<object>} newsData - Recent financial news articles.
+   * @param {object} options - { risk }: RiskService figures for the summarized symbols.
    * @returns {Promise<object>} - An object containing parsed market summary insights.
    */
-  async generateMarketSummary(marketData, newsData = []) {
+  async generateMarketSummary(marketData, newsData = [], options = {}) {
     try {
       // Enhanced prompt for market summary, requesting specific sections and tone
       const prompt = `
@@ -85,41 +77,24 @@ class AISummaryService {
         Market Data Summary:
         ${JSON.stringify(marketData, null, 2)}
 
-        Recent Financial News Headlines (if available):
-        ${newsData.length > 0 ? newsData.map(news => `- ${news.title}: ${news.summary}`).join('\n') : 'No recent news provided.'}
+        Risk Metrics (computed from daily returns):
+        ${options.risk ? this.formatRisk(options.risk) : 'Not available.'}
+
+        Recent Financial News (cite items by number):
+        ${this.formatNews(newsData, 'No recent news provided.')}
 
-        Please provide the following:
-        1.  **Overall Market Sentiment**: A clear, 1-2 sentence assessment (e.g., "bullish," "bearish," "neutral," or "mixed") with a brief justification.
-        2.  **Key Market Drivers**: List 3-4 primary factors currently influencing the market (e.g., inflation, interest rates, tech innovation, geopolitical events). Use bullet points.
-        3.  **Sector Performance Analysis**: Identify and briefly describe the top 2-3 performing and underperforming sectors mentioned in the data, if discernible.
-        4.  **Risk Assessment**: Summarize current major risks to the market (e.g., recession fears, supply chain disruptions, regulatory changes).
-        5.  **Short-term Outlook**: Provide a forward-looking statement (next 1-2 weeks) on potential market direction or volatility.
+        Respond with a JSON object containing:
+        - overallSentiment: bullish, bearish, neutral or mixed, with a 1-2 sentence justification in sentimentRationale.
+        - keyMarketDrivers: 3-4 primary factors currently influencing the market (e.g., inflation, interest rates, tech innovation, geopolitical events).
+        - sectorPerformance: The top 2-3 performing (leaders) and underperforming (laggards) sectors in the data, if discernible; use empty arrays otherwise.
+        - riskAssessment: Current major risks to the market (e.g., recession fears, supply chain disruptions, regulatory changes), quoting the computed volatility, drawdown and Value-at-Risk figures where available.
+        - shortTermOutlook: A forward-looking statement (next 1-2 weeks) on potential market direction or volatility.
+        - citations: The numbers of the news items you relied on.
 
         Maintain a professional, analytical, and objective tone.
       `;
 
-      // Call Gemini API to generate content
-      const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
-      const apiKey = "" // If you want to use models other than gemini-2.0-flash or imagen-3.0-generate-002, provide an API key here. Otherwise, leave this as-is.
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-      const response = await fetch(apiUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-      });
-
-      const result = await response.json(); // Await the JSON parsing
-
-      if (result.candidates && result.candidates.length > 0 &&
-          result.candidates[0].content && result.candidates[0].content.parts &&
-          result.candidates[0].content.parts.length > 0) {
-        const text = result.candidates[0].content.parts[0].text;
-        return this.parseMarketSummary(text);
-      } else {
-        console.error("Gemini API response structure unexpected:", result);
-        throw new Error("Invalid response from AI service.");
-      }
+      return this.attachCitations(await this.requestStructured(prompt, schemas.marketSummary), newsData);
 
     } catch (error) {
       console.error('Error generating market summary:', error);
@@ -132,9 +107,10 @@ class AISummaryService {
    * @param {string} symbol - The stock symbol.
    * @param {object} stockData - Historical and metadata for the specific stock.
    * @param {Array<object>} newsData - Recent news relevant to the stock.
+   * @param {object} context - Extra computed inputs: { technicals } from IndicatorService.summarize, { risk } from RiskService.analyzeSymbol.
    * @returns {Promise<object>} - An object containing parsed stock analysis insights.
    */
-  async generateStockAnalysis(symbol, stockData, newsData = []) {
+  async generateStockAnalysis(symbol, stockData, newsData = [], context = {}) {
     try {
       const prompt = `
         Provide a detailed financial analysis for ${symbol} based on its recent performance and relevant news. Act as a senior stock analyst.
@@ -142,42 +118,29 @@ class AISummaryService {
         Stock Performance Data (Metadata):
         ${JSON.stringify(stockData.metadata, null, 2)}
 
-        Recent News relevant to ${symbol}:
-        ${newsData.length > 0 ? newsData.map(news => `- ${news.title}: ${news.summary}`).join('\n') : 'No specific news provided.'}
-
-        Please provide:
-        1.  **Current Performance Assessment**: A summary of ${symbol}'s recent price and volume movements.
-        2.  **Technical Analysis Summary**: Based on basic indicators (like change %, trends), provide a brief technical outlook.
-        3.  **Fundamental Factors**: Discuss any fundamental aspects implied by the data or general knowledge (e.g., industry position, growth prospects).
-        4.  **News Impact Analysis**: How might the provided news (if any) specifically affect ${symbol}?
-        5.  **Risk-Reward Assessment**: Briefly outline the potential risks and rewards of investing in ${symbol} currently.
-        6.  **Short-term Price Target (Optional)**: If confident, provide a realistic short-term price target based on the analysis, or state why one cannot be given.
+        Technical Indicators (computed from daily price history):
+        ${context.technicals ? JSON.stringify(context.technicals, null, 2) : 'Not available.'}
 
-        Be specific with numbers, percentages, and timeframes where possible.
-      `;
+        Risk Metrics (computed from daily returns):
+        ${context.risk ? this.formatRisk(context.risk) : 'Not available.'}
 
-      // Call Gemini API to generate content
-      const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
-      const apiKey = "" // If you want to use models other than gemini-2.0-flash or imagen-3.0-generate-002, provide an API key here. Otherwise, leave this as-is.
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
+        Recent News relevant to ${symbol} (cite items by number):
+        ${this.formatNews(newsData, 'No specific news provided.')}
 
-      const response = await fetch(apiUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-      });
+        Respond with a JSON object containing:
+        - currentPerformance: A summary of ${symbol}'s recent price and volume movements.
+        - technicalAnalysis: Based on the computed indicators above (RSI, MACD, moving averages, Bollinger Bands, ATR, stochastic), a brief technical outlook. Quote the actual values; if indicators are not available, fall back to change % and trend.
+        - fundamentalFactors: Any fundamental aspects implied by the data or general knowledge (e.g., industry position, growth prospects).
+        - newsImpact: How the provided news (if any) might specifically affect ${symbol}.
+        - riskReward: The potential risks and rewards of investing in ${symbol} currently. Quote the computed volatility, max drawdown, Sharpe ratio, beta and Value-at-Risk where available.
+        - sentiment (bullish, bearish, neutral or mixed), recommendation (buy, hold or sell) and your confidence in it (low, medium or high).
+        - priceTarget: A realistic short-term target price as a number with its horizon, or value null if you are not confident; explain either way in rationale.
+        - citations: The numbers of the news items you relied on.
 
-      const result = await response.json(); // Await the JSON parsing
+        Be specific with numbers, percentages, and timeframes where possible.
+      `;
 
-      if (result.candidates && result.candidates.length > 0 &&
-          result.candidates[0].content && result.candidates[0].content.parts &&
-          result.candidates[0].content.parts.length > 0) {
-        const text = result.candidates[0].content.parts[0].text;
-        return this.parseStockAnalysis(text);
-      } else {
-        console.error("Gemini API response structure unexpected:", result);
-        throw new Error("Invalid response from AI service.");
-      }
+      return this.attachCitations(await this.requestStructured(prompt, schemas.stockAnalysis), newsData);
 
     } catch (error) {
       console.error('Error generating stock analysis:', error);
@@ -185,172 +148,172 @@ class AISummaryService {
     }
   }
 
-  // Helper to build context for AI prompts
-  buildContext(watchlist, marketData, newsData) {
-    const marketSummary = marketData.summary
-      ? marketData.summary.map(stock =>
-          `${stock.symbol}: ${stock.metadata.priceRange.changePercent.toFixed(2)}% change, Current: $${stock.metadata.priceRange.current.toFixed(2)}`
-        ).join(', ')
-      : 'No detailed market data available.';
-
-    const newsSummary = newsData.length > 0
-      ? newsData.slice(0, 5).map(news => news.title).join('; ')
-      : 'No recent news available.';
-
-    return {
-      marketSummary,
-      newsSummary
-    };
-  }
-
-  // --- Parsing functions for AI responses (these might need fine-tuning based on actual AI output) ---
-  // The AI might not always adhere perfectly to the structure, so these are basic attempts.
-  parseAIResponse(content) {
-    // Attempt to parse sections based on headings
-    const sections = {};
-    const lines = content.split('\n');
-    let currentSection = '';
-
-    lines.forEach(line => {
-      if (line.startsWith('1. **Portfolio Performance Summary**:')) {
-        currentSection = 'portfolioSummary';
-        sections[currentSection] = line.replace('1. **Portfolio Performance Summary**:', '').trim();
-      } else if (line.startsWith('2. **Key Risks and Opportunities**:')) {
-        currentSection = 'risksAndOpportunities';
-        sections[currentSection] = line.replace('2. **Key Risks and Opportunities**:', '').trim();
-      } else if (line.startsWith('3. **Personalized Recommendations**:')) {
-        currentSection = 'recommendations';
-        sections[currentSection] = line.replace('3. **Personalized Recommendations**:', '').trim();
-      } else if (line.startsWith('4. **Market Outlook Impact**:')) {
-        currentSection = 'marketOutlook';
-        sections[currentSection] = line.replace('4. **Market Outlook Impact**:', '').trim();
-      } else if (currentSection) {
-        sections[currentSection] += '\n' + line.trim();
+  /**
+   * Asks Gemini for JSON matching `schema` (see schemas/aiSummarySchemas) and validates it.
+   * Output that fails to parse or validate is sent back with the errors for a repair attempt,
+   * up to `maxAttempts` in total. Validated results for identical prompts come from the cache.
+   * @param {string} prompt - The full prompt text.
+   * @param {object} schema - { name, responseSchema, validator }.
+   * @returns {Promise<object>} - The validated fields plus fullResponse (raw model text) and timestamp.
+   */
+  async requestStructured(prompt, schema) {
+    return this.cache.wrap(`ai:${schema.name}:${CacheService.hashKey(prompt)}`, async () => {
+      const generationConfig = { responseMimeType: 'application/json', responseSchema: schema.responseSchema };
+      let currentPrompt = prompt;
+      let problem = '';
+
+      for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+        const text = await this.requestCompletion(currentPrompt, generationConfig);
+
+        let parsed;
+        try {
+          parsed = this.parseJson(text);
+        } catch (error) {
+          problem = `it was not valid JSON (${error.message})`;
+        }
+
+        if (parsed !== undefined) {
+          const { value, error } = schema.validator.validate(parsed, { abortEarly: false, stripUnknown: true });
+          if (!error) {
+            return { ...value, fullResponse: text, timestamp: new Date().toISOString() };
+          }
+          problem = error.details.map(detail => detail.message).join('; ');
+        }
+
+        console.warn(`[AISummary] ${schema.name} attempt ${attempt} rejected: ${problem}`);
+        currentPrompt = `${prompt}
+
+        Your previous reply could not be used because ${problem}.
+        Previous reply:
+        ${text}
+
+        Reply again with only the corrected JSON object.`;
       }
-    });
 
-    return {
-      portfolioSummary: sections.portfolioSummary || '',
-      risksAndOpportunities: sections.risksAndOpportunities || '',
-      recommendations: sections.recommendations || '',
-      marketOutlook: sections.marketOutlook || '',
-      fullResponse: content,
-      timestamp: new Date().toISOString()
-    };
+      throw new Error(`AI response did not match the expected format: ${problem}`);
+    }, 'ai');
   }
 
-  parseMarketSummary(content) {
-    const sections = {};
-    const lines = content.split('\n');
-    let currentSection = '';
-
-    lines.forEach(line => {
-      if (line.startsWith('1. **Overall Market Sentiment**:')) {
-        currentSection = 'sentiment';
-        sections[currentSection] = line.replace('1. **Overall Market Sentiment**:', '').trim();
-      } else if (line.startsWith('2. **Key Market Drivers**:')) {
-        currentSection = 'drivers';
-        sections[currentSection] = line.replace('2. **Key Market Drivers**:', '').trim();
-      } else if (line.startsWith('3. **Sector Performance Analysis**:')) {
-        currentSection = 'sectorAnalysis';
-        sections[currentSection] = line.replace('3. **Sector Performance Analysis**:', '').trim();
-      } else if (line.startsWith('4. **Risk Assessment**:')) {
-        currentSection = 'riskAssessment';
-        sections[currentSection] = line.replace('4. **Risk Assessment**:', '').trim();
-      } else if (line.startsWith('5. **Short-term Outlook**:')) {
-        currentSection = 'outlook';
-        sections[currentSection] = line.replace('5. **Short-term Outlook**:', '').trim();
-      } else if (currentSection) {
-        sections[currentSection] += '\n' + line.trim();
-      }
-    });
+  /**
+   * Sends a prompt to Gemini and returns the text of the first candidate.
+   * @param {string} prompt - The full prompt text.
+   * @param {object} generationConfig - Optional Gemini generationConfig (e.g. JSON mode and schema).
+   * @returns {Promise<string>} - The generated text.
+   */
+  async requestCompletion(prompt, generationConfig) {
+    const { text } = await this.llm.generate(prompt, { task: 'summary', generationConfig });
+    return text;
+  }
 
-    return {
-      overallSentiment: sections.sentiment || '',
-      keyMarketDrivers: sections.drivers || '',
-      sectorPerformance: sections.sectorAnalysis || '',
-      riskAssessment: sections.riskAssessment || '',
-      shortTermOutlook: sections.outlook || '',
-      fullResponse: content,
-      timestamp: new Date().toISOString()
-    };
+  // JSON mode normally returns bare JSON, but tolerate code fences or stray prose around the object
+  parseJson(text) {
+    const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      const start = trimmed.indexOf('{');
+      const end = trimmed.lastIndexOf('}');
+      if (start === -1 || end <= start) throw error;
+      return JSON.parse(trimmed.slice(start, end + 1));
+    }
   }
 
-  parseStockAnalysis(content) {
-    const sections = {};
-    const lines = content.split('\n');
-    let currentSection = '';
-
-    lines.forEach(line => {
-      if (line.startsWith('1. **Current Performance Assessment**:')) {
-        currentSection = 'performance';
-        sections[currentSection] = line.replace('1. **Current Performance Assessment**:', '').trim();
-      } else if (line.startsWith('2. **Technical Analysis Summary**:')) {
-        currentSection = 'technical';
-        sections[currentSection] = line.replace('2. **Technical Analysis Summary**:', '').trim();
-      } else if (line.startsWith('3. **Fundamental Factors**:')) {
-        currentSection = 'fundamental';
-        sections[currentSection] = line.replace('3. **Fundamental Factors**:', '').trim();
-      } else if (line.startsWith('4. **News Impact Analysis**:')) {
-        currentSection = 'newsImpact';
-        sections[currentSection] = line.replace('4. **News Impact Analysis**:', '').trim();
-      } else if (line.startsWith('5. **Risk-Reward Assessment**:')) {
-        currentSection = 'riskReward';
-        sections[currentSection] = line.replace('5. **Risk-Reward Assessment**:', '').trim();
-      } else if (line.startsWith('6. **Short-term Price Target (Optional)**:')) {
-        currentSection = 'priceTarget';
-        sections[currentSection] = line.replace('6. **Short-term Price Target (Optional)**:', '').trim();
-      } else if (currentSection) {
-        sections[currentSection] += '\n' + line.trim();
-      }
-    });
+  // Numbered news list for prompts; the numbers are what the model returns in `citations`
+  formatNews(newsData, emptyText) {
+    if (!newsData.length) return emptyText;
+    return newsData.map((news, index) => {
+      const meta = [news.source, news.publishedAt && news.publishedAt.slice(0, 10)].filter(Boolean).join(', ');
+      const summary = news.description || news.summary;
+      return `[${index + 1}] ${news.title}${meta ? ` (${meta})` : ''}${summary ? `: ${summary}` : ''}`;
+    }).join('\n        ');
+  }
 
-    return {
-      currentPerformance: sections.performance || '',
-      technicalAnalysis: sections.technical || '',
-      fundamentalFactors: sections.fundamental || '',
-      newsImpact: sections.newsImpact || '',
-      riskReward: sections.riskReward || '',
-      priceTarget: sections.priceTarget || this.extractPriceTarget(content), // Fallback to old extraction
-      fullResponse: content,
-      timestamp: new Date().toISOString()
-    };
+  // Resolves the model's citation numbers to the articles it was given
+  attachCitations(result, newsData) {
+    const citedArticles = [...new Set(result.citations || [])]
+      .filter(number => number >= 1 && number <= newsData.length)
+      .map(number => {
+        const { title, url, source, publishedAt } = newsData[number - 1];
+        return { number, title, url, source, publishedAt };
+      });
+    return { ...result, citedArticles };
   }
 
-  // Existing helper functions (ensure these are still present in your file)
-  extractSentiment(content) {
-    const lowerContent = content.toLowerCase();
-    if (lowerContent.includes('bullish') || lowerContent.includes('positive') || lowerContent.includes('optimistic')) {
-      return 'bullish';
-    } else if (lowerContent.includes('bearish') || lowerContent.includes('negative') || lowerContent.includes('pessimistic')) {
-      return 'bearish';
+  // One line per position plus totals, all from a PortfolioService valuation
+  formatPortfolio(valuation) {
+    const money = value => (value === null || value === undefined ? 'n/a' : value.toFixed(2));
+    const signed = value => (value === null || value === undefined ? 'n/a' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}`);
+    const { totals } = valuation;
+
+    const lines = valuation.holdings.map(holding => `${holding.symbol}: ${holding.quantity} @ avg ${money(holding.averageCost)} ${holding.currency}, `
+      + `now ${money(holding.price)}, value ${money(holding.marketValue)} (${holding.weight === null ? 'n/a' : `${holding.weight}%`} of portfolio), `
+      + `unrealized ${signed(holding.unrealizedPnL)} (${signed(holding.unrealizedPnLPercent)}%)`);
+    lines.push(`Totals (${totals.currency}): value ${money(totals.marketValue)}, cost ${money(totals.costBasis)}, `
+      + `unrealized ${signed(totals.unrealizedPnL)} (${signed(totals.unrealizedPnLPercent)}%), realized ${signed(totals.realizedPnL)}, `
+      + `dividends ${money(totals.dividends)}, total return ${signed(totals.totalReturn)} (${signed(totals.totalReturnPercent)}%)`);
+    if (valuation.allocation.bySector.length) {
+      lines.push(`Allocation by sector: ${valuation.allocation.bySector.map(group => `${group.key} ${group.weight}%`).join(', ')}`);
     }
-    return 'neutral';
+    return lines.join('\n        ');
   }
 
-  extractKeyPoints(content) {
-    const lines = content.split('\n');
-    return lines
-      .filter(line => line.trim().startsWith('-') || line.trim().startsWith('•') || line.match(/^\d+\./))
-      .map(line => line.trim().replace(/^[-•\d.]\s*/, ''))
-      .slice(0, 5);
-  }
+  // Compact lines from a RiskService result (one symbol, a set of symbols or a portfolio)
+  formatRisk(risk) {
+    const value = (number, suffix = '') => (number === null || number === undefined ? 'n/a' : `${number}${suffix}`);
+    const describe = (label, metrics) => {
+      if (!metrics) return `${label}: not enough price history`;
+      const { valueAtRisk: varFigures } = metrics;
+      return `${label}: return ${value(metrics.totalReturnPercent, '%')} (annualized ${value(metrics.annualizedReturnPercent, '%')}), `
+        + `volatility ${value(metrics.annualizedVolatilityPercent, '%')} annualized, max drawdown ${value(metrics.maxDrawdownPercent, '%')}`
+        + `${metrics.maxDrawdownTrough ? ` (${metrics.maxDrawdownPeak} to ${metrics.maxDrawdownTrough})` : ''}, `
+        + `Sharpe ${value(metrics.sharpeRatio)}, Sortino ${value(metrics.sortinoRatio)}, beta vs ${risk.benchmark} ${value(metrics.beta)}, `
+        + `1-day VaR (${varFigures.confidence * 100}%) ${value(varFigures.historicalPercent, '%')} historical / ${value(varFigures.parametricPercent, '%')} parametric, `
+        + `expected shortfall ${value(varFigures.expectedShortfallPercent, '%')}`;
+    };
+
+    const lines = [`Period ${risk.from} to ${risk.to}, risk-free rate ${risk.riskFreeRate * 100}%`];
+    if (risk.portfolio) {
+      lines.push(describe(`Portfolio (${risk.currency} ${value(risk.marketValue)})`, risk.metrics));
+      if (risk.valueAtRiskAmount) {
+        lines.push(`1-day VaR in ${risk.currency}: ${value(risk.valueAtRiskAmount.historical)} historical, expected shortfall ${value(risk.valueAtRiskAmount.expectedShortfall)}`);
+      }
+      risk.holdings.forEach(holding => lines.push(`${holding.symbol} (${value(holding.weight, '%')} weight): volatility ${value(holding.annualizedVolatilityPercent, '%')}, `
+        + `max drawdown ${value(holding.maxDrawdownPercent, '%')}, beta ${value(holding.beta)}`));
+    } else if (risk.symbols) {
+      risk.symbols.forEach(entry => lines.push(describe(entry.symbol, entry.metrics)));
+    } else {
+      lines.push(describe(risk.symbol, risk.metrics));
+    }
 
-  extractRecommendation(content) {
-    const lowerContent = content.toLowerCase();
-    if (lowerContent.includes('buy') || lowerContent.includes('strong buy')) {
-      return 'buy';
-    } else if (lowerContent.includes('sell') || lowerContent.includes('strong sell')) {
-      return 'sell';
-    } else if (lowerContent.includes('hold')) {
-      return 'hold';
+    // The most correlated pairs are the ones that matter for concentration risk
+    if (risk.correlation && risk.correlation.symbols.length > 1) {
+      const { symbols, matrix } = risk.correlation;
+      const pairs = [];
+      symbols.forEach((a, i) => symbols.slice(i + 1).forEach((b, offset) => {
+        if (matrix[i][i + offset + 1] !== null) pairs.push({ pair: `${a}/${b}`, value: matrix[i][i + offset + 1] });
+      }));
+      pairs.sort((x, y) => y.value - x.value);
+      lines.push(`Highest correlations: ${pairs.slice(0, 5).map(pair => `${pair.pair} ${pair.value.toFixed(2)}`).join(', ')}`);
     }
-    return 'neutral';
+    return lines.join('\n        ');
   }
 
-  extractPriceTarget(content) {
-    const priceMatch = content.match(/\$(\d+(?:\.\d{2})?)/);
-    return priceMatch ? parseFloat(priceMatch[1]) : null;
+  // Helper to build context for AI prompts
+  buildContext(watchlist, marketData, newsData, portfolio, risk) {
+    const marketSummary = marketData.summary
+      ? marketData.summary.map(stock =>
+          `${stock.symbol}: ${stock.metadata.priceRange.changePercent.toFixed(2)}% change, Current: $${stock.metadata.priceRange.current.toFixed(2)}`
+        ).join(', ')
+      : 'No detailed market data available.';
+
+    const newsSummary = this.formatNews(newsData, 'No recent news available.');
+
+    return {
+      marketSummary,
+      newsSummary,
+      portfolioSummary: portfolio ? this.formatPortfolio(portfolio) : null,
+      riskSummary: risk ? this.formatRisk(risk) : null
+    };
   }
 }
 
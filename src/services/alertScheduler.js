@@ -0,0 +1,64 @@
+/**
+ * Runs AlertService.evaluateAll() every ALERT_INTERVAL_MS (default 5 minutes).
+ * A run that is still going when the next one is due is not overlapped, and the timer
+ * does not keep the process alive on its own.
+ */
+class AlertScheduler {
+  constructor(options = {}) {
+    this.alertService = options.alertService;
+    this.intervalMs = options.intervalMs || parseInt(process.env.ALERT_INTERVAL_MS || String(5 * 60 * 1000), 10);
+    this.timer = null;
+    this.running = false;
+    this.stats = { runs: 0, skipped: 0, triggered: 0, failed: 0, lastRunAt: null, lastDurationMs: null, lastError: null };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+    console.log(`[Alerts] Evaluating alert rules every ${Math.round(this.intervalMs / 1000)}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // One evaluation pass; resolves to its summary, or null when a pass was already running
+  async tick() {
+    if (this.running) {
+      this.stats.skipped++;
+      return null;
+    }
+
+    this.running = true;
+    const startedAt = Date.now();
+    try {
+      const summary = await this.alertService.evaluateAll();
+      this.stats.triggered += summary.triggered;
+      this.stats.failed += summary.failed;
+      this.stats.lastError = null;
+      return summary;
+    } catch (error) {
+      console.error('[Alerts] Evaluation pass failed:', error);
+      this.stats.lastError = error.message;
+      return null;
+    } finally {
+      this.stats.runs++;
+      this.stats.lastRunAt = new Date(startedAt).toISOString();
+      this.stats.lastDurationMs = Date.now() - startedAt;
+      this.running = false;
+    }
+  }
+
+  getStats() {
+    return {
+      active: Boolean(this.timer),
+      intervalMs: this.intervalMs,
+      running: this.running,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = AlertScheduler;
@@ -0,0 +1,547 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const ChartService = require('./chartService');
+const BursaService = require('./bursaService');
+const IndicatorService = require('./indicatorService');
+const SymbolDirectory = require('./symbolDirectory');
+const { createAlertStore, ALERT_ID_PATTERN } = require('./alertStore');
+
+const ALERT_TYPES = ['price_cross', 'percent_change', 'rsi', 'volume_spike', 'bursa_announcement'];
+// Announcement ids remembered per rule so a filing is only delivered once
+const MAX_SEEN_ANNOUNCEMENTS = 200;
+
+// Webhooks may not target the server's own network: loopback, private and link-local ranges
+// (including the 169.254.169.254 cloud metadata endpoint) unless ALERT_WEBHOOK_ALLOW_PRIVATE=true
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+const isPrivateAddress = address => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const isPrivateHost = hostname => {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return net.isIP(host) !== 0 && isPrivateAddress(host);
+};
+
+// dns.lookup for webhook requests that refuses private addresses, so a public-looking name that
+// resolves into the internal network is caught at connection time
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const blocked = (Array.isArray(address) ? address.map(entry => entry.address) : [address]).find(isPrivateAddress);
+    if (blocked) {
+      return callback(Object.assign(new Error(`Webhook host ${hostname} resolves to private address ${blocked}`), { code: 'EPRIVATEADDRESS' }));
+    }
+    callback(null, address, family);
+  });
+};
+
+const fail = (status, message, code) => Object.assign(new Error(message), { status, code });
+const invalid = message => fail(400, message, 'INVALID_ALERT');
+const round = (value, digits = 2) => (Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null);
+
+/**
+ * User-defined alert rules (price crosses, % change, RSI thresholds, volume spikes, new Bursa
+ * announcements) evaluated against ChartService daily data. Triggered alerts are recorded in the
+ * history and POSTed to the rule's webhook with an HMAC-SHA256 signature, retrying failed deliveries.
+ * AlertScheduler calls evaluateAll() on an interval.
+ */
+class AlertService {
+  constructor(options = {}) {
+    this.store = options.store || createAlertStore();
+    this.chartService = options.chartService || new ChartService();
+    this.bursaService = options.bursaService || new BursaService({ chartService: this.chartService });
+    this.indicatorService = options.indicatorService || new IndicatorService();
+    this.symbols = options.symbols || SymbolDirectory.shared();
+    this.http = options.http || axios;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.ALERT_WEBHOOK_MAX_ATTEMPTS || '3', 10);
+    this.retryBaseMs = options.retryBaseMs !== undefined
+      ? options.retryBaseMs
+      : parseInt(process.env.ALERT_WEBHOOK_RETRY_BASE_MS || '1000', 10);
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS || '10000', 10);
+    this.allowPrivateWebhooks = options.allowPrivateWebhooks !== undefined
+      ? options.allowPrivateWebhooks
+      : process.env.ALERT_WEBHOOK_ALLOW_PRIVATE === 'true';
+  }
+
+  static get types() {
+    return ALERT_TYPES;
+  }
+
+  async listRules(filters = {}) {
+    const symbol = filters.symbol ? this.symbols.require(filters.symbol).symbol : null;
+    const rules = await this.store.list();
+    return rules
+      .filter(rule => !filters.userId || rule.userId === filters.userId)
+      .filter(rule => !symbol || rule.symbol === symbol)
+      .map(rule => this.describe(rule))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async getRule(id) {
+    const rule = ALERT_ID_PATTERN.test(String(id)) ? await this.store.get(id) : null;
+    if (!rule) {
+      throw fail(404, `Alert rule not found: ${id}`, 'ALERT_NOT_FOUND');
+    }
+    return rule;
+  }
+
+  /**
+   * Creates a rule, e.g. { name, symbol: "AAPL", type: "price_cross", params: { direction: "above", level: 200 },
+   * webhook: { url, secret? }, cooldownMinutes }. A webhook secret is generated when none is given;
+   * this is the only response that includes it.
+   */
+  async createRule(input = {}) {
+    const now = new Date().toISOString();
+    const rule = {
+      id: crypto.randomUUID(),
+      ...this.normalizeRule(input),
+      createdAt: now,
+      updatedAt: now,
+      state: {}
+    };
+    await this.store.save(rule);
+    return this.describe(rule, { includeSecret: true });
+  }
+
+  // Changing what a rule watches resets its state so the new condition starts fresh
+  async updateRule(id, input = {}) {
+    const rule = await this.getRule(id);
+    const updated = { ...rule, ...this.normalizeRule({ ...this.editable(rule), ...input }, rule) };
+    if (updated.symbol !== rule.symbol || updated.type !== rule.type || JSON.stringify(updated.params) !== JSON.stringify(rule.params)) {
+      updated.state = {};
+    }
+    updated.updatedAt = new Date().toISOString();
+    await this.store.save(updated);
+    // A new or replaced secret is echoed once, as on create
+    const secretChanged = Boolean(updated.webhook && (!rule.webhook || updated.webhook.secret !== rule.webhook.secret));
+    return this.describe(updated, { includeSecret: secretChanged });
+  }
+
+  async deleteRule(id) {
+    await this.getRule(id);
+    return this.store.delete(id);
+  }
+
+  /**
+   * Triggered and test-fired alerts, newest first.
+   * @param {object} filters - { ruleId, symbol, limit (default 50, max 500) }.
+   */
+  async getHistory(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+    const symbol = filters.symbol ? this.symbols.require(filters.symbol).symbol : null;
+    const events = await this.store.listEvents();
+    return events
+      .filter(event => !filters.ruleId || event.ruleId === filters.ruleId)
+      .filter(event => !symbol || event.symbol === symbol)
+      .slice(0, limit);
+  }
+
+  /**
+   * Evaluates every enabled rule once and fires the ones whose condition newly holds.
+   * Rules run one after another so provider quotas are shared fairly with API traffic.
+   * @returns {Promise<object>} - { evaluated, triggered, suppressed, failed, results: [{ ruleId, status, eventId?, error? }] }.
+   */
+  async evaluateAll() {
+    const rules = (await this.store.list()).filter(rule => rule.enabled);
+    const results = [];
+    for (const rule of rules) {
+      results.push(await this.runRule(rule));
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    return {
+      evaluated: results.length,
+      triggered: count('triggered'),
+      suppressed: count('suppressed'),
+      failed: count('error'),
+      results
+    };
+  }
+
+  /**
+   * Evaluates one rule now and delivers it whatever the outcome, marked as a test.
+   * The rule's state is left alone, so a real trigger still fires afterwards.
+   * @returns {Promise<object>} - The recorded history event, including the delivery result.
+   */
+  async testFire(id) {
+    const rule = await this.getRule(id);
+    let result;
+    try {
+      result = await this.evaluate(rule);
+    } catch (error) {
+      result = { triggered: false, message: `Evaluation failed: ${error.message}`, data: { error: error.message } };
+    }
+    return this.fire(rule, result, { test: true });
+  }
+
+  async runRule(rule) {
+    const now = new Date();
+    let result;
+    try {
+      result = await this.evaluate(rule);
+    } catch (error) {
+      console.warn(`[Alerts] Rule ${rule.id} (${rule.name}) failed: ${error.message}`);
+      await this.updateState(rule.id, { lastEvaluatedAt: now.toISOString(), lastError: error.message });
+      return { ruleId: rule.id, status: 'error', error: error.message };
+    }
+
+    const state = { lastEvaluatedAt: now.toISOString(), lastError: null };
+    if (!result.triggered) {
+      await this.updateState(rule.id, state);
+      return { ruleId: rule.id, status: 'not_triggered' };
+    }
+
+    // The same bar (or the same filings) never fires twice; cooldown spaces out distinct triggers
+    const lastTriggered = rule.state.lastTriggeredAt ? new Date(rule.state.lastTriggeredAt).getTime() : 0;
+    const coolingDown = now.getTime() - lastTriggered < rule.cooldownMinutes * 60000;
+    if (result.key === rule.state.lastKey || coolingDown) {
+      await this.updateState(rule.id, state);
+      return { ruleId: rule.id, status: 'suppressed' };
+    }
+
+    const event = await this.fire(rule, result, { test: false });
+    await this.updateState(rule.id, {
+      ...state,
+      lastKey: result.key,
+      lastTriggeredAt: now.toISOString(),
+      ...(result.seenIds && {
+        seenAnnouncementIds: [...(rule.state.seenAnnouncementIds || []), ...result.seenIds].slice(-MAX_SEEN_ANNOUNCEMENTS)
+      })
+    });
+    return { ruleId: rule.id, status: 'triggered', eventId: event.id };
+  }
+
+  // Re-reads the rule so edits made while it was being evaluated are kept
+  async updateState(id, changes) {
+    const current = await this.store.get(id);
+    if (!current) return;
+    current.state = { ...current.state, ...changes };
+    await this.store.save(current);
+  }
+
+  /**
+   * Checks a rule's condition against the latest data.
+   * @returns {Promise<object>} - { triggered, key, message, data }; `key` identifies what triggered
+   *   (the bar date, or the announcement ids) so it is delivered once.
+   */
+  async evaluate(rule) {
+    if (rule.type === 'bursa_announcement') {
+      return this.evaluateAnnouncements(rule);
+    }
+
+    const instrument = this.symbols.require(rule.symbol);
+    const { series } = await this.chartService.getSeries(instrument.dataSymbol, 'day');
+    if (!series || series.length < 2) {
+      throw fail(404, `Not enough price data for ${rule.symbol}`, 'NO_DATA');
+    }
+
+    const last = series[series.length - 1];
+    const previous = series[series.length - 2];
+    const { params } = rule;
+
+    switch (rule.type) {
+      case 'price_cross': {
+        const crossed = params.direction === 'above'
+          ? previous.close <= params.level && last.close > params.level
+          : previous.close >= params.level && last.close < params.level;
+        return {
+          triggered: crossed,
+          key: last.date,
+          message: crossed
+            ? `${rule.symbol} closed ${params.direction} ${params.level} at ${round(last.close)} on ${last.date} (previous close ${round(previous.close)})`
+            : `${rule.symbol} closed at ${round(last.close)} on ${last.date}; no cross ${params.direction} ${params.level}`,
+          data: { date: last.date, close: last.close, previousClose: previous.close, level: params.level }
+        };
+      }
+      case 'percent_change': {
+        const base = series[series.length - 1 - params.lookback];
+        if (!base) throw fail(404, `Not enough price data for a ${params.lookback}-bar change on ${rule.symbol}`, 'NO_DATA');
+        const change = (last.close / base.close - 1) * 100;
+        const triggered = (params.direction !== 'down' && change >= params.threshold)
+          || (params.direction !== 'up' && change <= -params.threshold);
+        return {
+          triggered,
+          key: last.date,
+          message: `${rule.symbol} moved ${change >= 0 ? '+' : ''}${round(change)}% over ${params.lookback} bar(s) to ${round(last.close)} on ${last.date}`
+            + `${triggered ? '' : ` (threshold ${params.threshold}%)`}`,
+          data: { date: last.date, close: last.close, baseDate: base.date, baseClose: base.close, changePercent: round(change), threshold: params.threshold }
+        };
+      }
+      case 'rsi': {
+        const values = this.indicatorService.rsi(series.map(point => point.close), params.period);
+        const current = values[values.length - 1];
+        const prior = values[values.length - 2];
+        if (current === null || prior === null) {
+          throw fail(404, `Not enough price data for RSI(${params.period}) on ${rule.symbol}`, 'NO_DATA');
+        }
+        const crossed = params.direction === 'above'
+          ? prior <= params.threshold && current > params.threshold
+          : prior >= params.threshold && current < params.threshold;
+        return {
+          triggered: crossed,
+          key: last.date,
+          message: `${rule.symbol} RSI(${params.period}) is ${round(current, 1)} on ${last.date}`
+            + `${crossed ? `, crossing ${params.direction} ${params.threshold}` : ` (threshold ${params.threshold})`}`,
+          data: { date: last.date, rsi: round(current, 2), previousRsi: round(prior, 2), threshold: params.threshold, close: last.close }
+        };
+      }
+      case 'volume_spike': {
+        const window = series.slice(-1 - params.lookback, -1);
+        const average = window.reduce((sum, point) => sum + point.volume, 0) / window.length;
+        const ratio = average > 0 ? last.volume / average : null;
+        const triggered = ratio !== null && ratio >= params.multiplier;
+        return {
+          triggered,
+          key: last.date,
+          message: `${rule.symbol} traded ${last.volume} shares on ${last.date}, ${ratio === null ? 'n/a' : round(ratio)}x its ${window.length}-bar average`
+            + `${triggered ? '' : ` (spike at ${params.multiplier}x)`}`,
+          data: { date: last.date, volume: last.volume, averageVolume: round(average), ratio: round(ratio), multiplier: params.multiplier }
+        };
+      }
+      default:
+        throw invalid(`Unknown alert type: ${rule.type}`);
+    }
+  }
+
+  // Announcements filed since the rule was created that it has not delivered yet
+  async evaluateAnnouncements(rule) {
+    const instrument = this.symbols.require(rule.symbol);
+    const result = await this.bursaService.getAnnouncements(instrument.code, { category: rule.params.category, limit: 50 });
+    if (result.error) throw fail(404, result.error, 'NO_DATA');
+
+    const seen = new Set(rule.state.seenAnnouncementIds || []);
+    const since = rule.createdAt.slice(0, 10);
+    const fresh = result.announcements.filter(item => String(item.date) >= since && !seen.has(item.id));
+    const label = rule.params.category ? `${rule.params.category.replace('_', ' ')} announcements` : 'announcements';
+
+    return {
+      triggered: fresh.length > 0,
+      key: fresh.map(item => item.id).sort().join(',') || null,
+      seenIds: fresh.map(item => item.id),
+      message: fresh.length
+        ? `${fresh.length} new ${label} for ${rule.symbol}: ${fresh.slice(0, 3).map(item => item.title).join('; ')}`
+        : `No new ${label} for ${rule.symbol} since ${since}`,
+      data: {
+        announcements: fresh.map(({ id, date, title, category, url, fields }) => ({ id, date, title, category, url, fields }))
+      }
+    };
+  }
+
+  // Records the alert and delivers it to the rule's webhook (when it has one)
+  async fire(rule, result, { test }) {
+    const payload = {
+      id: crypto.randomUUID(),
+      event: test ? 'alert.test' : 'alert.triggered',
+      ruleId: rule.id,
+      ruleName: rule.name,
+      type: rule.type,
+      symbol: rule.symbol,
+      test,
+      conditionMet: Boolean(result.triggered),
+      triggeredAt: new Date().toISOString(),
+      message: result.message,
+      data: result.data
+    };
+
+    const event = {
+      ...payload,
+      delivery: rule.webhook
+        ? await this.deliver(rule.webhook, payload)
+        : { status: 'skipped', attempts: 0, error: 'No webhook configured' }
+    };
+
+    await this.store.appendEvent(event);
+    console.log(`[Alerts] ${test ? 'Test-fired' : 'Triggered'} ${rule.name}: ${result.message} (delivery ${event.delivery.status})`);
+    return event;
+  }
+
+  /**
+   * POSTs the payload with X-Alert-Timestamp and X-Alert-Signature headers. The signature is
+   * "sha256=" + hex HMAC-SHA256 of `${timestamp}.${body}` with the rule's secret. Network errors,
+   * 429 and 5xx responses are retried with exponential backoff; other 4xx responses are not.
+   * Hosts that are or resolve to private addresses fail without retrying (see allowPrivateWebhooks).
+   * @returns {Promise<object>} - { status: 'delivered' | 'failed', attempts, responseStatus, error, deliveredAt }.
+   */
+  async deliver(webhook, payload) {
+    const body = JSON.stringify(payload);
+    let responseStatus = null;
+    let lastError = null;
+    let attempts = 0;
+
+    if (!this.allowPrivateWebhooks && isPrivateHost(new URL(webhook.url).hostname)) {
+      return { status: 'failed', attempts, responseStatus, error: 'Webhook URL targets a private address', deliveredAt: null };
+    }
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      attempts = attempt;
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      let retryable = true;
+      try {
+        const response = await this.http.post(webhook.url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'horizon-alerts/1.0',
+            'X-Alert-Event': payload.event,
+            'X-Alert-Delivery': payload.id,
+            'X-Alert-Timestamp': timestamp,
+            'X-Alert-Signature': `sha256=${AlertService.sign(webhook.secret, timestamp, body)}`
+          },
+          timeout: this.timeoutMs,
+          maxRedirects: 0,
+          validateStatus: () => true,
+          ...(this.allowPrivateWebhooks ? {} : { lookup: publicOnlyLookup })
+        });
+        responseStatus = response.status;
+        if (response.status >= 200 && response.status < 300) {
+          return { status: 'delivered', attempts: attempt, responseStatus, error: null, deliveredAt: new Date().toISOString() };
+        }
+        lastError = `Webhook responded with HTTP ${response.status}`;
+        retryable = response.status === 429 || response.status >= 500;
+      } catch (error) {
+        lastError = error.message;
+        retryable = error.code !== 'EPRIVATEADDRESS';
+      }
+
+      if (!retryable || attempt === this.maxAttempts) break;
+      const delay = this.retryBaseMs * 2 ** (attempt - 1);
+      console.warn(`[Alerts] Delivery to ${webhook.url} failed (${lastError}), retry ${attempt}/${this.maxAttempts - 1} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    return { status: 'failed', attempts, responseStatus, error: lastError, deliveredAt: null };
+  }
+
+  // Receivers recompute this over the raw body and compare in constant time
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  normalizeRule(input, existing = null) {
+    const type = String(input.type || '').toLowerCase();
+    if (!ALERT_TYPES.includes(type)) {
+      throw invalid(`type must be one of: ${ALERT_TYPES.join(', ')}`);
+    }
+    if (!input.symbol) {
+      throw invalid('symbol is required');
+    }
+
+    const instrument = this.symbols.require(input.symbol);
+    if (type === 'bursa_announcement' && instrument.exchange !== 'MYX') {
+      throw invalid(`${instrument.symbol} is not listed on Bursa Malaysia; bursa_announcement rules need a Bursa counter`);
+    }
+
+    const cooldownMinutes = input.cooldownMinutes === undefined ? 0 : parseFloat(input.cooldownMinutes);
+    if (!Number.isFinite(cooldownMinutes) || cooldownMinutes < 0) {
+      throw invalid('cooldownMinutes must be a non-negative number');
+    }
+
+    const name = String(input.name || `${instrument.symbol} ${type.replace('_', ' ')}`).trim().slice(0, 100);
+    return {
+      name,
+      userId: input.userId || null,
+      symbol: instrument.symbol,
+      type,
+      params: this.normalizeParams(type, input.params || {}),
+      webhook: this.normalizeWebhook(input.webhook, existing && existing.webhook),
+      cooldownMinutes,
+      enabled: input.enabled === undefined ? true : Boolean(input.enabled)
+    };
+  }
+
+  normalizeParams(type, params) {
+    const number = (field, { required, fallback, min, max, integer }) => {
+      const raw = params[field];
+      if (raw === undefined || raw === null || raw === '') {
+        if (required) throw invalid(`params.${field} is required for ${type} alerts`);
+        return fallback;
+      }
+      const value = parseFloat(raw);
+      if (!Number.isFinite(value) || value < min || (max !== undefined && value > max) || (integer && !Number.isInteger(value))) {
+        throw invalid(`params.${field} must be ${integer ? 'an integer' : 'a number'} of at least ${min}${max !== undefined ? ` and at most ${max}` : ''}`);
+      }
+      return value;
+    };
+    const choice = (field, options, fallback) => {
+      const value = params[field] === undefined ? fallback : String(params[field]).toLowerCase();
+      if (!options.includes(value)) throw invalid(`params.${field} must be one of: ${options.join(', ')}`);
+      return value;
+    };
+
+    switch (type) {
+      case 'price_cross':
+        return { direction: choice('direction', ['above', 'below']), level: number('level', { required: true, min: 0 }) };
+      case 'percent_change':
+        return {
+          threshold: number('threshold', { required: true, min: 0.01 }),
+          direction: choice('direction', ['up', 'down', 'either'], 'either'),
+          lookback: number('lookback', { fallback: 1, min: 1, max: 250, integer: true })
+        };
+      case 'rsi':
+        return {
+          direction: choice('direction', ['above', 'below']),
+          threshold: number('threshold', { required: true, min: 0, max: 100 }),
+          period: number('period', { fallback: 14, min: 2, max: 100, integer: true })
+        };
+      case 'volume_spike':
+        return {
+          multiplier: number('multiplier', { fallback: 2, min: 1.01 }),
+          lookback: number('lookback', { fallback: 20, min: 2, max: 250, integer: true })
+        };
+      case 'bursa_announcement':
+        return params.category === undefined ? {} : { category: choice('category', BursaService.announcementCategories) };
+      default:
+        return {};
+    }
+  }
+
+  // Public http(s) URLs only; keeps the existing secret when only the URL changes
+  normalizeWebhook(webhook, existing) {
+    if (webhook === undefined) return existing || null;
+    if (webhook === null) return null;
+
+    let url;
+    try {
+      url = new URL(String(webhook.url || ''));
+    } catch (error) {
+      throw invalid('webhook.url must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw invalid('webhook.url must be an absolute http(s) URL');
+    }
+    if (!this.allowPrivateWebhooks && isPrivateHost(url.hostname)) {
+      throw invalid('webhook.url must not target a loopback, private or link-local address');
+    }
+
+    const secret = webhook.secret !== undefined
+      ? String(webhook.secret)
+      : (existing && existing.secret) || crypto.randomBytes(24).toString('hex');
+    if (secret.length < 16) {
+      throw invalid('webhook.secret must be at least 16 characters');
+    }
+    return { url: url.toString(), secret };
+  }
+
+  editable(rule) {
+    const { name, userId, symbol, type, params, cooldownMinutes, enabled } = rule;
+    return { name, userId, symbol, type, params, cooldownMinutes, enabled };
+  }
+
+  // Secrets are only echoed when they were just generated
+  describe(rule, { includeSecret = false } = {}) {
+    return {
+      ...rule,
+      webhook: rule.webhook
+        ? { url: rule.webhook.url, ...(includeSecret ? { secret: rule.webhook.secret } : { hasSecret: true }) }
+        : null
+    };
+  }
+}
+
+module.exports = AlertService;
@@ -0,0 +1,152 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const ALERT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const newestFirst = (a, b) => String(b.triggeredAt).localeCompare(String(a.triggeredAt));
+
+// Keeps alert rules and their history in process memory; they are lost on restart
+class MemoryAlertStore {
+  constructor(options = {}) {
+    this.rules = new Map();
+    this.events = [];
+    this.historyLimit = options.historyLimit || 1000;
+  }
+
+  async get(id) {
+    const rule = this.rules.get(id);
+    return rule ? JSON.parse(JSON.stringify(rule)) : null;
+  }
+
+  async save(rule) {
+    this.rules.set(rule.id, JSON.parse(JSON.stringify(rule)));
+    return rule;
+  }
+
+  async delete(id) {
+    return this.rules.delete(id);
+  }
+
+  async list() {
+    return Array.from(this.rules.values());
+  }
+
+  async appendEvent(event) {
+    this.events.push(JSON.parse(JSON.stringify(event)));
+    if (this.events.length > this.historyLimit) {
+      this.events.splice(0, this.events.length - this.historyLimit);
+    }
+    return event;
+  }
+
+  async listEvents() {
+    return [...this.events].sort(newestFirst);
+  }
+}
+
+// One JSON file per rule under `directory`/rules, history appended to `directory`/history.jsonl
+class FileAlertStore {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '..', '..', 'data', 'alerts');
+    this.rulesDirectory = path.join(this.directory, 'rules');
+    this.historyFile = path.join(this.directory, 'history.jsonl');
+    this.historyLimit = options.historyLimit || 1000;
+  }
+
+  filePath(id) {
+    if (!ALERT_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid alert id: ${id}`);
+    }
+    return path.join(this.rulesDirectory, `${id}.json`);
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(rule) {
+    await fs.mkdir(this.rulesDirectory, { recursive: true });
+    // Write then rename so a crash mid-evaluation never leaves a half-written rule
+    const target = this.filePath(rule.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(rule, null, 2));
+    await fs.rename(temp, target);
+    return rule;
+  }
+
+  async delete(id) {
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.rulesDirectory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const rules = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.get(path.basename(file, '.json')).catch(() => null)));
+    return rules.filter(Boolean);
+  }
+
+  async appendEvent(event) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.appendFile(this.historyFile, `${JSON.stringify(event)}\n`);
+    return event;
+  }
+
+  // Only the newest `historyLimit` events are read; unparsable lines are skipped
+  async listEvents() {
+    let content;
+    try {
+      content = await fs.readFile(this.historyFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content.split('\n')
+      .filter(Boolean)
+      .slice(-this.historyLimit)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort(newestFirst);
+  }
+}
+
+// Alert rules are user data, so they persist to disk unless ALERT_STORE=memory
+function createAlertStore(type = process.env.ALERT_STORE || 'file', options = {}) {
+  const historyLimit = parseInt(process.env.ALERT_HISTORY_LIMIT || '1000', 10);
+  if (type === 'memory') {
+    return new MemoryAlertStore({ historyLimit });
+  }
+  return new FileAlertStore({ directory: options.directory || process.env.ALERT_DIR, historyLimit });
+}
+
+module.exports = {
+  MemoryAlertStore,
+  FileAlertStore,
+  createAlertStore,
+  ALERT_ID_PATTERN
+};
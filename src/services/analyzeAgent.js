@@ -0,0 +1,129 @@
+const ToolService = require('./toolService');
+
+const BUDGET_EXHAUSTED = 'Tool budget exhausted for this question. Answer now using only the tool results you already have, and mention anything you could not look up.';
+
+/**
+ * Multi-step tool-calling loop for /analyze.
+ * Each turn, every function call Gemini asks for is run in parallel and all results
+ * are sent back together; the loop ends when the model answers with text or the
+ * step budget runs out.
+ */
+class AnalyzeAgent {
+  constructor(options = {}) {
+    this.model = options.model;
+    this.toolService = options.toolService || new ToolService();
+    this.maxSteps = options.maxSteps || parseInt(process.env.ANALYZE_MAX_STEPS || '5', 10);
+    this.toolTimeoutMs = options.toolTimeoutMs || parseInt(process.env.ANALYZE_TOOL_TIMEOUT_MS || '20000', 10);
+  }
+
+  /**
+   * Answers a query, calling tools as needed.
+   * @param {string} query - The user's question.
+   * @param {object} options - { history, onEvent, context }. `history` is prior chat contents to continue from;
+   *   `onEvent(type, payload)` switches to streaming and receives tool_call_started,
+   *   tool_call_finished and token events as they happen; `context` (e.g. { sessionId }) is passed to every tool.
+   * @returns {Promise<object>} - { text, steps, trace, toolResults, history, budgetExhausted }. `trace` lists each tool
+   *   call with its args, status and latency; `toolResults` keeps the raw results for the caller;
+   *   `history` is the chat history after this turn, for sessions; `budgetExhausted` is true when the model
+   *   still wanted tools after the last allowed step.
+   */
+  async run(query, options = {}) {
+    const chat = this.model.startChat({ tools: this.toolService.getTools(), history: options.history || [] });
+    const trace = [];
+    const toolResults = [];
+
+    const emit = options.onEvent || null;
+
+    let response = await this.send(chat, query, emit);
+
+    for (let step = 1; step <= this.maxSteps; step++) {
+      const calls = response.functionCalls() || [];
+      if (!calls.length) {
+        return { text: response.text(), steps: step - 1, trace, toolResults, history: await chat.getHistory() };
+      }
+
+      console.log(`[Agent] Step ${step}: ${calls.map(call => call.name).join(', ')}`);
+      const executed = await Promise.all(calls.map(async call => {
+        if (emit) emit('tool_call_started', { step, name: call.name, args: call.args || {} });
+        const outcome = await this.runTool(call, step, options.context);
+        if (emit) emit('tool_call_finished', outcome.entry);
+        return outcome;
+      }));
+      executed.forEach(({ entry, result }, index) => {
+        trace.push(entry);
+        toolResults.push({ name: calls[index].name, args: calls[index].args, result });
+      });
+
+      response = await this.send(chat, executed.map(({ entry, result }) => ({
+        functionResponse: { name: entry.name, response: result }
+      })), emit);
+    }
+
+    // The reply to the last allowed step may already be the answer; only when it still asks
+    // for tools is the budget spent. Gemini rejects a turn that leaves function calls unanswered,
+    // so each pending call gets a response telling the model to answer from what it has.
+    const pending = response.functionCalls() || [];
+    const budgetExhausted = pending.length > 0;
+    if (budgetExhausted) {
+      pending.forEach(call => trace.push({ step: this.maxSteps + 1, name: call.name, args: call.args || {}, status: 'skipped', error: 'tool budget exhausted' }));
+      response = await this.send(chat, pending.map(call => ({
+        functionResponse: { name: call.name, response: { error: BUDGET_EXHAUSTED } }
+      })), emit);
+    }
+
+    let text = '';
+    try {
+      text = (response.functionCalls() || []).length ? '' : response.text();
+    } catch (error) {
+      text = '';
+    }
+    if (!text) {
+      text = "I couldn't finish gathering data for this question within the allowed number of steps.";
+    }
+
+    return { text, steps: this.maxSteps, trace, toolResults, history: await chat.getHistory(), budgetExhausted };
+  }
+
+  // Sends a message; when streaming, text chunks are emitted as `token` events as they arrive
+  async send(chat, message, emit) {
+    if (!emit) {
+      return (await chat.sendMessage(message)).response;
+    }
+
+    const { stream, response } = await chat.sendMessageStream(message);
+    for await (const chunk of stream) {
+      const text = chunk.text();
+      if (text) emit('token', { text });
+    }
+    return response;
+  }
+
+  // Runs one tool with a timeout; failures become `{ error }` results so the model can explain them
+  async runTool(call, step, context = {}) {
+    const startedAt = Date.now();
+    const entry = { step, name: call.name, args: call.args || {}, status: 'ok' };
+    let timer;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error(`${call.name} timed out after ${this.toolTimeoutMs}ms`), { timeout: true })), this.toolTimeoutMs);
+      });
+      const result = await Promise.race([this.toolService.execute(call.name, call.args || {}, context), timeout]);
+
+      if (result && result.error) {
+        entry.status = 'error';
+        entry.error = result.error;
+      }
+      return { entry: { ...entry, latencyMs: Date.now() - startedAt }, result: result || {} };
+    } catch (error) {
+      console.error(`[Agent] Tool ${call.name} failed:`, error.message);
+      entry.status = error.timeout ? 'timeout' : 'error';
+      entry.error = error.message;
+      return { entry: { ...entry, latencyMs: Date.now() - startedAt }, result: { error: error.message } };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = AnalyzeAgent;
@@ -0,0 +1,123 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_MAX_ARTICLES = 5000;
+
+// Shared query logic: newest first, optionally by ticker and publication date range (YYYY-MM-DD)
+function filterArticles(articles, { symbol, from, to, limit } = {}) {
+  const wanted = symbol ? symbol.toUpperCase() : null;
+  const matching = articles.filter(article => {
+    const day = (article.publishedAt || '').slice(0, 10);
+    if (wanted && !(article.symbols || []).includes(wanted)) return false;
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    return true;
+  }).sort((a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0));
+
+  return limit ? matching.slice(0, limit) : matching;
+}
+
+// Oldest articles are dropped first once the store is over capacity
+function prune(byId, maxArticles) {
+  if (byId.size <= maxArticles) return;
+  const oldest = Array.from(byId.values())
+    .sort((a, b) => new Date(a.publishedAt || 0) - new Date(b.publishedAt || 0))
+    .slice(0, byId.size - maxArticles);
+  oldest.forEach(article => byId.delete(article.id));
+}
+
+// Keeps articles in process memory; they are lost on restart
+class MemoryArticleStore {
+  constructor(options = {}) {
+    this.articles = new Map();
+    this.maxArticles = options.maxArticles || DEFAULT_MAX_ARTICLES;
+  }
+
+  async get(id) {
+    return this.articles.get(id) || null;
+  }
+
+  async upsert(articles) {
+    articles.forEach(article => this.articles.set(article.id, { ...this.articles.get(article.id), ...article }));
+    prune(this.articles, this.maxArticles);
+    return articles;
+  }
+
+  async list(query) {
+    return filterArticles(Array.from(this.articles.values()), query);
+  }
+}
+
+// All articles in one JSON file (`directory`/articles.json), loaded on first use
+class FileArticleStore {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '..', '..', 'data', 'news');
+    this.maxArticles = options.maxArticles || DEFAULT_MAX_ARTICLES;
+    this.articles = null;
+    this.writing = Promise.resolve();
+  }
+
+  get filePath() {
+    return path.join(this.directory, 'articles.json');
+  }
+
+  async load() {
+    if (this.articles) return this.articles;
+    try {
+      const saved = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.articles = new Map(saved.map(article => [article.id, article]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.articles = new Map();
+    }
+    return this.articles;
+  }
+
+  async get(id) {
+    return (await this.load()).get(id) || null;
+  }
+
+  async upsert(articles) {
+    const byId = await this.load();
+    articles.forEach(article => byId.set(article.id, { ...byId.get(article.id), ...article }));
+    prune(byId, this.maxArticles);
+
+    // Serialize writes; write then rename so a crash never leaves a half-written file
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+      const temp = `${this.filePath}.${process.pid}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(Array.from(byId.values())));
+      await fs.rename(temp, this.filePath);
+    });
+    await this.writing;
+    return articles;
+  }
+
+  async list(query) {
+    return filterArticles(Array.from((await this.load()).values()), query);
+  }
+}
+
+function createArticleStore(type = process.env.NEWS_STORE || 'memory', options = {}) {
+  if (type === 'file') {
+    return new FileArticleStore({ directory: options.directory || process.env.NEWS_DIR });
+  }
+  return new MemoryArticleStore();
+}
+
+let sharedStore = null;
+
+// One store per process so every NewsService (routes, tools) sees the same articles
+function sharedArticleStore() {
+  if (!sharedStore) {
+    sharedStore = createArticleStore();
+  }
+  return sharedStore;
+}
+
+module.exports = {
+  MemoryArticleStore,
+  FileArticleStore,
+  createArticleStore,
+  sharedArticleStore
+};
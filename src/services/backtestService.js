@@ -0,0 +1,322 @@
+const ChartService = require('./chartService');
+const IndicatorService = require('./indicatorService');
+const SymbolDirectory = require('./symbolDirectory');
+const { getStrategy, listStrategies } = require('../strategies');
+const { periodReturns, computeRiskMetrics } = require('../utils/riskMetrics');
+const { lttb } = require('../utils/downsample');
+
+const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
+const fail = (status, message, code) => Object.assign(new Error(message), { status, code });
+const invalid = message => fail(400, message, 'INVALID_BACKTEST');
+const round = (value, digits = 2) => (Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null);
+const percent = (part, whole) => (whole ? round((part / whole) * 100) : null);
+
+/**
+ * Replays daily adjusted OHLCV history from ChartService through a rule-based strategy
+ * (see src/strategies). Signals are taken on a bar's close and filled at the next bar's open,
+ * so a strategy never trades on a price it could not have seen. Long-only, all-in sizing,
+ * with per-trade and percentage commissions and slippage in basis points.
+ */
+class BacktestService {
+  constructor(options = {}) {
+    this.chartService = options.chartService || new ChartService();
+    this.indicators = options.indicators || new IndicatorService();
+    this.symbols = options.symbols || SymbolDirectory.shared();
+  }
+
+  // For GET /api/backtest/strategies and the tool description
+  getStrategies() {
+    return listStrategies().map(name => {
+      const { label, description, params } = getStrategy(name);
+      return { name, label, description, params };
+    });
+  }
+
+  /**
+   * Runs one backtest.
+   * @param {object} input - { symbol, strategy, params, from, to, initialCapital (10000), commissionPerTrade (0),
+   *   commissionPercent (0), slippageBps (0), allowFractional (false), riskFreeRate, curvePoints (500) }.
+   * @returns {Promise<object>} - { symbol, instrument, strategy, settings, source, summary, buyAndHold, trades, equityCurve }.
+   */
+  async run(input = {}) {
+    const request = this.normalizeRequest(input);
+    const { instrument, strategy } = request;
+
+    const { series, source } = await this.chartService.getSeries(instrument.dataSymbol, 'day', { adjusted: true });
+    const bars = this.adjust(series || []);
+    const start = bars.findIndex(bar => bar.date >= request.from);
+    let end = bars.length - 1;
+    while (end >= 0 && bars[end].date > request.to) end--;
+    if (start === -1 || end - start < 1) {
+      throw fail(404, `Not enough price history for ${instrument.symbol} between ${request.from} and ${request.to}`, 'INSUFFICIENT_DATA');
+    }
+
+    // Indicators see the whole history so moving averages are warmed up when the range starts
+    const closes = bars.map(bar => bar.close);
+    const result = this.simulate(bars, strategy.signals(closes, request.params, this.indicators, start), start, end, request);
+    const baseline = strategy.name === 'buy_and_hold'
+      ? result
+      : this.simulate(bars, getStrategy('buy_and_hold').signals(closes, {}, this.indicators, start), start, end, request);
+
+    const summary = this.summarize(result, request);
+    const buyAndHold = this.summarize(baseline, request);
+    console.log(`[Backtest] ${strategy.name} on ${instrument.dataSymbol} ${bars[start].date}..${bars[end].date}: `
+      + `${summary.totalReturnPercent}% vs buy and hold ${buyAndHold.totalReturnPercent}% over ${summary.tradeCount} trades`);
+
+    return {
+      symbol: instrument.dataSymbol,
+      instrument,
+      strategy: { name: strategy.name, label: strategy.label, params: request.params },
+      settings: {
+        from: bars[start].date,
+        to: bars[end].date,
+        bars: end - start + 1,
+        initialCapital: request.initialCapital,
+        commissionPerTrade: request.commissionPerTrade,
+        commissionPercent: request.commissionPercent,
+        slippageBps: request.slippageBps,
+        allowFractional: request.allowFractional,
+        execution: 'signal on close, fill at next open',
+        priceBasis: 'dividend/split adjusted'
+      },
+      source,
+      summary,
+      buyAndHold: {
+        totalReturnPercent: buyAndHold.totalReturnPercent,
+        annualizedReturnPercent: buyAndHold.annualizedReturnPercent,
+        maxDrawdownPercent: buyAndHold.maxDrawdownPercent,
+        sharpeRatio: buyAndHold.sharpeRatio,
+        finalEquity: buyAndHold.finalEquity
+      },
+      excessReturnPercent: round(summary.totalReturnPercent - buyAndHold.totalReturnPercent),
+      trades: result.trades,
+      equityCurve: lttb(result.curve, request.curvePoints, 'equity').map(({ timestamp, ...point }) => point)
+    };
+  }
+
+  // Scales open/high/low by adjustedClose / close so every price is on the adjusted basis
+  adjust(series) {
+    return series.map(point => {
+      const factor = point.adjustedClose > 0 && point.close > 0 ? point.adjustedClose / point.close : 1;
+      return {
+        date: point.date,
+        timestamp: point.timestamp,
+        open: (point.open || point.close) * factor,
+        high: point.high * factor,
+        low: point.low * factor,
+        close: point.close * factor,
+        volume: point.volume
+      };
+    });
+  }
+
+  simulate(bars, targets, start, end, request) {
+    const { initialCapital, commissionPerTrade, commissionPercent, slippageBps, allowFractional } = request;
+    const slip = slippageBps / 10000;
+    const fee = notional => commissionPerTrade + notional * commissionPercent / 100;
+
+    let cash = initialCapital;
+    let shares = 0;
+    let pending = null;
+    let open = null;
+    let peak = initialCapital;
+    const trades = [];
+    const curve = [];
+    const totals = { commission: 0, slippage: 0, barsInMarket: 0, skippedOrders: 0 };
+
+    for (let i = start; i <= end; i++) {
+      const bar = bars[i];
+
+      if (pending === 1 && shares === 0) {
+        const price = bar.open * (1 + slip);
+        const affordable = (cash - commissionPerTrade) / (price * (1 + commissionPercent / 100));
+        const quantity = allowFractional ? affordable : Math.floor(affordable);
+        if (quantity > 0) {
+          const commission = fee(quantity * price);
+          cash -= quantity * price + commission;
+          shares = quantity;
+          totals.commission += commission;
+          totals.slippage += quantity * bar.open * slip;
+          open = { entryDate: bar.date, entryPrice: price, shares: quantity, cost: quantity * price + commission, entryIndex: i };
+        } else {
+          totals.skippedOrders++;
+        }
+      } else if (pending === 0 && shares > 0) {
+        const price = bar.open * (1 - slip);
+        const commission = fee(shares * price);
+        const proceeds = shares * price - commission;
+        cash += proceeds;
+        totals.commission += commission;
+        totals.slippage += shares * bar.open * slip;
+        trades.push(this.closeTrade(open, { exitDate: bar.date, exitPrice: price, proceeds, bars: i - open.entryIndex }));
+        shares = 0;
+        open = null;
+      }
+      pending = null;
+
+      if (shares > 0) totals.barsInMarket++;
+      const equity = cash + shares * bar.close;
+      peak = Math.max(peak, equity);
+      curve.push({
+        date: bar.date,
+        timestamp: bar.timestamp,
+        equity: round(equity),
+        cash: round(cash),
+        shares: round(shares, 6),
+        close: round(bar.close, 4),
+        drawdownPercent: round((equity / peak - 1) * 100)
+      });
+
+      // A signal on the last bar has no next open to fill at
+      const target = targets[i];
+      if (i < end && target !== null && target !== undefined && target !== (shares > 0 ? 1 : 0)) {
+        pending = target;
+      }
+    }
+
+    // Still holding at the end: marked to the last close, without exit costs
+    if (open) {
+      const last = bars[end];
+      trades.push({
+        ...this.closeTrade(open, { exitDate: null, exitPrice: last.close, proceeds: shares * last.close, bars: end - open.entryIndex }),
+        open: true
+      });
+    }
+
+    return { trades, curve, totals, bars: end - start + 1 };
+  }
+
+  closeTrade(open, { exitDate, exitPrice, proceeds, bars }) {
+    const pnl = proceeds - open.cost;
+    return {
+      entryDate: open.entryDate,
+      entryPrice: round(open.entryPrice, 4),
+      exitDate,
+      exitPrice: round(exitPrice, 4),
+      shares: round(open.shares, 6),
+      pnl: round(pnl),
+      returnPercent: percent(pnl, open.cost),
+      bars,
+      open: false
+    };
+  }
+
+  summarize({ trades, curve, totals, bars }, request) {
+    const finalEquity = curve[curve.length - 1].equity;
+    const days = (new Date(curve[curve.length - 1].date) - new Date(curve[0].date)) / 86400000;
+    const growth = finalEquity / request.initialCapital;
+    const risk = computeRiskMetrics(periodReturns(curve, 'equity'), { riskFreeRate: request.riskFreeRate }) || {};
+
+    const closed = trades.filter(trade => !trade.open);
+    const wins = closed.filter(trade => trade.pnl > 0);
+    const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+    const grossLoss = closed.filter(trade => trade.pnl < 0).reduce((sum, trade) => sum - trade.pnl, 0);
+    const returns = closed.map(trade => trade.returnPercent);
+
+    return {
+      initialCapital: request.initialCapital,
+      finalEquity,
+      totalReturnPercent: round((growth - 1) * 100),
+      annualizedReturnPercent: days > 0 && growth > 0 ? round((growth ** (365 / days) - 1) * 100) : null,
+      maxDrawdownPercent: round(Math.min(...curve.map(point => point.drawdownPercent))),
+      annualizedVolatilityPercent: risk.annualizedVolatilityPercent === undefined ? null : risk.annualizedVolatilityPercent,
+      sharpeRatio: risk.sharpeRatio === undefined ? null : risk.sharpeRatio,
+      sortinoRatio: risk.sortinoRatio === undefined ? null : risk.sortinoRatio,
+      tradeCount: closed.length,
+      openPosition: trades.length > closed.length,
+      winRatePercent: percent(wins.length, closed.length),
+      averageTradeReturnPercent: returns.length ? round(returns.reduce((a, b) => a + b, 0) / returns.length) : null,
+      bestTradePercent: returns.length ? Math.max(...returns) : null,
+      worstTradePercent: returns.length ? Math.min(...returns) : null,
+      profitFactor: grossLoss ? round(grossProfit / grossLoss) : null,
+      averageBarsHeld: closed.length ? round(closed.reduce((sum, trade) => sum + trade.bars, 0) / closed.length, 1) : null,
+      exposurePercent: percent(totals.barsInMarket, bars),
+      totalCommission: round(totals.commission),
+      totalSlippage: round(totals.slippage),
+      skippedOrders: totals.skippedOrders
+    };
+  }
+
+  normalizeRequest(input) {
+    if (!input.symbol) throw invalid('symbol is required');
+    const instrument = this.symbols.require(input.symbol);
+    const strategy = getStrategy(input.strategy || 'ma_crossover');
+
+    const from = input.from || this.chartService.getDateString(-3 * 365);
+    const to = input.to || this.chartService.getDateString(0);
+    if (!isDay(from) || !isDay(to) || from >= to) {
+      throw invalid('from and to must be dates (YYYY-MM-DD) with from before to');
+    }
+
+    const number = (field, fallback, { min, max }) => {
+      if (input[field] === undefined || input[field] === null || input[field] === '') return fallback;
+      const value = parseFloat(input[field]);
+      if (!Number.isFinite(value) || value < min || (max !== undefined && value > max)) {
+        throw invalid(`${field} must be a number of at least ${min}${max !== undefined ? ` and at most ${max}` : ''}`);
+      }
+      return value;
+    };
+
+    return {
+      instrument,
+      strategy,
+      params: this.normalizeParams(strategy, input.params || {}),
+      from,
+      to,
+      initialCapital: number('initialCapital', 10000, { min: 1 }),
+      commissionPerTrade: number('commissionPerTrade', 0, { min: 0 }),
+      commissionPercent: number('commissionPercent', 0, { min: 0, max: 10 }),
+      slippageBps: number('slippageBps', 0, { min: 0, max: 1000 }),
+      riskFreeRate: number('riskFreeRate', parseFloat(process.env.RISK_FREE_RATE || '0.04'), { min: 0, max: 1 }),
+      curvePoints: Math.round(number('curvePoints', 500, { min: 10, max: 5000 })),
+      allowFractional: Boolean(input.allowFractional)
+    };
+  }
+
+  // Fills defaults from the strategy's parameter spec and rejects unknown or out-of-range values
+  normalizeParams(strategy, params) {
+    const unknown = Object.keys(params).filter(name => !strategy.params[name]);
+    if (unknown.length) {
+      throw invalid(`Unknown parameters for ${strategy.name}: ${unknown.join(', ')}. Available: ${Object.keys(strategy.params).join(', ') || 'none'}`);
+    }
+
+    const normalized = {};
+    Object.entries(strategy.params).forEach(([name, spec]) => {
+      const raw = params[name];
+      if (raw === undefined || raw === null || raw === '') {
+        normalized[name] = spec.default;
+      } else if (spec.options) {
+        const value = String(raw).toLowerCase();
+        if (!spec.options.includes(value)) throw invalid(`params.${name} must be one of: ${spec.options.join(', ')}`);
+        normalized[name] = value;
+      } else {
+        const value = parseFloat(raw);
+        if (!Number.isFinite(value) || value < spec.min || value > spec.max || (spec.integer && !Number.isInteger(value))) {
+          throw invalid(`params.${name} must be ${spec.integer ? 'an integer' : 'a number'} between ${spec.min} and ${spec.max}`);
+        }
+        normalized[name] = value;
+      }
+    });
+
+    const problem = strategy.validate ? strategy.validate(normalized) : null;
+    if (problem) throw invalid(problem);
+    return normalized;
+  }
+
+  // Tool-facing variant for /analyze: a compact result (no equity curve, last 20 trades) or { error }
+  async runForTool(args = {}) {
+    try {
+      const { strategy, fastPeriod, slowPeriod, rsiPeriod, oversold, exitLevel, ...rest } = args;
+      const params = Object.fromEntries(Object.entries({ fastPeriod, slowPeriod, rsiPeriod, oversold, exitLevel })
+        .filter(([name, value]) => value !== undefined && getStrategy(strategy || 'ma_crossover').params[name]));
+      const result = await this.run({ ...rest, strategy, params });
+      const { equityCurve, trades, ...compact } = result;
+      return { ...compact, trades: trades.slice(-20), totalTrades: trades.length };
+    } catch (error) {
+      console.warn(`[Backtest] ${error.message}`);
+      return { error: error.message, suggestions: error.suggestions };
+    }
+  }
+}
+
+module.exports = BacktestService;
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const defaultEntries = require('../config/bursaDirectory');
+
+// "5347.KL", "tenaga" and "Tenaga Nasional Bhd" all normalize to comparable keys
+const normalize = value => String(value || '')
+  .toUpperCase()
+  .replace(/\.(KL|KLS|MY)$/, '')
+  .replace(/\b(BERHAD|BHD)\b\.?/g, '')
+  .replace(/[^A-Z0-9&]+/g, ' ')
+  .trim();
+
+/**
+ * Lookup between Bursa Malaysia stock codes, board short names and company names
+ * (5347 <-> TENAGA <-> Tenaga Nasional Berhad <-> TNB).
+ */
+class BursaDirectory {
+  constructor(options = {}) {
+    this.entries = [...(options.entries || defaultEntries), ...this.loadExtraEntries(options.file || process.env.BURSA_DIRECTORY_FILE)];
+    this.index = new Map();
+    this.entries.forEach(entry => {
+      [entry.code, entry.symbol, entry.name, ...(entry.aliases || [])].forEach(key => {
+        const normalized = normalize(key);
+        if (normalized && !this.index.has(normalized)) this.index.set(normalized, entry);
+      });
+    });
+  }
+
+  loadExtraEntries(file) {
+    if (!file) return [];
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.warn(`[Bursa] Could not load directory file ${file}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Finds a counter by code, short name, alias or company name.
+   * A partial company name is accepted when it matches exactly one counter.
+   * @param {string} input - e.g. "5347", "5347.KL", "TENAGA", "TNB", "Tenaga Nasional".
+   * @returns {object|null} - { code, symbol, name, sector, aliases }.
+   */
+  resolve(input) {
+    const key = normalize(input);
+    if (!key) return null;
+    if (this.index.has(key)) return this.index.get(key);
+
+    const partial = this.entries.filter(entry => normalize(entry.name).includes(key));
+    return partial.length === 1 ? partial[0] : null;
+  }
+
+  search(query) {
+    const key = normalize(query);
+    if (!key) return this.entries;
+    return this.entries.filter(entry => [entry.code, entry.symbol, entry.name, ...(entry.aliases || [])]
+      .some(value => normalize(value).includes(key)));
+  }
+
+  list() {
+    return this.entries;
+  }
+}
+
+module.exports = BursaDirectory;
@@ -0,0 +1,303 @@
+const fs = require('fs/promises');
+const path = require('path');
+const CacheService = require('./cacheService');
+const ChartService = require('./chartService');
+const BursaDirectory = require('./bursaDirectory');
+const { getProvider } = require('../providers');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const QUARTER_WORDS = { first: 1, second: 2, third: 3, fourth: 4 };
+
+// Checked in order; the first match wins. `results` comes first so "results ... with dividend" stays a results filing.
+const CATEGORY_RULES = [
+  { category: 'results', pattern: /quarterly report|financial results?|interim financial|(annual )?audited (financial )?statements|results for the (financial )?(period|quarter|year)/i },
+  { category: 'dividends', pattern: /dividend/i },
+  { category: 'corporate_actions', pattern: /bonus issue|rights issue|share split|subdivision|share consolidation|private placement|acquisition|disposal|merger|take-?over|share buy-?back|capital reduction|proposed/i },
+  { category: 'shareholding', pattern: /changes? in (substantial )?shareholder|director'?s'? interest|shareholdings?/i },
+  { category: 'board_changes', pattern: /change in (boardroom|board|director|chief|company secretary|audit committee|principal officer)/i }
+];
+
+// Filings matching none of the rules are `general`
+const ANNOUNCEMENT_CATEGORIES = [...CATEGORY_RULES.map(rule => rule.category), 'general'];
+
+const CORPORATE_ACTION_TYPES = [
+  ['bonus_issue', /bonus issue/i],
+  ['rights_issue', /rights issue/i],
+  ['share_split', /share split|subdivision/i],
+  ['share_consolidation', /share consolidation/i],
+  ['private_placement', /private placement/i],
+  ['share_buyback', /share buy-?back/i],
+  ['merger', /merger|take-?over/i],
+  ['acquisition', /acquisition|acquire/i],
+  ['disposal', /disposal|dispose/i],
+  ['capital_reduction', /capital reduction/i]
+];
+
+// Keeps announcements in one JSON file; any object with list()/save(announcements) can replace it
+class FileAnnouncementSource {
+  constructor(file) {
+    this.file = file;
+  }
+
+  async list() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async save(announcements) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(announcements, null, 2));
+    await fs.rename(temp, this.file);
+  }
+}
+
+/**
+ * Bursa Malaysia counters: directory lookups (5347 <-> TENAGA <-> TNB), categorized company
+ * announcements and historical prices through the `bursa` market data provider.
+ * Announcements and price datasets are imported into BURSA_DATA_DIR (default data/bursa).
+ */
+class BursaService {
+  constructor(options = {}) {
+    this.directory = options.directory || new BursaDirectory();
+    this.chartService = options.chartService || new ChartService();
+    this.cache = options.cache || CacheService.shared();
+    this.dataDir = options.dataDir || process.env.BURSA_DATA_DIR || path.join(__dirname, '..', '..', 'data', 'bursa');
+    this.announcementSource = options.announcementSource
+      || new FileAnnouncementSource(path.join(this.dataDir, 'announcements.json'));
+  }
+
+  static get announcementCategories() {
+    return ANNOUNCEMENT_CATEGORIES;
+  }
+
+  getStock(symbol) {
+    return this.directory.resolve(symbol);
+  }
+
+  searchStocks(query) {
+    return this.directory.search(query);
+  }
+
+  /**
+   * Stored announcements for a counter, newest first.
+   * @param {string} symbol - Stock code, short name or company name.
+   * @param {object} options - { category, limit }.
+   * @returns {Promise<object>} - { stock_code, company_name, announcements } or { error }.
+   */
+  async getAnnouncements(symbol, options = {}) {
+    const entry = this.getStock(symbol);
+    if (!entry) {
+      return { error: `Unknown Bursa Malaysia counter: ${symbol}. Use a stock code (e.g. 5347) or short name (e.g. TENAGA).`, code: 'UNKNOWN_COUNTER' };
+    }
+
+    console.log(`[Bursa] Fetching announcements for ${entry.symbol} (${entry.code})`);
+    const announcements = (await this.announcementSource.list())
+      .filter(item => item.stock_code === entry.code)
+      .filter(item => !options.category || item.category === options.category)
+      .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+      .slice(0, options.limit || 20);
+
+    return {
+      stock_code: entry.code,
+      symbol: entry.symbol,
+      company_name: entry.name,
+      announcements,
+      ...(announcements.length ? {} : { message: `No announcements stored for ${entry.symbol}.` })
+    };
+  }
+
+  /**
+   * Parses, categorizes and stores raw announcements. Re-importing the same filing replaces it.
+   * @param {Array<object>} items - { date, stock_code | symbol | company_name, title, category?, details?, url? }.
+   * @returns {Promise<object>} - { imported, skipped: [{ index, reason }] }.
+   */
+  async importAnnouncements(items) {
+    const parsed = [];
+    const skipped = [];
+
+    items.forEach((item, index) => {
+      const entry = this.getStock(item.stock_code || item.code || item.symbol || item.company_name || item.company);
+      if (!entry) {
+        skipped.push({ index, reason: 'Unknown counter' });
+      } else if (!item.title) {
+        skipped.push({ index, reason: 'title is required' });
+      } else {
+        parsed.push(this.parseAnnouncement(item, entry));
+      }
+    });
+
+    const byId = new Map((await this.announcementSource.list()).map(item => [item.id, item]));
+    parsed.forEach(item => byId.set(item.id, item));
+    await this.announcementSource.save(Array.from(byId.values()));
+
+    console.log(`[Bursa] Imported ${parsed.length} announcements (${skipped.length} skipped)`);
+    return { imported: parsed, skipped };
+  }
+
+  /**
+   * Normalizes one raw announcement and extracts category-specific fields:
+   * results (quarter, revenue, net profit), dividends (sen per share, ex/payment dates)
+   * and corporate actions (action type).
+   */
+  parseAnnouncement(item, entry) {
+    const details = item.details || item.content || item.body || '';
+    const text = `${item.title} ${details}`;
+    const category = this.categorize(item);
+    const date = this.parseDate(item.date || item.announced_at) || new Date().toISOString().slice(0, 10);
+
+    return {
+      id: CacheService.hashKey(entry.code, date, item.title).slice(0, 16),
+      date,
+      stock_code: entry.code,
+      symbol: entry.symbol,
+      company_name: entry.name,
+      category,
+      source_category: item.category || null,
+      title: item.title,
+      details,
+      url: item.url || null,
+      data: this.extractFields(category, text)
+    };
+  }
+
+  categorize(item) {
+    const text = `${item.category || ''} ${item.title || ''} ${item.details || item.content || ''}`;
+    const rule = CATEGORY_RULES.find(({ pattern }) => pattern.test(text));
+    return rule ? rule.category : 'general';
+  }
+
+  extractFields(category, text) {
+    if (category === 'results') {
+      const quarter = text.match(/\bQ([1-4])\b/i) || text.match(/\b(first|second|third|fourth) quarter\b/i);
+      const year = text.match(/\b(?:FY|financial year)\s*(?:ending|ended)?\s*(?:\d{1,2}\s+\w+\s+)?(\d{4})\b/i) || text.match(/\bQ[1-4]\s*(\d{4})\b/i);
+      return {
+        quarter: quarter ? Number(QUARTER_WORDS[quarter[1].toLowerCase()] || quarter[1]) : null,
+        financialYear: year ? Number(year[1]) : null,
+        revenue: this.parseRinggit(text, /revenue/i),
+        netProfit: this.parseRinggit(text, /net profit|profit after tax|PAT(?:AMI)?\b/i)
+      };
+    }
+
+    if (category === 'dividends') {
+      const sen = text.match(/(\d+(?:\.\d+)?)\s*sen\b/i);
+      const ringgit = text.match(/RM\s*(\d+(?:\.\d+)?)\s*(?:per|a)\s*(?:ordinary\s*)?share/i);
+      const type = text.match(/\b(interim|final|special|single[- ]tier)\b/i);
+      return {
+        amountSen: sen ? parseFloat(sen[1]) : ringgit ? Math.round(parseFloat(ringgit[1]) * 10000) / 100 : null,
+        type: type ? type[1].toLowerCase() : null,
+        exDate: this.parseDate((text.match(/ex[- ]?(?:dividend[- ])?date[:\s]+([\w ,/-]*?\d{4})/i) || [])[1]),
+        paymentDate: this.parseDate((text.match(/(?:payment date[:\s]+|payable on\s+)([\w ,/-]*?\d{4})/i) || [])[1])
+      };
+    }
+
+    if (category === 'corporate_actions') {
+      const match = CORPORATE_ACTION_TYPES.find(([, pattern]) => pattern.test(text));
+      return { actionType: match ? match[0] : 'other', proposed: /proposed/i.test(text) };
+    }
+
+    return {};
+  }
+
+  // "RM 12.5 billion" / "RM850.2 million" following a label such as "revenue"
+  parseRinggit(text, label) {
+    const match = text.match(new RegExp(`(?:${label.source})[^.]*?RM\\s*([\\d,]+(?:\\.\\d+)?)\\s*(billion|bil|b|million|mil|m)?\\b`, 'i'));
+    if (!match) return null;
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    const unit = (match[2] || '').toLowerCase();
+    const multiplier = unit.startsWith('b') ? 1e9 : unit.startsWith('m') ? 1e6 : 1;
+    return Math.round(value * multiplier);
+  }
+
+  // Accepts ISO, dd/mm/yyyy, "15 Jul 2025" and "July 15, 2025"; returns YYYY-MM-DD or null
+  parseDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    const pad = number => String(number).padStart(2, '0');
+
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (match) return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+
+    match = text.match(/(\d{1,2})\s+([A-Za-z]{3})[a-z]*\.?\s+(\d{4})/);
+    if (match && MONTHS.includes(match[2].toLowerCase())) {
+      return `${match[3]}-${pad(MONTHS.indexOf(match[2].toLowerCase()) + 1)}-${pad(match[1])}`;
+    }
+
+    match = text.match(/([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/);
+    if (match && MONTHS.includes(match[1].toLowerCase())) {
+      return `${match[3]}-${pad(MONTHS.indexOf(match[1].toLowerCase()) + 1)}-${pad(match[2])}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Historical prices for a Bursa counter, in the get_historical_stock_data shape.
+   * @param {string} symbol - Stock code, short name or company name.
+   * @param {string} period - 'daily', 'weekly' or 'monthly'.
+   * @returns {Promise<object>} - { ticker, stock_code, company_name, historical_data, source } or { error }.
+   */
+  async getHistoricalData(symbol, period = 'daily') {
+    const entry = this.getStock(symbol);
+    if (!entry) {
+      return { error: `Unknown Bursa Malaysia counter: ${symbol}. Use a stock code (e.g. 5347) or short name (e.g. TENAGA).`, code: 'UNKNOWN_COUNTER' };
+    }
+
+    const result = await this.chartService.getHistoricalStockData(entry.code, period, { provider: 'bursa' });
+    if (result.error) return result;
+    return { ...result, ticker: entry.symbol, stock_code: entry.code, company_name: entry.name };
+  }
+
+  /**
+   * Imports daily bars into the Bursa price dataset from CSV text or JSON rows.
+   * @param {string} symbol - Stock code, short name or company name.
+   * @param {object} input - { csv } with a date,open,high,low,close,volume header, or { data: [...] }.
+   * @returns {Promise<object>} - { stock_code, symbol, count, from, to }.
+   */
+  async importPrices(symbol, input) {
+    const provider = getProvider('bursa');
+    const rows = input.csv ? provider.dataset.parseCsv(input.csv) : input.data;
+    if (!Array.isArray(rows) || !rows.length) {
+      throw Object.assign(new Error('Provide csv text or a non-empty data array'), { status: 400 });
+    }
+
+    const invalid = rows.findIndex(row => !this.parseDate(row.date)
+      || ['open', 'high', 'low', 'close'].some(field => !Number.isFinite(parseFloat(row[field]))));
+    if (invalid !== -1) {
+      throw Object.assign(new Error(`Row ${invalid + 1} needs a valid date and numeric open, high, low and close`), { status: 400 });
+    }
+
+    const normalized = rows
+      .map(row => ({
+        date: this.parseDate(row.date),
+        open: parseFloat(row.open),
+        high: parseFloat(row.high),
+        low: parseFloat(row.low),
+        close: parseFloat(row.close),
+        adjustedClose: row.adjustedClose !== undefined && row.adjustedClose !== '' ? parseFloat(row.adjustedClose) : parseFloat(row.close),
+        volume: parseInt(row.volume || '0', 10)
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    const { entry, count } = await provider.importSeries(symbol, normalized);
+    // Cached series for this provider are now stale
+    this.cache.flush('series:bursa:');
+
+    return {
+      stock_code: entry.code,
+      symbol: entry.symbol,
+      count,
+      from: normalized[0].date,
+      to: normalized[normalized.length - 1].date
+    };
+  }
+}
+
+module.exports = BursaService;
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+
+// Freshness windows (seconds). Entries stay servable for `stale` seconds past `ttl`
+// while a background refresh runs (stale-while-revalidate).
+const TTL_PROFILES = {
+  quote: { ttl: 60, stale: 5 * 60 },
+  intraday: { ttl: 60, stale: 2 * 60 },
+  daily: { ttl: 60 * 60, stale: 6 * 60 * 60 },
+  weekly: { ttl: 6 * 60 * 60, stale: 24 * 60 * 60 },
+  monthly: { ttl: 24 * 60 * 60, stale: 7 * 24 * 60 * 60 },
+  news: { ttl: 15 * 60, stale: 60 * 60 },
+  economic: { ttl: 12 * 60 * 60, stale: 7 * 24 * 60 * 60 },
+  ai: { ttl: 30 * 60, stale: 0 }
+};
+
+const TIMESPAN_PROFILES = {
+  minute: 'intraday',
+  day: 'daily',
+  week: 'weekly',
+  month: 'monthly'
+};
+
+let sharedInstance = null;
+
+class CacheService {
+  constructor(options = {}) {
+    this.store = new NodeCache({ useClones: false, checkperiod: options.checkperiod || 120 });
+    this.inFlight = new Map();
+    this.counters = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      dedupedRequests: 0,
+      refreshes: 0,
+      refreshErrors: 0
+    };
+  }
+
+  // One cache shared by every service so identical upstream calls collapse together
+  static shared() {
+    if (!sharedInstance) {
+      sharedInstance = new CacheService();
+    }
+    return sharedInstance;
+  }
+
+  static profileForTimespan(timespan) {
+    return TIMESPAN_PROFILES[timespan] || 'daily';
+  }
+
+  static hashKey(...parts) {
+    return crypto.createHash('sha256').update(parts.map(String).join('|')).digest('hex');
+  }
+
+  /**
+   * Returns a cached value or runs `fetcher` to produce it.
+   * Concurrent callers for the same key share a single in-flight fetch.
+   * @param {string} key - Cache key, conventionally `<namespace>:<parts>`.
+   * @param {Function} fetcher - Async function producing the value.
+   * @param {string|object} profile - A TTL_PROFILES name or `{ ttl, stale }` in seconds.
+   * @param {object} options - { cacheIf } predicate deciding whether a value is cacheable.
+   * @returns {Promise<*>}
+   */
+  async wrap(key, fetcher, profile = 'daily', options = {}) {
+    const entry = this.store.get(key);
+
+    if (entry) {
+      if (entry.freshUntil > Date.now()) {
+        this.counters.hits++;
+        return entry.value;
+      }
+
+      this.counters.staleHits++;
+      this.refresh(key, fetcher, profile, options).catch(error => {
+        this.counters.refreshErrors++;
+        console.warn(`[Cache] Background refresh failed for ${key}:`, error.message);
+      });
+      return entry.value;
+    }
+
+    this.counters.misses++;
+    return this.refresh(key, fetcher, profile, options);
+  }
+
+  refresh(key, fetcher, profile, options = {}) {
+    if (this.inFlight.has(key)) {
+      this.counters.dedupedRequests++;
+      return this.inFlight.get(key);
+    }
+
+    const { ttl, stale } = this.resolveProfile(profile);
+    const cacheIf = options.cacheIf || (value => value !== undefined && value !== null && !value.error);
+
+    const promise = Promise.resolve()
+      .then(fetcher)
+      .then(value => {
+        this.counters.refreshes++;
+        if (cacheIf(value)) {
+          this.store.set(key, { value, freshUntil: Date.now() + ttl * 1000 }, ttl + stale);
+        }
+        return value;
+      })
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  resolveProfile(profile) {
+    if (typeof profile === 'object' && profile !== null) {
+      return { ttl: profile.ttl, stale: profile.stale || 0 };
+    }
+    return TTL_PROFILES[profile] || TTL_PROFILES.daily;
+  }
+
+  delete(key) {
+    return this.store.del(key);
+  }
+
+  flush(prefix) {
+    if (!prefix) {
+      const count = this.store.keys().length;
+      this.store.flushAll();
+      return count;
+    }
+    const keys = this.store.keys().filter(key => key.startsWith(prefix));
+    return this.store.del(keys);
+  }
+
+  getStats() {
+    const { hits, staleHits, misses } = this.counters;
+    const lookups = hits + staleHits + misses;
+    const namespaces = this.store.keys().reduce((counts, key) => {
+      const namespace = key.split(':')[0];
+      counts[namespace] = (counts[namespace] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      ...this.counters,
+      hitRate: lookups ? parseFloat(((hits + staleHits) / lookups).toFixed(4)) : 0,
+      keys: this.store.keys().length,
+      namespaces,
+      inFlight: this.inFlight.size,
+      profiles: TTL_PROFILES
+    };
+  }
+}
+
+module.exports = CacheService;
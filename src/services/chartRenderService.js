@@ -0,0 +1,232 @@
+const presets = require('../config/chartPresets');
+
+const CHART_TYPES = ['line', 'area', 'candlestick', 'volume'];
+const OVERLAY_INDICATORS = ['ma20', 'ma50', 'sma', 'ema', 'bb', 'vwap'];
+const OVERLAY_COLORS = ['#F97316', '#A855F7', '#EC4899', '#14B8A6', '#EAB308', '#64748B'];
+const DOWN_COLOR = '#EF4444';
+// Renderers kept per format and size; callers choose the size, so the cache is bounded
+const MAX_RENDERERS = 8;
+
+/**
+ * Renders ChartService series to PNG/SVG on the server with chartjs-node-canvas,
+ * styled with the colour schemes advertised by /api/charts/presets.
+ */
+class ChartRenderService {
+  constructor(options = {}) {
+    this.defaultWidth = options.width || 1000;
+    this.defaultHeight = options.height || 560;
+    this.maxRenderers = options.maxRenderers || MAX_RENDERERS;
+    this.renderers = new Map(); // Least recently used first
+  }
+
+  static get chartTypes() {
+    return CHART_TYPES;
+  }
+
+  static get formats() {
+    return ['png', 'svg'];
+  }
+
+  // chartjs-node-canvas depends on the native `canvas` build, so load it lazily;
+  // the rest of the API keeps working on machines without it
+  getRenderer(format, width, height) {
+    const key = `${format}:${width}x${height}`;
+    let renderer = this.renderers.get(key);
+    if (renderer) {
+      this.renderers.delete(key);
+    } else {
+      try {
+        const { ChartJSNodeCanvas } = require('chartjs-node-canvas');
+        renderer = new ChartJSNodeCanvas({
+          width,
+          height,
+          type: format === 'svg' ? 'svg' : undefined
+        });
+      } catch (error) {
+        const unavailable = new Error(`Chart rendering is unavailable: ${error.message.split('\n')[0]}`);
+        unavailable.status = 501;
+        throw unavailable;
+      }
+      if (this.renderers.size >= this.maxRenderers) {
+        this.renderers.delete(this.renderers.keys().next().value);
+      }
+    }
+    this.renderers.set(key, renderer);
+    return renderer;
+  }
+
+  getScheme(name) {
+    const schemes = presets.colorSchemes;
+    return schemes.find(scheme => scheme.name.toLowerCase() === String(name || '').toLowerCase()) || schemes[0];
+  }
+
+  /**
+   * Renders a chart.
+   * @param {object} chart - { symbol, data } as returned by ChartService.getStockData.
+   * @param {object} options - { format, type, scheme, indicators, showVolume, width, height, title }.
+   *   `indicators` is the output of IndicatorService.compute/computeWindow for the same points.
+   * @returns {Promise<object>} - { buffer, mimeType }.
+   */
+  async render(chart, options = {}) {
+    const format = options.format === 'svg' ? 'svg' : 'png';
+    const width = options.width || this.defaultWidth;
+    const height = options.height || this.defaultHeight;
+    const renderer = this.getRenderer(format, width, height);
+    const configuration = this.buildConfiguration(chart, options);
+
+    if (format === 'svg') {
+      return { buffer: renderer.renderToBufferSync(configuration, 'image/svg+xml'), mimeType: 'image/svg+xml' };
+    }
+    return { buffer: await renderer.renderToBuffer(configuration, 'image/png'), mimeType: 'image/png' };
+  }
+
+  async renderToDataUrl(chart, options = {}) {
+    const { buffer, mimeType } = await this.render(chart, options);
+    return `data:${mimeType};base64,${buffer.toString('base64')}`;
+  }
+
+  buildConfiguration(chart, options = {}) {
+    const type = CHART_TYPES.includes(options.type) ? options.type : 'line';
+    const scheme = this.getScheme(options.scheme);
+    const textColor = this.isDark(scheme.background) ? '#E5E7EB' : '#1F2937';
+    const gridColor = this.isDark(scheme.background) ? 'rgba(229, 231, 235, 0.12)' : 'rgba(31, 41, 55, 0.08)';
+    const points = chart.data || [];
+    const labels = points.map(point => point.date);
+
+    const datasets = [];
+    const scales = {
+      x: { ticks: { color: textColor, maxTicksLimit: 10, maxRotation: 0 }, grid: { color: gridColor } },
+      y: { position: 'right', ticks: { color: textColor }, grid: { color: gridColor } }
+    };
+
+    if (type === 'volume') {
+      datasets.push(this.volumeDataset(points, scheme, 'y'));
+    } else {
+      if (type === 'candlestick') {
+        datasets.push(...this.candlestickDatasets(points, scheme));
+      } else {
+        datasets.push({
+          type: 'line',
+          label: `${chart.symbol} close`,
+          data: points.map(point => point.close),
+          borderColor: scheme.primary,
+          backgroundColor: `${scheme.primary}33`,
+          fill: type === 'area' ? 'origin' : false,
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.1
+        });
+      }
+
+      datasets.push(...this.overlayDatasets(options.indicators || {}, labels));
+
+      if (options.showVolume) {
+        const maxVolume = Math.max(...points.map(point => point.volume), 1);
+        datasets.push(this.volumeDataset(points, scheme, 'yVolume'));
+        // Keep volume bars in the bottom quarter of the plot
+        scales.yVolume = { position: 'left', display: false, max: maxVolume * 4, grid: { display: false } };
+      }
+    }
+
+    return {
+      type: 'bar',
+      data: { labels, datasets },
+      options: {
+        responsive: false,
+        animation: false,
+        plugins: {
+          legend: { labels: { color: textColor } },
+          title: {
+            display: true,
+            text: options.title || `${chart.symbol} ${type === 'volume' ? 'volume' : 'price'}`,
+            color: textColor
+          }
+        },
+        scales
+      },
+      plugins: [{
+        id: 'background',
+        beforeDraw: ({ ctx, width, height }) => {
+          ctx.save();
+          ctx.fillStyle = scheme.background;
+          ctx.fillRect(0, 0, width, height);
+          ctx.restore();
+        }
+      }]
+    };
+  }
+
+  // Chart.js has no native candlestick, so draw wicks and bodies as floating bars
+  candlestickDatasets(points, scheme) {
+    const colors = points.map(point => (point.close >= point.open ? scheme.secondary : DOWN_COLOR));
+    return [
+      {
+        type: 'bar',
+        label: 'Range',
+        data: points.map(point => [point.low, point.high]),
+        backgroundColor: colors,
+        barPercentage: 0.15,
+        grouped: false
+      },
+      {
+        type: 'bar',
+        label: 'Open/Close',
+        data: points.map(point => [Math.min(point.open, point.close), Math.max(point.open, point.close)]),
+        backgroundColor: colors,
+        barPercentage: 0.7,
+        grouped: false
+      }
+    ];
+  }
+
+  volumeDataset(points, scheme, yAxisID) {
+    return {
+      type: 'bar',
+      label: 'Volume',
+      data: points.map(point => point.volume),
+      backgroundColor: points.map(point => `${point.close >= point.open ? scheme.secondary : DOWN_COLOR}88`),
+      yAxisID,
+      grouped: false
+    };
+  }
+
+  overlayDatasets(indicators, labels) {
+    const datasets = [];
+    let colorIndex = 0;
+
+    Object.entries(indicators).forEach(([name, result]) => {
+      if (!OVERLAY_INDICATORS.includes(name)) return;
+      const byDate = new Map(result.values.map(point => [point.date, point]));
+      const color = OVERLAY_COLORS[colorIndex++ % OVERLAY_COLORS.length];
+      const line = (label, key, dash) => ({
+        type: 'line',
+        label,
+        data: labels.map(date => (byDate.has(date) ? byDate.get(date)[key] : null)),
+        borderColor: color,
+        borderDash: dash,
+        borderWidth: 1.5,
+        pointRadius: 0,
+        fill: false,
+        spanGaps: true
+      });
+
+      if (name === 'bb') {
+        datasets.push(line('BB upper', 'upper', [4, 4]), line('BB middle', 'middle'), line('BB lower', 'lower', [4, 4]));
+      } else {
+        datasets.push(line(name.toUpperCase(), 'value'));
+      }
+    });
+
+    return datasets;
+  }
+
+  isDark(hex) {
+    const value = parseInt(String(hex).replace('#', ''), 16);
+    const r = (value >> 16) & 255;
+    const g = (value >> 8) & 255;
+    const b = value & 255;
+    return (0.299 * r + 0.587 * g + 0.114 * b) < 128;
+  }
+}
+
+module.exports = ChartRenderService;
@@ -1,90 +1,255 @@
-const axios = require('axios');
+const { resolveProvider } = require('../providers');
+const CacheService = require('./cacheService');
+const SymbolDirectory = require('./symbolDirectory');
+const { UpstreamError, SymbolNotFoundError } = require('../utils/errors');
+const { lttb } = require('../utils/downsample');
+const { periodReturns, stdev, maxDrawdown } = require('../utils/riskMetrics');
+
+const MAX_LIMIT = 5000;
 
 class ChartService {
-  constructor() {
-    this.baseURL = 'https://www.alphavantage.co/query';
-    this.apiKey = process.env.ALPHA_VANTAGE_API_KEY;
+  constructor(options = {}) {
+    this.cache = options.cache || CacheService.shared();
+    this.symbols = options.symbols || SymbolDirectory.shared();
   }
 
-  async getStockData(symbol, timespan = 'day', from, to, limit = 100) {
+  /**
+   * Fetches OHLCV data for a symbol, filtered to [from, to].
+   * @param {object} options - { cursor, downsample, provider }. `cursor` pages back through older points,
+   *   `downsample: 'lttb'` bounds the whole range to `limit` points instead of truncating it,
+   *   `provider` overrides the configured market data provider for this request.
+   */
+  async getStockData(symbol, timespan = 'day', from, to, limit = 100, options = {}) {
     try {
-      let functionType = 'TIME_SERIES_DAILY';
-      if (timespan === 'minute') functionType = 'TIME_SERIES_INTRADAY';
-      if (timespan === 'week') functionType = 'TIME_SERIES_WEEKLY';
-      if (timespan === 'month') functionType = 'TIME_SERIES_MONTHLY';
-
-      const params = {
-        function: functionType,
-        symbol: symbol,
-        apikey: this.apiKey,
-        outputsize: 'full'
-      };
-
-      if (timespan === 'minute') {
-        params.interval = '5min';
-      }
-
-      const response = await axios.get(this.baseURL, { params });
+      const { series, source } = await this.getSeries(symbol, timespan, options);
 
-      return this.formatChartData(response.data, symbol, timespan);
+      return {
+        ...this.formatChartData(series, symbol, { from, to, limit, ...options }),
+        source
+      };
     } catch (error) {
       console.error('Error fetching stock data:', error);
+      // Keep provider reasons (rate limits, invalid symbols) so callers can report them
+      if (error instanceof UpstreamError) throw error;
       throw new Error('Failed to fetch stock data');
     }
   }
 
-  async getMultipleStocksData(symbols, timespan = 'day', from, to) {
-    const promises = symbols.map(symbol => 
-      this.getStockData(symbol, timespan, from, to)
+  // Full provider series, cached per provider/symbol/timespan so range and limit
+  // variations of the same chart never refetch upstream
+  async getSeries(symbol, timespan = 'day', options = {}) {
+    const provider = resolveProvider(symbol, options.provider);
+    const adjusted = Boolean(options.adjusted);
+    const key = `series:${provider.name}:${symbol}:${timespan}:${adjusted ? 'adj' : 'raw'}`;
+
+    const series = await this.cache.wrap(
+      key,
+      () => provider.getTimeSeries(symbol, timespan, { adjusted }),
+      CacheService.profileForTimespan(timespan),
+      { cacheIf: value => Array.isArray(value) && value.length > 0 }
     );
-    
+
+    return { series, source: provider.label, provider: provider.name };
+  }
+
+  /**
+   * Fetches several symbols through the provider queues.
+   * @param {object} options - { limit, downsample, provider }. Without a `limit` each symbol covers the whole
+   *   range (up to MAX_LIMIT points) so range-wide figures such as changePercent are right;
+   *   `downsample: 'lttb'` bounds the points per symbol while keeping the range's first and last points.
+   * @returns {Promise<object>} - { data, errors }, where errors lists every symbol
+   *   that could not be charted with a machine-readable code and the reason.
+   */
+  async getMultipleStocksData(symbols, timespan = 'day', from, to, options = {}) {
+    const { limit = MAX_LIMIT, ...rest } = options;
+    const promises = symbols.map(symbol =>
+      this.getStockData(symbol, timespan, from, to, limit, rest)
+    );
+
     const results = await Promise.allSettled(promises);
-    return results
-      .filter(result => result.status === 'fulfilled')
-      .map(result => result.value);
+    const data = [];
+    const errors = [];
+
+    results.forEach((result, index) => {
+      const symbol = symbols[index];
+      if (result.status === 'rejected') {
+        const error = result.reason;
+        errors.push({
+          symbol,
+          code: error.code && error instanceof UpstreamError ? error.code : 'FETCH_FAILED',
+          reason: error.message,
+          retryable: Boolean(error.retryable)
+        });
+      } else if (!result.value.data.length) {
+        errors.push({
+          symbol,
+          code: 'NO_DATA',
+          reason: `No ${timespan} data points for ${symbol} between ${from} and ${to}`,
+          retryable: false
+        });
+      } else {
+        data.push(result.value);
+      }
+    });
+
+    return { data, errors };
   }
 
-  formatChartData(rawData, symbol, timespan) {
-    if (!rawData) {
-      return { symbol, data: [] };
+  // Latest quote for the get_stock_data tool; errors are returned, not thrown, so Gemini can explain them
+  async getQuote(ticker) {
+    const provider = resolveProvider(ticker);
+    console.log(`[Stock API] Fetching stock data for: ${ticker} via ${provider.label}`);
+
+    try {
+      const stockInfo = await this.cache.wrap(`quote:${provider.name}:${ticker.toUpperCase()}`, () => provider.getQuote(ticker), 'quote');
+
+      if (stockInfo) {
+        console.log(`[Stock API] Fetched data for ${stockInfo.ticker}: Price ${stockInfo.price}`);
+        return { stock_data: stockInfo };
+      } else {
+        console.warn(`[Stock API] No data found for ticker: ${ticker}.`);
+        return { error: `No stock data found for ${ticker}. It might be an invalid ticker or a rate limit issue.` };
+      }
+    } catch (error) {
+      console.error('[Stock API] Error fetching stock data:', error.message);
+      // Surface throttling/quota reasons so Gemini can explain them instead of guessing
+      return { error: error instanceof UpstreamError ? error.message : 'Failed to fetch stock data.' };
     }
+  }
+
+  // Adjusted OHLCV history in the shape the get_historical_stock_data tool and frontend charts use
+  async getHistoricalStockData(ticker, period = 'daily', options = {}) { // 'daily', 'weekly', 'monthly'; options.provider forces a provider
+    // Index names, company names and lowercase tickers map onto the symbol providers know (NASDAQ -> QQQ)
+    const resolution = this.symbols.resolve(ticker);
+    if (!resolution) {
+      return { error: new SymbolNotFoundError(ticker, this.symbols.suggest(ticker)).message };
+    }
+    const actualTicker = resolution.dataSymbol;
+
+    // Map the tool's period names onto provider timespans
+    const timespans = { daily: 'day', weekly: 'week', monthly: 'month' };
+    if (!timespans[period]) {
+      return { error: "Invalid period specified for historical stock data. Choose 'daily', 'weekly', or 'monthly'." };
+    }
+
+    console.log(`[Stock API] Fetching ${period} historical data for: ${actualTicker}`);
+
+    try {
+      // Adjusted series include dividend/split adjusted close for better accuracy
+      const { series, source } = await this.getSeries(actualTicker, timespans[period], { adjusted: true, provider: options.provider });
 
-    let timeSeriesData;
-    if (timespan === 'minute') {
-      timeSeriesData = rawData['Time Series (5min)'];
-    } else if (timespan === 'week') {
-      timeSeriesData = rawData['Weekly Time Series'];
-    } else if (timespan === 'month') {
-      timeSeriesData = rawData['Monthly Time Series'];
-    } else {
-      timeSeriesData = rawData['Time Series (Daily)'];
+      if (series.length > 0) {
+        const historicalData = series.map(point => ({
+          date: point.date,
+          open: point.open,
+          high: point.high,
+          low: point.low,
+          close: point.close,
+          adjustedClose: point.adjustedClose,
+          volume: point.volume
+        }));
+
+        console.log(`[Stock API] Fetched ${historicalData.length} historical data points for ${actualTicker}.`);
+        // Pass the actualTicker so the frontend can use it for chart title
+        return {
+          ticker: actualTicker,
+          ...(resolution.listed && { name: resolution.name, currency: resolution.currency }),
+          historical_data: historicalData,
+          source
+        };
+      } else {
+        console.warn(`[Stock API] No historical ${period} data found for ticker: ${actualTicker}.`);
+        const hint = resolution.suggestions && resolution.suggestions.length ? ` Did you mean ${resolution.suggestions.join(', ')}?` : '';
+        return { error: `No historical ${period} data found for ${actualTicker}. It might be an invalid ticker, or a rate limit issue, or data is not available.${hint}` };
+      }
+    } catch (error) {
+      console.error(`[Stock API] Error fetching ${period} historical data for ${actualTicker}:`, error.message);
+      // Provider errors (e.g. Alpha Vantage "Error Message" payloads) carry the upstream reason
+      return { error: error.message || `Failed to fetch ${period} historical data for ${actualTicker}.` };
     }
+  }
 
-    if (!timeSeriesData) {
+  // Works on the normalized OHLCV series every provider returns
+  formatChartData(series, symbol, options = {}) {
+    if (!series || !series.length) {
       return { symbol, data: [] };
     }
 
-    const formattedData = Object.entries(timeSeriesData)
-      .map(([date, values]) => ({ // Removed type annotations here
-        timestamp: new Date(date).getTime(),
-        date: date,
-        open: parseFloat(values['1. open']),
-        high: parseFloat(values['2. high']),
-        low: parseFloat(values['3. low']),
-        close: parseFloat(values['4. close']),
-        volume: parseInt(values['5. volume'] || '0'),
-        price: parseFloat(values['4. close'])
-      }))
-      .sort((a, b) => a.timestamp - b.timestamp)
-      .slice(-100); // Get last 100 data points
+    const { data, pagination } = this.selectRange(series, options);
 
     return {
       symbol,
-      data: formattedData,
-      metadata: this.calculateMetadata(formattedData)
+      data,
+      metadata: this.calculateMetadata(data),
+      pagination
     };
   }
 
+  // Applies the date range, then either downsamples the whole range or returns
+  // the most recent `limit` points with a cursor to the older ones.
+  selectRange(series, { from, to, limit = 100, cursor, downsample } = {}) {
+    const maxPoints = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_LIMIT);
+    const fromTs = from ? this.parseDateBoundary(from, false) : -Infinity;
+    const toTs = to ? this.parseDateBoundary(to, true) : Infinity;
+
+    const inRange = series.filter(point => point.timestamp >= fromTs && point.timestamp <= toTs);
+
+    if (downsample === 'lttb') {
+      const data = lttb(inRange, maxPoints);
+      return {
+        data,
+        pagination: {
+          totalPoints: inRange.length,
+          returnedPoints: data.length,
+          downsampled: data.length < inRange.length,
+          nextCursor: null
+        }
+      };
+    }
+
+    const before = cursor ? this.decodeCursor(cursor) : null;
+    const page = before === null ? inRange : inRange.filter(point => point.timestamp < before);
+    const data = page.slice(-maxPoints);
+    const hasMore = page.length > data.length;
+
+    return {
+      data,
+      pagination: {
+        totalPoints: inRange.length,
+        returnedPoints: data.length,
+        downsampled: false,
+        nextCursor: hasMore ? this.encodeCursor(data[0].timestamp) : null
+      }
+    };
+  }
+
+  // Date-only `to` values include the whole day so intraday points are not cut off
+  parseDateBoundary(value, endOfDay) {
+    const timestamp = new Date(value).getTime();
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return timestamp + 24 * 60 * 60 * 1000 - 1;
+    }
+    return timestamp;
+  }
+
+  isValidDate(value) {
+    return !Number.isNaN(new Date(value).getTime());
+  }
+
+  encodeCursor(timestamp) {
+    return Buffer.from(String(timestamp)).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    return ChartService.decodeCursor(cursor);
+  }
+
+  // Static so request schemas can reject a malformed cursor before the handler runs
+  static decodeCursor(cursor) {
+    const timestamp = parseInt(Buffer.from(String(cursor), 'base64url').toString(), 10);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+
   calculateMetadata(data) {
     if (!data.length) return {};
 
@@ -96,6 +261,10 @@ class ChartService {
     const change = lastPrice - firstPrice;
     const changePercent = (change / firstPrice) * 100;
 
+    // Per-point (not annualized) volatility, so it also applies to weekly or intraday charts
+    const returns = periodReturns(data);
+    const volatility = stdev(returns.map(point => point.value));
+
     return {
       totalDataPoints: data.length,
       priceRange: {
@@ -110,6 +279,10 @@ class ChartService {
         max: Math.max(...volumes),
         average: volumes.reduce((a, b) => a + b, 0) / volumes.length
       },
+      risk: {
+        volatilityPercent: volatility === null ? null : parseFloat((volatility * 100).toFixed(2)),
+        maxDrawdownPercent: parseFloat((maxDrawdown(returns).drawdown * 100).toFixed(2))
+      },
       timeRange: {
         start: data[0]?.date,
         end: data[data.length - 1]?.date
@@ -119,7 +292,7 @@ class ChartService {
 
   async getMarketSummary(symbols) {
     try {
-      const summaryData = await this.getMultipleStocksData(
+      const { data: summaryData, errors } = await this.getMultipleStocksData(
         symbols, 
         'day', 
         this.getDateString(-30), // Last 30 days
@@ -128,6 +301,7 @@ class ChartService {
 
       return {
         summary: summaryData,
+        errors,
         marketTrends: this.analyzeMarketTrends(summaryData),
         topPerformers: this.getTopPerformers(summaryData),
         insights: await this.generateMarketInsights(summaryData)
@@ -141,8 +315,10 @@ class ChartService {
   analyzeMarketTrends(data) {
     const trends = data.map(stock => ({
       symbol: stock.symbol,
-      trend: stock.metadata.priceRange.changePercent > 0 ? 'bullish' : 'bearish',
+      trend: this.classifyTrend(stock),
       strength: Math.abs(stock.metadata.priceRange.changePercent),
+      volatility: stock.metadata.risk.volatilityPercent,
+      max_drawdown: stock.metadata.risk.maxDrawdownPercent,
       volume_trend: this.calculateVolumeTrend(stock.data)
     }));
 
@@ -152,6 +328,23 @@ class ChartService {
     };
   }
 
+  // A move counts as a trend only when it is large next to the stock's own noise: the change has to
+  // exceed half of what its per-point volatility would produce over the period by chance
+  classifyTrend(stock) {
+    const { changePercent } = stock.metadata.priceRange;
+    const { volatilityPercent } = stock.metadata.risk;
+    if (!volatilityPercent) {
+      if (changePercent === 0) return 'neutral';
+      return changePercent > 0 ? 'bullish' : 'bearish';
+    }
+
+    const expectedMove = volatilityPercent * Math.sqrt(Math.max(stock.data.length - 1, 1));
+    const score = changePercent / expectedMove;
+    if (score > 0.5) return 'bullish';
+    if (score < -0.5) return 'bearish';
+    return 'neutral';
+  }
+
   calculateVolumeTrend(data) {
     if (data.length < 2) return 'neutral';
     
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { createDocumentStore, DOCUMENT_ID_PATTERN } = require('./documentStore');
+const { buildIndex, searchIndex } = require('../utils/bm25');
+
+const fail = (status, message, code) => Object.assign(new Error(message), { status, code });
+
+// Search indexes kept in memory at once; older sessions are rebuilt from the store on their next search
+const MAX_CACHED_INDEXES = 50;
+
+/**
+ * Documents uploaded into an /analyze session (OCR output of statements, reports, screenshots).
+ * Each document is split into page-bound chunks and a session's chunks are searched with BM25,
+ * so answers can cite the document, page and passage they came from.
+ */
+class DocumentService {
+  constructor(options = {}) {
+    this.store = options.store || createDocumentStore();
+    this.chunkSize = options.chunkSize || parseInt(process.env.DOCUMENT_CHUNK_CHARS || '1000', 10);
+    this.chunkOverlap = options.chunkOverlap === undefined
+      ? parseInt(process.env.DOCUMENT_CHUNK_OVERLAP || '200', 10)
+      : options.chunkOverlap;
+    this.maxDocuments = options.maxDocuments || parseInt(process.env.DOCUMENT_MAX_PER_SESSION || '20', 10);
+    this.indexes = new Map();
+  }
+
+  checkSession(sessionId) {
+    if (!DOCUMENT_ID_PATTERN.test(String(sessionId || ''))) {
+      throw fail(400, 'A valid sessionId is required.', 'INVALID_SESSION');
+    }
+  }
+
+  /**
+   * Stores a document and indexes it for the session.
+   * @param {string} sessionId - The /analyze session the document belongs to.
+   * @param {object} input - { name, mimetype, source, pages: [{ page, text }], structured }.
+   * @returns {Promise<object>} - The document without its text (see describe()).
+   */
+  async addDocument(sessionId, input = {}) {
+    this.checkSession(sessionId);
+    const pages = (input.pages || []).map((page, index) => ({ page: page.page || index + 1, text: String(page.text || '') }));
+    if (!pages.some(page => page.text.trim())) {
+      throw fail(422, 'The document has no readable text to store.', 'EMPTY_DOCUMENT');
+    }
+
+    const existing = await this.store.list(sessionId);
+    if (existing.length >= this.maxDocuments) {
+      throw fail(409, `A session can hold at most ${this.maxDocuments} documents. Delete one first.`, 'DOCUMENT_LIMIT');
+    }
+
+    const document = {
+      id: crypto.randomUUID(),
+      sessionId,
+      name: String(input.name || `Document ${existing.length + 1}`).slice(0, 200),
+      mimetype: input.mimetype || null,
+      source: input.source || 'ocr',
+      createdAt: new Date().toISOString(),
+      pageCount: pages.length,
+      characters: pages.reduce((sum, page) => sum + page.text.length, 0),
+      structured: input.structured || null,
+      pages,
+      chunks: this.chunk(pages)
+    };
+    await this.store.save(document);
+    this.indexes.delete(sessionId);
+
+    console.log(`[Documents] Stored "${document.name}" in session ${sessionId}: ${document.pageCount} page(s), ${document.chunks.length} chunk(s)`);
+    return this.describe(document);
+  }
+
+  describe(document) {
+    return {
+      id: document.id,
+      sessionId: document.sessionId,
+      name: document.name,
+      mimetype: document.mimetype,
+      source: document.source,
+      createdAt: document.createdAt,
+      pageCount: document.pageCount,
+      characters: document.characters,
+      chunkCount: document.chunks.length
+    };
+  }
+
+  async listDocuments(sessionId) {
+    this.checkSession(sessionId);
+    return (await this.store.list(sessionId)).map(document => this.describe(document));
+  }
+
+  // The document with its page texts and extracted structured data
+  async getDocument(sessionId, id) {
+    this.checkSession(sessionId);
+    const document = DOCUMENT_ID_PATTERN.test(String(id)) ? await this.store.get(sessionId, id) : null;
+    if (!document) {
+      throw fail(404, `Document not found: ${id}`, 'DOCUMENT_NOT_FOUND');
+    }
+    return { ...this.describe(document), pages: document.pages, structured: document.structured };
+  }
+
+  async deleteDocument(sessionId, id) {
+    await this.getDocument(sessionId, id);
+    await this.store.delete(sessionId, id);
+    this.indexes.delete(sessionId);
+    return true;
+  }
+
+  // Called when the session itself is deleted
+  async deleteSession(sessionId) {
+    this.checkSession(sessionId);
+    this.indexes.delete(sessionId);
+    return this.store.deleteSession(sessionId);
+  }
+
+  /**
+   * Splits pages into chunks of about `chunkSize` characters on line boundaries. Chunks never
+   * span pages, so every passage has one page to cite; consecutive chunks of a page share
+   * about `chunkOverlap` characters so a figure is not cut off from its label.
+   * @param {Array<object>} pages - [{ page, text }].
+   * @returns {Array<object>} - [{ index, page, text }].
+   */
+  chunk(pages) {
+    const chunks = [];
+    const push = (page, lines) => {
+      const text = lines.join('\n').trim();
+      if (text) chunks.push({ index: chunks.length, page, text });
+    };
+
+    pages.forEach(({ page, text }) => {
+      // Lines longer than a chunk (e.g. a text layer without line breaks) are cut at word boundaries
+      const lines = text.split('\n').flatMap(line => (
+        line.length <= this.chunkSize ? [line] : line.match(new RegExp(`.{1,${this.chunkSize}}(?:\\s|$)|.{${this.chunkSize}}`, 'g'))
+      ));
+
+      let current = [];
+      let length = 0;
+      lines.forEach(line => {
+        if (length + line.length > this.chunkSize && current.length) {
+          push(page, current);
+          const overlap = [];
+          let overlapLength = 0;
+          for (let i = current.length - 1; i >= 0 && overlapLength + current[i].length <= this.chunkOverlap; i--) {
+            overlap.unshift(current[i]);
+            overlapLength += current[i].length + 1;
+          }
+          current = overlap;
+          length = overlapLength;
+        }
+        current.push(line);
+        length += line.length + 1;
+      });
+      push(page, current);
+    });
+
+    return chunks;
+  }
+
+  async getIndex(sessionId) {
+    if (!this.indexes.has(sessionId)) {
+      const documents = await this.store.list(sessionId);
+      const chunks = new Map();
+      documents.forEach(document => document.chunks.forEach(chunk => {
+        chunks.set(`${document.id}:${chunk.index}`, { document, chunk });
+      }));
+      const entries = Array.from(chunks.entries(), ([id, { document, chunk }]) => ({ id, text: `${document.name}\n${chunk.text}` }));
+
+      if (this.indexes.size >= MAX_CACHED_INDEXES) {
+        this.indexes.delete(this.indexes.keys().next().value);
+      }
+      this.indexes.set(sessionId, { index: buildIndex(entries), chunks, documents });
+    }
+    return this.indexes.get(sessionId);
+  }
+
+  /**
+   * Keyword search across a session's documents.
+   * @param {string} sessionId - The session.
+   * @param {string} query - e.g. "Q1 revenue".
+   * @param {object} options - { limit (default 5, max 20), document (id or name to search only one) }.
+   * @returns {Promise<object>} - { query, documentCount, results: [{ documentId, documentName, page, passage, score, matched, citation }] }.
+   */
+  async search(sessionId, query, options = {}) {
+    this.checkSession(sessionId);
+    if (!query || !String(query).trim()) {
+      throw fail(400, 'A search query is required.', 'INVALID_QUERY');
+    }
+
+    const { index, chunks, documents } = await this.getIndex(sessionId);
+    let filter = null;
+    if (options.document) {
+      const wanted = String(options.document).toLowerCase();
+      const document = documents.find(candidate => candidate.id === options.document || candidate.name.toLowerCase() === wanted);
+      if (!document) {
+        throw fail(404, `Document not found: ${options.document}. Available: ${documents.map(candidate => candidate.name).join(', ') || 'none'}`, 'DOCUMENT_NOT_FOUND');
+      }
+      filter = id => id.startsWith(`${document.id}:`);
+    }
+
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 5, 1), 20);
+    const results = searchIndex(index, query, { limit, filter }).map(({ id, score, matched }) => {
+      const { document, chunk } = chunks.get(id);
+      return {
+        documentId: document.id,
+        documentName: document.name,
+        page: chunk.page,
+        passage: chunk.text,
+        score,
+        matched,
+        citation: `${document.name}, page ${chunk.page}`
+      };
+    });
+
+    return { query, documentCount: documents.length, results };
+  }
+
+  // Tool-facing variant for /analyze: search results or { error } the model can relay
+  async searchForTool(args = {}, context = {}) {
+    if (!context.sessionId) {
+      return { error: 'Document search needs a conversation session; no documents are available.' };
+    }
+    try {
+      const result = await this.search(context.sessionId, args.query, { limit: args.limit, document: args.document });
+      if (!result.documentCount) {
+        return { error: 'No documents have been uploaded in this conversation. The user can upload one to /ocr with this sessionId.' };
+      }
+      if (!result.results.length) {
+        return { ...result, note: 'No passage matched. Try the exact line item, period or company name used in the document.' };
+      }
+      return result;
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+}
+
+module.exports = DocumentService;
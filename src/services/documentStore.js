@@ -0,0 +1,128 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const DOCUMENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const oldestFirst = (a, b) => String(a.createdAt).localeCompare(String(b.createdAt));
+
+// Keeps session documents in process memory; they are lost on restart
+class MemoryDocumentStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  documents(sessionId) {
+    if (!this.sessions.has(sessionId)) this.sessions.set(sessionId, new Map());
+    return this.sessions.get(sessionId);
+  }
+
+  async get(sessionId, id) {
+    const document = this.documents(sessionId).get(id);
+    return document ? JSON.parse(JSON.stringify(document)) : null;
+  }
+
+  async save(document) {
+    this.documents(document.sessionId).set(document.id, JSON.parse(JSON.stringify(document)));
+    return document;
+  }
+
+  async delete(sessionId, id) {
+    return this.documents(sessionId).delete(id);
+  }
+
+  async list(sessionId) {
+    return Array.from(this.documents(sessionId).values()).sort(oldestFirst);
+  }
+
+  async deleteSession(sessionId) {
+    const count = this.documents(sessionId).size;
+    this.sessions.delete(sessionId);
+    return count;
+  }
+}
+
+// One JSON file per document (text, pages and chunks) under `directory`/<sessionId>
+class FileDocumentStore {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '..', '..', 'data', 'documents');
+  }
+
+  sessionPath(sessionId) {
+    if (!DOCUMENT_ID_PATTERN.test(sessionId)) {
+      throw new Error(`Invalid session id: ${sessionId}`);
+    }
+    return path.join(this.directory, sessionId);
+  }
+
+  filePath(sessionId, id) {
+    if (!DOCUMENT_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid document id: ${id}`);
+    }
+    return path.join(this.sessionPath(sessionId), `${id}.json`);
+  }
+
+  async get(sessionId, id) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(sessionId, id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(document) {
+    await fs.mkdir(this.sessionPath(document.sessionId), { recursive: true });
+    // Write then rename so a crash never leaves a half-written document
+    const target = this.filePath(document.sessionId, document.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(document));
+    await fs.rename(temp, target);
+    return document;
+  }
+
+  async delete(sessionId, id) {
+    try {
+      await fs.unlink(this.filePath(sessionId, id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list(sessionId) {
+    let files;
+    try {
+      files = await fs.readdir(this.sessionPath(sessionId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const documents = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.get(sessionId, path.basename(file, '.json')).catch(() => null)));
+    return documents.filter(Boolean).sort(oldestFirst);
+  }
+
+  async deleteSession(sessionId) {
+    const documents = await this.list(sessionId);
+    await fs.rm(this.sessionPath(sessionId), { recursive: true, force: true });
+    return documents.length;
+  }
+}
+
+// Documents belong to /analyze sessions, so they follow SESSION_STORE unless DOCUMENT_STORE says otherwise
+function createDocumentStore(type = process.env.DOCUMENT_STORE || process.env.SESSION_STORE || 'memory', options = {}) {
+  if (type === 'file') {
+    return new FileDocumentStore({ directory: options.directory || process.env.DOCUMENT_DIR });
+  }
+  return new MemoryDocumentStore();
+}
+
+module.exports = {
+  MemoryDocumentStore,
+  FileDocumentStore,
+  createDocumentStore,
+  DOCUMENT_ID_PATTERN
+};
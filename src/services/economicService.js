@@ -0,0 +1,230 @@
+const CacheService = require('./cacheService');
+const { configuredSources, getSource } = require('../providers/economic');
+const defaultIndicators = require('../config/economicIndicators');
+const defaultCountries = require('../config/countries');
+const { UpstreamError } = require('../utils/errors');
+
+const key = value => String(value || '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+// Catalog lookups fail with 400s the routes can pass straight through
+const badRequest = (message, code) => Object.assign(new Error(message), { status: 400, code });
+
+/**
+ * Economic indicators from one catalog (config/economicIndicators) across countries,
+ * backed by pluggable sources (providers/economic) that are tried in order until one
+ * has data. Used by /api/economics and the /analyze economic tools.
+ */
+class EconomicService {
+  constructor(options = {}) {
+    this.cache = options.cache || CacheService.shared();
+    this.sources = options.sources || configuredSources();
+    this.indicators = Object.entries(options.indicators || defaultIndicators)
+      .map(([indicatorKey, entry]) => ({ key: indicatorKey, ...entry }));
+    this.countries = Object.entries(options.countries || defaultCountries)
+      .map(([code, entry]) => ({ code, ...entry }));
+  }
+
+  /**
+   * Maps "CPI", "unemployment", "FOMC" or "10 year yield" onto a catalog indicator.
+   * @returns {object} - { indicator, country }, country set when the alias implies one (FOMC -> US).
+   */
+  resolveIndicator(input) {
+    const wanted = key(input);
+    for (const indicator of this.indicators) {
+      if (key(indicator.key) === wanted || key(indicator.name) === wanted) return { indicator };
+      const alias = indicator.aliases.find(name => key(name) === wanted);
+      if (alias) {
+        return { indicator, country: (indicator.aliasCountries || {})[alias] };
+      }
+    }
+    throw badRequest(
+      `Unsupported economic indicator: ${input}. Available: ${this.indicators.map(indicator => indicator.key).join(', ')}`,
+      'UNKNOWN_INDICATOR'
+    );
+  }
+
+  // "US", "usa", "United States" -> { code: 'US', name: 'united states', ... }
+  resolveCountry(input) {
+    const wanted = key(input);
+    const country = this.countries.find(entry => key(entry.code) === wanted
+      || key(entry.name) === wanted
+      || entry.aliases.some(alias => key(alias) === wanted));
+    if (!country) {
+      throw badRequest(
+        `Unsupported country: ${input}. Available: ${this.countries.map(entry => entry.name).join(', ')}`,
+        'UNKNOWN_COUNTRY'
+      );
+    }
+    return country;
+  }
+
+  /**
+   * Historical observations for one indicator in one country.
+   * @param {string} countryInput - Country code, name or alias.
+   * @param {string} indicatorInput - Catalog key, name or alias.
+   * @param {object} options - { from, to } (YYYY-MM-DD, inclusive).
+   * @returns {Promise<object>} - { indicator, name, unit, frequency, country, countryCode, source,
+   *   historical_economic_data: [{ date, value, unit, country, title }] }, oldest first.
+   */
+  async getSeries(countryInput, indicatorInput, options = {}) {
+    const { indicator, country: pinned } = this.resolveIndicator(indicatorInput);
+    const country = this.resolveCountry(pinned || countryInput);
+
+    const candidates = this.sources.filter(source => source.supports(indicator, country));
+    const failures = [];
+    let upstreamError = null;
+    for (const source of candidates) {
+      try {
+        // Economic releases change at most daily
+        const observations = await this.cache.wrap(
+          `economic:${source.name}:${country.code}:${indicator.key}`,
+          () => source.getSeries(indicator, country),
+          'economic',
+          { cacheIf: value => Array.isArray(value) && value.length > 0 }
+        );
+        if (!observations.length) {
+          failures.push(`${source.label}: no observations`);
+          continue;
+        }
+        return this.format(indicator, country, source, observations, options);
+      } catch (error) {
+        if (error.code !== 'NO_DATA') {
+          upstreamError = error;
+          console.warn(`[Economic API] ${source.label} failed for ${indicator.key} (${country.name}): ${error.message}`);
+        }
+        failures.push(`${source.label}: ${error.message}`);
+      }
+    }
+
+    const reason = failures.length ? failures.join('; ') : 'no source supports it';
+    const hint = candidates.some(source => source.name !== 'dataset')
+      ? ''
+      : ` Import a dataset via POST /api/economics/${country.code}/${indicator.key} or set TRADING_ECONOMICS_API_KEY / FRED_API_KEY.`;
+    // A rate limit or outage is reported as such rather than as missing data
+    throw new UpstreamError(`No ${indicator.name} data for ${country.name}: ${reason}.${hint}`, {
+      provider: upstreamError ? upstreamError.provider : 'economics',
+      code: upstreamError ? upstreamError.code : 'NO_DATA',
+      retryable: Boolean(upstreamError && upstreamError.retryable),
+      status: upstreamError ? upstreamError.status : 404
+    });
+  }
+
+  format(indicator, country, source, observations, { from, to } = {}) {
+    const data = observations
+      .filter(point => point.date && Number.isFinite(parseFloat(point.value)))
+      .filter(point => (!from || point.date >= from) && (!to || point.date <= to))
+      .map(point => ({
+        date: point.date,
+        value: parseFloat(point.value),
+        unit: point.unit || indicator.unit,
+        country: country.name,
+        title: indicator.name
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+      indicator: indicator.key,
+      name: indicator.name,
+      category: indicator.category,
+      unit: indicator.unit,
+      frequency: indicator.frequency,
+      country: country.name,
+      countryCode: country.code,
+      from: from || null,
+      to: to || null,
+      historical_economic_data: data,
+      source: source.label
+    };
+  }
+
+  // Latest reading for the get_economic_data tool: { economic_data } or { error }
+  async getEconomicData(indicator, country = 'malaysia') {
+    try {
+      const series = await this.getSeries(country, indicator);
+      const points = series.historical_economic_data;
+      if (!points.length) {
+        return { error: `No ${series.name} readings found for ${series.country}.` };
+      }
+      const latest = points[points.length - 1];
+      const previous = points[points.length - 2];
+      return {
+        economic_data: {
+          indicator: series.indicator,
+          name: series.name,
+          country: series.country,
+          date: latest.date,
+          value: latest.value,
+          unit: series.unit,
+          previous: previous ? { date: previous.date, value: previous.value } : null,
+          source: series.source
+        }
+      };
+    } catch (error) {
+      console.warn(`[Economic API] ${error.message}`);
+      return { error: error.message };
+    }
+  }
+
+  // Series for the get_economic_indicator_data tool and analyze charts: the series or { error }
+  async getEconomicIndicatorData(indicatorCode, countryCode = 'united states', options = {}) {
+    console.log(`[Economic API] Fetching economic data for ${indicatorCode} (${countryCode})`);
+    try {
+      const series = await this.getSeries(countryCode, indicatorCode, options);
+      console.log(`[Economic API] Fetched ${series.historical_economic_data.length} data points for ${series.indicator} from ${series.source}.`);
+      return series;
+    } catch (error) {
+      console.warn(`[Economic API] ${error.message}`);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Imports observations into the local dataset, replacing earlier imports.
+   * @param {object} input - { csv } with a date,value header, or { data: [{ date, value }] }.
+   * @returns {Promise<object>} - { indicator, country, countryCode, count, from, to }.
+   */
+  async importSeries(countryInput, indicatorInput, input = {}) {
+    const { indicator } = this.resolveIndicator(indicatorInput);
+    const country = this.resolveCountry(countryInput);
+    const dataset = getSource('dataset');
+
+    const rows = input.csv ? dataset.files.parseCsv(input.csv) : input.data;
+    if (!Array.isArray(rows) || !rows.length) {
+      throw badRequest('Provide csv text or a non-empty data array', 'INVALID_DATA');
+    }
+
+    const invalid = rows.findIndex(row => !/^\d{4}-\d{2}-\d{2}$/.test(String(row.date || ''))
+      || !Number.isFinite(parseFloat(row.value)));
+    if (invalid !== -1) {
+      throw badRequest(`Row ${invalid + 1} needs a YYYY-MM-DD date and a numeric value`, 'INVALID_DATA');
+    }
+
+    const observations = rows
+      .map(row => ({ date: row.date, value: parseFloat(row.value) }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    await dataset.importSeries(indicator, country, observations);
+    this.cache.flush(`economic:dataset:${country.code}:${indicator.key}`);
+
+    return {
+      indicator: indicator.key,
+      country: country.name,
+      countryCode: country.code,
+      count: observations.length,
+      from: observations[0].date,
+      to: observations[observations.length - 1].date
+    };
+  }
+
+  // What the module can serve, for /api/economics/indicators
+  getCatalog() {
+    return {
+      indicators: this.indicators.map(({ key: indicatorKey, name, category, unit, frequency, aliases, sources }) => ({
+        key: indicatorKey, name, category, unit, frequency, aliases, sources: Object.keys(sources)
+      })),
+      countries: this.countries.map(({ code, name, currency }) => ({ code, name, currency })),
+      sources: this.sources.map(source => source.name)
+    };
+  }
+}
+
+module.exports = EconomicService;
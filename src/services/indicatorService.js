@@ -0,0 +1,329 @@
+// Defaults match the presets advertised by /api/charts/presets
+const DEFAULT_PARAMS = {
+  smaPeriod: 20,
+  emaPeriod: 20,
+  rsiPeriod: 14,
+  macdFast: 12,
+  macdSlow: 26,
+  macdSignal: 9,
+  bbPeriod: 20,
+  bbStdDev: 2,
+  atrPeriod: 14,
+  stochK: 14,
+  stochD: 3,
+  vwapPeriod: 20
+};
+
+const round = value => (value === null || Number.isNaN(value) ? null : parseFloat(value.toFixed(4)));
+
+/**
+ * Technical indicators over the OHLCV series produced by ChartService.formatChartData.
+ * Every series-returning method yields one value per input point (null during warm-up)
+ * so results line up index-for-index with the chart data.
+ */
+class IndicatorService {
+  static get available() {
+    return ['ma20', 'ma50', 'sma', 'ema', 'rsi', 'macd', 'bb', 'atr', 'stoch', 'obv', 'vwap'];
+  }
+
+  static get paramNames() {
+    return Object.keys(DEFAULT_PARAMS);
+  }
+
+  sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    values.forEach((value, index) => {
+      sum += value;
+      if (index >= period) sum -= values[index - period];
+      if (index >= period - 1) result[index] = sum / period;
+    });
+    return result;
+  }
+
+  // Seeded with the SMA of the first `period` values
+  ema(values, period) {
+    const result = new Array(values.length).fill(null);
+    if (values.length < period) return result;
+
+    const multiplier = 2 / (period + 1);
+    let previous = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    result[period - 1] = previous;
+    for (let i = period; i < values.length; i++) {
+      previous = (values[i] - previous) * multiplier + previous;
+      result[i] = previous;
+    }
+    return result;
+  }
+
+  // Wilder's smoothing
+  rsi(closes, period) {
+    const result = new Array(closes.length).fill(null);
+    if (closes.length <= period) return result;
+
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i <= period; i++) {
+      const change = closes[i] - closes[i - 1];
+      if (change > 0) gain += change; else loss -= change;
+    }
+    gain /= period;
+    loss /= period;
+    result[period] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+
+    for (let i = period + 1; i < closes.length; i++) {
+      const change = closes[i] - closes[i - 1];
+      gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+      loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+      result[i] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+    }
+    return result;
+  }
+
+  macd(closes, fast, slow, signalPeriod) {
+    const fastEma = this.ema(closes, fast);
+    const slowEma = this.ema(closes, slow);
+    const macdLine = closes.map((_, i) =>
+      fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null
+    );
+
+    // Signal line is an EMA over the defined part of the MACD line
+    const firstDefined = macdLine.findIndex(value => value !== null);
+    const signal = new Array(closes.length).fill(null);
+    if (firstDefined !== -1) {
+      this.ema(macdLine.slice(firstDefined), signalPeriod).forEach((value, i) => {
+        signal[firstDefined + i] = value;
+      });
+    }
+
+    return closes.map((_, i) => ({
+      macd: macdLine[i],
+      signal: signal[i],
+      histogram: macdLine[i] !== null && signal[i] !== null ? macdLine[i] - signal[i] : null
+    }));
+  }
+
+  bollinger(closes, period, stdDev) {
+    const middle = this.sma(closes, period);
+    return closes.map((_, i) => {
+      if (middle[i] === null) return { upper: null, middle: null, lower: null };
+      const window = closes.slice(i - period + 1, i + 1);
+      const variance = window.reduce((sum, value) => sum + (value - middle[i]) ** 2, 0) / period;
+      const deviation = Math.sqrt(variance) * stdDev;
+      return { upper: middle[i] + deviation, middle: middle[i], lower: middle[i] - deviation };
+    });
+  }
+
+  atr(series, period) {
+    const trueRanges = series.map((point, i) => {
+      if (i === 0) return point.high - point.low;
+      const previousClose = series[i - 1].close;
+      return Math.max(
+        point.high - point.low,
+        Math.abs(point.high - previousClose),
+        Math.abs(point.low - previousClose)
+      );
+    });
+
+    const result = new Array(series.length).fill(null);
+    if (series.length < period) return result;
+
+    let previous = trueRanges.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    result[period - 1] = previous;
+    for (let i = period; i < series.length; i++) {
+      previous = (previous * (period - 1) + trueRanges[i]) / period;
+      result[i] = previous;
+    }
+    return result;
+  }
+
+  stochastic(series, kPeriod, dPeriod) {
+    const k = series.map((point, i) => {
+      if (i < kPeriod - 1) return null;
+      const window = series.slice(i - kPeriod + 1, i + 1);
+      const highest = Math.max(...window.map(p => p.high));
+      const lowest = Math.min(...window.map(p => p.low));
+      return highest === lowest ? 50 : ((point.close - lowest) / (highest - lowest)) * 100;
+    });
+
+    const firstDefined = k.findIndex(value => value !== null);
+    const d = new Array(series.length).fill(null);
+    if (firstDefined !== -1) {
+      this.sma(k.slice(firstDefined), dPeriod).forEach((value, i) => {
+        d[firstDefined + i] = value;
+      });
+    }
+
+    return series.map((_, i) => ({ k: k[i], d: d[i] }));
+  }
+
+  obv(series) {
+    let total = 0;
+    return series.map((point, i) => {
+      if (i > 0) {
+        if (point.close > series[i - 1].close) total += point.volume;
+        else if (point.close < series[i - 1].close) total -= point.volume;
+      }
+      return total;
+    });
+  }
+
+  // Rolling VWAP on typical price; period 0 anchors it at the first point
+  vwap(series, period) {
+    let priceVolume = 0;
+    let volume = 0;
+    return series.map((point, i) => {
+      priceVolume += ((point.high + point.low + point.close) / 3) * point.volume;
+      volume += point.volume;
+      if (period > 0 && i >= period) {
+        const dropped = series[i - period];
+        priceVolume -= ((dropped.high + dropped.low + dropped.close) / 3) * dropped.volume;
+        volume -= dropped.volume;
+      }
+      if (period > 0 && i < period - 1) return null;
+      return volume ? priceVolume / volume : null;
+    });
+  }
+
+  /**
+   * Computes the requested indicator set.
+   * @param {Array<object>} series - OHLCV points sorted oldest first.
+   * @param {string[]} set - Indicator names from IndicatorService.available.
+   * @param {object} params - Period overrides, e.g. { rsiPeriod: 7, bbStdDev: 2.5 }.
+   * @returns {object} - Indicator name -> { params, values } with values aligned to `series`.
+   */
+  compute(series, set, params = {}) {
+    const p = { ...DEFAULT_PARAMS, ...params };
+    const closes = series.map(point => point.close);
+    const results = {};
+
+    const withDates = values => values.map((value, i) => {
+      if (value !== null && typeof value === 'object') {
+        const rounded = Object.fromEntries(Object.entries(value).map(([key, v]) => [key, round(v)]));
+        return { date: series[i].date, ...rounded };
+      }
+      return { date: series[i].date, value: round(value) };
+    });
+
+    set.forEach(name => {
+      switch (name) {
+        case 'ma20':
+          results.ma20 = { params: { period: 20 }, values: withDates(this.sma(closes, 20)) };
+          break;
+        case 'ma50':
+          results.ma50 = { params: { period: 50 }, values: withDates(this.sma(closes, 50)) };
+          break;
+        case 'sma':
+          results.sma = { params: { period: p.smaPeriod }, values: withDates(this.sma(closes, p.smaPeriod)) };
+          break;
+        case 'ema':
+          results.ema = { params: { period: p.emaPeriod }, values: withDates(this.ema(closes, p.emaPeriod)) };
+          break;
+        case 'rsi':
+          results.rsi = { params: { period: p.rsiPeriod }, values: withDates(this.rsi(closes, p.rsiPeriod)) };
+          break;
+        case 'macd':
+          results.macd = {
+            params: { fast: p.macdFast, slow: p.macdSlow, signal: p.macdSignal },
+            values: withDates(this.macd(closes, p.macdFast, p.macdSlow, p.macdSignal))
+          };
+          break;
+        case 'bb':
+          results.bb = {
+            params: { period: p.bbPeriod, stdDev: p.bbStdDev },
+            values: withDates(this.bollinger(closes, p.bbPeriod, p.bbStdDev))
+          };
+          break;
+        case 'atr':
+          results.atr = { params: { period: p.atrPeriod }, values: withDates(this.atr(series, p.atrPeriod)) };
+          break;
+        case 'stoch':
+          results.stoch = {
+            params: { k: p.stochK, d: p.stochD },
+            values: withDates(this.stochastic(series, p.stochK, p.stochD))
+          };
+          break;
+        case 'obv':
+          results.obv = { params: {}, values: withDates(this.obv(series)) };
+          break;
+        case 'vwap':
+          results.vwap = { params: { period: p.vwapPeriod }, values: withDates(this.vwap(series, p.vwapPeriod)) };
+          break;
+        default:
+          throw new Error(`Unknown indicator: ${name}`);
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Computes indicators on the full history and keeps only the points shown in `window`,
+   * so the first points of a short chart window are not lost to indicator warm-up.
+   * @param {Array<object>} series - Full OHLCV history.
+   * @param {Array<object>} window - The subset of `series` being charted.
+   */
+  computeWindow(series, window, set, params = {}) {
+    const dates = new Set(window.map(point => point.date));
+    const computed = this.compute(series, set, params);
+
+    return Object.fromEntries(Object.entries(computed).map(([name, result]) => [
+      name,
+      { ...result, values: result.values.filter(point => dates.has(point.date)) }
+    ]));
+  }
+
+  // Latest readings plus plain-language signals, compact enough for an AI prompt
+  summarize(series, params = {}) {
+    if (!series || series.length < 2) return null;
+
+    const computed = this.compute(series, ['ma20', 'ma50', 'rsi', 'macd', 'bb', 'atr', 'stoch', 'obv'], params);
+    const latest = name => computed[name].values[computed[name].values.length - 1];
+    const lastClose = series[series.length - 1].close;
+
+    const rsi = latest('rsi').value;
+    const macd = latest('macd');
+    const bb = latest('bb');
+    const ma20 = latest('ma20').value;
+    const ma50 = latest('ma50').value;
+    const stoch = latest('stoch');
+    const obvValues = computed.obv.values;
+    const obvLookback = obvValues[Math.max(obvValues.length - 20, 0)].value;
+
+    const signals = [];
+    if (rsi !== null) {
+      if (rsi >= 70) signals.push(`RSI ${rsi.toFixed(1)} is overbought`);
+      else if (rsi <= 30) signals.push(`RSI ${rsi.toFixed(1)} is oversold`);
+      else signals.push(`RSI ${rsi.toFixed(1)} is neutral`);
+    }
+    if (macd.macd !== null && macd.signal !== null) {
+      signals.push(`MACD is ${macd.macd > macd.signal ? 'above' : 'below'} its signal line`);
+    }
+    if (ma20 !== null) {
+      signals.push(`Price is ${lastClose > ma20 ? 'above' : 'below'} the 20-period moving average`);
+    }
+    if (ma20 !== null && ma50 !== null) {
+      signals.push(`MA20 is ${ma20 > ma50 ? 'above' : 'below'} MA50 (${ma20 > ma50 ? 'bullish' : 'bearish'} alignment)`);
+    }
+    if (bb.upper !== null) {
+      if (lastClose > bb.upper) signals.push('Price is above the upper Bollinger Band');
+      else if (lastClose < bb.lower) signals.push('Price is below the lower Bollinger Band');
+    }
+    signals.push(`On-balance volume is ${obvValues[obvValues.length - 1].value >= obvLookback ? 'rising' : 'falling'}`);
+
+    return {
+      asOf: series[series.length - 1].date,
+      close: lastClose,
+      ma20,
+      ma50,
+      rsi,
+      macd: { macd: macd.macd, signal: macd.signal, histogram: macd.histogram },
+      bollinger: { upper: bb.upper, middle: bb.middle, lower: bb.lower },
+      atr: latest('atr').value,
+      stochastic: { k: stoch.k, d: stoch.d },
+      signals
+    };
+  }
+}
+
+module.exports = IndicatorService;
@@ -0,0 +1,315 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { loadConfig } = require('../config');
+const { UpstreamError } = require('../utils/errors');
+
+const PROVIDER = 'gemini';
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'LANGUAGE'];
+
+/**
+ * Single entry point for Gemini.
+ * Picks the model per task (analyze, summary, session...), applies a request timeout,
+ * retries 429/5xx/timeouts with exponential backoff, turns safety blocks into a
+ * SAFETY_BLOCKED error instead of an empty answer, and keeps token usage per task.
+ */
+class LLMClient {
+  constructor(options = {}) {
+    this.models = { default: 'gemini-1.5-flash-latest', ...(options.models || {}) };
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.maxRetries = options.maxRetries === undefined ? 3 : options.maxRetries;
+    this.retryBaseMs = options.retryBaseMs || 500;
+    this.genAI = options.genAI || new GoogleGenerativeAI(options.apiKey || '');
+    this.available = Boolean(options.apiKey || options.genAI);
+    this.usage = {};
+  }
+
+  // False when no API key is configured, so optional LLM features can skip straight to their fallback
+  isAvailable() {
+    return this.available;
+  }
+
+  modelFor(task = 'default') {
+    return this.models[task] || this.models.default;
+  }
+
+  /**
+   * One-shot completion.
+   * @param {string|Array} prompt - Prompt text or Gemini content parts.
+   * @param {object} options - { task, generationConfig, systemInstruction }.
+   * @returns {Promise<object>} - { text, model, usage }.
+   */
+  async generate(prompt, options = {}) {
+    const task = options.task || 'default';
+    const modelName = this.modelFor(task);
+    const model = this.genAI.getGenerativeModel(
+      { model: modelName, generationConfig: options.generationConfig, systemInstruction: options.systemInstruction },
+      { timeout: this.timeoutMs }
+    );
+
+    const { response } = await this.withRetry(task, () => model.generateContent(prompt));
+    const usage = this.inspect(task, modelName, response);
+    return { text: response.text(), model: modelName, usage };
+  }
+
+  /**
+   * Model handle for multi-turn chats with tools, used by the /analyze agent.
+   * Chats started from it get the same retries, safety checks and usage accounting.
+   * @param {string} task - Task name used to pick the model.
+   * @param {object} params - Extra model params (generationConfig, systemInstruction).
+   */
+  getModel(task = 'default', params = {}) {
+    const modelName = this.modelFor(task);
+    const model = this.genAI.getGenerativeModel({ model: modelName, ...params }, { timeout: this.timeoutMs });
+    const client = this;
+
+    return {
+      model: modelName,
+      startChat(chatParams) {
+        const chat = model.startChat(chatParams);
+        return {
+          getHistory: () => chat.getHistory(),
+          async sendMessage(message) {
+            const result = await client.withRetry(task, () => chat.sendMessage(message));
+            client.inspect(task, modelName, result.response);
+            return result;
+          },
+          async sendMessageStream(message) {
+            const result = await client.withRetry(task, () => chat.sendMessageStream(message));
+            return {
+              stream: result.stream,
+              response: result.response.then(response => {
+                client.inspect(task, modelName, response);
+                return response;
+              })
+            };
+          }
+        };
+      }
+    };
+  }
+
+  // Retries rate limits, server errors and timeouts; everything else fails straight away
+  async withRetry(task, call) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await call();
+      } catch (rawError) {
+        const error = this.toUpstreamError(rawError);
+        if (!error.retryable || attempt >= this.maxRetries) {
+          this.track(task).failures++;
+          throw error;
+        }
+
+        const delay = rawError.retryAfterMs || this.retryBaseMs * Math.pow(2, attempt) + Math.floor(Math.random() * 100);
+        this.track(task).retries++;
+        console.warn(`[LLM] ${task} failed (${error.message}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  toUpstreamError(error) {
+    if (error instanceof UpstreamError) return error;
+
+    if (error.name === 'GoogleGenerativeAIAbortError' || error.name === 'AbortError') {
+      return new UpstreamError(`LLM request timed out after ${this.timeoutMs}ms`, {
+        provider: PROVIDER, code: 'TIMEOUT', retryable: true, status: 504
+      });
+    }
+
+    const status = error.status;
+    if (status === 429) {
+      error.retryAfterMs = this.retryDelayFrom(error.errorDetails);
+      return new UpstreamError(error.message, { provider: PROVIDER, code: 'RATE_LIMITED', retryable: true, status: 429 });
+    }
+    if (status >= 500) {
+      return new UpstreamError(error.message, { provider: PROVIDER, code: 'UPSTREAM_ERROR', retryable: true, status: 502 });
+    }
+    return new UpstreamError(error.message, { provider: PROVIDER, code: 'LLM_ERROR', retryable: false, status: 502 });
+  }
+
+  // Gemini 429s may carry a RetryInfo detail such as { retryDelay: '7s' }
+  retryDelayFrom(details) {
+    const info = (details || []).find(detail => String(detail['@type'] || '').includes('RetryInfo'));
+    const seconds = info ? parseFloat(info.retryDelay) : NaN;
+    return Number.isFinite(seconds) ? Math.min(seconds * 1000, 30000) : undefined;
+  }
+
+  // Records token usage and throws if the prompt or the answer was blocked
+  inspect(task, modelName, response) {
+    const stats = this.track(task);
+    const usage = {
+      promptTokens: response.usageMetadata?.promptTokenCount || 0,
+      outputTokens: response.usageMetadata?.candidatesTokenCount || 0,
+      totalTokens: response.usageMetadata?.totalTokenCount || 0
+    };
+    stats.model = modelName;
+    stats.requests++;
+    stats.promptTokens += usage.promptTokens;
+    stats.outputTokens += usage.outputTokens;
+    stats.totalTokens += usage.totalTokens;
+
+    const blockReason = response.promptFeedback?.blockReason;
+    const finishReason = response.candidates?.[0]?.finishReason;
+    if (blockReason || BLOCKED_FINISH_REASONS.includes(finishReason)) {
+      stats.blocked++;
+      throw new UpstreamError(`LLM response blocked (${blockReason || finishReason})`, {
+        provider: PROVIDER, code: 'SAFETY_BLOCKED', retryable: false, status: 422
+      });
+    }
+    return usage;
+  }
+
+  track(task) {
+    if (!this.usage[task]) {
+      this.usage[task] = {
+        model: this.modelFor(task),
+        requests: 0,
+        promptTokens: 0,
+        outputTokens: 0,
+        totalTokens: 0,
+        retries: 0,
+        failures: 0,
+        blocked: 0
+      };
+    }
+    return this.usage[task];
+  }
+
+  getStats() {
+    return {
+      provider: PROVIDER,
+      models: this.models,
+      tasks: this.usage
+    };
+  }
+}
+
+/**
+ * Deterministic stand-in for LLMClient (LLM_PROVIDER=fake), for tests and offline development.
+ * `responder({ task, model, prompt, generationConfig, history })` may return a string or
+ * { text, functionCalls }; otherwise JSON-mode requests get a sample object built from the
+ * response schema and plain requests get a fixed echo of the prompt.
+ */
+class FakeLLMClient extends LLMClient {
+  constructor(options = {}) {
+    super({ ...options, genAI: {} });
+    this.responder = options.responder || (() => undefined);
+  }
+
+  async generate(prompt, options = {}) {
+    const task = options.task || 'default';
+    const modelName = this.modelFor(task);
+    const response = this.respond({ task, model: modelName, prompt, generationConfig: options.generationConfig, history: [] });
+    const usage = this.inspect(task, modelName, response);
+    return { text: response.text(), model: modelName, usage };
+  }
+
+  getModel(task = 'default') {
+    const modelName = this.modelFor(task);
+    const client = this;
+
+    return {
+      model: modelName,
+      startChat(chatParams = {}) {
+        const history = [...(chatParams.history || [])];
+        const send = message => {
+          const parts = typeof message === 'string' ? [{ text: message }] : message;
+          history.push({ role: parts.some(part => part.functionResponse) ? 'function' : 'user', parts });
+          const response = client.respond({ task, model: modelName, prompt: message, history });
+          client.inspect(task, modelName, response);
+          const calls = response.functionCalls();
+          history.push({
+            role: 'model',
+            parts: calls ? calls.map(functionCall => ({ functionCall })) : [{ text: response.text() }]
+          });
+          return response;
+        };
+
+        return {
+          getHistory: async () => history,
+          sendMessage: async message => ({ response: send(message) }),
+          async sendMessageStream(message) {
+            const response = send(message);
+            async function* stream() {
+              yield { text: () => (response.functionCalls() ? '' : response.text()) };
+            }
+            return { stream: stream(), response: Promise.resolve(response) };
+          }
+        };
+      }
+    };
+  }
+
+  respond(request) {
+    const promptText = typeof request.prompt === 'string' ? request.prompt : JSON.stringify(request.prompt);
+    const reply = this.responder(request);
+    let text;
+    let functionCalls;
+
+    if (reply && typeof reply === 'object') {
+      text = reply.text || '';
+      functionCalls = reply.functionCalls && reply.functionCalls.length ? reply.functionCalls : undefined;
+    } else if (typeof reply === 'string') {
+      text = reply;
+    } else if (request.generationConfig?.responseSchema) {
+      text = JSON.stringify(sampleFromSchema(request.generationConfig.responseSchema));
+    } else {
+      text = `[fake ${request.task}] ${promptText.trim().slice(0, 120)}`;
+    }
+
+    const promptTokens = Math.ceil(promptText.length / 4);
+    const outputTokens = Math.ceil(text.length / 4);
+    return {
+      text: () => text,
+      functionCalls: () => functionCalls,
+      candidates: [{ finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: promptTokens, candidatesTokenCount: outputTokens, totalTokenCount: promptTokens + outputTokens }
+    };
+  }
+
+  getStats() {
+    return { ...super.getStats(), provider: 'fake' };
+  }
+}
+
+// Smallest value that satisfies a Gemini response schema
+function sampleFromSchema(schema, key = 'value') {
+  if (schema.nullable) return null;
+  if (schema.enum) return schema.enum[0];
+
+  switch (String(schema.type).toLowerCase()) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([name, property]) => [name, sampleFromSchema(property, name)]));
+    case 'array':
+      return [sampleFromSchema(schema.items || { type: 'string' }, key)];
+    case 'number':
+    case 'integer':
+      return 1;
+    case 'boolean':
+      return false;
+    default:
+      return `Sample ${key}`;
+  }
+}
+
+function createLLMClient(options = loadConfig().llm) {
+  return options.provider === 'fake' ? new FakeLLMClient(options) : new LLMClient(options);
+}
+
+let sharedClient = null;
+
+// One client per process so usage stats cover every caller
+function sharedLLMClient() {
+  if (!sharedClient) {
+    sharedClient = createLLMClient();
+  }
+  return sharedClient;
+}
+
+module.exports = {
+  LLMClient,
+  FakeLLMClient,
+  createLLMClient,
+  sharedLLMClient
+};
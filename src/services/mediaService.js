@@ -0,0 +1,86 @@
+const axios = require('axios');
+
+class MediaService {
+  constructor(options = {}) {
+    this.stabilityApiKey = options.stabilityApiKey || process.env.STABILITY_AI_API_KEY;
+    this.elevenLabsApiKey = options.elevenLabsApiKey || process.env.ELEVENLABS_API_KEY;
+  }
+
+  async generateImage(prompt) {
+    if (!this.stabilityApiKey) {
+      console.error("[Stability AI] API key not set.");
+      return { error: "Stability AI API key not found." };
+    }
+
+    const url = "https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image";
+    const headers = {
+      "Accept": "application/json",
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${this.stabilityApiKey}`,
+    };
+    const body = {
+      steps: 40,
+      width: 1024,
+      height: 1024,
+      seed: 0,
+      cfg_scale: 7.0,
+      samples: 1,
+      text_prompts: [{ text: prompt, weight: 1 }],
+    };
+
+    console.log(`[Stability AI] Generating image for prompt: "${prompt.substring(0, 50)}..."`);
+
+    try {
+      const response = await axios.post(url, body, { headers });
+      if (response.data.artifacts && response.data.artifacts.length > 0) {
+        const base64Image = response.data.artifacts[0].base64;
+        const imageUrl = `data:image/png;base64,${base64Image}`;
+        console.log("[Stability AI] Image generated successfully.");
+        return { imageUrl: imageUrl };
+      } else {
+        console.error("[Stability AI] No image artifacts found in response:", response.data);
+        return { error: "Failed to generate image." };
+      }
+    } catch (error) {
+      console.error('[Stability AI] Error generating image:', error.response ? error.response.data : error.message);
+      return { error: "Failed to generate image." };
+    }
+  }
+
+  async generateAudio(text, voiceId = "FGY2WhTYpPnrIDTdsKH5") { // Default voice ID for a clear voice
+    if (!this.elevenLabsApiKey) {
+      console.error("[ElevenLabs] API key not set.");
+      return { error: "ElevenLabs API key not found." };
+    }
+
+    const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`;
+    const headers = {
+      "Accept": "audio/mpeg",
+      "Content-Type": "application/json",
+      "xi-api-key": this.elevenLabsApiKey,
+    };
+    const body = {
+      text: text,
+      model_id: "eleven_monolingual_v1", // You can experiment with other models
+      voice_settings: {
+        stability: 0.5,
+        similarity_boost: 0.75
+      }
+    };
+
+    console.log(`[ElevenLabs] Generating audio for text: "${text.substring(0, 50)}..."`);
+
+    try {
+      const response = await axios.post(url, body, { headers, responseType: 'arraybuffer' });
+      const base64Audio = Buffer.from(response.data).toString('base64');
+      const audioUrl = `data:audio/mpeg;base64,${base64Audio}`;
+      console.log("[ElevenLabs] Audio generated successfully.");
+      return { audioUrl: audioUrl };
+    } catch (error) {
+      console.error('[ElevenLabs] Error generating audio:', error.response ? error.response.data.toString('utf8') : error.message);
+      return { error: "Failed to generate audio." };
+    }
+  }
+}
+
+module.exports = MediaService;
@@ -0,0 +1,315 @@
+const axios = require('axios');
+const CacheService = require('./cacheService');
+const SentimentService = require('./sentimentService');
+const SymbolTagger = require('./symbolTagger');
+const { sharedArticleStore } = require('./articleStore');
+
+/**
+ * News from GNews, enriched and kept in a local article store.
+ * Every article that passes through is tagged with the tickers it mentions and scored for
+ * sentiment once; when the provider is unavailable (no key, quota, outage) lookups fall back
+ * to what the store already holds. Articles can also be imported straight into the store.
+ */
+class NewsService {
+  constructor(options = {}) {
+    this.cache = options.cache || CacheService.shared();
+    this.apiKey = options.apiKey || process.env.GNEWS_API_KEY;
+    this.store = options.store || sharedArticleStore();
+    this.sentimentService = options.sentimentService || new SentimentService();
+    this.tagger = options.tagger || new SymbolTagger();
+  }
+
+  // Tool-facing search used by /analyze: { articles } or { error }
+  async fetchNews(keyword) {
+    try {
+      return { articles: await this.ingest(await this.search(keyword, 5)) };
+    } catch (error) {
+      const symbol = this.tagger.resolve(keyword);
+      const stored = symbol ? await this.store.list({ symbol, limit: 5 }) : [];
+      if (stored.length) {
+        return { articles: stored, source: 'store' };
+      }
+      return { error: 'Failed to fetch news data.' };
+    }
+  }
+
+  /**
+   * Recent articles about one ticker.
+   * @param {string} symbol - Stock symbol.
+   * @param {object} options - { max }.
+   * @returns {Promise<object>} - { articles, errors }; a failed lookup leaves articles empty.
+   */
+  async getSymbolNews(symbol, options = {}) {
+    return this.collect([{ query: `${symbol.toUpperCase()} stock`, symbol: symbol.toUpperCase() }], options.max || 5);
+  }
+
+  /**
+   * Business headlines for market-wide summaries.
+   * @param {object} options - { max }.
+   * @returns {Promise<object>} - { articles, errors }.
+   */
+  async getMarketNews(options = {}) {
+    const max = options.max || 8;
+    try {
+      const articles = await this.ingest(this.dedupe(await this.topHeadlines('business', max)).slice(0, max));
+      return { articles, errors: [] };
+    } catch (error) {
+      return {
+        articles: await this.store.list({ limit: max }),
+        errors: [{ query: 'market', reason: error.message, fallback: 'store' }]
+      };
+    }
+  }
+
+  /**
+   * Articles for several tickers merged into one list without duplicates.
+   * An article that mentions several of the tickers lists all of them in `symbols`.
+   * @param {string[]} symbols - Stock symbols.
+   * @param {object} options - { perSymbol, max }.
+   * @returns {Promise<object>} - { articles, errors }.
+   */
+  async getNewsForSymbols(symbols, options = {}) {
+    const queries = [...new Set(symbols.map(symbol => symbol.toUpperCase()))]
+      .map(symbol => ({ query: `${symbol} stock`, symbol }));
+    const { articles, errors } = await this.collect(queries, options.perSymbol || 3);
+    return { articles: articles.slice(0, options.max || 12), errors };
+  }
+
+  async collect(queries, max) {
+    const settled = await Promise.allSettled(queries.map(({ query }) => this.search(query, max)));
+    const fresh = [];
+    const stored = [];
+    const errors = [];
+
+    await Promise.all(settled.map(async (outcome, index) => {
+      const { query, symbol } = queries[index];
+      if (outcome.status === 'rejected') {
+        errors.push({ query, reason: outcome.reason.message, fallback: 'store' });
+        if (symbol) stored.push(...await this.store.list({ symbol, limit: max }));
+        return;
+      }
+      outcome.value.forEach(article => fresh.push({ ...article, symbols: symbol ? [symbol] : [] }));
+    }));
+
+    const articles = await this.ingest(this.dedupe(fresh));
+    return { articles: this.dedupe([...articles, ...stored]), errors };
+  }
+
+  /**
+   * Tags, scores and stores articles from any source (provider results or an import).
+   * Articles already in the store keep their earlier sentiment score.
+   * @param {Array<object>} articles - { title, description, url, source, publishedAt, symbols? }.
+   * @param {string[]} symbols - Tickers to tag every article with in addition to the detected ones.
+   * @returns {Promise<Array<object>>} - Stored articles with id, symbols and sentiment.
+   */
+  async ingest(articles, symbols = []) {
+    const prepared = await Promise.all(articles.map(async article => {
+      const id = this.articleId(article);
+      const stored = await this.store.get(id);
+      const detected = this.tagger.tag(`${article.title || ''} ${article.description || ''}`);
+      return {
+        ...stored,
+        ...article,
+        id,
+        symbols: [...new Set([
+          ...symbols.map(symbol => symbol.toUpperCase()),
+          ...(article.symbols || []),
+          ...(stored ? stored.symbols : []),
+          ...detected
+        ])],
+        sentiment: stored ? stored.sentiment : undefined
+      };
+    }));
+
+    const unscored = prepared.filter(article => !article.sentiment);
+    const scored = new Map((await this.sentimentService.scoreArticles(unscored)).map(article => [article.id, article]));
+    const enriched = prepared.map(article => scored.get(article.id) || article);
+
+    await this.store.upsert(enriched);
+    return enriched;
+  }
+
+  articleId(article) {
+    return CacheService.hashKey(this.urlKey(article.url) || this.titleKey(article.title) || JSON.stringify(article)).slice(0, 16);
+  }
+
+  listArticles(query) {
+    return this.store.list(query);
+  }
+
+  /**
+   * Daily sentiment for a ticker from the stored articles, refreshed from the provider first.
+   * @param {string} symbol - Stock symbol.
+   * @param {object} options - { from, to } as YYYY-MM-DD.
+   * @returns {Promise<object>} - { symbol, from, to, summary, series: [{ date, articles, positive, negative, neutral, averageScore, label }] }.
+   */
+  async getSentimentSeries(symbol, options = {}) {
+    const ticker = symbol.toUpperCase();
+    await this.getSymbolNews(ticker, { max: 10 });
+
+    const articles = await this.store.list({ symbol: ticker, from: options.from, to: options.to });
+    const byDay = new Map();
+    articles.forEach(article => {
+      const day = (article.publishedAt || '').slice(0, 10);
+      if (!day) return;
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(article);
+    });
+
+    const series = Array.from(byDay.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, dayArticles]) => ({ date, ...this.summarizeSentiment(dayArticles) }));
+
+    return { symbol: ticker, from: options.from, to: options.to, summary: this.summarizeSentiment(articles), series };
+  }
+
+  summarizeSentiment(articles) {
+    const scores = articles.filter(article => article.sentiment).map(article => article.sentiment);
+    const count = label => scores.filter(sentiment => sentiment.label === label).length;
+    const averageScore = scores.length
+      ? Math.round(scores.reduce((sum, sentiment) => sum + sentiment.score, 0) / scores.length * 1000) / 1000
+      : 0;
+    const positive = count('positive');
+    const negative = count('negative');
+
+    let label = this.sentimentService.label(averageScore);
+    if (label === 'neutral' && positive && negative) label = 'mixed';
+
+    return { articles: articles.length, positive, negative, neutral: count('neutral'), averageScore, label };
+  }
+
+  // Cached GNews search; throws on failure so callers decide how to degrade
+  async search(keyword, max = 5) {
+    if (!this.apiKey) {
+      throw new Error('GNEWS_API_KEY is not set');
+    }
+
+    const url = `https://gnews.io/api/v4/search?q=${encodeURIComponent(keyword)}&lang=en&country=us&max=${max}&token=${this.apiKey}`;
+    console.log(`[News API] Fetching news for: ${keyword}`);
+
+    return this.cache.wrap(`news:${keyword.toLowerCase()}:${max}`, async () => {
+      try {
+        const response = await axios.get(url);
+        const articles = response.data.articles.map(article => this.normalize(article));
+        console.log(`[News API] Fetched ${articles.length} articles.`);
+        return articles;
+      } catch (error) {
+        console.error('[News API] Error fetching news:', error.message);
+        throw error; // Errors are never cached
+      }
+    }, 'news');
+  }
+
+  async topHeadlines(category, max) {
+    if (!this.apiKey) {
+      throw new Error('GNEWS_API_KEY is not set');
+    }
+    const url = `https://gnews.io/api/v4/top-headlines?category=${category}&lang=en&country=us&max=${max}&token=${this.apiKey}`;
+    console.log(`[News API] Fetching ${category} headlines`);
+
+    return this.cache.wrap(`news:headlines:${category}:${max}`, async () => {
+      const response = await axios.get(url);
+      return response.data.articles.map(article => this.normalize(article));
+    }, 'news');
+  }
+
+  normalize(article) {
+    return {
+      title: article.title,
+      description: article.description,
+      url: article.url,
+      source: article.source ? article.source.name : undefined,
+      publishedAt: article.publishedAt
+    };
+  }
+
+  /**
+   * Drops repeats of the same story: identical URLs once tracking parameters are removed,
+   * or identical headlines once syndication suffixes like " - Reuters" are removed.
+   * Newest first; tickers of merged duplicates are combined.
+   */
+  dedupe(articles) {
+    const byKey = new Map();
+    const unique = [];
+
+    articles.forEach(article => {
+      const keys = [this.urlKey(article.url), this.titleKey(article.title)].filter(Boolean);
+      const existing = keys.map(key => byKey.get(key)).find(Boolean);
+      if (existing) {
+        existing.symbols = [...new Set([...(existing.symbols || []), ...(article.symbols || [])])];
+        return;
+      }
+      const copy = { ...article };
+      keys.forEach(key => byKey.set(key, copy));
+      unique.push(copy);
+    });
+
+    return unique.sort((a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0));
+  }
+
+  urlKey(url) {
+    if (!url) return null;
+    try {
+      const parsed = new URL(url);
+      return `url:${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`;
+    } catch (error) {
+      return `url:${url}`;
+    }
+  }
+
+  titleKey(title) {
+    if (!title) return null;
+    const normalized = title.toLowerCase().replace(/\s+[-|]\s+[^-|]+$/, '').replace(/[^a-z0-9]+/g, ' ').trim();
+    return normalized ? `title:${normalized}` : null;
+  }
+
+  /**
+   * Tool-facing sentiment for a keyword or ticker, scored from recent news coverage.
+   * @param {string} keyword - Ticker or company name.
+   * @returns {Promise<object>} - { sentiment_data } or { error } when no articles are found.
+   */
+  async analyzeSocialSentiment(keyword) {
+    const symbol = this.tagger.resolve(keyword);
+    let articles;
+    let dailySeries = [];
+
+    if (symbol) {
+      const from = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      dailySeries = (await this.getSentimentSeries(symbol, { from })).series.slice(-7);
+      articles = await this.store.list({ symbol, from });
+    } else {
+      const result = await this.fetchNews(keyword);
+      articles = result.articles || [];
+    }
+
+    if (!articles.length) {
+      return { error: `No recent news articles found to score sentiment for ${keyword}.` };
+    }
+
+    const summary = this.summarizeSentiment(articles);
+    const ranked = articles.filter(article => article.sentiment)
+      .sort((a, b) => b.sentiment.score - a.sentiment.score);
+    const headline = article => article && { title: article.title, url: article.url, score: article.sentiment.score };
+
+    console.log(`[News] Sentiment for ${keyword}: ${summary.label} (${summary.averageScore}) from ${summary.articles} articles`);
+    return {
+      sentiment_data: {
+        keyword,
+        symbol,
+        articles_analyzed: summary.articles,
+        positive_mentions: summary.positive,
+        negative_mentions: summary.negative,
+        neutral_mentions: summary.neutral,
+        average_score: summary.averageScore,
+        overall_sentiment: summary.label,
+        most_positive: ranked[0] && ranked[0].sentiment.score > 0 ? headline(ranked[0]) : null,
+        most_negative: ranked.length && ranked[ranked.length - 1].sentiment.score < 0 ? headline(ranked[ranked.length - 1]) : null,
+        daily_series: dailySeries,
+        methods: [...new Set(ranked.map(article => article.sentiment.method))],
+        source: 'News article sentiment'
+      }
+    };
+  }
+}
+
+module.exports = NewsService;
@@ -0,0 +1,175 @@
+const SymbolTagger = require('./symbolTagger');
+const { getEngine, configuredEngines } = require('../providers/ocr');
+const { extractFinancialData } = require('../utils/financialExtraction');
+
+const fail = (status, message, code) => Object.assign(new Error(message), { status, code });
+
+// Identified from the leading bytes, so a renamed file or a wrong Content-Type cannot slip through
+const FILE_TYPES = [
+  { type: 'pdf', mimetype: 'application/pdf', matches: bytes => bytes.toString('latin1', 0, 5) === '%PDF-' },
+  { type: 'png', mimetype: 'image/png', matches: bytes => bytes.toString('hex', 0, 8) === '89504e470d0a1a0a' },
+  { type: 'jpeg', mimetype: 'image/jpeg', matches: bytes => bytes.toString('hex', 0, 3) === 'ffd8ff' },
+  { type: 'gif', mimetype: 'image/gif', matches: bytes => bytes.toString('latin1', 0, 4) === 'GIF8' },
+  { type: 'webp', mimetype: 'image/webp', matches: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' },
+  { type: 'bmp', mimetype: 'image/bmp', matches: bytes => bytes.toString('latin1', 0, 2) === 'BM' },
+  { type: 'tiff', mimetype: 'image/tiff', matches: bytes => ['49492a00', '4d4d002a'].includes(bytes.toString('hex', 0, 4)) }
+];
+
+// A PDF page with less text than this is treated as a scan
+const MIN_TEXT_LAYER_CHARS = 20;
+
+/**
+ * OCR for uploaded images and PDFs, with the text post-processed into structured financial data.
+ * PDFs are read from their text layer when they have one (pdf-parse, optional) and otherwise
+ * sent to an engine that accepts PDFs. Engines come from src/providers/ocr and are tried in
+ * OCR_ENGINES order, falling back to the next one when an engine fails.
+ */
+class OcrService {
+  constructor(options = {}) {
+    this.engines = options.engines || null;
+    this.language = options.language || process.env.OCR_LANGUAGE || 'eng';
+    this.maxPages = options.maxPages || parseInt(process.env.OCR_MAX_PAGES || '20', 10);
+    this.tagger = options.tagger || new SymbolTagger();
+  }
+
+  // Content types the upload accepts; the bytes are still checked by detectType()
+  static get mimetypes() {
+    return [...FILE_TYPES.map(fileType => fileType.mimetype), 'image/jpg', 'image/x-ms-bmp', 'application/octet-stream'];
+  }
+
+  detectType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+    return FILE_TYPES.find(fileType => fileType.matches(buffer)) || null;
+  }
+
+  // Engines for a request: the one asked for, or the configured ones that are ready to use
+  enginesFor(options = {}) {
+    const engines = options.engine ? [getEngine(options.engine)] : (this.engines || configuredEngines());
+    return engines.filter(engine => engine.isAvailable());
+  }
+
+  listEngines() {
+    return (this.engines || configuredEngines()).map(engine => ({
+      name: engine.name,
+      label: engine.label,
+      available: engine.isAvailable(),
+      supportsPdf: engine.supportsPdf
+    }));
+  }
+
+  /**
+   * Reads one or more uploaded files; several images are treated as the pages of one scan.
+   * @param {Array<object>} files - Multer files ({ buffer, mimetype, originalname }), in page order.
+   * @param {object} options - { language (tesseract codes, e.g. "eng+msa"), engine, structured (default true) }.
+   * @returns {Promise<object>} - { extractedText, pages: [{ page, file, engine, text, confidence }], engines, structured }.
+   */
+  async extract(files, options = {}) {
+    if (!files || !files.length) {
+      throw fail(400, 'No image or PDF file uploaded.', 'NO_FILE');
+    }
+    const language = options.language || this.language;
+    if (!/^[a-z_]{3,8}(\+[a-z_]{3,8})*$/.test(language)) {
+      throw fail(400, `Invalid OCR language: ${language}. Use tesseract codes such as eng or eng+msa.`, 'INVALID_OCR_OPTIONS');
+    }
+
+    const pages = [];
+    // One file at a time: recognition is CPU-bound and the local engine runs jobs in sequence anyway
+    for (const file of files) {
+      const fileType = this.detectType(file.buffer);
+      if (!fileType) {
+        throw fail(415, `${file.originalname || 'The file'} is not a supported image or PDF (PNG, JPEG, GIF, WEBP, BMP, TIFF or PDF).`, 'UNSUPPORTED_FILE_TYPE');
+      }
+
+      const filePages = fileType.type === 'pdf'
+        ? await this.readPdf(file.buffer, fileType, { ...options, language })
+        : await this.recognize(file.buffer, fileType, { ...options, language });
+      filePages.forEach(page => pages.push({ page: pages.length + 1, file: file.originalname || null, ...page }));
+
+      if (pages.length > this.maxPages) {
+        throw fail(413, `Documents are limited to ${this.maxPages} pages.`, 'TOO_MANY_PAGES');
+      }
+    }
+
+    const extractedText = pages.map(page => page.text.trim()).filter(Boolean).join('\n\n');
+    console.log(`[OCR] Read ${pages.length} page(s) from ${files.length} file(s), ${extractedText.length} characters`);
+
+    return {
+      extractedText,
+      pages,
+      engines: [...new Set(pages.map(page => page.engine))],
+      structured: options.structured === false ? undefined : extractFinancialData(extractedText, { tagger: this.tagger })
+    };
+  }
+
+  async recognize(buffer, fileType, options) {
+    const isPdf = fileType.type === 'pdf';
+    const engines = this.enginesFor(options).filter(engine => !isPdf || engine.supportsPdf);
+    if (!engines.length) {
+      throw isPdf
+        ? fail(422, 'This PDF has no text layer and no configured OCR engine reads scanned PDFs. Upload the pages as images or configure OCR.space (OCR_SPACE_API_KEY).', 'SCANNED_PDF_UNSUPPORTED')
+        : fail(503, 'No OCR engine is available. Install tesseract.js or set OCR_SPACE_API_KEY.', 'OCR_UNAVAILABLE');
+    }
+
+    let lastError;
+    for (const engine of engines) {
+      try {
+        const { pages } = await engine.recognize(buffer, { mimetype: fileType.mimetype, language: options.language });
+        return pages.map(page => ({ engine: engine.name, text: page.text, confidence: page.confidence }));
+      } catch (error) {
+        console.warn(`[OCR] ${engine.name} failed: ${error.message}`);
+        lastError = error;
+      }
+    }
+    throw Object.assign(lastError, {
+      status: lastError.status || 502,
+      code: lastError.code || 'OCR_FAILED'
+    });
+  }
+
+  async readPdf(buffer, fileType, options) {
+    const texts = await this.readPdfText(buffer);
+    if (texts && texts.some(text => text.trim().length >= MIN_TEXT_LAYER_CHARS)) {
+      return texts.map(text => ({ engine: 'pdf-text', text, confidence: null }));
+    }
+    return this.recognize(buffer, fileType, options);
+  }
+
+  // Per-page text layer, or null when pdf-parse is not installed
+  async readPdfText(buffer) {
+    let pdfParse;
+    try {
+      // The package entry point runs a self-test when required from some contexts; the library file does not
+      pdfParse = require('pdf-parse/lib/pdf-parse.js');
+    } catch (error) {
+      return null;
+    }
+
+    const texts = [];
+    try {
+      // pdf.js reads the Buffer's whole backing ArrayBuffer, which for small (pooled) uploads
+      // starts before the file; a copy starts at the file's first byte
+      await pdfParse(new Uint8Array(buffer), {
+        max: this.maxPages + 1,
+        pagerender: async pageData => {
+          const content = await pageData.getTextContent();
+          let lastY;
+          let text = '';
+          // Items on the same baseline are one line; a double space keeps table columns apart
+          content.items.forEach(item => {
+            const y = item.transform[5];
+            if (lastY !== undefined) text += y === lastY ? '  ' : '\n';
+            text += item.str;
+            lastY = y;
+          });
+          texts.push(text);
+          return text;
+        }
+      });
+    } catch (error) {
+      throw fail(422, `Could not read the PDF: ${error.message}`, 'UNREADABLE_FILE');
+    }
+    return texts;
+  }
+}
+
+module.exports = OcrService;
@@ -0,0 +1,548 @@
+const crypto = require('crypto');
+const ChartService = require('./chartService');
+const EconomicService = require('./economicService');
+const SymbolDirectory = require('./symbolDirectory');
+const { createPortfolioStore, PORTFOLIO_ID_PATTERN } = require('./portfolioStore');
+const countries = require('../config/countries');
+
+const TRANSACTION_TYPES = ['buy', 'sell', 'dividend'];
+// Quantities below this are treated as a closed position (float dust from partial sells)
+const EPSILON = 1e-9;
+
+const fail = (status, message, code) => Object.assign(new Error(message), { status, code });
+const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
+const today = () => new Date().toISOString().split('T')[0];
+const round = (value, digits = 2) => (Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null);
+const percent = (part, whole) => (whole ? round((part / whole) * 100) : null);
+
+// Ledger order: by trade date, then by when the entry was recorded
+const byTradeDate = (a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt);
+
+/**
+ * Applies one transaction to running positions using the average cost method.
+ * Sells realize (price - average cost) * quantity net of fees; dividends are income.
+ */
+function applyTransaction(positions, transaction) {
+  const position = positions.get(transaction.symbol) || {
+    symbol: transaction.symbol,
+    currency: transaction.currency,
+    quantity: 0,
+    costBasis: 0,
+    realizedPnL: 0,
+    dividends: 0,
+    fees: 0,
+    openedAt: transaction.date
+  };
+  const fees = transaction.fees || 0;
+
+  if (transaction.type === 'buy') {
+    if (position.quantity < EPSILON) position.openedAt = transaction.date;
+    position.quantity += transaction.quantity;
+    position.costBasis += transaction.quantity * transaction.price + fees;
+  } else if (transaction.type === 'sell') {
+    if (transaction.quantity > position.quantity + EPSILON) {
+      throw fail(400, `Cannot sell ${transaction.quantity} ${transaction.symbol} on ${transaction.date}: only ${round(position.quantity, 6)} held`, 'INSUFFICIENT_QUANTITY');
+    }
+    const averageCost = position.quantity ? position.costBasis / position.quantity : 0;
+    position.realizedPnL += transaction.quantity * (transaction.price - averageCost) - fees;
+    position.costBasis -= averageCost * transaction.quantity;
+    position.quantity -= transaction.quantity;
+    if (position.quantity < EPSILON) {
+      position.quantity = 0;
+      position.costBasis = 0;
+    }
+  } else {
+    position.dividends += transaction.amount - fees;
+  }
+
+  position.fees += fees;
+  positions.set(transaction.symbol, position);
+  return positions;
+}
+
+/**
+ * Portfolios of holdings built from a ledger of buy, sell and dividend transactions.
+ * Positions, realized/unrealized P&L, allocation and daily value history are derived from
+ * the ledger and ChartService prices; totals are converted into the portfolio's base currency.
+ */
+class PortfolioService {
+  constructor(options = {}) {
+    this.store = options.store || createPortfolioStore();
+    this.chartService = options.chartService || new ChartService();
+    this.economicService = options.economicService || new EconomicService();
+    this.symbols = options.symbols || SymbolDirectory.shared();
+  }
+
+  async listPortfolios(options = {}) {
+    const portfolios = await this.store.list();
+    return portfolios
+      .filter(portfolio => !options.userId || portfolio.userId === options.userId)
+      .map(portfolio => this.describe(portfolio))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async getPortfolio(id) {
+    const portfolio = PORTFOLIO_ID_PATTERN.test(String(id)) ? await this.store.get(id) : null;
+    if (!portfolio) {
+      throw fail(404, `Portfolio not found: ${id}`, 'PORTFOLIO_NOT_FOUND');
+    }
+    return portfolio;
+  }
+
+  async createPortfolio(input = {}) {
+    const now = new Date().toISOString();
+    const portfolio = {
+      id: crypto.randomUUID(),
+      name: this.validateName(input.name),
+      baseCurrency: this.validateCurrency(input.baseCurrency || 'USD'),
+      userId: input.userId || null,
+      createdAt: now,
+      updatedAt: now,
+      transactions: []
+    };
+    await this.store.save(portfolio);
+    return portfolio;
+  }
+
+  async updatePortfolio(id, input = {}) {
+    const portfolio = await this.getPortfolio(id);
+    if (input.name !== undefined) portfolio.name = this.validateName(input.name);
+    if (input.baseCurrency !== undefined) portfolio.baseCurrency = this.validateCurrency(input.baseCurrency);
+    if (input.userId !== undefined) portfolio.userId = input.userId || null;
+    return this.save(portfolio);
+  }
+
+  async deletePortfolio(id) {
+    await this.getPortfolio(id);
+    return this.store.delete(id);
+  }
+
+  async listTransactions(id, filters = {}) {
+    const portfolio = await this.getPortfolio(id);
+    const symbol = filters.symbol ? this.symbols.require(filters.symbol).symbol : null;
+    return portfolio.transactions
+      .filter(transaction => !symbol || transaction.symbol === symbol)
+      .filter(transaction => !filters.type || transaction.type === filters.type)
+      .sort(byTradeDate);
+  }
+
+  /**
+   * Records a transaction after checking the ledger stays consistent (no selling more than held).
+   * @param {object} input - { type: buy|sell|dividend, symbol, date, quantity, price, fees, amount, currency, note }.
+   *   Buys and sells need quantity and price; dividends need the cash amount received.
+   */
+  async addTransaction(id, input = {}) {
+    const portfolio = await this.getPortfolio(id);
+    const transaction = this.normalizeTransaction(input, portfolio);
+    this.buildPositions([...portfolio.transactions, transaction]);
+    portfolio.transactions.push(transaction);
+    await this.save(portfolio);
+    return transaction;
+  }
+
+  async updateTransaction(id, transactionId, input = {}) {
+    const portfolio = await this.getPortfolio(id);
+    const index = portfolio.transactions.findIndex(transaction => transaction.id === transactionId);
+    if (index === -1) {
+      throw fail(404, `Transaction not found: ${transactionId}`, 'TRANSACTION_NOT_FOUND');
+    }
+
+    const existing = portfolio.transactions[index];
+    const updated = this.normalizeTransaction({ ...existing, ...input }, portfolio, existing);
+    const transactions = portfolio.transactions.map(transaction => (transaction.id === transactionId ? updated : transaction));
+    this.buildPositions(transactions);
+    portfolio.transactions = transactions;
+    await this.save(portfolio);
+    return updated;
+  }
+
+  async deleteTransaction(id, transactionId) {
+    const portfolio = await this.getPortfolio(id);
+    const transactions = portfolio.transactions.filter(transaction => transaction.id !== transactionId);
+    if (transactions.length === portfolio.transactions.length) {
+      throw fail(404, `Transaction not found: ${transactionId}`, 'TRANSACTION_NOT_FOUND');
+    }
+    // Removing a buy can leave later sells uncovered
+    this.buildPositions(transactions);
+    portfolio.transactions = transactions;
+    await this.save(portfolio);
+    return true;
+  }
+
+  /**
+   * Adds a holding as an opening buy, e.g. { symbol: 'AAPL', quantity: 10, averageCost: 150 }.
+   */
+  async addHolding(id, input = {}) {
+    return this.addTransaction(id, {
+      type: 'buy',
+      symbol: input.symbol,
+      quantity: input.quantity,
+      price: input.averageCost !== undefined ? input.averageCost : input.price,
+      fees: input.fees,
+      currency: input.currency,
+      date: input.date,
+      note: input.note || 'Opening position'
+    });
+  }
+
+  // Drops a holding together with its whole transaction history
+  async removeHolding(id, symbolInput) {
+    const portfolio = await this.getPortfolio(id);
+    const symbol = this.symbols.require(symbolInput).symbol;
+    const transactions = portfolio.transactions.filter(transaction => transaction.symbol !== symbol);
+    if (transactions.length === portfolio.transactions.length) {
+      throw fail(404, `No holding for ${symbol} in this portfolio`, 'HOLDING_NOT_FOUND');
+    }
+    const removedTransactions = portfolio.transactions.length - transactions.length;
+    portfolio.transactions = transactions;
+    await this.save(portfolio);
+    return { symbol, removedTransactions };
+  }
+
+  /**
+   * Open positions from the ledger alone, without prices.
+   * @returns {Promise<Array<object>>} - { symbol, currency, quantity, averageCost, costBasis, realizedPnL, dividends, openedAt }.
+   */
+  async getHoldings(id) {
+    const portfolio = await this.getPortfolio(id);
+    return Array.from(this.buildPositions(portfolio.transactions).values())
+      .filter(position => position.quantity > 0)
+      .map(position => this.formatPosition(position));
+  }
+
+  /**
+   * Prices every open position and converts totals into the base currency.
+   * @returns {Promise<object>} - { portfolio, asOf, holdings, closedPositions, totals, allocation, errors, warnings }.
+   *   Holdings whose price cannot be fetched are listed in `errors` and left out of market value.
+   */
+  async getValuation(id) {
+    const portfolio = await this.getPortfolio(id);
+    const positions = Array.from(this.buildPositions(portfolio.transactions).values());
+    const open = positions.filter(position => position.quantity > 0);
+    const errors = [];
+    const warnings = [];
+
+    const [prices, fx] = await Promise.all([
+      this.latestPrices(open.map(position => position.symbol), errors),
+      this.fxFactors(positions.map(position => position.currency), portfolio.baseCurrency, warnings)
+    ]);
+
+    const holdings = open.map(position => {
+      const instrument = this.symbols.resolve(position.symbol) || {};
+      const price = prices.get(position.symbol);
+      const marketValue = price ? position.quantity * price.close : null;
+      return {
+        ...this.formatPosition(position),
+        name: instrument.name || null,
+        assetType: instrument.assetType || null,
+        exchange: instrument.exchange || null,
+        sector: instrument.sector || null,
+        price: price ? round(price.close, 4) : null,
+        priceDate: price ? price.date : null,
+        marketValue: round(marketValue),
+        unrealizedPnL: marketValue === null ? null : round(marketValue - position.costBasis),
+        unrealizedPnLPercent: marketValue === null ? null : percent(marketValue - position.costBasis, position.costBasis),
+        fxRate: fx.has(position.currency) ? round(fx.get(position.currency), 6) : null,
+        marketValueBase: marketValue !== null && fx.has(position.currency) ? round(marketValue * fx.get(position.currency)) : null
+      };
+    });
+
+    const inBase = (value, currency) => (fx.has(currency) ? value * fx.get(currency) : 0);
+    const totals = { currency: portfolio.baseCurrency, costBasis: 0, marketValue: 0, pricedCostBasis: 0, realizedPnL: 0, dividends: 0 };
+    open.forEach((position, index) => {
+      totals.costBasis += inBase(position.costBasis, position.currency);
+      if (holdings[index].marketValueBase !== null) {
+        totals.marketValue += holdings[index].marketValueBase;
+        totals.pricedCostBasis += inBase(position.costBasis, position.currency);
+      }
+    });
+    positions.forEach(position => {
+      totals.realizedPnL += inBase(position.realizedPnL, position.currency);
+      totals.dividends += inBase(position.dividends, position.currency);
+    });
+
+    const unrealizedPnL = totals.marketValue - totals.pricedCostBasis;
+    const totalReturn = unrealizedPnL + totals.realizedPnL + totals.dividends;
+    holdings.forEach(holding => {
+      holding.weight = holding.marketValueBase !== null ? percent(holding.marketValueBase, totals.marketValue) : null;
+    });
+
+    return {
+      portfolio: this.describe(portfolio),
+      asOf: new Date().toISOString(),
+      holdings,
+      closedPositions: positions
+        .filter(position => position.quantity === 0)
+        .map(position => ({
+          symbol: position.symbol,
+          currency: position.currency,
+          realizedPnL: round(position.realizedPnL),
+          dividends: round(position.dividends)
+        })),
+      totals: {
+        currency: totals.currency,
+        costBasis: round(totals.costBasis),
+        marketValue: round(totals.marketValue),
+        unrealizedPnL: round(unrealizedPnL),
+        unrealizedPnLPercent: percent(unrealizedPnL, totals.pricedCostBasis),
+        realizedPnL: round(totals.realizedPnL),
+        dividends: round(totals.dividends),
+        totalReturn: round(totalReturn),
+        totalReturnPercent: percent(totalReturn, totals.costBasis)
+      },
+      allocation: {
+        bySymbol: this.allocate(holdings, holding => holding.symbol),
+        byAssetType: this.allocate(holdings, holding => holding.assetType || 'unknown'),
+        bySector: this.allocate(holdings, holding => holding.sector || (holding.assetType === 'etf' ? 'ETF' : 'unclassified')),
+        byCurrency: this.allocate(holdings, holding => holding.currency)
+      },
+      errors,
+      warnings
+    };
+  }
+
+  /**
+   * Daily portfolio value replayed from the ledger against daily closes.
+   * Exchange rates are the latest available, so history in a foreign base currency is approximate.
+   * @param {object} options - { from, to } (YYYY-MM-DD); defaults to the last year, never before the first trade.
+   * @returns {Promise<object>} - { currency, series: [{ date, marketValue, costBasis, unrealizedPnL, realizedPnL, dividends }], errors, warnings }.
+   */
+  async getHistory(id, options = {}) {
+    const portfolio = await this.getPortfolio(id);
+    const transactions = [...portfolio.transactions].sort(byTradeDate);
+    const errors = [];
+    const warnings = [];
+    if (!transactions.length) {
+      return { currency: portfolio.baseCurrency, series: [], errors, warnings };
+    }
+
+    const firstTrade = transactions[0].date;
+    const from = [options.from || this.chartService.getDateString(-365), firstTrade].sort()[1];
+    const to = options.to || today();
+    const symbols = [...new Set(transactions.map(transaction => transaction.symbol))];
+
+    const [seriesBySymbol, fx] = await Promise.all([
+      this.dailySeries(symbols, errors),
+      this.fxFactors(transactions.map(transaction => transaction.currency), portfolio.baseCurrency, warnings)
+    ]);
+
+    const days = [...new Set(Array.from(seriesBySymbol.values()).flat().map(point => point.date))]
+      .filter(day => day >= from && day <= to)
+      .sort();
+
+    const positions = new Map();
+    const cursors = new Map(symbols.map(symbol => [symbol, -1]));
+    let next = 0;
+    const series = days.map(day => {
+      while (next < transactions.length && transactions[next].date <= day) {
+        applyTransaction(positions, transactions[next]);
+        next += 1;
+      }
+
+      const point = { date: day, marketValue: 0, costBasis: 0, realizedPnL: 0, dividends: 0 };
+      positions.forEach(position => {
+        const factor = fx.get(position.currency);
+        if (factor === undefined) return;
+        point.realizedPnL += position.realizedPnL * factor;
+        point.dividends += position.dividends * factor;
+        if (!position.quantity) return;
+
+        // Last close on or before the day
+        const closes = seriesBySymbol.get(position.symbol) || [];
+        let cursor = cursors.get(position.symbol);
+        while (cursor + 1 < closes.length && closes[cursor + 1].date <= day) cursor += 1;
+        cursors.set(position.symbol, cursor);
+        if (cursor < 0) return;
+
+        point.marketValue += position.quantity * closes[cursor].close * factor;
+        point.costBasis += position.costBasis * factor;
+      });
+
+      return {
+        date: day,
+        marketValue: round(point.marketValue),
+        costBasis: round(point.costBasis),
+        unrealizedPnL: round(point.marketValue - point.costBasis),
+        realizedPnL: round(point.realizedPnL),
+        dividends: round(point.dividends)
+      };
+    });
+
+    return { currency: portfolio.baseCurrency, from, to, series, errors, warnings };
+  }
+
+  buildPositions(transactions) {
+    return [...transactions].sort(byTradeDate).reduce(applyTransaction, new Map());
+  }
+
+  formatPosition(position) {
+    return {
+      symbol: position.symbol,
+      currency: position.currency,
+      quantity: round(position.quantity, 6),
+      averageCost: position.quantity ? round(position.costBasis / position.quantity, 4) : null,
+      costBasis: round(position.costBasis),
+      realizedPnL: round(position.realizedPnL),
+      dividends: round(position.dividends),
+      openedAt: position.openedAt
+    };
+  }
+
+  normalizeTransaction(input, portfolio, existing = null) {
+    const type = String(input.type || '').toLowerCase();
+    if (!TRANSACTION_TYPES.includes(type)) {
+      throw fail(400, `type must be one of: ${TRANSACTION_TYPES.join(', ')}`, 'INVALID_TRANSACTION');
+    }
+    if (!input.symbol) {
+      throw fail(400, 'symbol is required', 'INVALID_TRANSACTION');
+    }
+
+    const instrument = this.symbols.require(input.symbol);
+    if (instrument.assetType === 'index') {
+      throw fail(400, `${instrument.name} is an index and cannot be held; use a tracking ETF such as ${instrument.proxy}`, 'INVALID_TRANSACTION');
+    }
+
+    const date = input.date || today();
+    if (!isDay(date)) {
+      throw fail(400, 'date must be YYYY-MM-DD', 'INVALID_TRANSACTION');
+    }
+
+    const number = (field, { required, positive }) => {
+      const value = input[field];
+      if (value === undefined || value === null || value === '') {
+        if (required) throw fail(400, `${field} is required for ${type} transactions`, 'INVALID_TRANSACTION');
+        return undefined;
+      }
+      const parsed = parseFloat(value);
+      if (!Number.isFinite(parsed) || parsed < 0 || (positive && parsed === 0)) {
+        throw fail(400, `${field} must be a ${positive ? 'positive' : 'non-negative'} number`, 'INVALID_TRANSACTION');
+      }
+      return parsed;
+    };
+
+    const trade = type !== 'dividend';
+    const transaction = {
+      id: existing ? existing.id : crypto.randomUUID(),
+      type,
+      symbol: instrument.symbol,
+      date,
+      quantity: number('quantity', { required: trade, positive: true }),
+      price: number('price', { required: trade }),
+      amount: trade ? undefined : number('amount', { required: true, positive: true }),
+      fees: number('fees', {}) || 0,
+      currency: this.validateCurrency(input.currency || instrument.currency || portfolio.baseCurrency),
+      note: input.note ? String(input.note).slice(0, 500) : undefined,
+      createdAt: existing ? existing.createdAt : new Date().toISOString()
+    };
+    return JSON.parse(JSON.stringify(transaction)); // drops undefined fields
+  }
+
+  validateName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw fail(400, 'name is required', 'INVALID_PORTFOLIO');
+    return trimmed.slice(0, 100);
+  }
+
+  validateCurrency(currency) {
+    const code = String(currency || '').toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) throw fail(400, `Invalid currency: ${currency}`, 'INVALID_CURRENCY');
+    return code;
+  }
+
+  async save(portfolio) {
+    portfolio.updatedAt = new Date().toISOString();
+    await this.store.save(portfolio);
+    return portfolio;
+  }
+
+  describe(portfolio) {
+    const { transactions, ...rest } = portfolio;
+    return { ...rest, transactionCount: transactions.length };
+  }
+
+  allocate(holdings, keyOf) {
+    const groups = new Map();
+    let total = 0;
+    holdings.forEach(holding => {
+      if (holding.marketValueBase === null) return;
+      const key = keyOf(holding);
+      groups.set(key, (groups.get(key) || 0) + holding.marketValueBase);
+      total += holding.marketValueBase;
+    });
+    return Array.from(groups.entries())
+      .map(([key, value]) => ({ key, value: round(value), weight: percent(value, total) }))
+      .sort((a, b) => b.value - a.value);
+  }
+
+  // Full daily series per symbol (cached by ChartService); failures are reported per symbol
+  async dailySeries(symbols, errors) {
+    const settled = await Promise.allSettled(symbols.map(symbol => {
+      const resolution = this.symbols.resolve(symbol);
+      return this.chartService.getSeries(resolution ? resolution.dataSymbol : symbol, 'day');
+    }));
+
+    const bySymbol = new Map();
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled' && outcome.value.series.length) {
+        bySymbol.set(symbols[index], outcome.value.series);
+      } else {
+        const error = outcome.reason || {};
+        errors.push({
+          symbol: symbols[index],
+          code: error.code || 'NO_DATA',
+          reason: error.message || `No price data for ${symbols[index]}`
+        });
+      }
+    });
+    return bySymbol;
+  }
+
+  async latestPrices(symbols, errors) {
+    const series = await this.dailySeries(symbols, errors);
+    return new Map(Array.from(series.entries()).map(([symbol, points]) => [symbol, points[points.length - 1]]));
+  }
+
+  /**
+   * Multipliers from each currency into the base currency, from the economic module's
+   * fx_rate (local currency per USD). Currencies without a rate are left out with a warning.
+   */
+  async fxFactors(currencies, baseCurrency, warnings) {
+    const needed = [...new Set([...currencies, baseCurrency])];
+    const perUsd = new Map([['USD', 1]]);
+
+    await Promise.all(needed.filter(currency => currency !== 'USD').map(async currency => {
+      const code = Object.keys(countries).find(country => countries[country].currency === currency);
+      if (!code) return;
+      try {
+        const { historical_economic_data: points } = await this.economicService.getSeries(code, 'fx_rate');
+        if (points.length) perUsd.set(currency, points[points.length - 1].value);
+      } catch (error) {
+        // Reported below as a missing rate
+      }
+    }));
+
+    const factors = new Map();
+    if (!perUsd.has(baseCurrency)) {
+      warnings.push(`No exchange rate for the base currency ${baseCurrency}; only ${baseCurrency} holdings are included in totals.`);
+      factors.set(baseCurrency, 1);
+      return factors;
+    }
+
+    needed.forEach(currency => {
+      if (currency === baseCurrency) {
+        factors.set(currency, 1);
+      } else if (perUsd.has(currency)) {
+        factors.set(currency, perUsd.get(baseCurrency) / perUsd.get(currency));
+      } else {
+        warnings.push(`No ${currency}/${baseCurrency} exchange rate; ${currency} holdings are left out of totals and allocation.`);
+      }
+    });
+    return factors;
+  }
+
+  static get transactionTypes() {
+    return TRANSACTION_TYPES;
+  }
+}
+
+module.exports = PortfolioService;
@@ -0,0 +1,102 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const PORTFOLIO_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Keeps portfolios in process memory; they are lost on restart
+class MemoryPortfolioStore {
+  constructor() {
+    this.portfolios = new Map();
+  }
+
+  async get(id) {
+    const portfolio = this.portfolios.get(id);
+    return portfolio ? JSON.parse(JSON.stringify(portfolio)) : null;
+  }
+
+  async save(portfolio) {
+    this.portfolios.set(portfolio.id, JSON.parse(JSON.stringify(portfolio)));
+    return portfolio;
+  }
+
+  async delete(id) {
+    return this.portfolios.delete(id);
+  }
+
+  async list() {
+    return Array.from(this.portfolios.values());
+  }
+}
+
+// One JSON file per portfolio (holdings are derived from its transactions) under `directory`
+class FilePortfolioStore {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '..', '..', 'data', 'portfolios');
+  }
+
+  filePath(id) {
+    if (!PORTFOLIO_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid portfolio id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(portfolio) {
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write then rename so a crash never leaves a half-written ledger
+    const target = this.filePath(portfolio.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(portfolio, null, 2));
+    await fs.rename(temp, target);
+    return portfolio;
+  }
+
+  async delete(id) {
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const portfolios = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.get(path.basename(file, '.json')).catch(() => null)));
+    return portfolios.filter(Boolean);
+  }
+}
+
+// Portfolios are user data, so they persist to disk unless PORTFOLIO_STORE=memory
+function createPortfolioStore(type = process.env.PORTFOLIO_STORE || 'file', options = {}) {
+  if (type === 'memory') {
+    return new MemoryPortfolioStore();
+  }
+  return new FilePortfolioStore({ directory: options.directory || process.env.PORTFOLIO_DIR });
+}
+
+module.exports = {
+  MemoryPortfolioStore,
+  FilePortfolioStore,
+  createPortfolioStore,
+  PORTFOLIO_ID_PATTERN
+};
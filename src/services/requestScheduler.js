@@ -0,0 +1,200 @@
+const { UpstreamError } = require('../utils/errors');
+
+// Per-provider quotas. Alpha Vantage's free tier allows 5 calls/minute and 25/day.
+const PROVIDER_QUOTAS = {
+  alphavantage: {
+    perMinute: parseInt(process.env.ALPHA_VANTAGE_RATE_PER_MINUTE || '5', 10),
+    perDay: parseInt(process.env.ALPHA_VANTAGE_DAILY_QUOTA || '25', 10)
+  }
+};
+
+const DEFAULT_QUOTA = { perMinute: 60, perDay: 0 };
+
+// Network failures worth another attempt; anything else with a code (ENOTFOUND, bad config) is not
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNABORTED', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+const schedulers = {};
+
+/**
+ * Token-bucket request queue for one upstream provider.
+ * Requests wait for a token instead of firing at once, retryable failures
+ * (throttle payloads, 429, 5xx) are retried with exponential backoff, and the
+ * daily quota is enforced locally so we stop before the provider starts refusing.
+ */
+class RequestScheduler {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.perMinute = options.perMinute || DEFAULT_QUOTA.perMinute;
+    this.perDay = options.perDay || 0; // 0 = no daily cap
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+    this.baseDelayMs = options.baseDelayMs || 2000;
+    this.maxDelayMs = options.maxDelayMs || 60000;
+    this.maxQueue = options.maxQueue || 100;
+
+    this.capacity = options.burst || this.perMinute;
+    // By default a request may wait as long as the bucket takes to refill completely plus one token
+    // interval (72s at 5/min), so the last job of a burst of twice the bucket size, which is due right
+    // at the full refill, is served rather than timed out; never under 30s
+    this.maxWaitMs = options.maxWaitMs
+      || parseInt(process.env.UPSTREAM_MAX_WAIT_MS || '0', 10)
+      || Math.max(30000, Math.ceil(((this.capacity + 1) / this.perMinute) * 60000));
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = [];
+    this.draining = false;
+    this.day = this.currentDay();
+    this.usedToday = 0;
+    this.stats = { scheduled: 0, completed: 0, failed: 0, retried: 0, rejected: 0 };
+  }
+
+  static forProvider(name) {
+    if (!schedulers[name]) {
+      schedulers[name] = new RequestScheduler(name, PROVIDER_QUOTAS[name] || DEFAULT_QUOTA);
+    }
+    return schedulers[name];
+  }
+
+  static getAllStats() {
+    return Object.values(schedulers).map(scheduler => scheduler.getStats());
+  }
+
+  /**
+   * Queues a request.
+   * @param {Function} task - Async function performing one upstream call.
+   * @param {string} label - Used in logs and error messages (usually the symbol).
+   * @returns {Promise<*>} - Resolves with the task result once it succeeds.
+   */
+  schedule(task, label = '') {
+    if (this.queue.length >= this.maxQueue) {
+      this.stats.rejected++;
+      return Promise.reject(new UpstreamError(`${this.name} request queue is full`, {
+        provider: this.name, code: 'QUEUE_FULL', retryable: true, status: 503
+      }));
+    }
+
+    this.stats.scheduled++;
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, label, resolve, reject, attempts: 0, enqueuedAt: Date.now() });
+      this.drain();
+    });
+  }
+
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      while (this.queue.length) {
+        const job = this.queue[0];
+
+        if (Date.now() - job.enqueuedAt > this.maxWaitMs) {
+          this.queue.shift();
+          this.stats.rejected++;
+          job.reject(new UpstreamError(`${this.name} rate limit: ${job.label} waited more than ${this.maxWaitMs}ms in queue`, {
+            provider: this.name, code: 'RATE_LIMITED', retryable: true, status: 429
+          }));
+          continue;
+        }
+
+        if (this.quotaExhausted()) {
+          this.queue.shift();
+          this.stats.rejected++;
+          job.reject(new UpstreamError(`${this.name} daily quota of ${this.perDay} requests reached`, {
+            provider: this.name, code: 'QUOTA_EXCEEDED', retryable: false, status: 429
+          }));
+          continue;
+        }
+
+        const waitMs = this.takeToken();
+        if (waitMs > 0) {
+          await this.sleep(Math.min(waitMs, this.maxWaitMs));
+          continue;
+        }
+
+        this.queue.shift();
+        this.usedToday++;
+        this.run(job);
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async run(job) {
+    try {
+      const result = await job.task();
+      this.stats.completed++;
+      job.resolve(result);
+    } catch (error) {
+      const retryable = this.isRetryable(error);
+      if (retryable && job.attempts < this.maxRetries) {
+        job.attempts++;
+        this.stats.retried++;
+        const delay = Math.min(this.baseDelayMs * 2 ** (job.attempts - 1), this.maxDelayMs);
+        console.warn(`[${this.name}] ${job.label} failed (${error.message}), retry ${job.attempts}/${this.maxRetries} in ${delay}ms`);
+        setTimeout(() => {
+          job.enqueuedAt = Date.now();
+          this.queue.unshift(job);
+          this.drain();
+        }, delay);
+        return;
+      }
+
+      this.stats.failed++;
+      job.reject(error);
+    }
+  }
+
+  isRetryable(error) {
+    if (error instanceof UpstreamError) return error.retryable;
+    const status = error.response && error.response.status;
+    if (status) return status === 429 || status >= 500;
+    // Network failures (timeouts, resets) have no response
+    return RETRYABLE_NETWORK_CODES.includes(error.code);
+  }
+
+  // Returns 0 when a token was taken, otherwise how long until one is available
+  takeToken() {
+    const now = Date.now();
+    const refillRate = this.perMinute / 60000;
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * refillRate);
+    this.lastRefill = now;
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / refillRate);
+  }
+
+  quotaExhausted() {
+    const today = this.currentDay();
+    if (today !== this.day) {
+      this.day = today;
+      this.usedToday = 0;
+    }
+    return this.perDay > 0 && this.usedToday >= this.perDay;
+  }
+
+  currentDay() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getStats() {
+    return {
+      provider: this.name,
+      perMinute: this.perMinute,
+      perDay: this.perDay,
+      usedToday: this.usedToday,
+      availableTokens: Math.floor(this.tokens),
+      queued: this.queue.length,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,232 @@
+const ChartService = require('./chartService');
+const SymbolDirectory = require('./symbolDirectory');
+const {
+  VAR_CONFIDENCE_LEVELS,
+  periodReturns,
+  computeRiskMetrics,
+  correlationMatrix
+} = require('../utils/riskMetrics');
+
+const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
+const fail = (status, message, code) => Object.assign(new Error(message), { status, code });
+
+/**
+ * Risk and performance analytics (returns, volatility, drawdown, Sharpe/Sortino, beta,
+ * correlation, Value-at-Risk) on daily closes from ChartService, for one symbol, a set of
+ * symbols or a portfolio's current holdings. The math lives in utils/riskMetrics.
+ */
+class RiskService {
+  constructor(options = {}) {
+    this.chartService = options.chartService || new ChartService();
+    // Only needed for portfolio risk; createServices() passes the app's service
+    this.portfolioService = options.portfolioService || null;
+    this.symbols = options.symbols || SymbolDirectory.shared();
+    this.benchmark = options.benchmark || process.env.RISK_BENCHMARK || 'SPY';
+    // Annual risk-free rate as a fraction, used by Sharpe and Sortino
+    this.riskFreeRate = options.riskFreeRate !== undefined
+      ? options.riskFreeRate
+      : parseFloat(process.env.RISK_FREE_RATE || '0.04');
+  }
+
+  /**
+   * Validates and fills in analysis options.
+   * @param {object} options - { from, to (YYYY-MM-DD, default the last year), benchmark, riskFreeRate, confidence }.
+   * @returns {object} - Normalized options; invalid values throw 400 INVALID_RISK_OPTIONS.
+   */
+  normalizeOptions(options = {}) {
+    const from = options.from || this.chartService.getDateString(-365);
+    const to = options.to || this.chartService.getDateString(0);
+    if (!isDay(from) || !isDay(to) || from > to) {
+      throw fail(400, 'from and to must be dates (YYYY-MM-DD) with from before to', 'INVALID_RISK_OPTIONS');
+    }
+
+    const riskFreeRate = options.riskFreeRate === undefined ? this.riskFreeRate : parseFloat(options.riskFreeRate);
+    if (!Number.isFinite(riskFreeRate) || riskFreeRate < 0 || riskFreeRate > 1) {
+      throw fail(400, 'riskFreeRate must be an annual fraction between 0 and 1 (e.g. 0.04)', 'INVALID_RISK_OPTIONS');
+    }
+
+    const confidence = options.confidence === undefined ? 0.95 : parseFloat(options.confidence);
+    if (!VAR_CONFIDENCE_LEVELS.includes(confidence)) {
+      throw fail(400, `confidence must be one of: ${VAR_CONFIDENCE_LEVELS.join(', ')}`, 'INVALID_RISK_OPTIONS');
+    }
+
+    const benchmark = this.symbols.require(options.benchmark || this.benchmark);
+    return { from, to, riskFreeRate, confidence, benchmark };
+  }
+
+  /**
+   * Metrics for one symbol against the benchmark.
+   * @returns {Promise<object>} - { symbol, instrument, benchmark, riskFreeRate, metrics }.
+   */
+  async analyzeSymbol(input, options = {}) {
+    const instrument = this.symbols.require(input);
+    const settings = this.normalizeOptions(options);
+    const [returns, benchmarkReturns] = await Promise.all([
+      this.returnsFor(instrument.dataSymbol, settings),
+      this.benchmarkReturns(settings)
+    ]);
+
+    if (returns.length < 2) {
+      throw fail(404, `Not enough price history for ${instrument.symbol} between ${settings.from} and ${settings.to}`, 'INSUFFICIENT_DATA');
+    }
+
+    return {
+      symbol: instrument.symbol,
+      instrument,
+      ...this.describeSettings(settings),
+      metrics: computeRiskMetrics(returns, { ...settings, benchmarkReturns })
+    };
+  }
+
+  /**
+   * Metrics per symbol plus their correlation matrix, e.g. for the /compare set.
+   * @returns {Promise<object>} - { benchmark, riskFreeRate, symbols: [{ symbol, metrics }], correlation, errors }.
+   *   Unknown symbols and symbols without data are listed in `errors` instead of failing the set.
+   */
+  async analyzeSymbols(inputs, options = {}) {
+    const settings = this.normalizeOptions(options);
+    const { resolved, errors } = this.symbols.resolveMany(inputs);
+    const unique = [...new Map(resolved.map(instrument => [instrument.dataSymbol, instrument])).values()];
+
+    const [returnsList, benchmarkReturns] = await Promise.all([
+      Promise.all(unique.map(instrument => this.returnsFor(instrument.dataSymbol, settings, errors))),
+      this.benchmarkReturns(settings)
+    ]);
+
+    const returnsBySymbol = {};
+    const symbols = [];
+    unique.forEach((instrument, index) => {
+      if (returnsList[index].length < 2) return;
+      returnsBySymbol[instrument.dataSymbol] = returnsList[index];
+      symbols.push({
+        symbol: instrument.dataSymbol,
+        name: instrument.name || null,
+        metrics: computeRiskMetrics(returnsList[index], { ...settings, benchmarkReturns })
+      });
+    });
+
+    return {
+      ...this.describeSettings(settings),
+      symbols,
+      correlation: correlationMatrix(returnsBySymbol),
+      errors
+    };
+  }
+
+  /**
+   * Metrics for a portfolio's current holdings at their current weights, so the figures describe
+   * the risk of what is held now rather than of past trading. Returns are in each holding's own
+   * currency; weights use base-currency market values.
+   * @returns {Promise<object>} - { portfolio, currency, marketValue, metrics, valueAtRiskAmount, holdings, correlation, errors, warnings }.
+   */
+  async analyzePortfolio(id, options = {}) {
+    const settings = this.normalizeOptions(options);
+    const valuation = await this.portfolioService.getValuation(id);
+    const errors = [...valuation.errors];
+    const weighted = valuation.holdings.filter(holding => holding.marketValueBase > 0);
+    const marketValue = valuation.totals.marketValue;
+
+    const [returnsList, benchmarkReturns] = await Promise.all([
+      Promise.all(weighted.map(holding => {
+        const resolution = this.symbols.resolve(holding.symbol);
+        return this.returnsFor(resolution ? resolution.dataSymbol : holding.symbol, settings, errors);
+      })),
+      this.benchmarkReturns(settings)
+    ]);
+
+    const returnsBySymbol = {};
+    const holdings = weighted.map((holding, index) => {
+      const returns = returnsList[index];
+      if (returns.length >= 2) returnsBySymbol[holding.symbol] = returns;
+      const metrics = computeRiskMetrics(returns, { ...settings, benchmarkReturns });
+      return {
+        symbol: holding.symbol,
+        weight: holding.weight,
+        annualizedVolatilityPercent: metrics ? metrics.annualizedVolatilityPercent : null,
+        maxDrawdownPercent: metrics ? metrics.maxDrawdownPercent : null,
+        beta: metrics ? metrics.beta : null
+      };
+    });
+
+    const returns = this.weightedReturns(weighted, returnsBySymbol);
+    const metrics = computeRiskMetrics(returns, { ...settings, benchmarkReturns });
+    const amount = percent => (percent === null || !metrics ? null : parseFloat((marketValue * percent / 100).toFixed(2)));
+
+    return {
+      portfolio: valuation.portfolio,
+      ...this.describeSettings(settings),
+      currency: valuation.totals.currency,
+      marketValue,
+      metrics,
+      valueAtRiskAmount: metrics ? {
+        historical: amount(metrics.valueAtRisk.historicalPercent),
+        parametric: amount(metrics.valueAtRisk.parametricPercent),
+        expectedShortfall: amount(metrics.valueAtRisk.expectedShortfallPercent)
+      } : null,
+      holdings,
+      correlation: correlationMatrix(returnsBySymbol),
+      errors,
+      warnings: valuation.warnings
+    };
+  }
+
+  // Daily portfolio returns on the dates every priced holding traded, weights rescaled to those holdings
+  weightedReturns(holdings, returnsBySymbol) {
+    const included = holdings.filter(holding => returnsBySymbol[holding.symbol]);
+    if (!included.length) return [];
+
+    const totalWeight = included.reduce((sum, holding) => sum + holding.marketValueBase, 0);
+    const byDate = included.map(holding => new Map(returnsBySymbol[holding.symbol].map(point => [point.date, point.value])));
+    return returnsBySymbol[included[0].symbol]
+      .filter(point => byDate.every(returns => returns.has(point.date)))
+      .map(point => ({
+        date: point.date,
+        value: included.reduce((sum, holding, index) => sum + byDate[index].get(point.date) * holding.marketValueBase / totalWeight, 0)
+      }));
+  }
+
+  // Daily returns inside [from, to]; failures are pushed onto `errors` when given, otherwise thrown
+  async returnsFor(dataSymbol, { from, to }, errors) {
+    try {
+      const { series } = await this.chartService.getSeries(dataSymbol, 'day');
+      const returns = periodReturns(series.filter(point => point.date >= from && point.date <= to));
+      if (returns.length < 2 && errors) {
+        errors.push({ symbol: dataSymbol, code: 'INSUFFICIENT_DATA', reason: `Not enough price history for ${dataSymbol} between ${from} and ${to}` });
+      }
+      return returns;
+    } catch (error) {
+      if (!errors) throw error;
+      errors.push({ symbol: dataSymbol, code: error.code || 'NO_DATA', reason: error.message });
+      return [];
+    }
+  }
+
+  // A missing benchmark only leaves beta and benchmark correlation empty
+  async benchmarkReturns(settings) {
+    try {
+      const returns = await this.returnsFor(settings.benchmark.dataSymbol, settings);
+      return returns.length >= 2 ? returns : null;
+    } catch (error) {
+      console.warn(`[Risk] Benchmark ${settings.benchmark.dataSymbol} unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  describeSettings({ from, to, benchmark, riskFreeRate }) {
+    return { from, to, benchmark: benchmark.dataSymbol, riskFreeRate };
+  }
+
+  // Tool-facing variant for /analyze: one symbol or a set, { error } instead of throwing
+  async getRiskMetrics(symbols, options = {}) {
+    try {
+      const list = Array.isArray(symbols) ? symbols : String(symbols || '').split(',').map(symbol => symbol.trim()).filter(Boolean);
+      if (!list.length) return { error: 'At least one symbol is required.' };
+      return list.length === 1 ? await this.analyzeSymbol(list[0], options) : await this.analyzeSymbols(list, options);
+    } catch (error) {
+      console.warn(`[Risk] ${error.message}`);
+      return { error: error.message, suggestions: error.suggestions };
+    }
+  }
+}
+
+module.exports = RiskService;
@@ -0,0 +1,127 @@
+const defaultLexicon = require('../config/sentimentLexicon');
+const { sharedLLMClient } = require('./llmClient');
+const { articleSentiment } = require('../schemas/sentimentSchemas');
+
+const LLM_BATCH_SIZE = 20;
+
+/**
+ * Scores news sentiment from -1 (negative) to 1 (positive).
+ * `mode` (NEWS_SENTIMENT_MODE) is 'lexicon' for offline word-list scoring, 'llm' to always ask
+ * the model, or 'auto' to use the model when an API key is configured. Articles the model
+ * fails to score fall back to the lexicon, and each score records the method used.
+ */
+class SentimentService {
+  constructor(options = {}) {
+    this.lexicon = options.lexicon || defaultLexicon;
+    this.llm = options.llm || sharedLLMClient();
+    this.mode = options.mode || process.env.NEWS_SENTIMENT_MODE || 'auto';
+  }
+
+  useLLM() {
+    return this.mode === 'llm' || (this.mode === 'auto' && this.llm.isAvailable());
+  }
+
+  /**
+   * Offline lexicon score for a piece of text.
+   * @param {string} text
+   * @returns {object} - { score, label, method, matches } where matches are the weighted terms found.
+   */
+  scoreText(text) {
+    const tokens = String(text || '').toLowerCase().match(/[a-z][a-z'-]*/g) || [];
+    const matches = [];
+    let total = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+      let term = null;
+      let weight = 0;
+      let span = 1;
+
+      const pair = `${tokens[i]} ${tokens[i + 1]}`;
+      const triple = `${pair} ${tokens[i + 2]}`;
+      if (this.lexicon.phrases[triple] !== undefined) {
+        term = triple; weight = this.lexicon.phrases[triple]; span = 3;
+      } else if (this.lexicon.phrases[pair] !== undefined) {
+        term = pair; weight = this.lexicon.phrases[pair]; span = 2;
+      } else if (Object.prototype.hasOwnProperty.call(this.lexicon.words, tokens[i])) {
+        term = tokens[i]; weight = this.lexicon.words[tokens[i]];
+      }
+      if (!term) continue;
+
+      const previous = tokens.slice(Math.max(0, i - 3), i);
+      if (previous.some(token => this.lexicon.negators.includes(token))) weight = -weight;
+      const intensifier = this.lexicon.intensifiers[tokens[i - 1]];
+      if (intensifier) weight *= intensifier;
+
+      matches.push({ term, weight: Math.round(weight * 100) / 100 });
+      total += weight;
+      i += span - 1;
+    }
+
+    // Squash the raw sum into (-1, 1) so long articles do not dominate
+    const score = total === 0 ? 0 : total / Math.sqrt(total * total + 15);
+    return { score: Math.round(score * 1000) / 1000, label: this.label(score), method: 'lexicon', matches };
+  }
+
+  label(score) {
+    if (score >= 0.05) return 'positive';
+    if (score <= -0.05) return 'negative';
+    return 'neutral';
+  }
+
+  // Headline counted twice: it carries most of the signal in short news blurbs
+  articleText(article) {
+    return [article.title, article.title, article.description].filter(Boolean).join('. ');
+  }
+
+  /**
+   * Adds a `sentiment` field to each article.
+   * @param {Array<object>} articles - Articles with title/description.
+   * @returns {Promise<Array<object>>}
+   */
+  async scoreArticles(articles) {
+    const llmScores = this.useLLM() ? await this.scoreWithLLM(articles) : new Map();
+
+    return articles.map((article, index) => {
+      const scored = llmScores.get(index);
+      if (scored) return { ...article, sentiment: scored };
+      const { score, label, method } = this.scoreText(this.articleText(article));
+      return { ...article, sentiment: { score, label, method } };
+    });
+  }
+
+  // Returns Map<articleIndex, sentiment>; batches that fail are left to the lexicon
+  async scoreWithLLM(articles) {
+    const scores = new Map();
+
+    for (let start = 0; start < articles.length; start += LLM_BATCH_SIZE) {
+      const batch = articles.slice(start, start + LLM_BATCH_SIZE);
+      const prompt = `Rate the sentiment of each news item for investors in the companies it mentions, from -1 (very negative) to 1 (very positive).
+${batch.map((article, index) => `[${index + 1}] ${article.title}${article.description ? `: ${article.description}` : ''}`).join('\n')}`;
+
+      try {
+        const { text } = await this.llm.generate(prompt, {
+          task: 'sentiment',
+          generationConfig: { responseMimeType: 'application/json', responseSchema: articleSentiment.responseSchema }
+        });
+        const { value, error } = articleSentiment.validator.validate(JSON.parse(text), { stripUnknown: true });
+        if (error) throw error;
+
+        value.scores
+          .filter(entry => entry.item <= batch.length)
+          .forEach(entry => {
+            scores.set(start + entry.item - 1, {
+              score: Math.round(entry.score * 1000) / 1000,
+              label: entry.label,
+              method: 'llm'
+            });
+          });
+      } catch (error) {
+        console.warn(`[Sentiment] LLM scoring failed, using lexicon: ${error.message}`);
+      }
+    }
+
+    return scores;
+  }
+}
+
+module.exports = SentimentService;
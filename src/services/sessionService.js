@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { createSessionStore, SESSION_ID_PATTERN } = require('./sessionStore');
+
+const KEPT_ITEMS = 5;
+const MAX_STRING = 500;
+
+// Keeps the shape of a tool result but only the last few items of each list and the start of long strings
+function shrink(value) {
+  if (Array.isArray(value)) {
+    const kept = value.slice(-KEPT_ITEMS).map(shrink);
+    return value.length > KEPT_ITEMS ? [`(${value.length - KEPT_ITEMS} earlier items omitted)`, ...kept] : kept;
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, shrink(item)]));
+  }
+  if (typeof value === 'string' && value.length > MAX_STRING) {
+    return `${value.slice(0, MAX_STRING)}…`;
+  }
+  return value;
+}
+
+const sizeOf = content => JSON.stringify(content).length;
+const isUserText = content => content.role === 'user' && content.parts.some(part => part.text !== undefined);
+
+/**
+ * Conversation sessions for /analyze: Gemini chat history, the datasets the last
+ * turn fetched, and a running summary of anything trimmed off the history.
+ */
+class SessionService {
+  constructor(options = {}) {
+    this.store = options.store || createSessionStore();
+    // Max chat contents, and their total JSON size, kept verbatim; older ones are folded into `summary`
+    this.maxHistory = options.maxHistory || parseInt(process.env.SESSION_MAX_HISTORY || '40', 10);
+    this.maxHistoryChars = options.maxHistoryChars || parseInt(process.env.SESSION_MAX_HISTORY_CHARS || '60000', 10);
+    // Tool results larger than this are stored compacted; the full data went to the model in its own turn
+    this.maxToolResponseChars = options.maxToolResponseChars || parseInt(process.env.SESSION_MAX_TOOL_RESPONSE_CHARS || '2000', 10);
+    // Optional async (contents, previousSummary) => string, e.g. backed by Gemini
+    this.summarizer = options.summarizer || null;
+  }
+
+  isValidId(id) {
+    return SESSION_ID_PATTERN.test(String(id));
+  }
+
+  async create(id = crypto.randomUUID()) {
+    const now = new Date().toISOString();
+    const session = {
+      id,
+      title: null,
+      createdAt: now,
+      updatedAt: now,
+      summary: null,
+      history: [],
+      turns: [],
+      datasets: {}
+    };
+    return this.store.save(session);
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  delete(id) {
+    return this.store.delete(id);
+  }
+
+  async list() {
+    const sessions = await this.store.list();
+    return sessions
+      .map(session => ({
+        id: session.id,
+        title: session.title,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        turnCount: session.turns.length
+      }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // History handed to model.startChat: the summary (if any) as a leading exchange, then recent contents
+  buildChatHistory(session) {
+    if (!session.summary) return session.history;
+    return [
+      { role: 'user', parts: [{ text: `Summary of our earlier conversation: ${session.summary}` }] },
+      { role: 'model', parts: [{ text: 'Understood, I will keep that context in mind.' }] },
+      ...session.history
+    ];
+  }
+
+  /**
+   * Stores the outcome of one /analyze turn.
+   * @param {object} session - The session being continued.
+   * @param {object} turn - { query, answer, history, datasets, trace }. `history` is the full
+   *   chat history after the turn (including the summary prefix from buildChatHistory).
+   *   `query` is what the user typed, stored in place of the message the model was sent.
+   */
+  async recordTurn(session, { query, answer, history, datasets = {}, trace = [] }) {
+    const prefixLength = session.summary ? 2 : 0;
+    const previousLength = session.history.length;
+    session.history = history.slice(prefixLength)
+      .map((content, index) => (index < previousLength ? content : this.compactContent(content)));
+    // The model may have been sent the query with document context appended
+    const asked = session.history[previousLength];
+    if (asked && isUserText(asked)) {
+      asked.parts = [{ text: query }];
+    }
+    session.turns.push({
+      query,
+      answer,
+      tools: trace.map(entry => entry.name),
+      at: new Date().toISOString()
+    });
+    session.title = session.title || query.slice(0, 80);
+    // Keep the latest dataset of each kind so follow-ups ("now weekly") can refer back to it
+    session.datasets = { ...session.datasets, ...datasets };
+    session.updatedAt = new Date().toISOString();
+
+    await this.trim(session);
+    return this.store.save(session);
+  }
+
+  // Function responses over maxToolResponseChars are shrunk, or cut to an excerpt if that is not enough
+  compactContent(content) {
+    if (!content.parts.some(part => part.functionResponse)) return content;
+    return {
+      ...content,
+      parts: content.parts.map(part => {
+        if (!part.functionResponse) return part;
+        const { name, response } = part.functionResponse;
+        const json = JSON.stringify(response);
+        if (json.length <= this.maxToolResponseChars) return part;
+        const shrunk = shrink(response);
+        return {
+          functionResponse: {
+            name,
+            response: sizeOf(shrunk) <= this.maxToolResponseChars
+              ? shrunk
+              : { truncated: true, excerpt: `${json.slice(0, this.maxToolResponseChars)}…` }
+          }
+        };
+      })
+    };
+  }
+
+  async trim(session) {
+    const sizes = session.history.map(sizeOf);
+    let size = sizes.reduce((sum, contentSize) => sum + contentSize, 0);
+    if (session.history.length <= this.maxHistory && size <= this.maxHistoryChars) return;
+
+    // Drop the oldest contents past the count limit, then more until the rest fits the size budget
+    let target = Math.max(0, session.history.length - this.maxHistory);
+    sizes.slice(0, target).forEach(contentSize => { size -= contentSize; });
+    while (size > this.maxHistoryChars && target < session.history.length - 1) {
+      size -= sizes[target++];
+    }
+
+    // Cut at a plain user message so no functionCall is separated from its functionResponse;
+    // when even the latest turn is over budget, keep just that turn
+    let cut = session.history.findIndex((content, index) => index >= target && isUserText(content));
+    if (cut === -1) {
+      cut = session.history.map(isUserText).lastIndexOf(true);
+    }
+    if (cut <= 0) return;
+
+    const removed = session.history.slice(0, cut);
+    session.history = session.history.slice(cut);
+    session.summary = await this.summarize(removed, session.summary);
+  }
+
+  async summarize(contents, previousSummary) {
+    if (this.summarizer) {
+      try {
+        return await this.summarizer(contents, previousSummary);
+      } catch (error) {
+        console.warn('[Sessions] Summarizer failed, falling back to a plain digest:', error.message);
+      }
+    }
+
+    // Plain digest: the user's questions and the model's answers, truncated
+    const lines = contents.flatMap(content => content.parts
+      .filter(part => part.text)
+      .map(part => `${content.role === 'user' ? 'User' : 'Assistant'}: ${part.text.slice(0, 200)}`));
+    return [previousSummary, ...lines].filter(Boolean).join('\n').slice(-4000);
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,101 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Keeps sessions in process memory; they are lost on restart
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const session = this.sessions.get(id);
+    return session ? JSON.parse(JSON.stringify(session)) : null;
+  }
+
+  async save(session) {
+    this.sessions.set(session.id, JSON.parse(JSON.stringify(session)));
+    return session;
+  }
+
+  async delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  async list() {
+    return Array.from(this.sessions.values());
+  }
+}
+
+// One JSON file per session under `directory`
+class FileSessionStore {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '..', '..', 'data', 'sessions');
+  }
+
+  filePath(id) {
+    if (!SESSION_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(session) {
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write then rename so a crash never leaves a half-written session
+    const target = this.filePath(session.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(session, null, 2));
+    await fs.rename(temp, target);
+    return session;
+  }
+
+  async delete(id) {
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sessions = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.get(path.basename(file, '.json')).catch(() => null)));
+    return sessions.filter(Boolean);
+  }
+}
+
+function createSessionStore(type = process.env.SESSION_STORE || 'memory', options = {}) {
+  if (type === 'file') {
+    return new FileSessionStore({ directory: options.directory || process.env.SESSION_DIR });
+  }
+  return new MemorySessionStore();
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+  SESSION_ID_PATTERN
+};
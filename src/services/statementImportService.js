@@ -0,0 +1,665 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const NodeCache = require('node-cache');
+const SymbolDirectory = require('./symbolDirectory');
+const brokerProfiles = require('../config/brokerProfiles');
+const { parseCsv } = require('../utils/csv');
+const { parseValue } = require('../utils/financialExtraction');
+
+const FIELDS = ['symbol', 'name', 'type', 'date', 'quantity', 'price', 'fees', 'amount', 'costBasis', 'currency', 'assetClass'];
+const DATE_ORDERS = ['MDY', 'DMY', 'YMD'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// Rows searched for the header of a CSV export (titles and account details come first)
+const HEADER_SEARCH_ROWS = 30;
+
+// Dates as they appear in exports: 2024-01-02, 20240102, 01/02/2024, 2-Jan-2024, Jan 2, 2024
+const DATE_PATTERNS = {
+  iso: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/,
+  compact: /\b((?:19|20)\d{2})(\d{2})(\d{2})\b/,
+  numeric: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/,
+  dayMonth: /\b(\d{1,2})[\s-]([A-Za-z]{3,9})\.?[\s,-]+(\d{4}|\d{2})\b/,
+  monthDay: /\b([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})\b/
+};
+
+// Words in statement lines that look like tickers but are not
+const NOT_TICKERS = new Set([
+  'USD', 'MYR', 'SGD', 'HKD', 'EUR', 'GBP', 'RM', 'AT', 'QTY', 'PRICE', 'CASH', 'SHARES', 'UNITS', 'TOTAL', 'NET',
+  'FEE', 'FEES', 'AMOUNT', 'DATE', 'LOT', 'LOTS', 'BUY', 'SELL', 'BOUGHT', 'SOLD', 'DIVIDEND'
+]);
+
+const fail = (status, message, code) => Object.assign(new Error(message), { status, code });
+const headerKey = value => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const round = (value, digits = 6) => (Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null);
+const today = () => new Date().toISOString().split('T')[0];
+
+// "$1,234.50", "(1,234.50)" and "RM 9.50" as numbers; null when the cell is not a number
+function parseNumber(raw) {
+  const text = String(raw === undefined || raw === null ? '' : raw).replace(/\s/g, '');
+  const parsed = text ? parseValue(text) : null;
+  if (!parsed || parsed.value === null || parsed.percent) return null;
+  // "$-1,234.50" puts the sign after the currency
+  return /^[^\d(]*-/.test(text) ? -Math.abs(parsed.value) : parsed.value;
+}
+
+function toDay(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const value = `${fullYear}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.getUTCDate() === day && date.getUTCMonth() + 1 === month ? value : null;
+}
+
+const monthOf = name => MONTHS.indexOf(String(name).slice(0, 3).toLowerCase()) + 1;
+
+/**
+ * The first date in a cell or line as YYYY-MM-DD.
+ * @param {string} raw - e.g. "01/02/2024 as of 12/29/2023" (the first date is the trade date).
+ * @param {string} order - MDY or DMY, for all-numeric dates such as 03/04/2024.
+ * @returns {string|null}
+ */
+function parseDate(raw, order = 'MDY') {
+  const text = String(raw || '');
+  let match = text.match(DATE_PATTERNS.iso);
+  if (match) return toDay(+match[1], +match[2], +match[3]);
+  match = text.match(DATE_PATTERNS.compact);
+  if (match) return toDay(+match[1], +match[2], +match[3]);
+  match = text.match(DATE_PATTERNS.numeric);
+  if (match) {
+    const [first, second] = [+match[1], +match[2]];
+    return order === 'DMY' ? toDay(+match[3], second, first) : toDay(+match[3], first, second);
+  }
+  match = text.match(DATE_PATTERNS.dayMonth);
+  if (match && monthOf(match[2])) return toDay(+match[3], monthOf(match[2]), +match[1]);
+  match = text.match(DATE_PATTERNS.monthDay);
+  if (match && monthOf(match[1])) return toDay(+match[3], monthOf(match[1]), +match[2]);
+  return null;
+}
+
+// The first text in a line that reads as a date, e.g. "2 Jan 2024" in "Bought 2 Jan 2024 ..."
+function findDate(line) {
+  for (const pattern of Object.values(DATE_PATTERNS)) {
+    const match = line.match(pattern);
+    if (match && parseDate(match[0], 'MDY')) return match[0];
+  }
+  return null;
+}
+
+/**
+ * Imports broker statements into portfolios in two steps: preview() parses a CSV export or
+ * OCR'd statement text into transactions (columns mapped through a profile from
+ * config/brokerProfiles, tickers resolved through SymbolDirectory) and keeps the result for
+ * a while; commit() writes the previewed transactions into a new or existing portfolio.
+ */
+class StatementImportService {
+  constructor(options = {}) {
+    // The app's user-data services from createServices(), so imports land in the configured stores
+    this.portfolioService = options.portfolioService;
+    this.documentService = options.documentService;
+    this.symbols = options.symbols || SymbolDirectory.shared();
+    this.profiles = { ...brokerProfiles.profiles, ...(options.profiles || this.loadProfiles(process.env.BROKER_PROFILES_FILE)) };
+    this.maxRows = options.maxRows || parseInt(process.env.IMPORT_MAX_ROWS || '5000', 10);
+    this.previewTtl = options.previewTtl || parseInt(process.env.IMPORT_PREVIEW_TTL || '3600', 10);
+    this.previews = new NodeCache({ stdTTL: this.previewTtl, checkperiod: 300, useClones: false });
+  }
+
+  // Extra profiles from a JSON file ({ "<id>": { label, columns, ... } }); a broken file is ignored
+  loadProfiles(file) {
+    if (!file) return {};
+    try {
+      const profiles = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Object.keys(profiles)
+        .filter(id => profiles[id] && typeof profiles[id].columns === 'object')
+        .reduce((loaded, id) => ({ ...loaded, [id]: profiles[id] }), {});
+    } catch (error) {
+      console.warn(`[Import] Could not load broker profiles from ${file}: ${error.message}`);
+      return {};
+    }
+  }
+
+  listProfiles() {
+    return Object.keys(this.profiles).map(id => {
+      const profile = this.profiles[id];
+      return {
+        id,
+        label: profile.label || id,
+        columns: profile.columns,
+        dateOrder: profile.dateOrder || null,
+        currency: profile.currency || null
+      };
+    });
+  }
+
+  getProfile(id) {
+    const profile = this.profiles[String(id).toLowerCase()];
+    if (!profile) {
+      throw fail(400, `Unknown import profile: ${id}. Available: ${Object.keys(this.profiles).join(', ')}`, 'UNKNOWN_PROFILE');
+    }
+    return { id: String(id).toLowerCase(), ...profile };
+  }
+
+  /**
+   * Parses a statement without saving anything.
+   * @param {object} input - One source: { csv } (export text), { text } (OCR output) or
+   *   { sessionId, documentId } (a document stored from /ocr). Options: profile (detected by
+   *   default), mapping ({ field: "Header" } overrides), dateOrder (MDY|DMY), currency (for rows
+   *   without one), date (for position snapshots without trade dates).
+   * @returns {Promise<object>} - { id, expiresAt, source, profile, columns, dateOrder, transactions,
+   *   errors, skipped, warnings, holdings, summary }.
+   */
+  async preview(input = {}) {
+    const options = this.normalizeOptions(input);
+    const source = await this.readSource(input);
+
+    const table = source.type === 'csv'
+      ? this.locateTable(parseCsv(source.content), options, HEADER_SEARCH_ROWS)
+      : this.locateTable(String(source.content).split(/\r?\n/).map(line => line.trim().split(/\t|\s*\|\s*|\s{2,}/)), options);
+
+    let records;
+    const warnings = [];
+    if (source.type === 'csv') {
+      if (!table) {
+        throw fail(422, 'No header row with symbol and quantity columns was found. Pick a profile or pass mapping, e.g. { "symbol": "Ticker", "quantity": "Units" }.', 'NO_HEADER');
+      }
+      records = table.rows.map(({ row, cells }) => ({ row, cells: this.cellsOf(cells, table.columns), parsedFrom: 'csv' }));
+    } else {
+      records = this.readText(source.content, table);
+      if (!table) warnings.push('No table header was found in the text; transactions were read line by line. Check quantities and prices.');
+    }
+    if (!records.length) {
+      throw fail(422, 'No transactions were found in the statement.', 'NO_TRANSACTIONS');
+    }
+    if (records.length > this.maxRows) {
+      throw fail(413, `Statements are limited to ${this.maxRows} rows.`, 'TOO_MANY_ROWS');
+    }
+
+    const profile = table ? table.profile : this.getProfile('generic');
+    const dateOrder = options.dateOrder || this.detectDateOrder(records, profile, warnings);
+    const warned = new Set();
+    const context = {
+      profile,
+      dateOrder,
+      currency: options.currency || profile.currency,
+      date: options.date,
+      warnOnce: (key, message) => {
+        if (!warned.has(key)) warnings.push(message);
+        warned.add(key);
+      }
+    };
+
+    const transactions = [];
+    const errors = [];
+    const skipped = [];
+    records.forEach(record => {
+      const outcome = this.toTransaction(record, context);
+      if (outcome.transaction) transactions.push(outcome.transaction);
+      else if (outcome.skipped) skipped.push({ row: record.row, reason: outcome.skipped });
+      else errors.push({ row: record.row, ...outcome.error });
+    });
+
+    // Statements usually list the newest trade first; the ledger needs same-day trades in the order they happened
+    const dates = transactions.map(transaction => transaction.date);
+    if (dates.length > 1 && dates[0] > dates[dates.length - 1]) transactions.reverse();
+    transactions.sort((a, b) => a.date.localeCompare(b.date));
+
+    const preview = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + this.previewTtl * 1000).toISOString(),
+      source: source.type === 'document' ? { type: 'document', sessionId: input.sessionId, documentId: input.documentId, name: source.name } : { type: source.type },
+      profile: { id: profile.id, label: profile.label || profile.id, detected: !options.profile && Boolean(table) },
+      columns: table ? table.headers : null,
+      dateOrder,
+      transactions,
+      errors,
+      skipped,
+      warnings,
+      holdings: this.previewHoldings(transactions, warnings),
+      summary: this.summarize(records, transactions, errors, skipped)
+    };
+    this.previews.set(preview.id, preview);
+
+    console.log(`[Import] Preview ${preview.id} (${profile.id}, ${source.type}): ${transactions.length} transaction(s), ${errors.length} error(s), ${skipped.length} skipped`);
+    return preview;
+  }
+
+  getPreview(id) {
+    const preview = this.previews.get(String(id));
+    if (!preview) {
+      throw fail(404, `Import preview not found or expired: ${id}. Run the preview again.`, 'PREVIEW_NOT_FOUND');
+    }
+    return preview;
+  }
+
+  /**
+   * Writes a preview's transactions into a portfolio. Transactions the portfolio already has
+   * (same type, symbol, date, quantity, price and amount) are skipped, so a statement can be
+   * imported again after new trades were added to it.
+   * @param {string} previewId - From preview().
+   * @param {object} input - { portfolioId } to add to an existing portfolio, or { name, baseCurrency,
+   *   userId } to create one; exclude: [row numbers] leaves previewed rows out.
+   * @returns {Promise<object>} - { portfolio, imported, duplicates, excluded, holdings }.
+   */
+  async commit(previewId, input = {}) {
+    const preview = this.getPreview(previewId);
+    const exclude = input.exclude === undefined ? [] : input.exclude;
+    if (!Array.isArray(exclude) || exclude.some(row => !Number.isInteger(row))) {
+      throw fail(400, 'exclude must be an array of row numbers from the preview', 'INVALID_IMPORT');
+    }
+    if (!input.portfolioId && !input.name) {
+      throw fail(400, 'Give a portfolioId to import into, or a name to create a portfolio', 'INVALID_IMPORT');
+    }
+
+    const selected = preview.transactions.filter(transaction => !exclude.includes(transaction.row));
+    if (!selected.length) {
+      throw fail(422, 'The preview has no transactions left to import.', 'NOTHING_TO_IMPORT');
+    }
+
+    const existing = input.portfolioId ? await this.portfolioService.getPortfolio(input.portfolioId) : null;
+    const target = existing || { baseCurrency: this.portfolioService.validateCurrency(input.baseCurrency || 'USD') };
+    const ledger = existing ? existing.transactions : [];
+
+    // Identical trades can appear twice in one statement, so existing entries are matched off one by one
+    const keyOf = transaction => [transaction.type, transaction.symbol, transaction.date, transaction.quantity, transaction.price, transaction.amount].join('|');
+    const unmatched = new Map();
+    ledger.forEach(transaction => unmatched.set(keyOf(transaction), (unmatched.get(keyOf(transaction)) || 0) + 1));
+
+    const startedAt = Date.now();
+    const fresh = [];
+    let duplicates = 0;
+    selected.forEach(({ row, name, input: symbolInput, parsedFrom, ...fields }) => {
+      const transaction = this.portfolioService.normalizeTransaction(fields, target);
+      const key = keyOf(transaction);
+      if (unmatched.get(key)) {
+        unmatched.set(key, unmatched.get(key) - 1);
+        duplicates += 1;
+        return;
+      }
+      // Distinct timestamps keep same-day trades in statement order
+      transaction.createdAt = new Date(startedAt + fresh.length).toISOString();
+      fresh.push(transaction);
+    });
+
+    try {
+      this.portfolioService.buildPositions([...ledger, ...fresh]);
+    } catch (error) {
+      throw fail(400, `${error.message}. The statement may start after the position was opened: import into a portfolio that holds it, or add the opening holding first.`, error.code);
+    }
+
+    const portfolio = existing || await this.portfolioService.createPortfolio({
+      name: input.name,
+      baseCurrency: target.baseCurrency,
+      userId: input.userId
+    });
+    portfolio.transactions.push(...fresh);
+    await this.portfolioService.save(portfolio);
+    this.previews.del(preview.id);
+
+    console.log(`[Import] Committed preview ${preview.id} into portfolio ${portfolio.id}: ${fresh.length} imported, ${duplicates} duplicate(s)`);
+    return {
+      portfolio: this.portfolioService.describe(portfolio),
+      imported: fresh.length,
+      duplicates,
+      excluded: preview.transactions.length - selected.length,
+      holdings: await this.portfolioService.getHoldings(portfolio.id)
+    };
+  }
+
+  normalizeOptions(input) {
+    let mapping = input.mapping || null;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping); // multipart uploads send it as a form field
+      } catch (error) {
+        throw fail(400, 'mapping must be a JSON object of field to column header', 'INVALID_IMPORT');
+      }
+    }
+    if (mapping && (typeof mapping !== 'object' || Array.isArray(mapping)
+      || Object.keys(mapping).some(field => !FIELDS.includes(field) || typeof mapping[field] !== 'string'))) {
+      throw fail(400, `mapping must map fields (${FIELDS.join(', ')}) to column headers`, 'INVALID_IMPORT');
+    }
+
+    const dateOrder = input.dateOrder ? String(input.dateOrder).toUpperCase() : null;
+    if (dateOrder && !DATE_ORDERS.includes(dateOrder)) {
+      throw fail(400, `dateOrder must be one of: ${DATE_ORDERS.join(', ')}`, 'INVALID_IMPORT');
+    }
+    if (input.date && !parseDate(input.date, 'YMD')) {
+      throw fail(400, 'date must be YYYY-MM-DD', 'INVALID_IMPORT');
+    }
+
+    return {
+      profile: input.profile ? this.getProfile(input.profile).id : null,
+      mapping,
+      dateOrder,
+      currency: input.currency ? this.portfolioService.validateCurrency(input.currency) : null,
+      date: input.date ? parseDate(input.date, 'YMD') : null
+    };
+  }
+
+  async readSource(input) {
+    const given = ['csv', 'text', 'documentId'].filter(field => input[field]);
+    if (given.length !== 1) {
+      throw fail(400, 'Provide exactly one of csv (export text or an uploaded file), text (OCR output) or documentId with sessionId', 'INVALID_IMPORT');
+    }
+    if (input.documentId) {
+      const document = await this.documentService.getDocument(input.sessionId, input.documentId);
+      return { type: 'document', name: document.name, content: document.pages.map(page => page.text).join('\n') };
+    }
+    const content = String(input.csv || input.text);
+    if (!content.trim()) {
+      throw fail(422, 'The statement is empty.', 'EMPTY_STATEMENT');
+    }
+    return { type: input.csv ? 'csv' : 'text', content };
+  }
+
+  /**
+   * Finds the header row and the profile whose columns it has. Broker profiles are tried first
+   * and only match when their `detect` headers are present; the generic profile is the fallback.
+   * @param {Array<string[]>} grid - Rows of cells.
+   * @param {object} options - { profile, mapping }.
+   * @param {number} searchRows - How many rows may precede the header (all by default).
+   * @returns {object|null} - { profile, headers, headerRow, columns: { field: [cell indexes] }, rows: [{ row, cells }] }.
+   */
+  locateTable(grid, options, searchRows = grid.length) {
+    const candidates = options.profile
+      ? [this.getProfile(options.profile)]
+      : [...Object.keys(this.profiles).filter(id => id !== 'generic'), 'generic'].map(id => this.getProfile(id));
+
+    for (const profile of candidates) {
+      // Multi-section exports: "<section>,Header,..." then "<section>,Data,..." rows
+      if (profile.section) {
+        const table = this.locateSection(grid, profile, options);
+        if (table) return table;
+      }
+
+      for (let index = 0; index < Math.min(searchRows, grid.length); index++) {
+        const headers = grid[index];
+        if (!options.profile && profile.detect && !this.detects(profile, headers)) continue;
+        const columns = this.mapColumns(headers, profile, options.mapping);
+        if (columns) {
+          const rows = grid.slice(index + 1).map((cells, offset) => ({ row: index + offset + 2, cells }));
+          return { profile, headers, headerRow: index + 1, columns, rows };
+        }
+      }
+    }
+    return null;
+  }
+
+  locateSection(grid, profile, options) {
+    const start = grid.findIndex(cells => cells[0] === profile.section && cells[1] === 'Header');
+    if (start === -1) return null;
+    const headers = grid[start].slice(2);
+    if (!options.profile && profile.detect && !this.detects(profile, headers)) return null;
+    const columns = this.mapColumns(headers, profile, options.mapping);
+    if (!columns) return null;
+
+    let rows = grid
+      .map((cells, index) => ({ row: index + 1, cells }))
+      .filter(({ cells }) => cells[0] === profile.section && cells[1] === 'Data')
+      .map(({ row, cells }) => ({ row, cells: cells.slice(2) }));
+
+    // Order rows summarize their executions (Trade rows); reading both would count every trade twice
+    const discriminator = headers.findIndex(header => headerKey(header) === 'datadiscriminator');
+    if (discriminator !== -1) {
+      const kinds = new Set(rows.map(({ cells }) => cells[discriminator]));
+      const kept = kinds.has('Order') ? 'Order' : 'Trade';
+      rows = rows.filter(({ cells }) => cells[discriminator] === kept);
+    }
+    return { profile, headers, headerRow: start + 1, columns, rows };
+  }
+
+  detects(profile, headers) {
+    const keys = new Set(headers.map(headerKey));
+    return profile.detect.some(set => set.every(header => keys.has(headerKey(header))));
+  }
+
+  /**
+   * Cell indexes per field; fees may span several columns. Returns null unless the headers
+   * have a symbol (or name) and a quantity (or amount) column.
+   */
+  mapColumns(headers, profile, mapping) {
+    const keys = headers.map(headerKey);
+    const columns = {};
+    FIELDS.forEach(field => {
+      const aliases = (mapping && mapping[field] ? [mapping[field]] : profile.columns[field] || []).map(headerKey);
+      const indexes = field === 'fees'
+        ? keys.map((key, index) => (aliases.includes(key) ? index : -1)).filter(index => index !== -1)
+        : aliases.map(alias => keys.indexOf(alias)).filter(index => index !== -1).slice(0, 1);
+      if (indexes.length) columns[field] = indexes;
+    });
+
+    const found = (columns.symbol || columns.name) && (columns.quantity || columns.amount);
+    if (found && mapping) {
+      // A mapped header that is not in this row means the row is not the header
+      const missing = Object.keys(mapping).filter(field => !columns[field]);
+      if (missing.length) return null;
+    }
+    return found ? columns : null;
+  }
+
+  cellsOf(cells, columns) {
+    return Object.keys(columns).reduce((values, field) => {
+      values[field] = field === 'fees' ? columns[field].map(index => cells[index]) : cells[columns[field][0]];
+      return values;
+    }, {});
+  }
+
+  /**
+   * OCR text: rows of a recognized table (cells split on runs of spaces, tabs or pipes), and
+   * lines that read like a trade ("02/01/2024 Bought 100 AAPL @ 185.50") everywhere else.
+   */
+  readText(text, table) {
+    const lines = String(text).split(/\r?\n/);
+    const records = [];
+    lines.forEach((line, index) => {
+      const row = index + 1;
+      if (table && row > table.headerRow) {
+        const cells = line.trim().split(/\t|\s*\|\s*|\s{2,}/);
+        if (cells.length === table.headers.length) {
+          records.push({ row, cells: this.cellsOf(cells, table.columns), parsedFrom: 'table' });
+          return;
+        }
+      }
+      const cells = this.parseStatementLine(line);
+      if (cells) records.push({ row, cells, parsedFrom: 'line' });
+    });
+    return records;
+  }
+
+  // A free-text trade line as raw cells, or null when the line has no date and trade keyword
+  parseStatementLine(line) {
+    const date = findDate(line);
+    const type = line.match(/\b(bought|buy|purchased?|sold|sell|dividends?)\b/i);
+    if (!date || !type) return null;
+
+    const tokens = line
+      .replace(date, ' ')
+      .replace(type[0], ' ')
+      .split(/\s+/)
+      .map(token => token.replace(/[,;:]$/, ''))
+      .filter(Boolean);
+
+    const candidates = [];
+    let explicitPrice = null;
+    const numbers = [];
+    tokens.forEach((token, index) => {
+      if (token === '@' || /^@/.test(token)) {
+        const priced = token === '@' ? tokens[index + 1] : token.slice(1);
+        if (parseNumber(priced) !== null) explicitPrice = priced;
+        return;
+      }
+      if (explicitPrice !== null && tokens[index - 1] === '@') return;
+      if (parseNumber(token) !== null) {
+        numbers.push(token);
+        return;
+      }
+      const bracketed = token.match(/^\(([A-Z.]{1,8})\)$/);
+      const candidate = bracketed ? bracketed[1] : token;
+      if (!NOT_TICKERS.has(candidate) && (bracketed || /^[A-Z]{1,5}(\.[A-Z]{1,2})?$/.test(candidate) || this.symbols.lookup(candidate))) {
+        candidates.push(candidate);
+      }
+    });
+    // A listed symbol or name beats other capitalized words
+    let symbol = candidates.find(candidate => this.symbols.lookup(candidate)) || candidates[0] || null;
+
+    // Bursa counters are often given by their numeric code
+    if (!symbol) {
+      const code = numbers.find(number => /^\d{4}$/.test(number) && this.symbols.lookup(number));
+      if (code && numbers.length >= 3) {
+        symbol = code;
+        numbers.splice(numbers.indexOf(code), 1);
+      }
+    }
+    if (!symbol || !numbers.length) return null;
+
+    if (/^div/i.test(type[1])) {
+      return { date, type: type[1], symbol, amount: numbers[numbers.length - 1] };
+    }
+    const cells = { date, type: type[1], symbol, quantity: numbers[0], price: explicitPrice || numbers[1] };
+    // A trailing net amount gives the fees: the difference from quantity * price
+    const rest = numbers.slice(explicitPrice ? 1 : 2);
+    const quantity = parseNumber(cells.quantity);
+    const price = parseNumber(cells.price);
+    const net = rest.length ? Math.abs(parseNumber(rest[rest.length - 1])) : null;
+    if (net && price && Math.abs(net - quantity * price) <= quantity * price * 0.05) {
+      cells.fees = [String(round(Math.abs(net - quantity * price), 2))];
+    }
+    return cells.price ? cells : null;
+  }
+
+  // Day-first or month-first from dates that can only be one of them (a first part above 12 is a day)
+  detectDateOrder(records, profile, warnings) {
+    let dayFirst = false;
+    let monthFirst = false;
+    let ambiguous = false;
+    records.forEach(({ cells }) => {
+      const match = String(cells.date || '').match(DATE_PATTERNS.numeric);
+      if (!match || DATE_PATTERNS.iso.test(cells.date)) return;
+      if (+match[1] > 12) dayFirst = true;
+      else if (+match[2] > 12) monthFirst = true;
+      else if (+match[1] !== +match[2]) ambiguous = true;
+    });
+
+    if (dayFirst !== monthFirst) return dayFirst ? 'DMY' : 'MDY';
+    const fallback = profile.dateOrder || 'MDY';
+    if (ambiguous && !profile.dateOrder) {
+      warnings.push('Dates such as 03/04 were read as month/day; pass dateOrder: "DMY" if that is wrong.');
+    }
+    return fallback;
+  }
+
+  /**
+   * One parsed row as a ledger transaction, validated like a manual entry.
+   * @returns {object} - { transaction } | { skipped: reason } | { error: { code, error, suggestions } }.
+   */
+  toTransaction(record, context) {
+    const { cells, row, parsedFrom } = record;
+    const text = field => String(cells[field] === undefined || cells[field] === null ? '' : cells[field]).trim();
+
+    if (text('assetClass') && brokerProfiles.skippedAssetClasses.test(text('assetClass'))) {
+      return { skipped: `Not a stock or ETF (${text('assetClass')})` };
+    }
+
+    const quantity = parseNumber(cells.quantity);
+    let type = null;
+    if (text('type')) {
+      const rule = brokerProfiles.typeKeywords.find(([, pattern]) => pattern.test(text('type')));
+      if (!rule) return { skipped: `Not a trade or dividend (${text('type')})` };
+      type = rule[0];
+    } else {
+      // Without a type column the quantity's sign tells buys from sells
+      type = quantity !== null && quantity < 0 ? 'sell' : 'buy';
+    }
+
+    // "APPLE INC (AAPL)" carries its ticker in brackets
+    const bracketed = value => (value.match(/\(([A-Z0-9.]{1,10})\)/) || [])[1];
+    const symbolInput = bracketed(text('symbol')) || text('symbol') || bracketed(text('name')) || text('name');
+    if (!symbolInput) {
+      // Totals and cash lines have no security; a trade without one is an error
+      return text('type')
+        ? { error: { code: 'MISSING_SYMBOL', error: 'No symbol or security name in this row' } }
+        : { skipped: 'No symbol; not a transaction row' };
+    }
+
+    const fees = [].concat(cells.fees || []).reduce((sum, value) => sum + Math.abs(parseNumber(value) || 0), 0);
+    const amount = parseNumber(cells.amount);
+    let price = parseNumber(cells.price);
+    price = price === null ? null : Math.abs(price);
+    if (price === null && quantity && type !== 'dividend') {
+      // Price from the net cash amount (fees included) or from a snapshot's total cost
+      const costBasis = parseNumber(cells.costBasis);
+      if (amount !== null) price = (Math.abs(amount) + (type === 'sell' ? fees : -fees)) / Math.abs(quantity);
+      else if (costBasis !== null) price = Math.abs(costBasis) / Math.abs(quantity);
+    }
+
+    let date = context.date || null;
+    if (text('date')) {
+      date = parseDate(text('date'), context.dateOrder);
+      if (!date) return { error: { code: 'INVALID_DATE', error: `Unreadable date: ${text('date')}` } };
+    } else if (!date) {
+      date = today();
+      context.warnOnce('undated', `Rows without a date are recorded on ${date}; pass date to use the statement date.`);
+    }
+
+    const input = {
+      type,
+      symbol: symbolInput,
+      date,
+      quantity: type === 'dividend' ? undefined : (quantity === null ? undefined : Math.abs(quantity)),
+      price: type === 'dividend' || price === null ? undefined : round(price),
+      amount: type === 'dividend' && amount !== null ? Math.abs(amount) : undefined,
+      fees: round(fees, 4),
+      currency: text('currency') || context.currency || undefined,
+      note: `Imported from ${context.profile.label || context.profile.id} statement`
+    };
+
+    let transaction;
+    try {
+      transaction = this.portfolioService.normalizeTransaction(input, { baseCurrency: context.currency || 'USD' });
+    } catch (error) {
+      return { error: { code: error.code || 'INVALID_TRANSACTION', error: error.message, suggestions: error.suggestions } };
+    }
+
+    const resolution = this.symbols.resolve(symbolInput) || {};
+    if (resolution.corrected) {
+      context.warnOnce(symbolInput, `"${symbolInput}" (row ${row}) was read as ${transaction.symbol} (${resolution.name}).`);
+    } else if (resolution.listed === false) {
+      context.warnOnce(transaction.symbol, `${transaction.symbol} (row ${row}) is not in the symbol directory; prices may be unavailable.`);
+    }
+
+    const { id, createdAt, ...fields } = transaction;
+    return { transaction: { row, ...fields, input: symbolInput, name: resolution.name || null, parsedFrom } };
+  }
+
+  // Positions the statement alone would give; an unmatched sell only warns (the buy may predate it)
+  previewHoldings(transactions, warnings) {
+    try {
+      const dated = transactions.map((transaction, index) => ({ ...transaction, createdAt: String(index).padStart(8, '0') }));
+      return Array.from(this.portfolioService.buildPositions(dated).values())
+        .filter(position => position.quantity > 0)
+        .map(position => this.portfolioService.formatPosition(position));
+    } catch (error) {
+      warnings.push(`${error.message}. Import into a portfolio that already holds the position, or exclude the row.`);
+      return null;
+    }
+  }
+
+  summarize(records, transactions, errors, skipped) {
+    const byType = { buy: 0, sell: 0, dividend: 0 };
+    transactions.forEach(transaction => { byType[transaction.type] += 1; });
+    return {
+      rows: records.length,
+      transactions: transactions.length,
+      errors: errors.length,
+      skipped: skipped.length,
+      byType,
+      symbols: [...new Set(transactions.map(transaction => transaction.symbol))],
+      from: transactions.length ? transactions[0].date : null,
+      to: transactions.length ? transactions[transactions.length - 1].date : null
+    };
+  }
+
+  static get dateOrders() {
+    return DATE_ORDERS;
+  }
+}
+
+module.exports = StatementImportService;
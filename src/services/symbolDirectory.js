@@ -0,0 +1,273 @@
+const usEntries = require('../config/symbolDirectory');
+const BursaDirectory = require('./bursaDirectory');
+const { SymbolNotFoundError } = require('../utils/errors');
+
+// Words that never distinguish one company from another
+const NAME_NOISE = /\b(THE|INC|INCORPORATED|CORP|CORPORATION|CO|COMPANY|LTD|LIMITED|PLC|BERHAD|BHD|M)\b/g;
+
+// "$aapl", "NASDAQ: AAPL" and "AAPL.US" all become "AAPL"
+const symbolKey = value => String(value || '')
+  .trim()
+  .toUpperCase()
+  .replace(/^\$/, '')
+  .replace(/^(NASDAQ|NYSE|NYSEARCA|AMEX|BURSA|KLSE|MYX)\s*:\s*/, '')
+  .replace(/\.US$/, '');
+
+// "Apple Inc." -> "APPLE", "Nestle (Malaysia) Berhad" -> "NESTLE MALAYSIA"
+const nameKey = value => String(value || '')
+  .toUpperCase()
+  .replace(/[^A-Z0-9&^ ]+/g, ' ')
+  .replace(NAME_NOISE, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Looks like a ticker we can pass to a provider even if it is not listed here
+const TICKER_PATTERN = /^\^?[A-Z]{1,5}([.-][A-Z]{1,2})?$/;
+const BURSA_PATTERN = /^(\d{4}|[A-Z0-9&]+\.KL)$/;
+
+// Optimal string alignment distance: edits plus adjacent swaps ("APLE" -> "APPLE", "NVIDAI" -> "NVIDIA")
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+const similarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length);
+
+/**
+ * How well a query matches one name or symbol, from 0 to 1:
+ * exact > prefix > word prefix > substring > typo-tolerant match.
+ */
+function matchScore(query, term) {
+  if (!query || !term) return 0;
+  if (query === term) return 1;
+  if (term.startsWith(query)) return 0.8 + 0.1 * (query.length / term.length);
+  const words = term.split(' ');
+  if (words.some(word => word.startsWith(query))) return 0.7;
+  if (term.includes(query)) return 0.6;
+  if (query.length < 3) return 0;
+
+  // Typos: compare with the whole term and with each word for single-word queries
+  const candidates = query.includes(' ') ? [term] : [term, ...words];
+  const best = Math.max(...candidates.map(candidate => similarity(query, candidate)));
+  return best >= 0.7 ? 0.5 * best : 0;
+}
+
+let sharedInstance = null;
+
+/**
+ * One directory of everything the charts and /analyze tools can look up: US stocks and ETFs,
+ * major indices (charted through a tracking ETF) and Bursa Malaysia counters (`<code>.KL`).
+ * Resolves tickers, company names, aliases and exchange-qualified symbols to a canonical
+ * symbol with its exchange, currency and asset type, and offers fuzzy search for suggestions.
+ */
+class SymbolDirectory {
+  constructor(options = {}) {
+    const bursa = options.bursaDirectory || new BursaDirectory();
+    this.entries = [
+      ...(options.entries || usEntries).map(entry => ({ country: 'US', ...entry, aliases: entry.aliases || [] })),
+      ...bursa.list().map(entry => ({
+        symbol: `${entry.code}.KL`,
+        name: entry.name,
+        exchange: 'MYX',
+        assetType: 'equity',
+        currency: 'MYR',
+        country: 'MY',
+        code: entry.code,
+        shortName: entry.symbol,
+        sector: entry.sector,
+        aliases: [entry.code, entry.symbol, `${entry.symbol}.KL`, ...(entry.aliases || [])]
+      }))
+    ];
+
+    this.index = new Map();
+    this.entries.forEach(entry => {
+      this.terms(entry).forEach(term => {
+        [symbolKey(term), nameKey(term)].forEach(key => {
+          if (key && !this.index.has(key)) this.index.set(key, entry);
+        });
+      });
+    });
+  }
+
+  terms(entry) {
+    return [entry.symbol, entry.name, ...entry.aliases];
+  }
+
+  /**
+   * Exact lookup by symbol, code, short name, alias or company name.
+   * @returns {object|null} - The directory entry.
+   */
+  lookup(input) {
+    const key = symbolKey(input);
+    const found = this.index.get(key) || this.index.get(nameKey(input));
+    if (found || !key.endsWith('.KL')) return found || null;
+
+    // "TNB.KL": any Bursa alias with the exchange suffix
+    const bursa = this.index.get(key.slice(0, -3));
+    return bursa && bursa.exchange === 'MYX' ? bursa : null;
+  }
+
+  /**
+   * Fuzzy search across symbols, names and aliases.
+   * @param {string} query - e.g. "appl", "nvida", "tenaga", "s&p".
+   * @param {object} options - { limit, assetType, exchange }.
+   * @returns {Array<object>} - Entries with `score` (0-1) and the `matched` term, best first.
+   */
+  search(query, options = {}) {
+    const symbolQuery = symbolKey(query);
+    const nameQuery = nameKey(query);
+    if (!symbolQuery && !nameQuery) return [];
+
+    return this.entries
+      .filter(entry => !options.assetType || entry.assetType === options.assetType)
+      .filter(entry => !options.exchange || entry.exchange === String(options.exchange).toUpperCase())
+      .map(entry => {
+        let best = { score: 0, matched: null };
+        this.terms(entry).forEach((term, position) => {
+          // Symbols edge out names on ties so "MA" finds Mastercard before "Malayan Banking"
+          const score = Math.max(matchScore(symbolQuery, symbolKey(term)), matchScore(nameQuery, nameKey(term)));
+          const ranked = score && position === 0 ? score + 0.02 : score;
+          if (ranked > best.score) best = { score: ranked, matched: term };
+        });
+        return { ...this.describe(entry), score: Math.min(1, parseFloat(best.score.toFixed(3))), matched: best.matched };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || a.symbol.localeCompare(b.symbol))
+      .slice(0, options.limit || 10);
+  }
+
+  /**
+   * Turns user or model input into the symbol to request from a data provider.
+   * Listed symbols and names resolve exactly; unlisted but ticker-shaped input passes through
+   * (the directory is not exhaustive); other input is matched fuzzily when one result clearly wins.
+   * @param {string} input - Ticker, company name, alias or index name.
+   * @returns {object|null} - { input, symbol, dataSymbol, name, exchange, assetType, currency, listed,
+   *   corrected, suggestions } or null when nothing plausible matches.
+   */
+  resolve(input) {
+    const key = symbolKey(input);
+    if (!key) return null;
+
+    const entry = this.lookup(input);
+    if (entry) {
+      return { input, ...this.describe(entry), listed: true, corrected: false };
+    }
+
+    if (BURSA_PATTERN.test(key)) {
+      return null; // Bursa counters must be in the directory for the Bursa provider to accept them
+    }
+
+    // Lowercase words ("nvida") are more likely misspelt names than unlisted tickers
+    const looksLikeName = /[a-z]/.test(String(input)) && key.length >= 4;
+    const best = this.bestMatch(input);
+    if (best && (looksLikeName || !TICKER_PATTERN.test(key))) {
+      return { input, ...this.describe(this.lookup(best.symbol)), listed: true, corrected: true };
+    }
+    if (TICKER_PATTERN.test(key)) {
+      const suggestions = this.suggest(input);
+      return {
+        input,
+        symbol: key,
+        dataSymbol: key,
+        name: null,
+        exchange: null,
+        assetType: null,
+        currency: null,
+        listed: false,
+        corrected: false,
+        suggestions
+      };
+    }
+    return null;
+  }
+
+  // The fuzzy result when it is good enough and clearly ahead of the next one
+  bestMatch(input) {
+    const [best, runnerUp] = this.search(input, { limit: 2 });
+    if (best && best.score >= 0.4 && (!runnerUp || best.score - runnerUp.score >= 0.05)) {
+      return best;
+    }
+    return null;
+  }
+
+  /**
+   * Like resolve(), but throws a 404 SymbolNotFoundError carrying suggestions.
+   */
+  require(input) {
+    const resolution = this.resolve(input);
+    if (!resolution) {
+      throw new SymbolNotFoundError(input, this.suggest(input));
+    }
+    return resolution;
+  }
+
+  /**
+   * Resolves a list of symbols for multi-symbol charts.
+   * @returns {object} - { resolved, errors }, errors in the per-symbol shape ChartService reports.
+   */
+  resolveMany(inputs) {
+    const resolved = [];
+    const errors = [];
+    inputs.forEach(input => {
+      const resolution = this.resolve(input);
+      if (resolution) {
+        resolved.push(resolution);
+      } else {
+        const error = new SymbolNotFoundError(input, this.suggest(input));
+        errors.push({ symbol: input, code: error.code, reason: error.message, retryable: false, suggestions: error.suggestions });
+      }
+    });
+    return { resolved, errors };
+  }
+
+  suggest(input, limit = 5) {
+    return this.search(input, { limit }).filter(result => result.score >= 0.35).map(result => result.symbol);
+  }
+
+  /**
+   * Ticker -> names map for tagging news with the stocks and ETFs it mentions.
+   */
+  aliasMap() {
+    return this.entries
+      .filter(entry => entry.assetType !== 'index')
+      .reduce((aliases, entry) => {
+        aliases[entry.symbol] = [entry.name, ...entry.aliases.filter(alias => alias !== entry.code)];
+        return aliases;
+      }, {});
+  }
+
+  describe(entry) {
+    return {
+      symbol: entry.symbol,
+      dataSymbol: entry.proxy || entry.symbol,
+      name: entry.name,
+      exchange: entry.exchange,
+      assetType: entry.assetType,
+      currency: entry.currency,
+      country: entry.country,
+      ...(entry.proxy && { proxy: entry.proxy }),
+      ...(entry.code && { code: entry.code, shortName: entry.shortName, sector: entry.sector })
+    };
+  }
+
+  // One directory for the whole process; the Bursa part reads BURSA_DIRECTORY_FILE once
+  static shared() {
+    if (!sharedInstance) {
+      sharedInstance = new SymbolDirectory();
+    }
+    return sharedInstance;
+  }
+}
+
+module.exports = SymbolDirectory;
@@ -0,0 +1,106 @@
+const SymbolDirectory = require('./symbolDirectory');
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Tickers and company names that are also everyday English words ("The COST of living",
+// "Apple pie recipe", "Intel agencies warn"); they need more than the word itself to count
+const COMMON_WORDS = new Set([
+  'all', 'are', 'big', 'car', 'cat', 'cost', 'dis', 'eat', 'fun', 'good', 'has', 'key', 'life', 'love',
+  'low', 'main', 'new', 'now', 'one', 'out', 'play', 'real', 'run', 'safe', 'see', 'team', 'true', 'well', 'work',
+  'alphabet', 'amazon', 'apple', 'caterpillar', 'chevron', 'dialog', 'gap', 'intel', 'meta', 'nike',
+  'oracle', 'shell', 'target', 'visa'
+]);
+
+// A common-word company name only counts in text that reads like market news
+const MARKET_CONTEXT = /\b(shares?|stocks?|earnings|revenue|profits?|sales|investors?|analysts?|inc|corp|ceo|quarter(ly)?|guidance|dividends?|market cap|valuation|nasdaq|nyse|wall street|trading|downgrades?|upgrades?|price target|buyback|ipo|iphone|chips?)\b/i;
+
+// Upper-case stock short names ("TENAGA", "MAXIS") are also written as proper nouns ("Tenaga")
+const variants = name => (/^[A-Z]{5,}$/.test(name) ? [name, name[0] + name.slice(1).toLowerCase()] : [name]);
+
+// Aliases are proper nouns, so they match case-sensitively
+const aliasPattern = names => names.length
+  ? new RegExp(`(^|[^A-Za-z0-9])(${names.map(escapeRegExp).join('|')})(?=$|[^A-Za-z0-9])`)
+  : null;
+
+/**
+ * Finds the tickers a piece of text is about.
+ * Matches cashtags ($AAPL), exchange-qualified tickers (NASDAQ: AAPL), tickers in parentheses
+ * ("Costco (COST)"), bare known tickers of three or more capitals (those that are also English words
+ * only in market news), and company names/aliases from the symbol directory as written (case-sensitive).
+ */
+class SymbolTagger {
+  constructor(options = {}) {
+    this.aliases = {};
+    this.patterns = [];
+    this.register(options.aliases || SymbolDirectory.shared().aliasMap());
+  }
+
+  /**
+   * Adds or extends tickers, e.g. { '5347.KL': ['Tenaga Nasional', 'TNB'] }.
+   * @param {object} aliases - Map of ticker to alias names.
+   */
+  register(aliases) {
+    Object.entries(aliases).forEach(([symbol, names]) => {
+      const key = symbol.toUpperCase();
+      this.aliases[key] = [...new Set([...(this.aliases[key] || []), ...names])];
+    });
+
+    this.patterns = Object.entries(this.aliases).map(([symbol, names]) => {
+      const forms = names.flatMap(variants);
+      const ambiguous = name => COMMON_WORDS.has(name.toLowerCase());
+      return {
+        symbol,
+        pattern: aliasPattern(forms.filter(name => !ambiguous(name))),
+        contextPattern: aliasPattern(forms.filter(ambiguous))
+      };
+    });
+  }
+
+  /**
+   * @param {string} text - Headline and/or body.
+   * @returns {string[]} - Tickers found, in first-seen order.
+   */
+  tag(text) {
+    if (!text) return [];
+    const found = new Set();
+
+    for (const match of text.matchAll(/\$([A-Z]{1,5}(?:\.[A-Z]{1,2})?)\b/g)) {
+      found.add(match[1]);
+    }
+    for (const match of text.matchAll(/\b(?:NASDAQ|NYSE|AMEX|NYSEARCA|BURSA|KLSE)\s*:\s*([A-Z0-9]{1,6}(?:\.[A-Z]{1,2})?)\b/gi)) {
+      found.add(match[1].toUpperCase());
+    }
+    for (const match of text.matchAll(/\(([A-Z]{1,5}(?:\.[A-Z]{1,2})?)\)/g)) {
+      if (this.aliases[match[1]]) found.add(match[1]);
+    }
+    // Bare tickers that are also words ("COST") need the same market context as common-word names
+    const marketContext = MARKET_CONTEXT.test(text);
+    for (const match of text.matchAll(/\b[A-Z]{3,5}\b/g)) {
+      if (this.aliases[match[0]] && (marketContext || !COMMON_WORDS.has(match[0].toLowerCase()))) found.add(match[0]);
+    }
+    this.patterns.forEach(({ symbol, pattern, contextPattern }) => {
+      if ((pattern && pattern.test(text)) || (marketContext && contextPattern && contextPattern.test(text))) {
+        found.add(symbol);
+      }
+    });
+
+    return Array.from(found);
+  }
+
+  /**
+   * Maps a user keyword ("aapl", "Apple", "$AAPL") to a known ticker.
+   * @returns {string|null}
+   */
+  resolve(keyword) {
+    const cleaned = String(keyword || '').trim().replace(/^\$/, '');
+    if (!cleaned) return null;
+    if (this.aliases[cleaned.toUpperCase()]) return cleaned.toUpperCase();
+
+    const lower = cleaned.toLowerCase();
+    const match = Object.entries(this.aliases)
+      .find(([, names]) => names.some(name => name.toLowerCase() === lower));
+    return match ? match[0] : null;
+  }
+}
+
+module.exports = SymbolTagger;
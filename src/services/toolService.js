@@ -0,0 +1,247 @@
+const ChartService = require('./chartService');
+const NewsService = require('./newsService');
+const EconomicService = require('./economicService');
+const BursaService = require('./bursaService');
+const MediaService = require('./mediaService');
+const SymbolDirectory = require('./symbolDirectory');
+const RiskService = require('./riskService');
+const BacktestService = require('./backtestService');
+const { SymbolNotFoundError } = require('../utils/errors');
+const { checkSchema } = require('../utils/validation');
+const toolSchemas = require('../schemas/toolSchemas');
+
+// Gemini function declarations for the /analyze assistant
+const TOOL_DECLARATIONS = [
+  {
+    name: "fetch_news",
+    description: "Fetches current news articles related to a given company or topic.",
+    parameters: { type: "object", properties: { keyword: { type: "string", description: "The keyword, company name, or topic to search for news about." } }, required: ["keyword"] },
+  },
+  {
+    name: "get_stock_data",
+    description: "Retrieves the latest quote for a stock, ETF or index. Accepts ticker symbols (e.g., AAPL, SPY), company names (e.g., Apple) and Bursa Malaysia counters (e.g., 5347.KL).",
+    parameters: { type: "object", properties: { ticker: { type: "string", description: "The ticker symbol or company name (e.g., MSFT, QQQ, Nvidia, 5347.KL)." } }, required: ["ticker"] },
+  },
+  {
+    name: "get_bursa_announcements",
+    description: "Fetches stored official announcements from Bursa Malaysia for a listed company, newest first. Each announcement is categorized (results, dividends, corporate_actions, shareholding, board_changes, general) with extracted fields such as quarterly revenue/net profit or dividend sen per share and dates.",
+    parameters: {
+      type: "object",
+      properties: {
+        symbol: { type: "string", description: "The Bursa Malaysia stock code, short name or company name (e.g., 5347, TENAGA, TNB, Maybank)." },
+        category: { type: "string", enum: ["results", "dividends", "corporate_actions", "shareholding", "board_changes", "general"], description: "Only return announcements of this category." }
+      },
+      required: ["symbol"]
+    },
+  },
+  {
+    name: "analyze_social_sentiment",
+    description: "Scores the sentiment of recent news coverage for a stock ticker or company name. Returns positive/negative/neutral article counts, an average score from -1 to 1, the most positive and negative headlines and a daily series for tickers.",
+    parameters: { type: "object", properties: { keyword: { type: "string", description: "The keyword or stock ticker to analyze sentiment for." } }, required: ["keyword"] },
+  },
+  {
+    name: "get_economic_data",
+    description: "Retrieves the latest reading (with the previous one) of an economic indicator for a country: inflation, CPI, PPI, GDP growth, policy interest rate, unemployment, manufacturing/services PMI, retail sales, 2Y/10Y government bond yields or the exchange rate against USD. Defaults to Malaysia.",
+    parameters: {
+      type: "object",
+      properties: {
+        indicator: { type: "string", description: "The economic indicator to fetch (e.g., 'inflation_rate', 'gdp_growth', 'interest_rate', 'unemployment_rate', 'manufacturing_pmi', 'bond_yield_10y', 'fx_rate')." },
+        country: { type: "string", description: "The country name or code (e.g., 'malaysia', 'US', 'singapore'). Defaults to 'malaysia'." }
+      },
+      required: ["indicator"]
+    },
+  },
+  {
+    name: "get_historical_stock_data",
+    description: "Fetches historical daily, weekly, or monthly stock price data (Open, High, Low, Close, Volume, Adjusted Close) for a given US stock, ETF or major index. This is useful for drawing stock charts, plotting price trends, and analyzing past performance. Use this when the user asks for 'chart', 'graph', 'historical data', 'performance', 'trend' for a US stock, ETF, or a major index like NASDAQ, S&P 500 or Dow Jones (indices are charted through their tracking ETF: QQQ, SPY, DIA). Defaults to 'daily' period if not specified.",
+    parameters: {
+      type: "object",
+      properties: {
+        ticker: { type: "string", description: "The US stock or ETF ticker, company name or index name (e.g., AAPL, Microsoft, QQQ, NASDAQ, S&P 500, Dow Jones)." },
+        period: { type: "string", enum: ["daily", "weekly", "monthly"], description: "The time period for historical data (e.g., 'daily', 'weekly', 'monthly'). Defaults to 'daily' if not specified by the user." }
+      },
+      required: ["ticker"]
+    },
+  },
+  {
+    name: "get_bursa_historical_data",
+    description: "Fetches historical daily, weekly, or monthly stock price data (Open, High, Low, Close, Volume, Adjusted Close) for a Bursa Malaysia listed company. Useful for charting trends of Malaysian stocks.",
+    parameters: {
+      type: "object",
+      properties: {
+        symbol: { type: "string", description: "The Bursa Malaysia stock code, short name or company name (e.g., 5347, TENAGA, TNB)." },
+        period: { type: "string", enum: ["daily", "weekly", "monthly"], description: "The time period for historical data (e.g., 'daily', 'weekly', 'monthly'). Defaults to 'daily'." }
+      },
+      required: ["symbol"]
+    },
+  },
+  {
+    name: "get_economic_indicator_data",
+    description: "Retrieves historical data for economic indicators such as CPI, inflation, PPI, GDP growth, interest rates (FOMC for the US, OPR for Malaysia), unemployment, PMI, retail sales, government bond yields and exchange rates. Useful for charting macroeconomic trends. Specify the indicator and optionally the country (defaults to 'united states') and a date range.",
+    parameters: {
+      type: "object",
+      properties: {
+        indicatorCode: { type: "string", description: "The code or common name for the economic indicator (e.g., 'CPI', 'PPI', 'FOMC', 'GDP', 'unemployment', 'PMI', 'retail sales', '10y', 'fx')." },
+        countryCode: { type: "string", description: "The country for which to fetch the economic data (e.g., 'united states', 'malaysia', 'JP'). Defaults to 'united states'." },
+        from: { type: "string", description: "Optional start date (YYYY-MM-DD)." },
+        to: { type: "string", description: "Optional end date (YYYY-MM-DD)." }
+      },
+      required: ["indicatorCode"]
+    },
+  },
+  {
+    name: "get_risk_metrics",
+    description: "Computes risk and performance metrics from daily returns for one or more stocks or ETFs: total and annualized return, annualized volatility, max drawdown, Sharpe and Sortino ratios, beta against a benchmark (SPY by default) and 1-day Value-at-Risk. With several symbols it also returns their correlation matrix. Use this for questions about how risky or volatile a stock is, drawdowns, risk-adjusted returns or diversification.",
+    parameters: {
+      type: "object",
+      properties: {
+        symbols: { type: "array", items: { type: "string" }, description: "Ticker symbols or company names (e.g., ['AAPL'], ['NVDA', 'AMD', 'Intel'])." },
+        benchmark: { type: "string", description: "Optional benchmark for beta (e.g., 'QQQ'). Defaults to SPY." },
+        from: { type: "string", description: "Optional start date (YYYY-MM-DD). Defaults to one year ago." },
+        to: { type: "string", description: "Optional end date (YYYY-MM-DD)." }
+      },
+      required: ["symbols"]
+    },
+  },
+  {
+    name: "run_backtest",
+    description: "Backtests a rule-based trading strategy on a stock or ETF's daily dividend/split adjusted history and compares it with buying and holding. Strategies: 'ma_crossover' (buy on the fast moving average crossing above the slow one, sell on the cross below), 'rsi_mean_reversion' (buy when RSI drops below the oversold level, sell above the exit level) and 'buy_and_hold'. Signals fill at the next day's open, with optional commissions and slippage. Returns total and annualized return, max drawdown, Sharpe ratio, win rate, profit factor, exposure and the most recent trades. Use this when the user asks how a strategy would have performed historically.",
+    parameters: {
+      type: "object",
+      properties: {
+        symbol: { type: "string", description: "The ticker symbol or company name (e.g., AAPL, SPY, Nvidia)." },
+        strategy: { type: "string", enum: ["ma_crossover", "rsi_mean_reversion", "buy_and_hold"], description: "The strategy to test. Defaults to 'ma_crossover'." },
+        from: { type: "string", description: "Optional start date (YYYY-MM-DD). Defaults to three years ago." },
+        to: { type: "string", description: "Optional end date (YYYY-MM-DD). Defaults to today." },
+        fastPeriod: { type: "number", description: "ma_crossover: fast moving average period (default 20)." },
+        slowPeriod: { type: "number", description: "ma_crossover: slow moving average period (default 50)." },
+        rsiPeriod: { type: "number", description: "rsi_mean_reversion: RSI period (default 14)." },
+        oversold: { type: "number", description: "rsi_mean_reversion: buy below this RSI level (default 30)." },
+        exitLevel: { type: "number", description: "rsi_mean_reversion: sell above this RSI level (default 70)." },
+        initialCapital: { type: "number", description: "Starting capital (default 10000)." },
+        commissionPerTrade: { type: "number", description: "Fixed commission per order (default 0)." },
+        slippageBps: { type: "number", description: "Slippage per fill in basis points (default 0)." }
+      },
+      required: ["symbol"]
+    },
+  },
+  {
+    name: "search_documents",
+    description: "Searches the documents the user uploaded in this conversation (broker statements, annual reports, earnings releases, screenshots) and returns the best matching passages with their document name and page. Use this whenever the question may be answered by an uploaded document, e.g. 'what was Q1 revenue in the report I uploaded?', and quote the passage and cite the document and page in the answer.",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Keywords to look for, e.g. 'Q1 2024 revenue', 'dividend per share', 'total portfolio value'." },
+        document: { type: "string", description: "Optional document name or id to search only that document." },
+        limit: { type: "number", description: "Number of passages to return (default 5, max 20)." }
+      },
+      required: ["query"]
+    },
+  },
+  {
+    name: "generate_image_tool",
+    description: "Generates an AI-powered infographic image based on a provided detailed prompt. Use this when the user explicitly asks for an 'image', 'picture', 'infographic', or 'visual representation' of market insights. The prompt for the image should be detailed and relevant to financial data, trends, or market context.",
+    parameters: {
+      type: "object",
+      properties: {
+        prompt: { type: "string", description: "A detailed description for the AI image generation, summarizing the desired visual content for financial market insights." }
+      },
+      required: ["prompt"]
+    },
+  },
+];
+
+// Arguments that name a security; they are resolved through the symbol directory before the tool runs
+const SYMBOL_ARGUMENTS = {
+  get_stock_data: { arg: 'ticker' },
+  get_historical_stock_data: { arg: 'ticker' },
+  get_bursa_announcements: { arg: 'symbol', exchange: 'MYX' },
+  get_bursa_historical_data: { arg: 'symbol', exchange: 'MYX' },
+  run_backtest: { arg: 'symbol' }
+};
+
+/**
+ * Runs the tools Gemini can call from /analyze against the backend services.
+ * Tool results follow the original convention: data on success, `{ error }` on failure.
+ */
+class ToolService {
+  constructor(options = {}) {
+    this.chartService = options.chartService || new ChartService();
+    this.newsService = options.newsService || new NewsService();
+    this.economicService = options.economicService || new EconomicService();
+    this.bursaService = options.bursaService || new BursaService({ chartService: this.chartService });
+    this.mediaService = options.mediaService || new MediaService();
+    this.symbols = options.symbols || SymbolDirectory.shared();
+    this.riskService = options.riskService || new RiskService({ chartService: this.chartService, portfolioService: options.portfolioService, symbols: this.symbols });
+    this.backtestService = options.backtestService || new BacktestService({ chartService: this.chartService, symbols: this.symbols });
+    // Session documents and portfolios are user data: only the app's services (createServices()) are used
+    this.documentService = options.documentService || null;
+
+    this.handlers = {
+      fetch_news: args => this.newsService.fetchNews(args.keyword),
+      get_stock_data: args => this.chartService.getQuote(args.ticker),
+      get_bursa_announcements: args => this.bursaService.getAnnouncements(args.symbol, { category: args.category }),
+      analyze_social_sentiment: args => this.newsService.analyzeSocialSentiment(args.keyword),
+      get_economic_data: args => this.economicService.getEconomicData(args.indicator, args.country),
+      get_historical_stock_data: args => this.chartService.getHistoricalStockData(args.ticker, args.period),
+      get_bursa_historical_data: args => this.bursaService.getHistoricalData(args.symbol, args.period),
+      get_economic_indicator_data: args => this.economicService.getEconomicIndicatorData(args.indicatorCode, args.countryCode, { from: args.from, to: args.to }),
+      get_risk_metrics: args => this.riskService.getRiskMetrics(args.symbols, { benchmark: args.benchmark, from: args.from, to: args.to }),
+      run_backtest: args => this.backtestService.runForTool(args),
+      search_documents: (args, context) => this.documentService.searchForTool(args, context),
+      generate_image_tool: args => this.mediaService.generateImage(args.prompt)
+    };
+  }
+
+  // In the shape model.startChat({ tools }) expects
+  getTools() {
+    return TOOL_DECLARATIONS.map(declaration => ({ function_declarations: [declaration] }));
+  }
+
+  /**
+   * @param {string} name - Tool name from the model's function call.
+   * @param {object} args - The call's arguments.
+   * @param {object} context - Request context the model does not supply, e.g. { sessionId } for search_documents.
+   */
+  async execute(name, args = {}, context = {}) {
+    const handler = this.handlers[name];
+    if (!handler) {
+      return { error: `Unknown tool: ${name}` };
+    }
+
+    // Bad arguments go back to the model with the field-level problems so it can retry the call
+    const checked = checkSchema(toolSchemas[name], args, 'args');
+    if (checked.details) {
+      const error = `Invalid arguments for ${name}: ${checked.details.map(detail => detail.message).join('; ')}`;
+      console.warn(`[Tools] ${error}`);
+      return { error, details: checked.details };
+    }
+    args = checked.value;
+
+    const symbolArgument = SYMBOL_ARGUMENTS[name];
+    if (symbolArgument && args[symbolArgument.arg]) {
+      const resolved = this.resolveSymbol(args[symbolArgument.arg], symbolArgument.exchange);
+      if (resolved.error) return resolved;
+      args = { ...args, [symbolArgument.arg]: resolved.symbol };
+    }
+    return handler(args, context);
+  }
+
+  // Maps names, aliases and misspellings onto the symbol providers expect, without any upstream call
+  resolveSymbol(input, exchange) {
+    const resolution = this.symbols.resolve(input);
+    if (!resolution) {
+      const error = new SymbolNotFoundError(input, this.symbols.suggest(input));
+      return { error: error.message, suggestions: error.suggestions };
+    }
+    if (exchange && resolution.exchange !== exchange) {
+      return { error: `${input} is not listed on Bursa Malaysia. Use get_historical_stock_data or get_stock_data for other markets.` };
+    }
+    if (resolution.corrected) {
+      console.log(`[Tools] Resolved "${input}" to ${resolution.symbol} (${resolution.name})`);
+    }
+    return { symbol: resolution.dataSymbol };
+  }
+}
+
+module.exports = ToolService;
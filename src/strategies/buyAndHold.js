@@ -0,0 +1,10 @@
+// Baseline: fully invested from the first bar to the last
+module.exports = {
+  name: 'buy_and_hold',
+  label: 'Buy and hold',
+  description: 'Buys on the first bar of the range and holds to the end; the baseline every other strategy is compared with.',
+  params: {},
+  signals(closes, params, indicators, start = 0) {
+    return closes.map((_, i) => (i === start ? 1 : null));
+  }
+};
@@ -0,0 +1,40 @@
+const buyAndHold = require('./buyAndHold');
+const maCrossover = require('./maCrossover');
+const rsiMeanReversion = require('./rsiMeanReversion');
+
+/**
+ * Backtest strategies. Each one declares its parameters ({ default, min, max, integer } or
+ * { default, options }) and turns a close series into per-bar target positions:
+ * 1 (long), 0 (flat) or null (keep the current position). signals(closes, params, indicators, start)
+ * sees the whole history for warm-up; `start` is the index of the first bar the backtest trades.
+ */
+const strategies = {
+  [buyAndHold.name]: buyAndHold,
+  [maCrossover.name]: maCrossover,
+  [rsiMeanReversion.name]: rsiMeanReversion
+};
+
+function listStrategies() {
+  return Object.keys(strategies);
+}
+
+function registerStrategy(strategy) {
+  strategies[strategy.name] = strategy;
+}
+
+function getStrategy(name) {
+  const strategy = strategies[String(name || '').toLowerCase()];
+  if (!strategy) {
+    throw Object.assign(new Error(`Unknown strategy: ${name}. Available: ${listStrategies().join(', ')}`), {
+      status: 400,
+      code: 'UNKNOWN_STRATEGY'
+    });
+  }
+  return strategy;
+}
+
+module.exports = {
+  getStrategy,
+  registerStrategy,
+  listStrategies
+};
@@ -0,0 +1,33 @@
+/**
+ * Trend following: long when the fast moving average crosses above the slow one,
+ * flat when it crosses back below. Only the crosses trade, so a range that starts
+ * with fast > slow waits for the next golden cross.
+ */
+module.exports = {
+  name: 'ma_crossover',
+  label: 'Moving average crossover',
+  description: 'Buys when the fast moving average crosses above the slow one (golden cross) and sells when it crosses below (death cross).',
+  params: {
+    fastPeriod: { default: 20, min: 2, max: 250, integer: true, description: 'Fast moving average period' },
+    slowPeriod: { default: 50, min: 3, max: 400, integer: true, description: 'Slow moving average period' },
+    maType: { default: 'sma', options: ['sma', 'ema'], description: 'Simple or exponential moving averages' }
+  },
+  validate(params) {
+    if (params.fastPeriod >= params.slowPeriod) {
+      return 'fastPeriod must be shorter than slowPeriod';
+    }
+    return null;
+  },
+  signals(closes, params, indicators) {
+    const average = params.maType === 'ema' ? indicators.ema.bind(indicators) : indicators.sma.bind(indicators);
+    const fast = average(closes, params.fastPeriod);
+    const slow = average(closes, params.slowPeriod);
+
+    return closes.map((_, i) => {
+      if (i === 0 || [fast[i], slow[i], fast[i - 1], slow[i - 1]].includes(null)) return null;
+      if (fast[i - 1] <= slow[i - 1] && fast[i] > slow[i]) return 1;
+      if (fast[i - 1] >= slow[i - 1] && fast[i] < slow[i]) return 0;
+      return null;
+    });
+  }
+};
@@ -0,0 +1,26 @@
+// Mean reversion: buy oversold readings, sell once RSI recovers to the exit level
+module.exports = {
+  name: 'rsi_mean_reversion',
+  label: 'RSI mean reversion',
+  description: 'Buys when RSI falls below the oversold level and sells when it rises above the exit level.',
+  params: {
+    rsiPeriod: { default: 14, min: 2, max: 100, integer: true, description: 'RSI period (Wilder smoothing)' },
+    oversold: { default: 30, min: 1, max: 99, description: 'Buy when RSI drops below this level' },
+    exitLevel: { default: 70, min: 1, max: 99, description: 'Sell when RSI rises above this level' }
+  },
+  validate(params) {
+    if (params.oversold >= params.exitLevel) {
+      return 'oversold must be below exitLevel';
+    }
+    return null;
+  },
+  signals(closes, params, indicators) {
+    const rsi = indicators.rsi(closes, params.rsiPeriod);
+    return rsi.map(value => {
+      if (value === null) return null;
+      if (value < params.oversold) return 1;
+      if (value > params.exitLevel) return 0;
+      return null;
+    });
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * Okapi BM25 keyword search over small in-memory collections (the documents of one session).
+ * Tokens are lower-cased words and numbers with thousands separators removed; quarter names
+ * are normalized so "first quarter", "1Q24" and "Q1 2024" all match.
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have',
+  'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this',
+  'to', 'uploaded', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'with', 'you', 'your'
+]);
+
+const ORDINAL_QUARTERS = { first: 1, second: 2, third: 3, fourth: 4, '1st': 1, '2nd': 2, '3rd': 3, '4th': 4 };
+
+/**
+ * @param {string} text - Any text.
+ * @returns {string[]} - Search tokens, in order, stop words removed.
+ */
+function tokenize(text) {
+  const normalized = String(text || '')
+    .toLowerCase()
+    .replace(/\b(first|second|third|fourth|1st|2nd|3rd|4th)\s+quarter\b/g, (match, ordinal) => `q${ORDINAL_QUARTERS[ordinal]}`)
+    // "1Q24", "Q1'24", "Q1FY24" and "Q1 2024" all become "q1 2024"
+    .replace(/\b(?:([1-4])q|q([1-4]))(?:\s?(?:fy)?['’]?(\d{4}|\d{2}))?\b/g, (match, before, after, year) => (
+      `q${before || after}${year ? ` ${year.length === 2 ? `20${year}` : year}` : ''}`
+    ))
+    .replace(/(\d),(?=\d{3}\b)/g, '$1');
+
+  return (normalized.match(/[a-z0-9]+(?:\.\d+)?/g) || [])
+    .filter(token => !STOP_WORDS.has(token))
+    // Plural and singular forms match ("revenues", "revenue")
+    .map(token => (token.length > 3 && /[a-z]s$/.test(token) && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+/**
+ * @param {Array<object>} entries - [{ id, text }].
+ * @returns {object} - Index for searchIndex().
+ */
+function buildIndex(entries) {
+  const documents = entries.map(({ id, text }) => {
+    const tokens = tokenize(text);
+    const frequencies = new Map();
+    tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+    return { id, length: tokens.length, frequencies };
+  });
+
+  const documentFrequency = new Map();
+  documents.forEach(({ frequencies }) => {
+    frequencies.forEach((count, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+  });
+
+  const totalLength = documents.reduce((sum, document) => sum + document.length, 0);
+  return {
+    documents,
+    documentFrequency,
+    averageLength: documents.length ? totalLength / documents.length : 0
+  };
+}
+
+/**
+ * @param {object} index - From buildIndex().
+ * @param {string} query - Free-text query.
+ * @param {object} options - { limit (default 5), filter(id) to restrict which entries can match }.
+ * @returns {Array<object>} - [{ id, score, matched }] best first; `matched` lists the query terms found.
+ */
+function searchIndex(index, query, options = {}) {
+  const terms = [...new Set(tokenize(query))];
+  const total = index.documents.length;
+  if (!terms.length || !total) return [];
+
+  const idf = term => {
+    const frequency = index.documentFrequency.get(term) || 0;
+    return Math.log(1 + (total - frequency + 0.5) / (frequency + 0.5));
+  };
+
+  return index.documents
+    .filter(document => !options.filter || options.filter(document.id))
+    .map(document => {
+      const matched = terms.filter(term => document.frequencies.has(term));
+      const score = matched.reduce((sum, term) => {
+        const frequency = document.frequencies.get(term);
+        const norm = K1 * (1 - B + B * (document.length / (index.averageLength || 1)));
+        return sum + idf(term) * ((frequency * (K1 + 1)) / (frequency + norm));
+      }, 0);
+      return { id: document.id, score: parseFloat(score.toFixed(4)), matched };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, options.limit || 5);
+}
+
+module.exports = {
+  tokenize,
+  buildIndex,
+  searchIndex
+};
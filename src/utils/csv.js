@@ -0,0 +1,81 @@
+/**
+ * Minimal RFC 4180 CSV reading for uploaded exports: quoted fields may hold delimiters,
+ * doubled quotes and line breaks. The delimiter is detected when not given.
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * @param {string} text - CSV text.
+ * @returns {string} - The delimiter that splits the first lines most consistently.
+ */
+function detectDelimiter(text) {
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+  let best = { delimiter: ',', score: 0 };
+  DELIMITERS.forEach(delimiter => {
+    // Lines that split into the same number of fields count, weighted by that number
+    const frequency = new Map();
+    lines
+      .map(line => line.replace(/"[^"]*"/g, '').split(delimiter).length - 1)
+      .filter(Boolean)
+      .forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+    frequency.forEach((lineCount, count) => {
+      if (lineCount * count > best.score) best = { delimiter, score: lineCount * count };
+    });
+  });
+  return best.delimiter;
+}
+
+/**
+ * @param {string} text - CSV text (a leading byte order mark is ignored).
+ * @param {object} options - { delimiter } (detected by default).
+ * @returns {Array<string[]>} - Rows of trimmed cells; blank lines are dropped.
+ */
+function parseCsv(text, options = {}) {
+  const input = String(text || '').replace(/^﻿/, '');
+  const delimiter = options.delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell.trim());
+    if (row.some(value => value !== '')) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && !cell.trim()) {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) endRow();
+
+  return rows;
+}
+
+module.exports = {
+  detectDelimiter,
+  parseCsv
+};
@@ -0,0 +1,57 @@
+/**
+ * Largest-Triangle-Three-Buckets downsampling.
+ * Keeps the visual shape of a price series while bounding the number of points,
+ * so long ranges (e.g. the 5Y preset) stay cheap to ship and render.
+ * @param {Array<object>} data - Points sorted by timestamp.
+ * @param {number} threshold - Maximum number of points to return.
+ * @param {string} valueKey - Field used as the y value.
+ * @returns {Array<object>} - A subset of the original points (never interpolated).
+ */
+function lttb(data, threshold, valueKey = 'close') {
+  if (!Array.isArray(data) || threshold >= data.length) return data;
+  if (threshold < 3) return data.slice(-Math.max(threshold, 0));
+
+  const sampled = [data[0]];
+  const bucketSize = (data.length - 2) / (threshold - 2);
+  let a = 0;
+
+  for (let i = 0; i < threshold - 2; i++) {
+    // Average point of the next bucket, used as the third triangle vertex
+    const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, data.length);
+    let avgX = 0;
+    let avgY = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgX += data[j].timestamp;
+      avgY += data[j][valueKey];
+    }
+    const nextLength = nextEnd - nextStart || 1;
+    avgX /= nextLength;
+    avgY /= nextLength;
+
+    const rangeStart = Math.floor(i * bucketSize) + 1;
+    const rangeEnd = Math.floor((i + 1) * bucketSize) + 1;
+    const pointA = data[a];
+
+    let maxArea = -1;
+    let selected = rangeStart;
+    for (let j = rangeStart; j < rangeEnd; j++) {
+      const area = Math.abs(
+        (pointA.timestamp - avgX) * (data[j][valueKey] - pointA[valueKey]) -
+        (pointA.timestamp - data[j].timestamp) * (avgY - pointA[valueKey])
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        selected = j;
+      }
+    }
+
+    sampled.push(data[selected]);
+    a = selected;
+  }
+
+  sampled.push(data[data.length - 1]);
+  return sampled;
+}
+
+module.exports = { lttb };
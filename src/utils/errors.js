@@ -0,0 +1,41 @@
+/**
+ * Error raised when an upstream data provider fails or refuses a request.
+ * `code` is a stable machine-readable reason that routes surface per symbol,
+ * `retryable` tells the request scheduler whether backing off can help.
+ */
+class UpstreamError extends Error {
+  constructor(message, { provider, code = 'UPSTREAM_ERROR', retryable = false, status = 502 } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.provider = provider;
+    this.code = code;
+    this.retryable = retryable;
+    this.status = status;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      reason: this.message,
+      provider: this.provider,
+      retryable: this.retryable
+    };
+  }
+}
+
+/**
+ * Raised when input cannot be matched to any known or plausible symbol.
+ * `suggestions` lists the closest directory symbols so callers can offer them.
+ */
+class SymbolNotFoundError extends Error {
+  constructor(input, suggestions = []) {
+    const hint = suggestions.length ? ` Did you mean ${suggestions.join(', ')}?` : '';
+    super(`Unknown symbol: ${input}.${hint}`);
+    this.name = 'SymbolNotFoundError';
+    this.code = 'UNKNOWN_SYMBOL';
+    this.status = 404;
+    this.suggestions = suggestions;
+  }
+}
+
+module.exports = { UpstreamError, SymbolNotFoundError };
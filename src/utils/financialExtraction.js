@@ -0,0 +1,300 @@
+/**
+ * Turns OCR text from financial documents (earnings releases, statements, screenshots of
+ * results tables) into structured data: currency amounts, percentages, reporting periods,
+ * table rows and the headline metrics found in them. Pure text functions, no I/O.
+ */
+
+const CURRENCY_SYMBOLS = {
+  'US$': 'USD', 'HK$': 'HKD', 'S$': 'SGD', 'A$': 'AUD', 'C$': 'CAD',
+  RM: 'MYR', $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR'
+};
+const CURRENCY_CODES = ['USD', 'MYR', 'SGD', 'EUR', 'GBP', 'JPY', 'HKD', 'AUD', 'CAD', 'CNY', 'INR', 'IDR', 'THB'];
+
+const SCALES = {
+  thousand: 1e3, k: 1e3, "'000": 1e3,
+  million: 1e6, mil: 1e6, mln: 1e6, mn: 1e6, m: 1e6,
+  billion: 1e9, bil: 1e9, bn: 1e9, b: 1e9,
+  trillion: 1e12, tn: 1e12
+};
+
+// Headline line items recognised in row labels and in the text before an amount or percentage
+const METRICS = [
+  ['revenue', /\b(revenue|revenues|net sales|total sales|turnover)\b/i],
+  ['gross_profit', /\bgross profit\b/i],
+  ['gross_margin', /\bgross margin\b/i],
+  ['operating_income', /\b(operating (income|profit)|profit from operations|ebit)\b/i],
+  ['operating_margin', /\boperating margin\b/i],
+  ['ebitda', /\bebitda\b/i],
+  ['net_income', /\b(net (income|profit|earnings)|profit after tax|pat|profit for the (period|year))\b/i],
+  ['eps', /\b(eps|earnings per share)\b/i],
+  ['dividend_per_share', /\b(dividends? per share|dps)\b/i],
+  ['free_cash_flow', /\bfree cash flow\b/i],
+  ['operating_cash_flow', /\b(operating cash flow|cash (flow )?from operations)\b/i],
+  ['total_assets', /\btotal assets\b/i],
+  ['total_equity', /\b(total|shareholders'?) equity\b/i],
+  ['guidance', /\b(guidance|outlook)\b/i]
+];
+
+const PERIOD_PATTERN = /\b(?:[1-4]Q\s?'?\d{2,4}|Q[1-4]\s?(?:FY)?'?\d{2,4}|FY\s?'?\d{2,4}|[12]H\s?'?\d{2,4}|H[12]\s?'?\d{2,4}|(?:19|20)\d{2})\b/gi;
+
+const CURRENCY_PREFIX = `(?:US\\$|HK\\$|S\\$|A\\$|C\\$|RM|\\$|€|£|¥|₹|(?<![A-Za-z])(?:${CURRENCY_CODES.join('|')}))`;
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+const SCALE_SUFFIX = "(?:thousand|million|billion|trillion|mil|mln|mn|bil|bn|tn|'000|k|m|b)(?![A-Za-z])";
+
+// "$1.2 billion", "RM 3,456m", "(US$12.5)", "USD 4.1bn", "-€300k"
+const AMOUNT_PATTERN = new RegExp(`(\\()?([-−]\\s?)?(${CURRENCY_PREFIX})\\s?(${NUMBER})(?:\\s?(${SCALE_SUFFIX}))?(\\))?`, 'gi');
+// "12.5%", "(3.2)%", "+4 %", "-0.8%"
+const PERCENT_PATTERN = /(\()?([-−+]\s?)?(\d+(?:\.\d+)?)(\))?\s?%/g;
+// A table cell: number, amount, percentage or a dash for "nil"
+const CELL_PATTERN = new RegExp(`^(\\()?[-−+]?(${CURRENCY_PREFIX})?(\\()?[-−+]?(${NUMBER})(${SCALE_SUFFIX})?\\)?%?\\)?$|^[-–—]$|^n\\/?[am]$`, 'i');
+
+const round = value => parseFloat(value.toFixed(6));
+const toNumber = digits => parseFloat(digits.replace(/,/g, ''));
+
+function currencyOf(token) {
+  if (!token) return null;
+  const upper = token.toUpperCase();
+  return CURRENCY_SYMBOLS[token] || CURRENCY_SYMBOLS[upper] || (CURRENCY_CODES.includes(upper) ? upper : null);
+}
+
+function scaleOf(suffix) {
+  return suffix ? SCALES[suffix.toLowerCase()] || 1 : 1;
+}
+
+// The line item named closest to the end of the label, so "EPS $1.64, dividend per share" is a dividend
+function metricOf(label) {
+  let best = null;
+  METRICS.forEach(([metric, pattern]) => {
+    const matches = [...String(label || '').matchAll(new RegExp(pattern.source, 'gi'))];
+    const last = matches[matches.length - 1];
+    if (last && (!best || last.index > best.index)) best = { metric, index: last.index };
+  });
+  return best ? best.metric : null;
+}
+
+/**
+ * Parses one table cell or number-like token.
+ * @param {string} raw - e.g. "1,234.5", "(56)", "RM12.3m", "8.1%", "-".
+ * @returns {object|null} - { raw, value, currency, percent } or null when it is not numeric.
+ */
+function parseValue(raw) {
+  const text = String(raw || '').trim();
+  if (!CELL_PATTERN.test(text)) return null;
+  if (/^[-–—]$|^n\/?[am]$/i.test(text)) return { raw: text, value: null, currency: null, percent: false };
+
+  const digits = text.match(new RegExp(NUMBER));
+  const currencyToken = text.match(new RegExp(CURRENCY_PREFIX, 'i'));
+  const suffix = text.match(new RegExp(`(?<=\\d)(${SCALE_SUFFIX})`, 'i'));
+  const negative = /^\(|^[-−]|\)%?$/.test(text);
+  const value = toNumber(digits[0]) * scaleOf(suffix && suffix[1]);
+
+  return {
+    raw: text,
+    value: round(negative ? -value : value),
+    currency: currencyOf(currencyToken && currencyToken[0]),
+    percent: text.endsWith('%')
+  };
+}
+
+// Up to 48 characters of the same line before a match, used as its label
+function contextBefore(line, index) {
+  return line.slice(Math.max(0, index - 48), index).replace(/[\s:=|-]+$/, '').trim() || null;
+}
+
+/**
+ * Currency amounts with their scale applied: "$1.2 billion" is 1200000000 USD.
+ * @param {string} text - OCR text.
+ * @returns {Array<object>} - [{ raw, value, currency, line, context, metric }].
+ */
+function extractAmounts(text) {
+  const amounts = [];
+  String(text || '').split('\n').forEach((line, lineIndex) => {
+    for (const match of line.matchAll(AMOUNT_PATTERN)) {
+      const [raw, open, minus, currency, digits, suffix, close] = match;
+      const value = toNumber(digits) * scaleOf(suffix);
+      const context = contextBefore(line, match.index);
+      amounts.push({
+        raw: raw.trim(),
+        value: round((open && close) || minus ? -value : value),
+        currency: currencyOf(currency),
+        line: lineIndex + 1,
+        context,
+        metric: metricOf(context)
+      });
+    }
+  });
+  return amounts;
+}
+
+/**
+ * @param {string} text - OCR text.
+ * @returns {Array<object>} - [{ raw, value, line, context, metric }], "(3.2)%" as -3.2.
+ */
+function extractPercentages(text) {
+  const percentages = [];
+  String(text || '').split('\n').forEach((line, lineIndex) => {
+    for (const match of line.matchAll(PERCENT_PATTERN)) {
+      const [raw, open, sign, digits, close] = match;
+      const negative = (open && close) || (sign && sign.trim() !== '+');
+      const context = contextBefore(line, match.index);
+      percentages.push({
+        raw: raw.trim(),
+        value: negative ? -parseFloat(digits) : parseFloat(digits),
+        line: lineIndex + 1,
+        context,
+        metric: metricOf(context)
+      });
+    }
+  });
+  return percentages;
+}
+
+function extractPeriods(text) {
+  const periods = String(text || '').match(PERIOD_PATTERN) || [];
+  return [...new Set(periods.map(period => period.replace(/\s+/g, ' ').toUpperCase()))];
+}
+
+// "(in millions)", "RM'000", "USD million": the unit table figures are reported in
+function extractUnit(text) {
+  const source = String(text || '');
+  const words = source.match(/\bin\s+(thousands|millions|billions)\b/i);
+  const header = source.match(new RegExp(`(${CURRENCY_PREFIX})\\s?('000|thousands?|millions?|billions?|mil|mn|bn)(?![A-Za-z])`, 'i'));
+  if (!words && !header) return null;
+
+  const scaleWord = (words ? words[1] : header[2]).toLowerCase().replace(/s$/, '');
+  return {
+    scale: scaleOf(scaleWord),
+    currency: header ? currencyOf(header[1]) : null,
+    raw: (words || header)[0]
+  };
+}
+
+// Splits a line into a label and its trailing numeric cells ("Revenue 1,234 1,100 12.2%")
+function splitRow(line) {
+  const tokens = line.split(/\s*\|\s*|\t+|\s+/).filter(Boolean);
+  const cells = [];
+  let i = tokens.length - 1;
+  while (i >= 0) {
+    let token = tokens[i];
+    // "RM 1,234" is one cell
+    if (i > 0 && currencyOf(tokens[i - 1]) && parseValue(`${tokens[i - 1]}${token}`)) {
+      token = `${tokens[i - 1]}${token}`;
+      i--;
+    }
+    const parsed = parseValue(token);
+    if (!parsed) break;
+    cells.unshift(parsed);
+    i--;
+  }
+  return { label: tokens.slice(0, i + 1).join(' '), cells };
+}
+
+// A header has no figures of its own (years aside). It names one period per column, or, for runs of
+// two or more columns, splits into that many column titles; a lone title is not enough, as any line is one.
+function headerColumns(line, count) {
+  const { cells } = splitRow(line.trim());
+  if (cells.some(cell => !/^(19|20)\d{2}$/.test(cell.raw))) return null;
+  const periods = line.match(PERIOD_PATTERN) || [];
+  if (periods.length === count) return periods.map(period => period.trim());
+  if (count === 1) return null;
+  const columns = line.split(/\s*\|\s*|\t+|\s{2,}/).map(column => column.trim()).filter(Boolean);
+  if (columns.length === count) return columns;
+  if (columns.length === count + 1) return columns.slice(1);
+  return null;
+}
+
+/**
+ * Tables: runs of consecutive lines that each have a text label followed by the same number
+ * of numeric cells (two lines with several columns, or three with one). The line just above a run becomes the column headers when it
+ * has no figures and names that many periods (or, for several columns, splits into that many columns).
+ * @param {string} text - OCR text.
+ * @returns {Array<object>} - [{ columns, rows: [{ label, metric, values: [{ raw, value, currency, percent }] }], line }].
+ */
+function extractTables(text) {
+  const lines = String(text || '').split('\n');
+  const tables = [];
+  let run = [];
+
+  // Single-column runs need a third row before they count, so two lines of prose ending in numbers do not
+  const flush = () => {
+    if (run.length >= 3 || (run.length === 2 && run[0].cells.length > 1)) {
+      const first = run[0].index;
+      const count = run[0].cells.length;
+      const columns = first > 0 ? headerColumns(lines[first - 1], count) : null;
+      tables.push({
+        columns: columns || Array.from({ length: count }, (_, column) => `column${column + 1}`),
+        rows: run.map(({ label, cells }) => ({ label, metric: metricOf(label), values: cells })),
+        line: first + 1
+      });
+    }
+    run = [];
+  };
+
+  lines.forEach((line, index) => {
+    const { label, cells } = splitRow(line.trim());
+    // "Q4 2024  Q4 2023" ends in a year but is a header, not a row
+    const isHeader = cells.every(cell => /^(19|20)\d{2}$/.test(cell.raw));
+    const isRow = label && /[A-Za-z]/.test(label) && !isHeader && cells.some(cell => cell.value !== null);
+    if (!isRow) return flush();
+    if (run.length && run[0].cells.length !== cells.length) flush();
+    run.push({ index, label, cells });
+  });
+  flush();
+
+  return tables;
+}
+
+/**
+ * Headline figures: table rows and amount/percentage contexts that name a known line item.
+ * A table row keeps all its columns; prose figures keep the first value per metric.
+ * @returns {object} - { revenue: { label, values | value, ... }, eps: ..., ... }.
+ */
+function extractMetrics(tables, amounts, percentages) {
+  const metrics = {};
+  tables.forEach(table => table.rows.forEach(row => {
+    if (row.metric && !metrics[row.metric]) {
+      metrics[row.metric] = {
+        label: row.label,
+        values: row.values.map((cell, column) => ({ column: table.columns[column], ...cell }))
+      };
+    }
+  }));
+  [...amounts, ...percentages].forEach(item => {
+    if (item.metric && !metrics[item.metric]) {
+      metrics[item.metric] = { label: item.context, value: item.value, currency: item.currency || null, raw: item.raw };
+    }
+  });
+  return metrics;
+}
+
+/**
+ * Runs every extractor over one text.
+ * @param {string} text - OCR text.
+ * @param {object} options - { tagger } exposing tag(text) for ticker detection.
+ * @returns {object} - { tickers, periods, unit, metrics, tables, amounts, percentages }.
+ */
+function extractFinancialData(text, options = {}) {
+  const amounts = extractAmounts(text);
+  const percentages = extractPercentages(text);
+  const tables = extractTables(text);
+
+  return {
+    tickers: options.tagger ? options.tagger.tag(text) : [],
+    periods: extractPeriods(text),
+    unit: extractUnit(text),
+    metrics: extractMetrics(tables, amounts, percentages),
+    tables,
+    amounts,
+    percentages
+  };
+}
+
+module.exports = {
+  parseValue,
+  extractAmounts,
+  extractPercentages,
+  extractPeriods,
+  extractUnit,
+  extractTables,
+  extractFinancialData
+};
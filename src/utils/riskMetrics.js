@@ -0,0 +1,192 @@
+// Standard normal quantiles for the supported Value-at-Risk confidence levels
+const Z_SCORES = { 0.9: 1.2816, 0.95: 1.6449, 0.99: 2.3263 };
+
+const TRADING_DAYS = 252;
+
+const round = (value, digits = 4) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+const asPercent = value => (value === null ? null : round(value * 100, 2));
+
+const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// Sample standard deviation
+function stdev(values) {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+function covariance(a, b) {
+  if (a.length < 2 || a.length !== b.length) return null;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) / (a.length - 1);
+}
+
+function correlation(a, b) {
+  const cov = covariance(a, b);
+  const sdA = stdev(a);
+  const sdB = stdev(b);
+  return cov === null || !sdA || !sdB ? null : cov / (sdA * sdB);
+}
+
+function beta(asset, benchmark) {
+  const cov = covariance(asset, benchmark);
+  const sd = stdev(benchmark);
+  return cov === null || !sd ? null : cov / (sd * sd);
+}
+
+/**
+ * Simple period-over-period returns of an OHLCV (or any dated) series.
+ * @param {Array<object>} points - Points sorted oldest first.
+ * @param {string} valueKey - Field holding the price.
+ * @returns {Array<object>} - [{ date, value }], one fewer than `points`.
+ */
+function periodReturns(points, valueKey = 'close') {
+  const returns = [];
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1][valueKey];
+    if (previous > 0 && Number.isFinite(points[i][valueKey])) {
+      returns.push({ date: points[i].date, value: points[i][valueKey] / previous - 1 });
+    }
+  }
+  return returns;
+}
+
+// Pairs two return series on the dates they share
+function alignReturns(a, b) {
+  const byDate = new Map(b.map(point => [point.date, point.value]));
+  const left = [];
+  const right = [];
+  a.forEach(point => {
+    if (byDate.has(point.date)) {
+      left.push(point.value);
+      right.push(byDate.get(point.date));
+    }
+  });
+  return { left, right };
+}
+
+// Largest peak-to-trough fall of the compounded returns, with when it happened
+function maxDrawdown(returns) {
+  let value = 1;
+  let peak = 1;
+  let peakDate = returns.length ? returns[0].date : null;
+  let worst = { drawdown: 0, peakDate: null, troughDate: null };
+  returns.forEach(point => {
+    value *= 1 + point.value;
+    if (value > peak) {
+      peak = value;
+      peakDate = point.date;
+    }
+    const drawdown = value / peak - 1;
+    if (drawdown < worst.drawdown) {
+      worst = { drawdown, peakDate, troughDate: point.date };
+    }
+  });
+  return worst;
+}
+
+/**
+ * One-period Value-at-Risk and expected shortfall, as positive loss fractions.
+ * Historical VaR is the empirical loss quantile; parametric VaR assumes normal returns.
+ */
+function valueAtRisk(values, confidence) {
+  if (values.length < 2) return { historical: null, parametric: null, expectedShortfall: null };
+  const sorted = [...values].sort((a, b) => a - b);
+  // 1 - 0.9 is 0.0999..., so round away float error before flooring (20 returns at 90% keep 2)
+  const tailSize = Math.max(Math.floor(parseFloat((sorted.length * (1 - confidence)).toFixed(6))), 1);
+  const tail = sorted.slice(0, tailSize);
+  return {
+    historical: Math.max(-sorted[tailSize - 1], 0),
+    parametric: Math.max(-(mean(values) - Z_SCORES[confidence] * stdev(values)), 0),
+    expectedShortfall: Math.max(-mean(tail), 0)
+  };
+}
+
+/**
+ * Return and risk statistics for one return series.
+ * @param {Array<object>} returns - [{ date, value }] from periodReturns, oldest first.
+ * @param {object} options - { benchmarkReturns, riskFreeRate (annual fraction), confidence (0.9, 0.95 or 0.99), periodsPerYear }.
+ * @returns {object|null} - Percent figures are in percent; ratios and beta are plain numbers. Null with fewer than 2 returns.
+ */
+function computeRiskMetrics(returns, options = {}) {
+  if (!returns || returns.length < 2) return null;
+
+  const { benchmarkReturns = null, riskFreeRate = 0, confidence = 0.95, periodsPerYear = TRADING_DAYS } = options;
+  const values = returns.map(point => point.value);
+  const periodRiskFree = riskFreeRate / periodsPerYear;
+  const sd = stdev(values);
+
+  const growth = values.reduce((total, value) => total * (1 + value), 1);
+  const annualizedReturn = growth > 0 ? growth ** (periodsPerYear / values.length) - 1 : -1;
+
+  const excess = values.map(value => value - periodRiskFree);
+  const downside = Math.sqrt(mean(excess.map(value => Math.min(value, 0) ** 2)));
+  const drawdown = maxDrawdown(returns);
+  const risk = valueAtRisk(values, confidence);
+
+  let benchmark = null;
+  if (benchmarkReturns) {
+    const { left, right } = alignReturns(returns, benchmarkReturns);
+    benchmark = {
+      observations: left.length,
+      beta: round(beta(left, right)),
+      correlation: round(correlation(left, right))
+    };
+  }
+
+  return {
+    observations: values.length,
+    from: returns[0].date,
+    to: returns[returns.length - 1].date,
+    totalReturnPercent: asPercent(growth - 1),
+    annualizedReturnPercent: asPercent(annualizedReturn),
+    annualizedVolatilityPercent: asPercent(sd * Math.sqrt(periodsPerYear)),
+    maxDrawdownPercent: asPercent(drawdown.drawdown),
+    maxDrawdownPeak: drawdown.peakDate,
+    maxDrawdownTrough: drawdown.troughDate,
+    sharpeRatio: sd ? round(mean(excess) / sd * Math.sqrt(periodsPerYear), 2) : null,
+    sortinoRatio: downside ? round(mean(excess) / downside * Math.sqrt(periodsPerYear), 2) : null,
+    beta: benchmark ? benchmark.beta : null,
+    benchmarkCorrelation: benchmark ? benchmark.correlation : null,
+    valueAtRisk: {
+      confidence,
+      horizon: '1 period',
+      historicalPercent: asPercent(risk.historical),
+      parametricPercent: asPercent(risk.parametric),
+      expectedShortfallPercent: asPercent(risk.expectedShortfall)
+    }
+  };
+}
+
+/**
+ * Pairwise correlation of several return series, each pair on the dates both have.
+ * @param {object} returnsByKey - key -> [{ date, value }].
+ * @returns {object} - { symbols, matrix } with matrix[i][j] the correlation of symbols i and j.
+ */
+function correlationMatrix(returnsByKey) {
+  const keys = Object.keys(returnsByKey);
+  const matrix = keys.map(() => new Array(keys.length).fill(null));
+  keys.forEach((a, i) => {
+    matrix[i][i] = 1;
+    for (let j = i + 1; j < keys.length; j++) {
+      const { left, right } = alignReturns(returnsByKey[a], returnsByKey[keys[j]]);
+      matrix[i][j] = matrix[j][i] = round(correlation(left, right));
+    }
+  });
+  return { symbols: keys, matrix };
+}
+
+module.exports = {
+  TRADING_DAYS,
+  VAR_CONFIDENCE_LEVELS: Object.keys(Z_SCORES).map(Number),
+  periodReturns,
+  alignReturns,
+  stdev,
+  correlation,
+  beta,
+  maxDrawdown,
+  valueAtRisk,
+  computeRiskMetrics,
+  correlationMatrix
+};
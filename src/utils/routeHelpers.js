@@ -0,0 +1,49 @@
+/**
+ * Response helpers shared by the routers whose services throw errors carrying `status`, `code`
+ * and optionally `suggestions` (see UpstreamError, SymbolNotFoundError and the service `fail()` helpers).
+ */
+
+/**
+ * Answers { success: false, error, code, suggestions } with the error's status (500 when it has none).
+ * Server-side failures are logged under the router's tag; client errors are not.
+ * @param {object} res - Express response.
+ * @param {Error} error - Thrown error, optionally with status, code and suggestions.
+ * @param {string} [tag] - Log tag, e.g. 'Portfolio'.
+ */
+function sendError(res, error, tag = 'API') {
+  if (!error.status || error.status >= 500) {
+    console.error(`[${tag}] Request failed:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    suggestions: error.suggestions
+  });
+}
+
+/**
+ * Builds sendError and handle for one router.
+ * handle(action, status) wraps an async action so the route answers { success: true, data } with the
+ * given status, or goes through sendError when the action throws.
+ * @param {string} tag - Log tag, e.g. 'Alerts'.
+ * @returns {{ sendError: Function, handle: Function }}
+ */
+function createRouteHelpers(tag) {
+  const send = (res, error) => sendError(res, error, tag);
+
+  const handle = (action, status = 200) => async (req, res) => {
+    try {
+      res.status(status).json({
+        success: true,
+        data: await action(req)
+      });
+    } catch (error) {
+      send(res, error);
+    }
+  };
+
+  return { sendError: send, handle };
+}
+
+module.exports = { sendError, createRouteHelpers };
@@ -0,0 +1,71 @@
+/**
+ * Runs joi request and tool-argument schemas and reports failures in one shape:
+ * { success: false, error, code: 'VALIDATION_ERROR', details: [{ location, field, message, type }] }.
+ */
+
+const OPTIONS = {
+  abortEarly: false,
+  allowUnknown: true,
+  convert: true,
+  errors: { wrap: { label: false } }
+};
+
+// ['symbols', 0] -> "symbols[0]"
+const fieldName = path => path.reduce((name, key) => (
+  typeof key === 'number' ? `${name}[${key}]` : (name ? `${name}.${key}` : String(key))
+), '');
+
+/**
+ * @param {object} schema - A joi schema.
+ * @param {*} value - The input to check.
+ * @param {string} location - Where the input came from (params, query, body, args), for the details.
+ * @returns {object} - { value } converted with defaults applied, or { details } listing every problem.
+ */
+function checkSchema(schema, value, location) {
+  const { value: converted, error } = schema.validate(value === undefined ? {} : value, OPTIONS);
+  if (!error) return { value: converted };
+  return {
+    details: error.details.map(detail => ({
+      location,
+      field: fieldName(detail.path) || null,
+      message: detail.message,
+      type: detail.type
+    }))
+  };
+}
+
+const summarize = details => `Invalid request: ${details.map(detail => detail.message).join('; ')}`;
+
+/**
+ * Express middleware checking `params`, `query` and `body` against the schemas given (any of
+ * them may be left out). Converted values replace the originals, so handlers read numbers as
+ * numbers and see defaults; a failure answers 400 before the handler runs.
+ * @param {object} schemas - { params, query, body }, e.g. an entry of schemas/requestSchemas.
+ */
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const details = [];
+    ['params', 'query', 'body'].forEach(location => {
+      if (!schemas[location]) return;
+      const result = checkSchema(schemas[location], req[location], location);
+      if (result.details) details.push(...result.details);
+      else req[location] = result.value;
+    });
+
+    if (details.length) {
+      return res.status(400).json({
+        success: false,
+        error: summarize(details),
+        code: 'VALIDATION_ERROR',
+        details
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  checkSchema,
+  validateRequest,
+  summarize
+};
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AlertService = require('../src/services/alertService');
+const { createAlertStore } = require('../src/services/alertStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Daily bars ending on the last close given; volume defaults to 1000
+const seriesOf = (closes, volumes = []) => closes.map((close, index) => ({
+  date: new Date(Date.UTC(2024, 0, 1) + index * DAY).toISOString().slice(0, 10),
+  close,
+  volume: volumes[index] === undefined ? 1000 : volumes[index]
+}));
+
+const service = (series = [], options = {}) => new AlertService({
+  store: createAlertStore('memory'),
+  chartService: { getSeries: async () => ({ series }) },
+  bursaService: {},
+  retryBaseMs: 0,
+  allowPrivateWebhooks: false,
+  ...options
+});
+
+const rule = (type, params, extra = {}) => ({ id: 'r1', name: 'Test', symbol: 'AAPL', type, params, state: {}, cooldownMinutes: 0, ...extra });
+
+test('price_cross triggers only on the bar that crosses the level', async () => {
+  const crossed = await service(seriesOf([98, 99, 101])).evaluate(rule('price_cross', { direction: 'above', level: 100 }));
+  assert.equal(crossed.triggered, true);
+  assert.equal(crossed.key, '2024-01-03');
+  assert.equal(crossed.message, 'AAPL closed above 100 at 101 on 2024-01-03 (previous close 99)');
+
+  const already = await service(seriesOf([99, 101, 102])).evaluate(rule('price_cross', { direction: 'above', level: 100 }));
+  assert.equal(already.triggered, false);
+
+  const below = await service(seriesOf([101, 99])).evaluate(rule('price_cross', { direction: 'below', level: 100 }));
+  assert.equal(below.triggered, true);
+});
+
+test('percent_change compares with the close lookback bars ago in the chosen direction', async () => {
+  const alerts = service(seriesOf([100, 90, 95, 106]));
+
+  const up = await alerts.evaluate(rule('percent_change', { threshold: 5, direction: 'up', lookback: 3 }));
+  assert.equal(up.triggered, true);
+  assert.equal(up.data.changePercent, 6);
+  assert.equal(up.data.baseDate, '2024-01-01');
+
+  assert.equal((await alerts.evaluate(rule('percent_change', { threshold: 5, direction: 'down', lookback: 3 }))).triggered, false);
+  assert.equal((await alerts.evaluate(rule('percent_change', { threshold: 10, direction: 'either', lookback: 2 }))).triggered, true);
+  await assert.rejects(alerts.evaluate(rule('percent_change', { threshold: 5, direction: 'up', lookback: 4 })), { status: 404, code: 'NO_DATA' });
+});
+
+test('volume_spike compares the last bar with the average of the bars before it', async () => {
+  const alerts = service(seriesOf([1, 1, 1, 1], [1000, 2000, 3000, 5000]));
+
+  const spike = await alerts.evaluate(rule('volume_spike', { multiplier: 2, lookback: 3 }));
+  assert.equal(spike.triggered, true);
+  assert.deepEqual(spike.data, { date: '2024-01-04', volume: 5000, averageVolume: 2000, ratio: 2.5, multiplier: 2 });
+
+  assert.equal((await alerts.evaluate(rule('volume_spike', { multiplier: 3, lookback: 3 }))).triggered, false);
+});
+
+test('a rule fires once per bar and records the event', async () => {
+  const alerts = service(seriesOf([99, 101]));
+  const created = await alerts.createRule({ symbol: 'AAPL', type: 'price_cross', params: { direction: 'above', level: 100 } });
+
+  const first = await alerts.runRule(await alerts.getRule(created.id));
+  const second = await alerts.runRule(await alerts.getRule(created.id));
+
+  assert.equal(first.status, 'triggered');
+  assert.equal(second.status, 'suppressed');
+  const history = await alerts.getHistory();
+  assert.equal(history.length, 1);
+  assert.equal(history[0].delivery.status, 'skipped');
+});
+
+test('webhooks on loopback, private and link-local hosts are rejected', () => {
+  const alerts = service();
+  [
+    'http://127.0.0.1/hook',
+    'http://localhost:8080/hook',
+    'http://localhost./hook',
+    'http://api.localhost/hook',
+    'http://10.1.2.3/hook',
+    'http://172.16.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook'
+  ].forEach(url => assert.throws(() => alerts.normalizeWebhook({ url }), { status: 400, code: 'INVALID_ALERT' }, url));
+
+  assert.equal(alerts.normalizeWebhook({ url: 'https://8.8.8.8/hook' }).url, 'https://8.8.8.8/hook');
+  assert.equal(alerts.normalizeWebhook({ url: 'https://hooks.example.com/alerts' }).url, 'https://hooks.example.com/alerts');
+  assert.throws(() => alerts.normalizeWebhook({ url: 'ftp://example.com/hook' }), { code: 'INVALID_ALERT' });
+  assert.equal(service([], { allowPrivateWebhooks: true }).normalizeWebhook({ url: 'http://127.0.0.1/hook' }).url, 'http://127.0.0.1/hook');
+});
+
+test('delivery never connects to a private address, even through DNS', async () => {
+  const calls = [];
+  const http = {
+    post: async (url, body, options) => {
+      calls.push(url);
+      // What axios does with the lookup option: resolve the host before connecting
+      await new Promise((resolve, reject) => options.lookup('localhost', {}, error => (error ? reject(error) : resolve())));
+      return { status: 200 };
+    }
+  };
+  const alerts = service([], { http, maxAttempts: 3 });
+  const payload = { id: 'p1', event: 'alert.test' };
+
+  const literal = await alerts.deliver({ url: 'http://127.0.0.1/hook', secret: 'x'.repeat(16) }, payload);
+  assert.deepEqual([literal.status, literal.attempts, calls.length], ['failed', 0, 0]);
+
+  const resolved = await alerts.deliver({ url: 'https://rebinding.example.com/hook', secret: 'x'.repeat(16) }, payload);
+  assert.equal(resolved.status, 'failed');
+  assert.equal(resolved.attempts, 1);
+  assert.match(resolved.error, /resolves to private address 127\.0\.0\.1/);
+});
+
+test('delivery signs the body and retries server errors', async () => {
+  const requests = [];
+  const statuses = [503, 200];
+  const http = {
+    post: async (url, body, options) => {
+      requests.push({ body, headers: options.headers });
+      return { status: statuses.shift() };
+    }
+  };
+  const secret = 's'.repeat(16);
+  const result = await service([], { http }).deliver({ url: 'https://hooks.example.com/alerts', secret }, { id: 'p1', event: 'alert.test' });
+
+  assert.equal(result.status, 'delivered');
+  assert.equal(result.attempts, 2);
+  const { body, headers } = requests[1];
+  assert.equal(headers['X-Alert-Signature'], `sha256=${AlertService.sign(secret, headers['X-Alert-Timestamp'], body)}`);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AnalyzeAgent = require('../src/services/analyzeAgent');
+const { FakeLLMClient } = require('../src/services/llmClient');
+
+const toolService = {
+  getTools: () => [],
+  execute: async (name, args) => ({ name, args, price: 100 })
+};
+
+const agentWith = (responder, options = {}) => new AnalyzeAgent({
+  model: new FakeLLMClient({ responder }).getModel('analyze'),
+  toolService,
+  maxSteps: 2,
+  ...options
+});
+
+test('answers with text once the model stops asking for tools', async () => {
+  const agent = agentWith(({ history }) => (history.length < 3
+    ? { functionCalls: [{ name: 'get_stock_data', args: { ticker: 'AAPL' } }] }
+    : 'AAPL trades at 100.'));
+
+  const result = await agent.run('How is AAPL?');
+
+  assert.equal(result.text, 'AAPL trades at 100.');
+  assert.equal(result.steps, 1);
+  assert.equal(result.budgetExhausted, undefined);
+  assert.deepEqual(result.trace.map(entry => entry.status), ['ok']);
+});
+
+test('answers pending calls with function responses when the step budget runs out', async () => {
+  const requests = [];
+  const agent = agentWith(request => {
+    requests.push(request);
+    return { functionCalls: [{ name: 'get_stock_data', args: { ticker: 'AAPL' } }, { name: 'fetch_news', args: { keyword: 'AAPL' } }] };
+  });
+
+  const result = await agent.run('How is AAPL?');
+
+  assert.equal(result.budgetExhausted, true);
+  assert.equal(result.steps, 2);
+  assert.ok(result.text.length > 0);
+  assert.deepEqual(result.trace.slice(-2).map(entry => entry.status), ['skipped', 'skipped']);
+
+  // Every turn after a model turn with function calls answers all of them, and nothing else
+  const finalTurn = requests[requests.length - 1].prompt;
+  assert.deepEqual(finalTurn.map(part => part.functionResponse.name), ['get_stock_data', 'fetch_news']);
+  finalTurn.forEach(part => assert.match(part.functionResponse.response.error, /budget exhausted/));
+  result.history.forEach((content, index) => {
+    if (content.role !== 'model' || !content.parts[0].functionCall || index === result.history.length - 1) return;
+    const next = result.history[index + 1];
+    assert.equal(next.parts.length, content.parts.length);
+    next.parts.forEach(part => assert.ok(part.functionResponse));
+  });
+});
+
+test('keeps the model answer when it replies with text after the budget notice', async () => {
+  const agent = agentWith(({ prompt }) => (Array.isArray(prompt) && prompt[0].functionResponse.response.error
+    ? 'Partial answer from the data gathered.'
+    : { functionCalls: [{ name: 'get_stock_data', args: { ticker: 'AAPL' } }] }));
+
+  const result = await agent.run('How is AAPL?');
+
+  assert.equal(result.budgetExhausted, true);
+  assert.equal(result.text, 'Partial answer from the data gathered.');
+});
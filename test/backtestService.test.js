@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BacktestService = require('../src/services/backtestService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// [open, close] per day from 2024-01-01; high/low only matter for the adjusted basis
+const barsOf = prices => prices.map(([open, close], index) => {
+  const timestamp = Date.UTC(2024, 0, 1) + index * DAY;
+  return { date: new Date(timestamp).toISOString().slice(0, 10), timestamp, open, high: Math.max(open, close), low: Math.min(open, close), close, volume: 1000 };
+});
+
+const bars = barsOf([[10, 10], [10, 11], [12, 12], [11, 12], [12, 13], [14, 15]]);
+
+const settings = {
+  initialCapital: 1000,
+  commissionPerTrade: 1,
+  commissionPercent: 0.1,
+  slippageBps: 100,
+  allowFractional: false,
+  riskFreeRate: 0
+};
+
+const service = () => new BacktestService({ chartService: {}, symbols: {} });
+
+test('signals fill at the next open with slippage and commission', () => {
+  // Buy on bar 0, sell on bar 2, buy again on bar 3 and hold to the end
+  const targets = [1, null, 0, 1, null, null];
+  const { trades, curve, totals } = service().simulate(bars, targets, 0, 5, settings);
+
+  // 98 shares at 10 * 1.01 = 10.1: (1000 - 1) / (10.1 * 1.001) = 98.8
+  assert.deepEqual(trades[0], {
+    entryDate: '2024-01-02',
+    entryPrice: 10.1,
+    exitDate: '2024-01-04',
+    exitPrice: 10.89,
+    shares: 98,
+    // Proceeds 98 * 10.89 - (1 + 1.06722) minus cost 98 * 10.1 + (1 + 0.9898)
+    pnl: 73.36,
+    returnPercent: 7.4,
+    bars: 2,
+    open: false
+  });
+  assert.equal(curve[0].equity, 1000);
+  assert.equal(curve[1].cash, 8.21);
+  assert.equal(curve[1].shares, 98);
+  assert.equal(totals.commission.toFixed(5), '6.12358');
+  // 1% of the open on every fill: 98 * 10, 98 * 11 and 88 * 12
+  assert.equal(totals.slippage.toFixed(2), '31.14');
+  assert.equal(totals.skippedOrders, 0);
+  assert.equal(totals.barsInMarket, 4);
+});
+
+test('an open position is marked to the last close without exit costs', () => {
+  const targets = [1, null, 0, 1, null, null];
+  const { trades, curve } = service().simulate(bars, targets, 0, 5, settings);
+  const last = trades[trades.length - 1];
+
+  // 88 shares at 12 * 1.01 = 12.12 on 2024-01-05, cost 1066.56 + 2.06656
+  assert.deepEqual(last, {
+    entryDate: '2024-01-05',
+    entryPrice: 12.12,
+    exitDate: null,
+    exitPrice: 15,
+    shares: 88,
+    pnl: 251.37,
+    returnPercent: 23.52,
+    bars: 1,
+    open: true
+  });
+  assert.equal(curve[5].equity, 1324.74);
+
+  const summary = service().summarize(service().simulate(bars, targets, 0, 5, settings), settings);
+  assert.equal(summary.tradeCount, 1);
+  assert.equal(summary.openPosition, true);
+  assert.equal(summary.finalEquity, 1324.74);
+  assert.equal(summary.totalReturnPercent, 32.47);
+  assert.equal(summary.totalCommission, 6.12);
+  assert.equal(summary.exposurePercent, 66.67);
+});
+
+test('orders the cash cannot cover are skipped, and a last-bar signal never fills', () => {
+  const poor = service().simulate(bars, [1, null, null, null, null, null], 0, 5, { ...settings, initialCapital: 5 });
+  assert.equal(poor.totals.skippedOrders, 1);
+  assert.deepEqual(poor.trades, []);
+  assert.ok(poor.curve.every(point => point.equity === 5));
+
+  const late = service().simulate(bars, [null, null, null, null, null, 1], 0, 5, settings);
+  assert.deepEqual(late.trades, []);
+  assert.equal(late.totals.skippedOrders, 0);
+});
+
+test('fractional shares spend the whole balance', () => {
+  const { trades, curve } = service().simulate(bars, [1, null, null, null, null, null], 0, 5, {
+    ...settings, commissionPerTrade: 0, commissionPercent: 0, slippageBps: 0, allowFractional: true
+  });
+
+  assert.equal(trades[0].shares, 100);
+  assert.equal(curve[1].cash, 0);
+  assert.equal(curve[5].equity, 1500);
+});
+
+test('run replays the requested range on adjusted prices against buy and hold', async () => {
+  const series = barsOf([[10, 10], [10, 11], [12, 12], [11, 12], [12, 13], [14, 15]])
+    .map(bar => ({ ...bar, adjustedClose: bar.close / 2 }));
+  const backtest = new BacktestService({
+    chartService: { getSeries: async () => ({ series, source: 'Test' }) },
+    symbols: { require: symbol => ({ symbol, dataSymbol: symbol }) }
+  });
+
+  const result = await backtest.run({ symbol: 'TEST', strategy: 'buy_and_hold', from: '2024-01-02', to: '2024-01-05' });
+
+  assert.equal(result.settings.from, '2024-01-02');
+  assert.equal(result.settings.to, '2024-01-05');
+  assert.equal(result.settings.bars, 4);
+  // Signal on 2024-01-02, filled at the 2024-01-03 open of 12 halved
+  assert.equal(result.trades[0].entryDate, '2024-01-03');
+  assert.equal(result.trades[0].entryPrice, 6);
+  assert.equal(result.trades[0].shares, 1666);
+  assert.equal(result.excessReturnPercent, 0);
+  await assert.rejects(backtest.run({ symbol: 'TEST', from: '2025-01-01', to: '2025-02-01' }), { status: 404, code: 'INSUFFICIENT_DATA' });
+});
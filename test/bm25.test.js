@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, buildIndex, searchIndex } = require('../src/utils/bm25');
+
+test('tokenize drops stop words, thousands separators and plural endings', () => {
+  assert.deepEqual(tokenize('What was the total Revenues of 1,234,567.89 in dividends?'), ['total', 'revenue', '1234567.89', 'dividend']);
+  assert.deepEqual(tokenize('Gross margins and assets, not glass'), ['gross', 'margin', 'asset', 'not', 'glass']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('tokenize gives every way of writing a quarter the same tokens', () => {
+  const expected = ['q1', '2024', 'revenue'];
+  ['First quarter 2024 revenue', '1Q24 revenue', "Q1'24 revenue", 'Q1FY24 revenue', 'Q1 2024 revenue'].forEach(text => {
+    assert.deepEqual(tokenize(text), expected, text);
+  });
+  assert.deepEqual(tokenize('3rd quarter'), ['q3']);
+});
+
+const index = buildIndex([
+  { id: 'income', text: 'Revenue for Q1 2024 was RM 1,200 million. Net profit rose to RM 300 million.' },
+  { id: 'balance', text: 'Total assets of RM 9,000 million and total liabilities of RM 4,000 million.' },
+  { id: 'dividend', text: 'The board declared a dividend of 5 sen per share for the first quarter 2024.' },
+  { id: 'revenue-note', text: 'Revenue revenue revenue by segment: plantation, property and manufacturing revenue.' }
+]);
+
+test('searchIndex ranks by BM25 and reports the matched terms', () => {
+  const results = searchIndex(index, 'Q1 2024 revenue');
+
+  assert.equal(results[0].id, 'income');
+  assert.deepEqual(results[0].matched, ['q1', '2024', 'revenue']);
+  assert.deepEqual(results.map(result => result.id).sort(), ['dividend', 'income', 'revenue-note']);
+  results.slice(1).forEach((result, i) => assert.ok(result.score <= results[i].score));
+});
+
+test('rarer terms outweigh common ones', () => {
+  const [top] = searchIndex(index, 'dividend revenue');
+  assert.equal(top.id, 'dividend');
+});
+
+test('searchIndex honours filter and limit, and matches nothing for stop words', () => {
+  assert.deepEqual(searchIndex(index, 'revenue', { filter: id => id !== 'income' }).map(result => result.id), ['revenue-note']);
+  assert.equal(searchIndex(index, 'million', { limit: 1 }).length, 1);
+  assert.deepEqual(searchIndex(index, 'what was the'), []);
+  assert.deepEqual(searchIndex(buildIndex([]), 'revenue'), []);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChartService = require('../src/services/chartService');
+const CacheService = require('../src/services/cacheService');
+const { lttb } = require('../src/utils/downsample');
+
+const DAY = 24 * 60 * 60 * 1000;
+const start = Date.UTC(2024, 0, 1);
+
+// Daily bars from 2024-01-01 with a single spike at `spikeAt`
+const series = (length, spikeAt = -1) => Array.from({ length }, (_, index) => {
+  const close = index === spikeAt ? 200 : 100 + (index % 5);
+  return {
+    timestamp: start + index * DAY,
+    date: new Date(start + index * DAY).toISOString().slice(0, 10),
+    open: close, high: close, low: close, close, volume: 1000
+  };
+});
+
+const chartService = () => new ChartService({ cache: new CacheService() });
+
+test('lttb keeps the first and last points and the spike within the threshold', () => {
+  const data = series(1000, 437);
+  const sampled = lttb(data, 50);
+
+  assert.equal(sampled.length, 50);
+  assert.equal(sampled[0], data[0]);
+  assert.equal(sampled[49], data[999]);
+  assert.ok(sampled.includes(data[437]));
+  sampled.slice(1).forEach((point, index) => assert.ok(point.timestamp > sampled[index].timestamp));
+});
+
+test('lttb returns short series unchanged', () => {
+  const data = series(10);
+  assert.equal(lttb(data, 10), data);
+  assert.equal(lttb(data, 100), data);
+  assert.deepEqual(lttb(data, 2), data.slice(-2));
+});
+
+test('selectRange pages back through the range with cursors', () => {
+  const service = chartService();
+  const data = series(10);
+
+  const first = service.selectRange(data, { limit: 4 });
+  assert.deepEqual(first.data.map(point => point.date), ['2024-01-07', '2024-01-08', '2024-01-09', '2024-01-10']);
+  assert.equal(first.pagination.totalPoints, 10);
+  assert.ok(first.pagination.nextCursor);
+
+  const second = service.selectRange(data, { limit: 4, cursor: first.pagination.nextCursor });
+  assert.deepEqual(second.data.map(point => point.date), ['2024-01-03', '2024-01-04', '2024-01-05', '2024-01-06']);
+
+  const last = service.selectRange(data, { limit: 4, cursor: second.pagination.nextCursor });
+  assert.deepEqual(last.data.map(point => point.date), ['2024-01-01', '2024-01-02']);
+  assert.equal(last.pagination.nextCursor, null);
+});
+
+test('selectRange applies the date range before downsampling', () => {
+  const service = chartService();
+  const { data, pagination } = service.selectRange(series(100), { from: '2024-01-11', to: '2024-03-10', limit: 10, downsample: 'lttb' });
+
+  assert.equal(data.length, 10);
+  assert.equal(data[0].date, '2024-01-11');
+  assert.equal(data[9].date, '2024-03-10');
+  assert.deepEqual(pagination, { totalPoints: 60, returnedPoints: 10, downsampled: true, nextCursor: null });
+});
+
+test('cursors that do not decode are rejected', () => {
+  assert.equal(ChartService.decodeCursor('not a cursor'), null);
+  assert.equal(ChartService.decodeCursor(chartService().encodeCursor(start)), start);
+});
+
+test('getMultipleStocksData returns every point in the range unless a limit is given', async () => {
+  const service = chartService();
+  const { data, errors } = await service.getMultipleStocksData(['AAPL', 'NOPE'], 'day', '2024-01-01', '2024-12-31', { provider: 'fixture' });
+
+  assert.equal(data.length, 1);
+  assert.ok(data[0].data.length > 200);
+  assert.equal(data[0].pagination.returnedPoints, data[0].pagination.totalPoints);
+  assert.deepEqual(errors.map(({ symbol, code }) => ({ symbol, code })), [{ symbol: 'NOPE', code: 'NO_DATA' }]);
+
+  const bounded = await service.getMultipleStocksData(['AAPL'], 'day', '2024-01-01', '2024-12-31', { provider: 'fixture', limit: 20, downsample: 'lttb' });
+  assert.equal(bounded.data[0].data.length, 20);
+  assert.equal(bounded.data[0].data[0].date, data[0].data[0].date);
+});
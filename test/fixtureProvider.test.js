@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const FixtureProvider = require('../src/providers/fixtureProvider');
+const ChartService = require('../src/services/chartService');
+const CacheService = require('../src/services/cacheService');
+const { getProvider, resolveProvider } = require('../src/providers');
+
+const directory = path.join(__dirname, '..', 'data', 'fixtures');
+
+test('reads the shipped daily bars in date order', async () => {
+  const provider = new FixtureProvider({ directory });
+  const series = await provider.getTimeSeries('AAPL', 'day');
+
+  assert.ok(series.length > 200);
+  assert.equal(series[0].date, '2024-01-02');
+  series.slice(1).forEach((point, index) => assert.ok(point.timestamp > series[index].timestamp));
+  ['open', 'high', 'low', 'close', 'volume'].forEach(field => assert.equal(typeof series[0][field], 'number'));
+});
+
+test('rolls daily bars up into weeks and months', async () => {
+  const provider = new FixtureProvider({ directory });
+  const daily = await provider.getTimeSeries('SPY', 'day');
+  const monthly = await provider.getTimeSeries('SPY', 'month');
+
+  assert.equal(monthly.length, 12);
+  assert.equal(monthly[11].close, daily[daily.length - 1].close);
+  assert.equal(monthly[0].volume, daily.filter(point => point.date.startsWith('2024-01')).reduce((sum, point) => sum + point.volume, 0));
+  assert.ok((await provider.getTimeSeries('SPY', 'week')).length >= 52);
+});
+
+test('quotes the last bar against the one before it', async () => {
+  const provider = new FixtureProvider({ directory });
+  const series = await provider.getTimeSeries('MSFT', 'day');
+  const quote = await provider.getQuote('MSFT');
+
+  assert.equal(quote.price, series[series.length - 1].close);
+  assert.equal(quote.previous_close, series[series.length - 2].close);
+});
+
+test('rejects symbols without a fixture', async () => {
+  const provider = new FixtureProvider({ directory });
+  await assert.rejects(provider.getTimeSeries('NOPE', 'day'), {
+    name: 'UpstreamError',
+    message: 'No fixture data found for NOPE',
+    provider: 'fixture',
+    code: 'NO_DATA',
+    status: 404,
+    retryable: false
+  });
+});
+
+test('provider names are case-insensitive', () => {
+  assert.equal(getProvider('Fixture'), getProvider('fixture'));
+  assert.equal(resolveProvider('AAPL', 'FIXTURE').name, 'fixture');
+});
+
+test('ChartService charts a date range from the fixture provider', async () => {
+  const chartService = new ChartService({ cache: new CacheService() });
+  const chart = await chartService.getStockData('QQQ', 'day', '2024-03-01', '2024-03-31', 100, { provider: 'fixture' });
+
+  assert.equal(chart.source, 'Local fixture');
+  assert.ok(chart.data.length >= 20);
+  chart.data.forEach(point => assert.ok(point.date >= '2024-03-01' && point.date <= '2024-03-31'));
+});
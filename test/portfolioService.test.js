@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PortfolioService = require('../src/services/portfolioService');
+const { createPortfolioStore } = require('../src/services/portfolioStore');
+
+// Ledger-only checks: positions come from transactions alone, so no market data services are needed
+const service = () => new PortfolioService({ store: createPortfolioStore('memory'), chartService: {}, economicService: {} });
+
+let sequence = 0;
+const entry = (type, date, fields) => ({
+  type, symbol: 'AAPL', date, currency: 'USD', fees: 0, createdAt: new Date(Date.UTC(2024, 0, 1) + sequence++).toISOString(), ...fields
+});
+
+test('buys average their cost including fees', () => {
+  const positions = service().buildPositions([
+    entry('buy', '2024-01-02', { quantity: 10, price: 100, fees: 5 }),
+    entry('buy', '2024-02-01', { quantity: 10, price: 120, fees: 5 })
+  ]);
+  const position = positions.get('AAPL');
+
+  assert.equal(position.quantity, 20);
+  assert.equal(position.costBasis, 2210);
+  assert.equal(service().formatPosition(position).averageCost, 110.5);
+});
+
+test('sells realize against the average cost and keep it for the rest', () => {
+  const position = service().buildPositions([
+    entry('buy', '2024-01-02', { quantity: 10, price: 100, fees: 5 }),
+    entry('buy', '2024-02-01', { quantity: 10, price: 120, fees: 5 }),
+    entry('sell', '2024-03-01', { quantity: 5, price: 130, fees: 2 })
+  ]).get('AAPL');
+
+  // 5 * (130 - 110.5) - 2
+  assert.equal(position.realizedPnL, 95.5);
+  assert.equal(position.quantity, 15);
+  assert.equal(position.costBasis, 1657.5);
+  assert.equal(position.fees, 12);
+});
+
+test('dividends are income and a closed position reopens at the new cost', () => {
+  const position = service().buildPositions([
+    entry('buy', '2024-01-02', { quantity: 10, price: 100 }),
+    entry('dividend', '2024-02-15', { amount: 24, fees: 4 }),
+    entry('sell', '2024-03-01', { quantity: 10, price: 90 }),
+    entry('buy', '2024-04-01', { quantity: 4, price: 80 })
+  ]).get('AAPL');
+
+  assert.equal(position.dividends, 20);
+  assert.equal(position.realizedPnL, -100);
+  assert.equal(position.quantity, 4);
+  assert.equal(position.costBasis, 320);
+  assert.equal(position.openedAt, '2024-04-01');
+});
+
+test('transactions apply in trade-date order whatever order they were recorded in', () => {
+  const sell = entry('sell', '2024-03-01', { quantity: 5, price: 130 });
+  const buy = entry('buy', '2024-01-02', { quantity: 10, price: 100 });
+
+  const position = service().buildPositions([sell, buy]).get('AAPL');
+  assert.equal(position.quantity, 5);
+  assert.equal(position.realizedPnL, 150);
+});
+
+test('selling more than is held is rejected', () => {
+  assert.throws(() => service().buildPositions([
+    entry('buy', '2024-01-02', { quantity: 3, price: 100 }),
+    entry('sell', '2024-01-03', { quantity: 4, price: 100 })
+  ]), {
+    status: 400,
+    code: 'INSUFFICIENT_QUANTITY',
+    message: 'Cannot sell 4 AAPL on 2024-01-03: only 3 held'
+  });
+});
+
+test('a whole sell with float dust closes the position', () => {
+  const position = service().buildPositions([
+    entry('buy', '2024-01-02', { quantity: 0.1, price: 100 }),
+    entry('buy', '2024-01-03', { quantity: 0.2, price: 100 }),
+    entry('sell', '2024-01-04', { quantity: 0.3, price: 110 })
+  ]).get('AAPL');
+
+  assert.equal(position.quantity, 0);
+  assert.equal(position.costBasis, 0);
+  assert.ok(Math.abs(position.realizedPnL - 3) < 1e-9);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  periodReturns,
+  alignReturns,
+  stdev,
+  correlation,
+  beta,
+  maxDrawdown,
+  valueAtRisk,
+  computeRiskMetrics,
+  correlationMatrix
+} = require('../src/utils/riskMetrics');
+
+const returnsOf = values => values.map((value, index) => ({ date: `2024-01-${String(index + 2).padStart(2, '0')}`, value }));
+
+test('period returns skip points without a usable previous price', () => {
+  const points = [
+    { date: '2024-01-01', close: 100 },
+    { date: '2024-01-02', close: 110 },
+    { date: '2024-01-03', close: 0 },
+    { date: '2024-01-04', close: 99 }
+  ];
+  const returns = periodReturns(points);
+
+  assert.deepEqual(returns.map(point => point.date), ['2024-01-02', '2024-01-03']);
+  assert.ok(Math.abs(returns[0].value - 0.1) < 1e-12);
+  assert.equal(returns[1].value, -1);
+});
+
+test('sample standard deviation, beta and correlation', () => {
+  assert.ok(Math.abs(stdev([1, 2, 3, 4]) - Math.sqrt(5 / 3)) < 1e-12);
+  assert.equal(stdev([1]), null);
+
+  const benchmark = [0.01, -0.02, 0.03, 0.005];
+  const asset = benchmark.map(value => value * 2);
+  assert.ok(Math.abs(beta(asset, benchmark) - 2) < 1e-12);
+  assert.ok(Math.abs(correlation(asset, benchmark) - 1) < 1e-12);
+  assert.ok(Math.abs(correlation(asset.map(value => -value), benchmark) + 1) < 1e-12);
+});
+
+test('returns are aligned on the dates both series share', () => {
+  const a = [{ date: 'd1', value: 1 }, { date: 'd2', value: 2 }, { date: 'd3', value: 3 }];
+  const b = [{ date: 'd3', value: 30 }, { date: 'd1', value: 10 }];
+
+  assert.deepEqual(alignReturns(a, b), { left: [1, 3], right: [10, 30] });
+});
+
+test('max drawdown compounds returns and reports the peak and trough', () => {
+  // Value path 1.1, 0.99, 0.891, 1.3365: the worst fall is from 1.1 to 0.891
+  const worst = maxDrawdown(returnsOf([0.1, -0.1, -0.1, 0.5]));
+
+  assert.ok(Math.abs(worst.drawdown - (0.891 / 1.1 - 1)) < 1e-12);
+  assert.equal(worst.peakDate, '2024-01-02');
+  assert.equal(worst.troughDate, '2024-01-04');
+  assert.deepEqual(maxDrawdown(returnsOf([0.01, 0.02])), { drawdown: 0, peakDate: null, troughDate: null });
+});
+
+test('historical VaR and expected shortfall come from the loss tail', () => {
+  // -0.10, -0.09, ..., 0.09
+  const values = Array.from({ length: 20 }, (_, index) => (index - 10) / 100);
+  const risk = valueAtRisk(values, 0.9);
+
+  assert.ok(Math.abs(risk.historical - 0.09) < 1e-12);
+  assert.ok(Math.abs(risk.expectedShortfall - 0.095) < 1e-12);
+  assert.ok(Math.abs(risk.parametric - (0.005 + 1.2816 * stdev(values))) < 1e-12);
+  assert.deepEqual(valueAtRisk([0.01], 0.95), { historical: null, parametric: null, expectedShortfall: null });
+});
+
+test('risk metrics summarize a return series against a benchmark', () => {
+  const benchmarkReturns = returnsOf([0.01, -0.02, 0.03, 0.005]);
+  const returns = returnsOf(benchmarkReturns.map(point => point.value * 2));
+  const metrics = computeRiskMetrics(returns, { benchmarkReturns, riskFreeRate: 0, confidence: 0.95 });
+
+  const growth = returns.reduce((total, point) => total * (1 + point.value), 1);
+  assert.equal(metrics.observations, 4);
+  assert.equal(metrics.from, '2024-01-02');
+  assert.equal(metrics.to, '2024-01-05');
+  assert.equal(metrics.totalReturnPercent, parseFloat(((growth - 1) * 100).toFixed(2)));
+  assert.equal(metrics.maxDrawdownPercent, -4);
+  assert.equal(metrics.beta, 2);
+  assert.equal(metrics.benchmarkCorrelation, 1);
+  assert.equal(metrics.valueAtRisk.historicalPercent, 4);
+  assert.ok(metrics.sharpeRatio > 0);
+  assert.equal(computeRiskMetrics(returnsOf([0.01])), null);
+});
+
+test('correlation matrix is symmetric with ones on the diagonal', () => {
+  const a = returnsOf([0.01, -0.02, 0.03, 0.005]);
+  const { symbols, matrix } = correlationMatrix({
+    A: a,
+    B: a.map(point => ({ ...point, value: point.value * 3 })),
+    C: a.map(point => ({ ...point, value: -point.value }))
+  });
+
+  assert.deepEqual(symbols, ['A', 'B', 'C']);
+  assert.deepEqual(matrix.map(row => row.map(value => Math.round(value))), [[1, 1, -1], [1, 1, -1], [-1, -1, 1]]);
+  matrix.forEach((row, i) => row.forEach((value, j) => assert.equal(value, matrix[j][i])));
+});
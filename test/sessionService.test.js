@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SessionService = require('../src/services/sessionService');
+const { createSessionStore } = require('../src/services/sessionStore');
+
+const user = text => ({ role: 'user', parts: [{ text }] });
+const model = text => ({ role: 'model', parts: [{ text }] });
+const call = name => ({ role: 'model', parts: [{ functionCall: { name, args: {} } }] });
+const reply = (name, response) => ({ role: 'function', parts: [{ functionResponse: { name, response } }] });
+
+// One question answered after a tool call: user, functionCall, functionResponse, answer
+const toolTurn = index => [user(`question ${index}`), call('get_stock_data'), reply('get_stock_data', { price: index }), model(`answer ${index}`)];
+
+const sessions = (options = {}) => {
+  const summarized = [];
+  const service = new SessionService({
+    store: createSessionStore('memory'),
+    summarizer: async (contents, previousSummary) => {
+      summarized.push(contents);
+      return `${previousSummary ? `${previousSummary} + ` : ''}${contents.length} contents`;
+    },
+    ...options
+  });
+  return { service, summarized };
+};
+
+test('history past maxHistory is cut at a user message and summarized', async () => {
+  const { service, summarized } = sessions({ maxHistory: 4 });
+  const session = { history: [user('q1'), model('a1'), user('q2'), model('a2'), user('q3'), model('a3')], summary: null };
+
+  await service.trim(session);
+
+  assert.deepEqual(session.history, [user('q2'), model('a2'), user('q3'), model('a3')]);
+  assert.equal(session.summary, '2 contents');
+  assert.deepEqual(summarized[0], [user('q1'), model('a1')]);
+});
+
+test('a function call is never separated from its response', async () => {
+  const { service } = sessions({ maxHistory: 5 });
+  const session = { history: [...toolTurn(1), ...toolTurn(2)], summary: 'earlier' };
+
+  await service.trim(session);
+
+  // Dropping 3 contents would start at the functionResponse, so the whole first turn goes
+  assert.deepEqual(session.history, toolTurn(2));
+  assert.equal(session.summary, 'earlier + 4 contents');
+});
+
+test('the size budget keeps only the latest turn when nothing else fits', async () => {
+  const { service } = sessions({ maxHistoryChars: 10 });
+  const session = { history: [...toolTurn(1), ...toolTurn(2), ...toolTurn(3)], summary: null };
+
+  await service.trim(session);
+
+  assert.deepEqual(session.history, toolTurn(3));
+  assert.equal(session.summary, '8 contents');
+});
+
+test('history within both limits is left alone', async () => {
+  const { service, summarized } = sessions({ maxHistory: 8 });
+  const session = { history: [...toolTurn(1), ...toolTurn(2)], summary: null };
+
+  await service.trim(session);
+
+  assert.equal(session.history.length, 8);
+  assert.equal(session.summary, null);
+  assert.deepEqual(summarized, []);
+});
+
+test('a failing summarizer falls back to a plain digest', async () => {
+  const { service } = sessions({ maxHistory: 2, summarizer: async () => { throw new Error('model unavailable'); } });
+  const session = { history: [user('How is AAPL?'), model('Up 2%.'), user('And MSFT?'), model('Flat.')], summary: 'User: hi' };
+
+  await service.trim(session);
+
+  assert.equal(session.summary, 'User: hi\nUser: How is AAPL?\nAssistant: Up 2%.');
+});
+
+test('large tool responses are stored compacted', () => {
+  const { service } = sessions({ maxToolResponseChars: 300 });
+  const rows = Array.from({ length: 50 }, (_, index) => ({ date: `2024-01-${index}`, close: index }));
+
+  const shrunk = service.compactContent(reply('get_historical_stock_data', { symbol: 'AAPL', data: rows }));
+  assert.deepEqual(shrunk.parts[0].functionResponse.response, { symbol: 'AAPL', data: ['(45 earlier items omitted)', ...rows.slice(-5)] });
+
+  const excerpt = service.compactContent(reply('fetch_news', { text: 'x'.repeat(400).split('').join(' ') }));
+  assert.equal(excerpt.parts[0].functionResponse.response.truncated, true);
+
+  const small = reply('get_stock_data', { price: 1 });
+  assert.deepEqual(service.compactContent(small), small);
+});
+
+test('recordTurn stores the typed query and drops the summary prefix', async () => {
+  const { service } = sessions();
+  const session = await service.create('s1');
+  session.summary = 'earlier';
+
+  const history = [...service.buildChatHistory(session), user('How is AAPL?\n\n[document context]'), model('Up 2%.')];
+  const saved = await service.recordTurn(session, { query: 'How is AAPL?', answer: 'Up 2%.', history, trace: [{ name: 'get_stock_data' }] });
+
+  assert.deepEqual(saved.history, [user('How is AAPL?'), model('Up 2%.')]);
+  assert.equal(saved.title, 'How is AAPL?');
+  assert.deepEqual(saved.turns.map(turn => turn.tools), [['get_stock_data']]);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PortfolioService = require('../src/services/portfolioService');
+const StatementImportService = require('../src/services/statementImportService');
+const { createPortfolioStore } = require('../src/services/portfolioStore');
+
+const statement = rows => ['Date,Action,Symbol,Quantity,Price,Fees', ...rows].join('\n');
+
+const BUYS = [
+  '2024-01-02,Buy,AAPL,10,150,1',
+  '2024-01-02,Buy,AAPL,10,150,1',
+  '2024-02-01,Sell,AAPL,5,160,1',
+  '2024-03-01,Buy,MSFT,2,400,0',
+  '2024-03-02,Transfer,MSFT,2,,'
+];
+
+// Ledger-only checks: no prices are fetched, so the portfolio service gets no market data services
+const setup = () => {
+  const portfolioService = new PortfolioService({ store: createPortfolioStore('memory'), chartService: {}, economicService: {} });
+  return { portfolioService, importService: new StatementImportService({ portfolioService, documentService: {} }) };
+};
+
+test('preview maps a generic CSV into transactions and skips non-trades', async () => {
+  const { importService } = setup();
+  const preview = await importService.preview({ csv: statement(BUYS) });
+
+  assert.equal(preview.profile.id, 'generic');
+  assert.deepEqual(preview.transactions.map(({ row, type, symbol, quantity, price, fees }) => [row, type, symbol, quantity, price, fees]), [
+    [2, 'buy', 'AAPL', 10, 150, 1],
+    [3, 'buy', 'AAPL', 10, 150, 1],
+    [4, 'sell', 'AAPL', 5, 160, 1],
+    [5, 'buy', 'MSFT', 2, 400, 0]
+  ]);
+  assert.deepEqual(preview.skipped, [{ row: 6, reason: 'Not a trade or dividend (Transfer)' }]);
+  assert.deepEqual(preview.errors, []);
+  assert.deepEqual(preview.holdings.map(({ symbol, quantity, averageCost }) => [symbol, quantity, averageCost]), [['AAPL', 15, 150.1], ['MSFT', 2, 400]]);
+});
+
+test('committing the same statement again only counts duplicates', async () => {
+  const { importService } = setup();
+  const first = await importService.commit((await importService.preview({ csv: statement(BUYS) })).id, { name: 'Broker' });
+
+  assert.equal(first.imported, 4);
+  assert.equal(first.duplicates, 0);
+  assert.equal(first.portfolio.transactionCount, 4);
+
+  const again = await importService.commit((await importService.preview({ csv: statement(BUYS) })).id, { portfolioId: first.portfolio.id });
+  assert.equal(again.imported, 0);
+  assert.equal(again.duplicates, 4);
+  assert.equal(again.portfolio.transactionCount, 4);
+});
+
+test('identical trades are matched against the ledger one by one', async () => {
+  const { importService, portfolioService } = setup();
+  const portfolio = await portfolioService.createPortfolio({ name: 'Existing' });
+  await portfolioService.addTransaction(portfolio.id, { type: 'buy', symbol: 'AAPL', date: '2024-01-02', quantity: 10, price: 150, fees: 1 });
+
+  const result = await importService.commit((await importService.preview({ csv: statement(BUYS.slice(0, 2)) })).id, { portfolioId: portfolio.id });
+
+  assert.equal(result.imported, 1);
+  assert.equal(result.duplicates, 1);
+  assert.deepEqual(result.holdings.map(({ symbol, quantity }) => [symbol, quantity]), [['AAPL', 20]]);
+});
+
+test('excluded rows are left out and a committed preview is gone', async () => {
+  const { importService } = setup();
+  const preview = await importService.preview({ csv: statement(BUYS) });
+  const result = await importService.commit(preview.id, { name: 'Broker', exclude: [5] });
+
+  assert.equal(result.imported, 3);
+  assert.equal(result.excluded, 1);
+  assert.deepEqual(result.holdings.map(holding => holding.symbol), ['AAPL']);
+  assert.throws(() => importService.getPreview(preview.id), { status: 404, code: 'PREVIEW_NOT_FOUND' });
+});
+
+test('commit rejects bad exclusions and previews with nothing left to import', async () => {
+  const { importService } = setup();
+  const preview = await importService.preview({ csv: statement(BUYS) });
+
+  await assert.rejects(importService.commit(preview.id, { name: 'Broker', exclude: ['2'] }), { status: 400, code: 'INVALID_IMPORT' });
+  await assert.rejects(importService.commit(preview.id, {}), { status: 400, code: 'INVALID_IMPORT' });
+  await assert.rejects(importService.commit(preview.id, { name: 'Broker', exclude: [2, 3, 4, 5] }), { status: 422, code: 'NOTHING_TO_IMPORT' });
+});
+
+test('a sell without the opening position explains how to import it', async () => {
+  const { importService, portfolioService } = setup();
+  const preview = await importService.preview({ csv: statement(['2024-02-01,Sell,AAPL,5,160,1']) });
+
+  await assert.rejects(importService.commit(preview.id, { name: 'Broker' }), {
+    status: 400,
+    code: 'INSUFFICIENT_QUANTITY',
+    message: 'Cannot sell 5 AAPL on 2024-02-01: only 0 held. The statement may start after the position was opened: '
+      + 'import into a portfolio that holds it, or add the opening holding first.'
+  });
+  // Nothing was created, and the preview can still be committed elsewhere
+  assert.deepEqual(await portfolioService.listPortfolios(), []);
+  assert.equal(importService.getPreview(preview.id).id, preview.id);
+});
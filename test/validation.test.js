@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRequest, checkSchema } = require('../src/utils/validation');
+const { charts, analyze } = require('../src/schemas/requestSchemas');
+const toolSchemas = require('../src/schemas/toolSchemas');
+
+// Runs the middleware on a bare request and reports whether it answered or passed on
+const run = (schemas, req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  validateRequest(schemas)(Object.assign(req, { params: {}, query: {}, body: {}, ...req }), res, () => { passed = true; });
+  return { passed, res };
+};
+
+test('an unknown timespan is a 400 instead of a silent fallback to daily', () => {
+  const { passed, res } = run(charts.stock, { params: { symbol: 'AAPL' }, query: { timespan: 'hourly' } });
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, {
+    success: false,
+    error: 'Invalid request: timespan must be one of [minute, day, week, month]',
+    code: 'VALIDATION_ERROR',
+    details: [{ location: 'query', field: 'timespan', message: 'timespan must be one of [minute, day, week, month]', type: 'any.only' }]
+  });
+});
+
+test('every problem is reported, with the location and path of each field', () => {
+  const { res } = run(charts.compare, { body: { symbols: ['AAPL', ''], timespan: 'day', limit: 0 } });
+
+  assert.deepEqual(res.body.details.map(({ location, field, type }) => [location, field, type]), [
+    ['body', 'symbols[1]', 'string.empty'],
+    ['body', 'limit', 'number.min']
+  ]);
+  assert.equal(res.body.error, `Invalid request: ${res.body.details.map(detail => detail.message).join('; ')}`);
+});
+
+test('valid input is converted and given defaults before the handler runs', () => {
+  const req = { params: { symbol: 'AAPL' }, query: { limit: '10' } };
+  const { passed } = run(charts.stock, req);
+
+  assert.equal(passed, true);
+  assert.equal(req.query.limit, 10);
+  assert.equal(req.query.timespan, 'day');
+});
+
+test('an analyze body needs a non-blank query', () => {
+  const { res } = run(analyze.query, { body: { query: '   ' } });
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.details.map(({ location, field }) => [location, field]), [['body', 'query']]);
+});
+
+test('tool arguments are checked against the same shape', () => {
+  assert.deepEqual(checkSchema(toolSchemas.get_historical_stock_data, { ticker: 'AAPL', period: 'Weekly' }, 'args'), {
+    value: { ticker: 'AAPL', period: 'weekly' }
+  });
+
+  const { details } = checkSchema(toolSchemas.get_historical_stock_data, { period: 'hourly' }, 'args');
+  assert.deepEqual(details.map(({ location, field, type }) => [location, field, type]), [
+    ['args', 'ticker', 'any.required'],
+    ['args', 'period', 'any.only']
+  ]);
+});